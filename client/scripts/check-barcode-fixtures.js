@@ -0,0 +1,37 @@
+// Decode every label image in fixtures/labels and compare with labels.json
+// Usage:
+//   node scripts/check-barcode-fixtures.js
+// Runs the same decodePixels the camera and photo upload use. To cover a
+// label that fails on the floor, drop a photo of it in fixtures/labels and
+// add its expected text (null for "no barcode") to labels.json.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PNG } from 'pngjs';
+import { decodePixels } from '../src/services/barcodeDecoder.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/labels');
+const fixtures = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'labels.json'), 'utf8'));
+
+// Show GS and other control characters instead of printing them raw
+const show = (text) => (text === null ? 'no barcode' : JSON.stringify(text));
+
+let failures = 0;
+
+for (const fixture of fixtures) {
+  const image = PNG.sync.read(fs.readFileSync(path.join(fixturesDir, fixture.file)));
+  const result = decodePixels(image);
+  const text = result ? result.text : null;
+  const formatMatches = !fixture.format || result?.format === fixture.format;
+
+  if (text === fixture.text && formatMatches) {
+    console.log(`✅ ${fixture.file}: ${show(text)}${result ? ` (${result.format})` : ''}`);
+  } else {
+    failures += 1;
+    console.error(`❌ ${fixture.file}: expected ${show(fixture.text)}${fixture.format ? ` (${fixture.format})` : ''}, ` +
+      `got ${show(text)}${result ? ` (${result.format})` : ''}`);
+  }
+}
+
+console.log(`\n${fixtures.length - failures}/${fixtures.length} label fixtures decoded as expected`);
+process.exit(failures ? 1 : 0);
@@ -3,27 +3,113 @@ import ScanInterface from './components/ScanInterface';
 import HistoryTable from './components/HistoryTable';
 import Dashboard from './components/Dashboard';
 import PendingNotification from './components/PendingNotification';
+import ConsignmentView from './components/ConsignmentView';
+import ShiftPanel from './components/ShiftPanel';
+import Login from './components/Login';
+import AuditLog from './components/AuditLog';
+import ExceptionsList from './components/ExceptionsList';
+import OfflineBanner from './components/OfflineBanner';
+import DispatchUpload from './components/DispatchUpload';
+import DispatchVersions from './components/DispatchVersions';
+import BarcodeRules from './components/BarcodeRules';
+import DestinationRegistry from './components/DestinationRegistry';
+import ReportSchedules from './components/ReportSchedules';
+import Webhooks from './components/Webhooks';
+import ApiKeys from './components/ApiKeys';
 import { scanService } from './services/scanService';
+import { authService } from './services/authService';
+import { onUnauthorized } from './services/api';
+import { connectLiveUpdates } from './services/liveUpdates';
+import { can } from './services/permissions';
 import './styles/App.css';
 
+// Newest scans kept in memory for live updates; HistoryTable pages the rest
+const RECENT_SCANS = 200;
+
 function App() {
   const [scans, setScans] = useState([]);
   const [destinationCounts, setDestinationCounts] = useState({});
   const [pendingCount, setPendingCount] = useState(0);
-  const [userEmail, setUserEmail] = useState('');
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
   const [allowDuplicate, setAllowDuplicate] = useState(false);
+  const [showDeleted, setShowDeleted] = useState(false);
+  const [liveConnected, setLiveConnected] = useState(false);
+  const [online, setOnline] = useState(navigator.onLine);
+  const [queuedCount, setQueuedCount] = useState(0);
+  const [conflicts, setConflicts] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [dispatchRevision, setDispatchRevision] = useState(0);
+  const [exceptionsRevision, setExceptionsRevision] = useState(0);
+  const [destinations, setDestinations] = useState([]);
+  const syncingRef = useRef(false);
   const inputRef = useRef(null);
+  const showDeletedRef = useRef(showDeleted);
+  showDeletedRef.current = showDeleted;
+
+  // Restore the session from a stored token
+  useEffect(() => {
+    onUnauthorized(() => setUser(null));
+    authService.getCurrentUser()
+      .then(setUser)
+      .catch(() => setUser(null))
+      .finally(() => setAuthChecked(true));
+  }, []);
+
+  useEffect(() => {
+    if (!user) return;
+    loadDestinations();
+  }, [user]);
 
   useEffect(() => {
+    if (!user) return;
     loadInitialData();
-    setUserEmail('user@example.com');
     // Auto-focus input field
     inputRef.current?.focus();
-  }, []);
+  }, [user, showDeleted]);
+
+  // Changes made at other stations arrive over the event stream
+  useEffect(() => {
+    if (!user) return;
+    return connectLiveUpdates({
+      onEvent: handleLiveEvent,
+      onStatus: setLiveConnected
+    });
+  }, [user]);
+
+  // Track connectivity and replay queued scans whenever it comes back
+  useEffect(() => {
+    if (!user) return;
+
+    const handleOnline = () => {
+      setOnline(true);
+      syncOutbox();
+    };
+    const handleOffline = () => setOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    refreshOutboxStatus().then(syncOutbox);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [user]);
+
+  // The live stream reconnecting means the server is reachable again
+  useEffect(() => {
+    if (!liveConnected) return;
+    setOnline(true);
+    syncOutbox();
+  }, [liveConnected]);
 
   // Always keep input focused
   useEffect(() => {
-    const handleClick = () => {
+    const handleClick = (event) => {
+      // Not while scanning with the camera (phones would pop up the keyboard),
+      // filling in one of the admin forms, a handover or an analytics range
+      if (event.target.closest?.('.scan-sources, .camera-scanner, .handover-form, .analytics-controls, .report-form, .webhook-form, .api-key-form')) return;
       inputRef.current?.focus();
     };
     
@@ -34,12 +120,12 @@ function App() {
   const loadInitialData = async () => {
     try {
       const [scansData, countsData, pendingData] = await Promise.all([
-        scanService.getScans(),
+        scanService.getFilteredScans({ includeDeleted: showDeletedRef.current, limit: RECENT_SCANS }),
         scanService.getDestinationCounts(),
         scanService.getPendingScans()
       ]);
       
-      setScans(scansData);
+      setScans(scansData.scans);
       setDestinationCounts(countsData);
       setPendingCount(pendingData.count);
     } catch (error) {
@@ -47,19 +133,139 @@ function App() {
     }
   };
 
-  const handleScan = async (boxId) => {
-    const result = await scanService.scanBox(boxId, userEmail, allowDuplicate);
-    
-    if (result.success) {
-      if (result.isDuplicate) {
-        // Update existing scan in the list
-        setScans(prev => prev.map(scan => 
-          scan.id === result.row.id ? result.row : scan
+  const loadDestinations = async () => {
+    try {
+      setDestinations(await scanService.getDestinations());
+    } catch (error) {
+      console.error('Error loading destinations:', error);
+    }
+  };
+
+  // Replace a scan in the list, or add it on top if it's new. The same
+  // row can arrive both from our own request and from the event stream.
+  const upsertScan = (row) => {
+    setScans(prev => prev.some(scan => scan.id === row.id)
+      ? prev.map(scan => (scan.id === row.id ? row : scan))
+      : [row, ...prev]);
+  };
+
+  // Other boxes of the consignment share its count and status
+  const applyConsignmentStatuses = (statuses) => {
+    const byConsignment = new Map(
+      statuses.filter(Boolean).map(status => [status.consignment, status])
+    );
+    if (byConsignment.size === 0) return;
+
+    setScans(prev => prev.map(scan => {
+      const status = byConsignment.get(scan.consignment);
+      return status
+        ? { ...scan, scanCount: status.scanCount, finalStatus: status.finalStatus }
+        : scan;
+    }));
+  };
+
+  const handleLiveEvent = (type, data) => {
+    switch (type) {
+      case 'scan.recorded':
+        upsertScan(data.row);
+        applyConsignmentStatuses([data.consignmentStatus]);
+        if (data.counts) setDestinationCounts(data.counts);
+        if (data.pendingCount !== undefined) setPendingCount(data.pendingCount);
+        break;
+      case 'scan.deleted':
+        if (showDeletedRef.current) {
+          loadInitialData();
+        } else {
+          setScans(prev => prev.filter(scan => scan.id !== data.scanId));
+        }
+        applyConsignmentStatuses(data.consignmentStatuses);
+        setDestinationCounts(data.counts);
+        break;
+      case 'scan.restored':
+        upsertScan(data.row);
+        applyConsignmentStatuses(data.consignmentStatuses);
+        setDestinationCounts(data.counts);
+        break;
+      case 'pending.processed':
+        data.rows.forEach(upsertScan);
+        applyConsignmentStatuses(data.consignmentStatuses);
+        setDestinationCounts(data.counts);
+        setPendingCount(data.pendingCount);
+        setExceptionsRevision(prev => prev + 1);
+        break;
+      case 'pending.escalated':
+        setPendingCount(data.pendingCount);
+        setExceptionsRevision(prev => prev + 1);
+        break;
+      case 'shift.closed': {
+        const closedIds = new Set(data.scanIds);
+        setScans(prev => prev.map(scan =>
+          closedIds.has(scan.id) ? { ...scan, shiftClosureId: data.closureId } : scan
+        ));
+        break;
+      }
+      case 'handover.created': {
+        const handedOverIds = new Set(data.scanIds);
+        setScans(prev => prev.map(scan =>
+          handedOverIds.has(scan.id) ? { ...scan, handoverId: data.handoverId } : scan
         ));
-      } else {
-        // Add new scan
-        setScans(prev => [result.row, ...prev]);
+        break;
+      }
+      case 'destinations.updated':
+        loadDestinations();
+        if (data.changedRows) loadInitialData();
+        break;
+      case 'dispatch.uploaded':
+      case 'dispatch.rolledback':
+        setDispatchRevision(prev => prev + 1);
+        loadInitialData();
+        break;
+      default:
+        // 'resync' after missing too many events
+        loadInitialData();
+    }
+  };
+
+  const refreshOutboxStatus = async () => {
+    try {
+      const status = await scanService.getOutboxStatus();
+      setQueuedCount(status.queued);
+      setConflicts(status.conflicts);
+    } catch (error) {
+      console.error('Error reading offline queue:', error);
+    }
+  };
+
+  const syncOutbox = async () => {
+    if (syncingRef.current) return;
+    syncingRef.current = true;
+    setSyncing(true);
+
+    try {
+      const { recorded } = await scanService.syncOutbox();
+      if (recorded.length > 0) {
+        await loadInitialData();
       }
+    } catch (error) {
+      console.error('Error sending queued scans:', error);
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+      await refreshOutboxStatus();
+    }
+  };
+
+  const handleDismissConflict = async (clientScanId) => {
+    await scanService.dismissConflict(clientScanId);
+    await refreshOutboxStatus();
+  };
+
+  const handleScan = async (boxId) => {
+    const result = await scanService.scanBox(boxId, allowDuplicate);
+    
+    if (result.success && !result.isQueued) {
+      upsertScan(result.row);
+      applyConsignmentStatuses([result.consignmentStatus]);
       
       if (result.counts) {
         setDestinationCounts(result.counts);
@@ -67,11 +273,17 @@ function App() {
     }
     
     if (result.isPending) {
-      setPendingCount(prev => prev + 1);
+      setPendingCount(result.pendingCount ?? pendingCount + 1);
     }
 
-    // Re-focus input after scan
+    if (result.isQueued) {
+      setOnline(false);
+      await refreshOutboxStatus();
+    }
+
+    // Re-focus input after scan (unless scanning with the camera)
     setTimeout(() => {
+      if (document.querySelector('.camera-scanner')) return;
       inputRef.current?.focus();
     }, 100);
     
@@ -79,35 +291,83 @@ function App() {
   };
 
   const handleDeleteScan = async (scanId) => {
-    if (window.confirm('Are you sure you want to delete this scan?')) {
-      try {
-        await scanService.deleteScan(scanId);
-        setScans(prev => prev.filter(scan => scan.id !== scanId));
-        await loadInitialData(); // Refresh counts
-      } catch (error) {
-        alert('Error deleting scan: ' + error.message);
-      }
+    const reason = window.prompt('Reason for deleting this scan (required):');
+    if (reason === null) return;
+    if (!reason.trim()) {
+      alert('A reason is required to delete a scan.');
+      return;
+    }
+
+    try {
+      await scanService.deleteScan(scanId, reason.trim());
+      await loadInitialData(); // Refresh counts
+    } catch (error) {
+      alert('Error deleting scan: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleRestoreScan = async (scanId) => {
+    try {
+      await scanService.restoreScan(scanId);
+      await loadInitialData();
+    } catch (error) {
+      alert('Error restoring scan: ' + (error.response?.data?.error || error.message));
     }
   };
 
   const handleProcessPending = async () => {
     const result = await scanService.processPendingScans();
     setPendingCount(result.pendingCount);
+    setExceptionsRevision(prev => prev + 1);
     await loadInitialData();
+    return result;
   };
 
+  const handleLogout = async () => {
+    await authService.logout().catch(() => {});
+    setUser(null);
+    setScans([]);
+  };
+
+  if (!authChecked) {
+    return null;
+  }
+
+  if (!user) {
+    return <Login onLogin={setUser} />;
+  }
+
   return (
     <div className="app">
       <header className="app-header">
         <h1>📦 Box Scanning System</h1>
         <div className="user-info">
-          Logged in as: <strong>{userEmail}</strong>
+          <span className={`live-status ${liveConnected ? 'live' : 'offline'}`}>
+            {liveConnected ? '🟢 Live' : '🟠 Reconnecting...'}
+          </span>
+          Logged in as: <strong>{user.name || user.email}</strong> ({user.role})
+          <button onClick={handleLogout} className="btn-refresh">
+            🚪 Logout
+          </button>
         </div>
       </header>
 
       <div className="app-container">
+        <OfflineBanner
+          online={online}
+          queuedCount={queuedCount}
+          conflicts={conflicts}
+          syncing={syncing}
+          onSync={syncOutbox}
+          onDismissConflict={handleDismissConflict}
+        />
+
         <div className="dashboard-section">
-          <Dashboard counts={destinationCounts} />
+          <Dashboard
+            counts={destinationCounts}
+            destinations={destinations}
+            canViewAnalytics={can(user, 'viewAnalytics')}
+          />
           <div className="scan-section">
             <ScanInterface 
               onScan={handleScan} 
@@ -118,15 +378,51 @@ function App() {
             <PendingNotification 
               count={pendingCount} 
               onProcess={handleProcessPending} 
+              canProcess={can(user, 'processPending')}
+            />
+            <ShiftPanel
+              canClose={can(user, 'closeShift')}
+              onShiftClosed={loadInitialData}
             />
           </div>
         </div>
 
+        <ConsignmentView scans={scans} destinations={destinations} canHandover={can(user, 'handover')} />
+
         <HistoryTable 
           scans={scans} 
           onRefresh={loadInitialData} 
           onDeleteScan={handleDeleteScan}
+          onRestoreScan={handleRestoreScan}
+          canDelete={can(user, 'deleteScan')}
+          showDeleted={showDeleted}
+          onToggleDeleted={() => setShowDeleted(!showDeleted)}
+          destinations={destinations}
         />
+
+        {can(user, 'uploadDispatch') && <DispatchUpload onCommitted={loadInitialData} />}
+
+        <DispatchVersions
+          canRollback={can(user, 'uploadDispatch')}
+          refreshKey={dispatchRevision}
+          onRolledBack={loadInitialData}
+        />
+
+        {can(user, 'manageBarcodeRules') && <BarcodeRules />}
+
+        {can(user, 'manageDestinations') && (
+          <DestinationRegistry destinations={destinations} onChanged={loadDestinations} />
+        )}
+
+        {can(user, 'manageReports') && <ReportSchedules />}
+
+        {can(user, 'manageWebhooks') && <Webhooks />}
+
+        {can(user, 'manageApiKeys') && <ApiKeys />}
+
+        {can(user, 'processPending') && <ExceptionsList refreshKey={exceptionsRevision} />}
+
+        {can(user, 'viewAudit') && <AuditLog />}
       </div>
     </div>
   );
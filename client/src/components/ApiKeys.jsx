@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { scanService } from '../services/scanService';
+
+const EMPTY_KEY = { name: '', kind: 'device', description: '' };
+const KIND_LABELS = { device: '📟 Device', integration: '🔌 Integration' };
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '–');
+
+// Admin screen for API keys used by tunnel scanners and integrations. A key
+// is only shown right after it is created or rotated.
+const ApiKeys = () => {
+  const [keys, setKeys] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_KEY);
+  const [newKey, setNewKey] = useState(null);
+  const [showRevoked, setShowRevoked] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadKeys();
+  }, []);
+
+  const loadKeys = async () => {
+    setKeys(await scanService.getApiKeys());
+  };
+
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+      await loadKeys();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleDraftChange = (event) => {
+    setDraft({ ...draft, [event.target.name]: event.target.value });
+  };
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    run(async () => {
+      const result = await scanService.createApiKey(draft);
+      setNewKey({ name: result.apiKey.name, value: result.key });
+      setDraft(EMPTY_KEY);
+    });
+  };
+
+  const handleRotate = (apiKey) => {
+    if (!window.confirm(`Rotate the key of ${apiKey.name}? The current key stops working immediately.`)) {
+      return;
+    }
+    run(async () => {
+      const result = await scanService.rotateApiKey(apiKey.id);
+      setNewKey({ name: apiKey.name, value: result.key });
+    });
+  };
+
+  const handleRevoke = (apiKey) => {
+    if (!window.confirm(`Revoke the key of ${apiKey.name}? It cannot be used again.`)) {
+      return;
+    }
+    run(() => scanService.revokeApiKey(apiKey.id));
+  };
+
+  const listed = keys.filter(apiKey => showRevoked || apiKey.active);
+
+  return (
+    <div className="api-keys">
+      <h3>🔑 API Keys</h3>
+      <p className="dispatch-summary">
+        Devices and integrations send the key as <code>X-API-Key</code> to
+        <code>POST /api/scans/bulk</code> or <code>/api/scans/scan</code>; keys can't call anything else.
+        Their scans are recorded under the key's name.
+      </p>
+
+      {error && <div className="status-message status-error">{error}</div>}
+      {newKey && (
+        <div className="status-message status-success">
+          Key for {newKey.name}: <code>{newKey.value}</code> (copy it now, it is not shown again)
+          <button onClick={() => setNewKey(null)} className="btn-refresh">Done</button>
+        </div>
+      )}
+
+      <label>
+        <input type="checkbox" checked={showRevoked} onChange={() => setShowRevoked(!showRevoked)} />
+        Show revoked keys
+      </label>
+
+      {listed.length > 0 && (
+        <table className="dispatch-preview">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Kind</th>
+              <th>Key</th>
+              <th>Created</th>
+              <th>Last Used</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {listed.map(apiKey => (
+              <tr key={apiKey.id} className={apiKey.active ? '' : 'rule-disabled'}>
+                <td>
+                  <strong>{apiKey.name}</strong>
+                  {apiKey.description && <div>{apiKey.description}</div>}
+                </td>
+                <td>{KIND_LABELS[apiKey.kind] || apiKey.kind}</td>
+                <td><code>{apiKey.keyHint}…</code></td>
+                <td>{formatTime(apiKey.createdAt)} by {apiKey.createdBy}</td>
+                <td>{formatTime(apiKey.lastUsedAt)}</td>
+                <td>
+                  {apiKey.active ? (
+                    <>
+                      <button onClick={() => handleRotate(apiKey)} className="btn-refresh">🔄 Rotate</button>
+                      <button onClick={() => handleRevoke(apiKey)} className="btn-delete">🚫 Revoke</button>
+                    </>
+                  ) : (
+                    `Revoked ${formatTime(apiKey.revokedAt)}`
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form onSubmit={handleCreate} className="api-key-form">
+        <input name="name" value={draft.name} onChange={handleDraftChange} placeholder="Name (Tunnel 1)" />
+        <select name="kind" value={draft.kind} onChange={handleDraftChange}>
+          {Object.entries(KIND_LABELS).map(([kind, label]) => <option key={kind} value={kind}>{label}</option>)}
+        </select>
+        <input name="description" value={draft.description} onChange={handleDraftChange} placeholder="Description (optional)" />
+        <button type="submit" className="btn-refresh" disabled={!draft.name}>
+          ➕ Create Key
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ApiKeys;
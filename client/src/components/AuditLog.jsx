@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import { scanService } from '../services/scanService';
+
+const ACTIONS = [
+  'scan.create',
+  'scan.pending',
+  'scan.duplicate',
+  'scan.delete',
+  'scan.restore',
+  'scan.reconcile',
+  'pending.process',
+  'pending.escalate',
+  'exception.resolve',
+  'dispatch.upload',
+  'dispatch.template',
+  'dispatch.rollback',
+  'barcode.rule',
+  'destination.registry',
+  'shift.close',
+  'handover.create',
+  'report.schedule',
+  'webhook.config',
+  'apikey.manage'
+];
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Fields whose value differs between before and after
+const getChanges = (before, after) => {
+  if (!before || !after) return [];
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys]
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    .map(key => ({ key, from: before[key], to: after[key] }));
+};
+
+const AuditLog = () => {
+  const [filters, setFilters] = useState({
+    user: '',
+    boxId: '',
+    consignment: '',
+    action: '',
+    from: new Date().toISOString().split('T')[0],
+    to: new Date().toISOString().split('T')[0]
+  });
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadAudit();
+  }, []);
+
+  const loadAudit = async () => {
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const data = await scanService.getAuditLog(params);
+      setEntries(data.entries);
+      setTotal(data.total);
+      setError('');
+    } catch (err) {
+      setError('Error loading audit log: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const updateFilter = (key) => (e) => setFilters(prev => ({ ...prev, [key]: e.target.value }));
+
+  return (
+    <div className="audit-section">
+      <div className="section-header">
+        <h3>Audit Log</h3>
+      </div>
+
+      <div className="filter-area">
+        <div className="filter-group">
+          <label>User:</label>
+          <input type="search" value={filters.user} onChange={updateFilter('user')} placeholder="Email" />
+        </div>
+        <div className="filter-group">
+          <label>Box ID:</label>
+          <input type="search" value={filters.boxId} onChange={updateFilter('boxId')} />
+        </div>
+        <div className="filter-group">
+          <label>Consignment:</label>
+          <input type="search" value={filters.consignment} onChange={updateFilter('consignment')} />
+        </div>
+        <div className="filter-group">
+          <label>Action:</label>
+          <select value={filters.action} onChange={updateFilter('action')}>
+            <option value="">ALL</option>
+            {ACTIONS.map(action => <option key={action} value={action}>{action}</option>)}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label>From:</label>
+          <input type="date" value={filters.from} onChange={updateFilter('from')} />
+        </div>
+        <div className="filter-group">
+          <label>To:</label>
+          <input type="date" value={filters.to} onChange={updateFilter('to')} />
+        </div>
+        <button onClick={loadAudit} className="btn-apply">
+          Search
+        </button>
+      </div>
+
+      {error && <div className="status-message status-error">{error}</div>}
+
+      <div className="results-info">
+        Showing {entries.length} of {total} entries
+      </div>
+
+      <div className="table-wrapper">
+        <table className="scan-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>User</th>
+              <th>Action</th>
+              <th>Box ID</th>
+              <th>Consignment</th>
+              <th>Changes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => {
+              const changes = getChanges(entry.before, entry.after);
+              return (
+                <tr key={entry.id}>
+                  <td>{new Date(entry.timestamp).toLocaleString()}</td>
+                  <td>{entry.actor}</td>
+                  <td>{entry.action}</td>
+                  <td>{entry.boxId}</td>
+                  <td>{entry.consignment}</td>
+                  <td className="audit-changes">
+                    {!entry.before && entry.after && <span>created</span>}
+                    {changes.map(change => (
+                      <div key={change.key}>
+                        <strong>{change.key}</strong>: {formatValue(change.from)} → {formatValue(change.to)}
+                      </div>
+                    ))}
+                    {entry.details && <div className="audit-details">{formatValue(entry.details)}</div>}
+                  </td>
+                </tr>
+              );
+            })}
+
+            {entries.length === 0 && (
+              <tr>
+                <td colSpan="6" className="no-data">
+                  No audit entries found matching your filters
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
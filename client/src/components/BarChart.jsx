@@ -0,0 +1,52 @@
+import React from 'react';
+
+const WIDTH = 600;
+const PLOT_TOP = 14;
+const AXIS_HEIGHT = 18;
+const MAX_LABELS = 8;
+
+// "2024-05-06 14:00" -> "14:00", "2024-05-06" -> "05-06"
+const shortLabel = (label) => (label.includes(' ') ? label.split(' ')[1] : label.slice(5));
+
+// Vertical bars for a time series, e.g. [{ bucket, boxes }]. Bars scale to
+// the chart width; only every few buckets get an axis label.
+const BarChart = ({ data, valueKey, labelKey = 'bucket', color = '#007bff', height = 160, formatValue = (value) => value }) => {
+  const plotHeight = height - PLOT_TOP - AXIS_HEIGHT;
+  const max = Math.max(0, ...data.map(item => item[valueKey]));
+  const slot = data.length ? WIDTH / data.length : WIDTH;
+  const labelEvery = Math.max(1, Math.ceil(data.length / MAX_LABELS));
+
+  if (max === 0) {
+    return <div className="chart-empty">Nothing scanned in this range</div>;
+  }
+
+  return (
+    <svg className="bar-chart" viewBox={`0 0 ${WIDTH} ${height}`} role="img">
+      <text x={2} y={10} className="chart-axis">{formatValue(max)}</text>
+      <line x1={0} x2={WIDTH} y1={PLOT_TOP + plotHeight} y2={PLOT_TOP + plotHeight} className="chart-baseline" />
+      {data.map((item, index) => {
+        const barHeight = (item[valueKey] / max) * plotHeight;
+        return (
+          <g key={item[labelKey]}>
+            <rect
+              x={index * slot + slot * 0.1}
+              y={PLOT_TOP + plotHeight - barHeight}
+              width={slot * 0.8}
+              height={barHeight}
+              fill={color}
+            >
+              <title>{`${item[labelKey]}: ${formatValue(item[valueKey])}`}</title>
+            </rect>
+            {index % labelEvery === 0 && (
+              <text x={index * slot + slot / 2} y={height - 4} textAnchor="middle" className="chart-axis">
+                {shortLabel(item[labelKey])}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { scanService } from '../services/scanService';
+
+const EMPTY_RULE = { name: '', pattern: '', flags: '' };
+
+const formatFields = (fields) => Object.entries(fields)
+  .map(([field, value]) => `${field}: ${value}`)
+  .join(', ');
+
+const BarcodeRules = () => {
+  const [rules, setRules] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const [sample, setSample] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const loadRules = async () => {
+    try {
+      setRules(await scanService.getBarcodeRules());
+    } catch (error) {
+      console.error('Error loading barcode rules:', error);
+    }
+  };
+
+  const run = async (action) => {
+    setMessage('');
+    try {
+      await action();
+    } catch (error) {
+      setMessage(error.response?.data?.error || error.message);
+    }
+  };
+
+  const handleDraftChange = (event) => {
+    setDraft({ ...draft, [event.target.name]: event.target.value });
+  };
+
+  const handleAdd = (event) => {
+    event.preventDefault();
+    run(async () => {
+      await scanService.createBarcodeRule(draft);
+      setDraft(EMPTY_RULE);
+      await loadRules();
+    });
+  };
+
+  const handleToggle = (rule) => run(async () => {
+    await scanService.updateBarcodeRule(rule.id, { enabled: !rule.enabled });
+    await loadRules();
+  });
+
+  const handleDelete = (rule) => {
+    if (!window.confirm(`Delete barcode rule "${rule.name}"?`)) {
+      return;
+    }
+    run(async () => {
+      await scanService.deleteBarcodeRule(rule.id);
+      await loadRules();
+    });
+  };
+
+  // Tries the draft rule when a pattern is typed in, the saved rules otherwise
+  const handleTest = (event) => {
+    event.preventDefault();
+    run(async () => {
+      const draftRule = draft.pattern ? { pattern: draft.pattern, flags: draft.flags } : {};
+      setParsed(await scanService.parseBarcode(sample, draftRule));
+    });
+  };
+
+  return (
+    <div className="barcode-rules">
+      <h3>🏷️ Barcode Rules</h3>
+      <p className="dispatch-summary">
+        Customer patterns are tried in order before GS1-128 / SSCC parsing. Use a named
+        group <code>(?&lt;boxId&gt;...)</code> or the first group for the box ID; other
+        named groups are kept with the scan.
+      </p>
+
+      {message && <div className="status-message status-error">{message}</div>}
+
+      {rules.length > 0 && (
+        <table className="dispatch-preview">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Pattern</th>
+              <th>Flags</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map(rule => (
+              <tr key={rule.id} className={rule.enabled ? '' : 'rule-disabled'}>
+                <td>{rule.name}</td>
+                <td><code>{rule.pattern}</code></td>
+                <td>{rule.flags}</td>
+                <td>
+                  <button onClick={() => handleToggle(rule)} className="btn-refresh">
+                    {rule.enabled ? 'Disable' : 'Enable'}
+                  </button>
+                  <button onClick={() => handleDelete(rule)} className="btn-delete">
+                    🗑️ Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form onSubmit={handleAdd} className="barcode-rule-form">
+        <input name="name" value={draft.name} onChange={handleDraftChange} placeholder="Rule name" />
+        <input
+          name="pattern"
+          value={draft.pattern}
+          onChange={handleDraftChange}
+          placeholder="^DHL(?<boxId>\d{10})$"
+        />
+        <input name="flags" value={draft.flags} onChange={handleDraftChange} placeholder="Flags" size={5} />
+        <button type="submit" className="btn-refresh" disabled={!draft.name || !draft.pattern}>
+          ➕ Add Rule
+        </button>
+      </form>
+
+      <form onSubmit={handleTest} className="barcode-test">
+        <input value={sample} onChange={(e) => setSample(e.target.value)} placeholder="Scan or paste a barcode to test" />
+        <button type="submit" className="btn-refresh" disabled={!sample}>
+          🔍 Test
+        </button>
+      </form>
+
+      {parsed && (
+        parsed.valid ? (
+          <div className="status-message status-success">
+            Box ID <strong>{parsed.boxId}</strong> ({parsed.rule || parsed.format})
+            {Object.keys(parsed.fields).length > 0 && ` — ${formatFields(parsed.fields)}`}
+          </div>
+        ) : (
+          <div className="status-message status-error">❌ {parsed.error}</div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default BarcodeRules;
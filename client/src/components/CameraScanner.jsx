@@ -0,0 +1,73 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { startCameraScanner } from '../services/barcodeDecoder';
+
+// The camera keeps seeing a label for as long as it is in view
+const REPEAT_WINDOW_MS = 3000;
+
+const describeCameraError = (error) => {
+  switch (error.name) {
+    case 'NotAllowedError': return 'Camera permission was denied.';
+    case 'NotFoundError': return 'No camera found on this device.';
+    case 'NotReadableError': return 'The camera is in use by another app.';
+    default: return error.message || 'Could not start the camera.';
+  }
+};
+
+const CameraScanner = ({ onDetected, onClose }) => {
+  const videoRef = useRef(null);
+  const onDetectedRef = useRef(onDetected);
+  const lastReadRef = useRef({ text: '', at: 0 });
+  const [error, setError] = useState('');
+
+  onDetectedRef.current = onDetected;
+
+  useEffect(() => {
+    let stop = null;
+    let cancelled = false;
+
+    const handleDecode = ({ text }) => {
+      const now = Date.now();
+      const last = lastReadRef.current;
+      if (text === last.text && now - last.at < REPEAT_WINDOW_MS) {
+        last.at = now;
+        return;
+      }
+      lastReadRef.current = { text, at: now };
+      onDetectedRef.current(text);
+    };
+
+    startCameraScanner(videoRef.current, {
+      onDecode: handleDecode,
+      onError: (decodeError) => console.error('Error decoding camera frame:', decodeError)
+    })
+      .then(stopCamera => {
+        if (cancelled) {
+          stopCamera();
+        } else {
+          stop = stopCamera;
+        }
+      })
+      .catch(cameraError => setError(describeCameraError(cameraError)));
+
+    return () => {
+      cancelled = true;
+      stop?.();
+    };
+  }, []);
+
+  return (
+    <div className="camera-scanner">
+      {error ? (
+        <div className="status-message status-error">📷 {error}</div>
+      ) : (
+        <>
+          <video ref={videoRef} muted className="camera-video" />
+          <div className="camera-hint">Hold the label inside the frame</div>
+        </>
+      )}
+      <button onClick={onClose} className="btn-refresh">✖ Close Camera</button>
+    </div>
+  );
+};
+
+export default CameraScanner;
@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useRef } from 'react';
+import HandoverForm from './HandoverForm';
+import { scanService } from '../services/scanService';
+import { openHandoverReceipt, downloadHandoverReceipt } from '../services/handoverReceipts';
+import { getDestinationColor, getDestinationLabel } from '../services/destinations';
+
+// More changed consignments than this (a reload, a new manifest) and the
+// whole list is fetched again instead
+const MAX_PARTIAL_REFRESH = 20;
+
+// Consignments of the scans added, changed or removed between two scan lists
+const changedConsignments = (previous, next) => {
+  const before = new Map(previous.map(scan => [scan.id, scan]));
+  const changed = new Set();
+  for (const scan of next) {
+    const old = before.get(scan.id);
+    before.delete(scan.id);
+    if (old === scan) continue;
+    if (scan.consignment) changed.add(scan.consignment);
+    if (old?.consignment) changed.add(old.consignment);
+  }
+  for (const removed of before.values()) {
+    if (removed.consignment) changed.add(removed.consignment);
+  }
+  return changed;
+};
+
+const ConsignmentView = ({ scans, destinations = [], canHandover }) => {
+  const [consignments, setConsignments] = useState([]);
+  const [selectedDestination, setSelectedDestination] = useState('');
+  const [selectedConsignment, setSelectedConsignment] = useState(null);
+  const [handoverScope, setHandoverScope] = useState(null);
+  const [handoverMessage, setHandoverMessage] = useState('');
+  const [error, setError] = useState('');
+  const previousScansRef = useRef(null);
+
+  // Live scan updates refresh only the consignments they touch
+  useEffect(() => {
+    const previous = previousScansRef.current;
+    previousScansRef.current = scans;
+
+    const changed = previous && changedConsignments(previous, scans);
+    if (!changed || changed.size > MAX_PARTIAL_REFRESH) {
+      loadConsignments();
+    } else if (changed.size > 0) {
+      refreshConsignments([...changed]);
+    }
+  }, [scans]);
+
+  const loadConsignments = async () => {
+    try {
+      const data = await scanService.getConsignments();
+      setConsignments(data);
+      setError('');
+
+      if (selectedConsignment) {
+        setSelectedConsignment(await scanService.getConsignment(selectedConsignment.consignment));
+      }
+    } catch (err) {
+      setError('Error loading consignments: ' + err.message);
+    }
+  };
+
+  const refreshConsignments = async (ids) => {
+    try {
+      const updated = await scanService.getConsignments({ consignments: ids.join(',') });
+      setConsignments(prev => {
+        const known = new Set(prev.map(item => item.consignment));
+        const byId = new Map(updated.map(item => [item.consignment, item]));
+        return [
+          ...prev.map(item => byId.get(item.consignment) || item),
+          ...updated.filter(item => !known.has(item.consignment))
+        ];
+      });
+
+      if (selectedConsignment && ids.includes(selectedConsignment.consignment)) {
+        setSelectedConsignment(await scanService.getConsignment(selectedConsignment.consignment));
+      }
+    } catch (err) {
+      setError('Error loading consignments: ' + err.message);
+    }
+  };
+
+  const handleSelectConsignment = async (consignmentId) => {
+    try {
+      setSelectedConsignment(await scanService.getConsignment(consignmentId));
+    } catch (err) {
+      setError('Error loading consignment: ' + err.message);
+    }
+  };
+
+  const handleHandoverDone = async (result) => {
+    setHandoverScope(null);
+    setHandoverMessage(result.message);
+    await loadConsignments();
+  };
+
+  // Roll consignments up to their destination
+  const destinationTotals = consignments.reduce((acc, item) => {
+    const key = item.destination || 'UNKNOWN';
+    if (!acc[key]) {
+      acc[key] = { destination: key, consignments: 0, completed: 0, missingBoxes: 0 };
+    }
+    acc[key].consignments += 1;
+    acc[key].missingBoxes += item.missingBoxCount;
+    if (item.finalStatus === 'TRUE') {
+      acc[key].completed += 1;
+    }
+    return acc;
+  }, {});
+
+  const destinationConsignments = consignments.filter(item =>
+    (item.destination || 'UNKNOWN') === selectedDestination
+  );
+
+  return (
+    <div className="consignment-section">
+      <div className="section-header">
+        <h3>Consignment Handover</h3>
+        {selectedDestination && canHandover && !handoverScope && (
+          <button
+            onClick={() => setHandoverScope({ destination: selectedDestination })}
+            className="btn-apply"
+          >
+            🚚 Hand over {selectedDestination}
+          </button>
+        )}
+        {selectedDestination && (
+          <button
+            onClick={() => { setSelectedDestination(''); setSelectedConsignment(null); setHandoverScope(null); }}
+            className="btn-refresh"
+          >
+            ⬅️ All Destinations
+          </button>
+        )}
+      </div>
+
+      {error && <div className="status-message status-error">{error}</div>}
+      {handoverMessage && <div className="status-message">{handoverMessage}</div>}
+
+      {handoverScope && (
+        <HandoverForm
+          scope={handoverScope}
+          onDone={handleHandoverDone}
+          onCancel={() => setHandoverScope(null)}
+        />
+      )}
+
+      {!selectedDestination && (
+        <div className="destination-grid">
+          {Object.values(destinationTotals).map(item => (
+            <button
+              key={item.destination}
+              className="destination-card"
+              style={{ borderLeftColor: getDestinationColor(destinations, item.destination) }}
+              onClick={() => setSelectedDestination(item.destination)}
+            >
+              <strong>{getDestinationLabel(destinations, item.destination)}</strong>
+              <span>{item.completed}/{item.consignments} consignments complete</span>
+              <span>{item.missingBoxes} boxes outstanding</span>
+            </button>
+          ))}
+          {consignments.length === 0 && (
+            <div className="no-data">No dispatch data uploaded yet</div>
+          )}
+        </div>
+      )}
+
+      {selectedDestination && (
+        <div className="table-wrapper">
+          <table className="scan-table">
+            <thead>
+              <tr>
+                <th>Consignment</th>
+                <th>Expected</th>
+                <th>Scanned</th>
+                <th>Missing</th>
+                <th>Overscans</th>
+                <th>Completion</th>
+                <th>Final Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {destinationConsignments.map(item => (
+                <tr
+                  key={item.consignment}
+                  className={`scan-row ${selectedConsignment?.consignment === item.consignment ? 'selected-row' : ''}`}
+                  onClick={() => handleSelectConsignment(item.consignment)}
+                >
+                  <td>{item.consignment}</td>
+                  <td>{item.expectedBoxes}</td>
+                  <td>{item.scannedBoxCount}</td>
+                  <td>{item.missingBoxCount}</td>
+                  <td>{item.overscanCount}</td>
+                  <td>
+                    <div className="progress-bar">
+                      <div className="progress-fill" style={{ width: `${item.completion}%` }} />
+                      <span>{item.completion}%</span>
+                    </div>
+                  </td>
+                  <td className={`status-cell final-status-${item.finalStatus?.toLowerCase()}`}>
+                    {item.finalStatus}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selectedDestination && selectedConsignment && (
+        <div className="consignment-detail">
+          <h4>
+            {selectedConsignment.consignment}: {selectedConsignment.missingBoxes.length} of{' '}
+            {selectedConsignment.expectedBoxes} boxes not scanned
+          </h4>
+          <div className="box-list">
+            {selectedConsignment.missingBoxes.map(boxId => (
+              <span key={boxId} className="box-chip missing">{boxId}</span>
+            ))}
+            {selectedConsignment.missingBoxes.length === 0 && (
+              <span className="box-chip complete">✅ All boxes scanned</span>
+            )}
+          </div>
+
+          {canHandover && !handoverScope && (
+            <button
+              onClick={() => setHandoverScope({ consignments: [selectedConsignment.consignment] })}
+              className="btn-apply"
+            >
+              🚚 Hand over {selectedConsignment.consignment}
+            </button>
+          )}
+
+          {selectedConsignment.overscans.length > 0 && (
+            <>
+              <h4>Overscans</h4>
+              <div className="box-list">
+                {selectedConsignment.overscans.map(item => (
+                  <span
+                    key={item.boxId}
+                    className="box-chip overscan"
+                    title={item.inManifest ? 'Scanned more than once' : 'Not in manifest'}
+                  >
+                    {item.boxId} × {item.count}
+                  </span>
+                ))}
+              </div>
+            </>
+          )}
+
+          {selectedConsignment.handovers.length > 0 && (
+            <>
+              <h4>Handovers</h4>
+              <ul className="handover-list">
+                {selectedConsignment.handovers.map(handover => (
+                  <li key={handover.id}>
+                    #{handover.number} {new Date(handover.handedOverAt).toLocaleString()}:{' '}
+                    {handover.boxCount} box(es) to {handover.driverName} ({handover.vehicle})
+                    <button onClick={() => openHandoverReceipt(handover.id)} className="btn-refresh">
+                      🧾 Receipt
+                    </button>
+                    <button onClick={() => downloadHandoverReceipt(handover)} className="btn-export">
+                      📄 PDF
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConsignmentView;
@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import BarChart from './BarChart';
+import { scanService } from '../services/scanService';
+import { getDestinationColor, getDestinationLabel } from '../services/destinations';
+
+const EXPORT_EXTENSIONS = { excel: 'xlsx', csv: 'csv', json: 'json' };
+const CSV_SECTIONS = ['throughput', 'scanners', 'destinations', 'consignments', 'quality'];
+
+const formatMinutes = (minutes) => {
+  if (minutes === null) return '–';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${Math.round(minutes % 60)} min`;
+};
+
+// Horizontal bars for ranked categories (scanners, destinations)
+const RankedBars = ({ items, labelOf, colorOf, detailOf }) => {
+  const max = Math.max(1, ...items.map(item => item.boxes));
+  return (
+    <div className="ranked-bars">
+      {items.map(item => (
+        <div key={labelOf(item)} className="ranked-bar">
+          <span className="ranked-bar-label" title={labelOf(item)}>{labelOf(item)}</span>
+          <div className="ranked-bar-track">
+            <div
+              className="ranked-bar-fill"
+              style={{ width: `${(item.boxes / max) * 100}%`, backgroundColor: colorOf(item) }}
+            />
+          </div>
+          <span className="ranked-bar-value">{item.boxes}{detailOf ? ` · ${detailOf(item)}` : ''}</span>
+        </div>
+      ))}
+      {items.length === 0 && <div className="chart-empty">No scans in this range</div>}
+    </div>
+  );
+};
+
+// Live counts per destination for everyone; throughput charts for supervisors
+const Dashboard = ({ counts, destinations = [], canViewAnalytics }) => {
+  const [range, setRange] = useState({ from: '', to: '', granularity: '' });
+  const [analytics, setAnalytics] = useState(null);
+  const [csvSection, setCsvSection] = useState('throughput');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (canViewAnalytics) loadAnalytics(range);
+  }, [canViewAnalytics]);
+
+  // Empty fields fall back to the server defaults (last 7 days)
+  const toParams = (values) => Object.fromEntries(Object.entries(values).filter(([, value]) => value));
+
+  const loadAnalytics = async (values) => {
+    setLoading(true);
+    try {
+      const data = await scanService.getAnalytics(toParams(values));
+      setAnalytics(data);
+      setRange({ from: data.from, to: data.to, granularity: values.granularity });
+      setError('');
+    } catch (err) {
+      setError('Error loading analytics: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRangeChange = (event) => {
+    setRange({ ...range, [event.target.name]: event.target.value });
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const params = { ...toParams(range), ...(format === 'csv' ? { section: csvSection } : {}) };
+      const blob = await scanService.exportAnalytics(format, params);
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.style.display = 'none';
+      a.href = url;
+      a.download = `analytics${format === 'csv' ? `-${csvSection}` : ''}.${EXPORT_EXTENSIONS[format]}`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      alert('Error exporting analytics: ' + err.message);
+    }
+  };
+
+  const sortedCounts = Object.entries(counts).sort(([, a], [, b]) => b - a);
+  const period = analytics?.granularity || 'period';
+
+  return (
+    <div className="dashboard">
+      <h3>📊 Boxes per Destination</h3>
+      <div className="count-grid">
+        {sortedCounts.map(([destination, count]) => (
+          <div
+            key={destination}
+            className="count-card"
+            style={{ borderTopColor: getDestinationColor(destinations, destination) }}
+            title={getDestinationLabel(destinations, destination)}
+          >
+            <span className="count-value">{count}</span>
+            <span>{destination}</span>
+          </div>
+        ))}
+        {sortedCounts.length === 0 && <div className="no-data">No boxes scanned yet</div>}
+      </div>
+
+      {canViewAnalytics && (
+        <div className="analytics-panel">
+          <div className="analytics-controls">
+            <h3>📈 Throughput</h3>
+            <input type="date" name="from" value={range.from} onChange={handleRangeChange} />
+            <input type="date" name="to" value={range.to} onChange={handleRangeChange} />
+            <select name="granularity" value={range.granularity} onChange={handleRangeChange}>
+              <option value="">Auto</option>
+              <option value="hour">Hourly</option>
+              <option value="day">Daily</option>
+              <option value="week">Weekly</option>
+            </select>
+            <button onClick={() => loadAnalytics(range)} className="btn-apply" disabled={loading}>
+              {loading ? 'Loading...' : '🔄 Update'}
+            </button>
+            <button onClick={() => handleExport('excel')} className="btn-export">📊 Excel</button>
+            <select value={csvSection} onChange={(e) => setCsvSection(e.target.value)} title="Section for CSV">
+              {CSV_SECTIONS.map(section => <option key={section} value={section}>{section}</option>)}
+            </select>
+            <button onClick={() => handleExport('csv')} className="btn-export">📄 CSV</button>
+            <button onClick={() => handleExport('json')} className="btn-export">🧾 JSON</button>
+          </div>
+
+          {error && <div className="status-message status-error">{error}</div>}
+
+          {analytics && (
+            <div className="analytics-grid">
+              <div className="chart-card chart-wide">
+                <h4>Boxes per {period} ({analytics.totalBoxes} total)</h4>
+                <BarChart data={analytics.throughput} valueKey="boxes" />
+              </div>
+
+              <div className="chart-card">
+                <h4>Duplicate rate per {period}</h4>
+                <BarChart
+                  data={analytics.quality}
+                  valueKey="duplicateRate"
+                  color="#dc3545"
+                  formatValue={(value) => `${value}%`}
+                />
+              </div>
+
+              <div className="chart-card">
+                <h4>Overscan rate per {period}</h4>
+                <BarChart
+                  data={analytics.quality}
+                  valueKey="overscanRate"
+                  color="#e83e8c"
+                  formatValue={(value) => `${value}%`}
+                />
+              </div>
+
+              <div className="chart-card">
+                <h4>Per scanner (boxes · boxes/hour)</h4>
+                <RankedBars
+                  items={analytics.scanners}
+                  labelOf={(item) => item.scanner.split('@')[0]}
+                  colorOf={() => '#17a2b8'}
+                  detailOf={(item) => `${item.boxesPerHour}/h`}
+                />
+              </div>
+
+              <div className="chart-card">
+                <h4>Per destination</h4>
+                <RankedBars
+                  items={analytics.destinations}
+                  labelOf={(item) => item.destination}
+                  colorOf={(item) => getDestinationColor(destinations, item.destination)}
+                />
+              </div>
+
+              <div className="chart-card">
+                <h4>Consignment first to last box</h4>
+                <p className="analytics-stat">
+                  Average <strong>{formatMinutes(analytics.consignments.averageMinutes)}</strong>,
+                  median <strong>{formatMinutes(analytics.consignments.medianMinutes)}</strong>{' '}
+                  over {analytics.consignments.timedConsignments} of {analytics.consignments.consignments} consignment(s)
+                </p>
+                <ul className="slowest-consignments">
+                  {analytics.consignments.slowest.slice(0, 5).map(item => (
+                    <li key={item.consignment}>
+                      {item.consignment} ({item.destination}): {formatMinutes(item.minutes)} for {item.boxes} boxes
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Dashboard;
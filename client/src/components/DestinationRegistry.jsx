@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { scanService } from '../services/scanService';
+
+const EMPTY_DESTINATION = { code: '', name: '', color: '#4ECDC4', dock: '', aliases: '' };
+
+const toDraft = (destination) => ({
+  code: destination.code,
+  name: destination.name,
+  color: destination.color,
+  dock: destination.dock,
+  aliases: destination.aliases.join(', ')
+});
+
+// Admin screen for the destinations registry. Changes are applied to the
+// live manifest and open scans by the server.
+const DestinationRegistry = ({ destinations, onChanged }) => {
+  const [draft, setDraft] = useState(EMPTY_DESTINATION);
+  const [editingId, setEditingId] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const run = async (action) => {
+    setMessage('');
+    setError('');
+    try {
+      await action();
+      await onChanged();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleDraftChange = (event) => {
+    setDraft({ ...draft, [event.target.name]: event.target.value });
+  };
+
+  const handleEdit = (destination) => {
+    setEditingId(destination.id);
+    setDraft(toDraft(destination));
+  };
+
+  const handleCancel = () => {
+    setEditingId(null);
+    setDraft(EMPTY_DESTINATION);
+  };
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    run(async () => {
+      const result = editingId
+        ? await scanService.updateDestination(editingId, draft)
+        : await scanService.createDestination(draft);
+      setMessage(`${result.destination.code} saved. ${result.message}`);
+      handleCancel();
+    });
+  };
+
+  const handleDelete = (destination) => {
+    if (!window.confirm(`Remove destination ${destination.code} from the registry? Recorded scans keep the code.`)) {
+      return;
+    }
+    run(() => scanService.deleteDestination(destination.id));
+  };
+
+  return (
+    <div className="destination-registry">
+      <h3>📍 Destinations</h3>
+      <p className="dispatch-summary">
+        Manifest destinations matching a code, name or alias (ignoring case and spaces) are
+        stored under the code. Renaming a code keeps the old one as an alias.
+      </p>
+
+      {error && <div className="status-message status-error">{error}</div>}
+      {message && <div className="status-message status-success">{message}</div>}
+
+      {destinations.length > 0 && (
+        <table className="dispatch-preview">
+          <thead>
+            <tr>
+              <th></th>
+              <th>Code</th>
+              <th>Name</th>
+              <th>Dock / Lane</th>
+              <th>Aliases</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {destinations.map(destination => (
+              <tr key={destination.id}>
+                <td><span className="color-swatch" style={{ backgroundColor: destination.color }} /></td>
+                <td><strong>{destination.code}</strong></td>
+                <td>{destination.name}</td>
+                <td>{destination.dock}</td>
+                <td>{destination.aliases.join(', ')}</td>
+                <td>
+                  <button onClick={() => handleEdit(destination)} className="btn-refresh">
+                    ✏️ Edit
+                  </button>
+                  <button onClick={() => handleDelete(destination)} className="btn-delete">
+                    🗑️ Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form onSubmit={handleSave} className="destination-form">
+        <input name="code" value={draft.code} onChange={handleDraftChange} placeholder="Code (BLR)" size={8} />
+        <input name="name" value={draft.name} onChange={handleDraftChange} placeholder="Display name" />
+        <input name="color" type="color" value={draft.color} onChange={handleDraftChange} title="Colour" />
+        <input name="dock" value={draft.dock} onChange={handleDraftChange} placeholder="Dock / lane" size={10} />
+        <input name="aliases" value={draft.aliases} onChange={handleDraftChange} placeholder="Aliases, comma separated" />
+        <button type="submit" className="btn-refresh" disabled={!draft.code}>
+          {editingId ? '💾 Save' : '➕ Add Destination'}
+        </button>
+        {editingId && (
+          <button type="button" onClick={handleCancel} className="btn-refresh">
+            Cancel
+          </button>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default DestinationRegistry;
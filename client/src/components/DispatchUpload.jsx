@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import { scanService } from '../services/scanService';
+
+const FIELDS = [
+  { key: 'boxId', label: 'Box ID', required: true },
+  { key: 'consignment', label: 'Consignment', required: true },
+  { key: 'destination', label: 'Destination' },
+  { key: 'qty', label: 'QTY' },
+  { key: 'totalBox', label: 'Total Boxes' },
+  { key: 'dbStatus', label: 'DB Status' }
+];
+
+const DispatchUpload = ({ onCommitted }) => {
+  const [file, setFile] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
+  const [templateName, setTemplateName] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  const loadTemplates = async () => {
+    try {
+      setTemplates(await scanService.getDispatchTemplates());
+    } catch (error) {
+      console.error('Error loading templates:', error);
+    }
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    setMessage('');
+    try {
+      await action();
+    } catch (error) {
+      setMessage(error.response?.data?.error || error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePreview = () => run(async () => {
+    setPreview(await scanService.previewDispatchUpload(file, templateId));
+  });
+
+  const handleMappingChange = (field, header) => run(async () => {
+    const mapping = { ...preview.mapping, [field]: header || undefined };
+    setPreview(await scanService.remapDispatchUpload(preview.uploadId, mapping, templateId));
+  });
+
+  const handleTemplateChange = (id) => {
+    setTemplateId(id);
+    const template = templates.find(item => item.id === id);
+    if (!preview || !template) return;
+
+    run(async () => {
+      setPreview(await scanService.remapDispatchUpload(preview.uploadId, template.mapping, id));
+    });
+  };
+
+  const handleSaveTemplate = () => run(async () => {
+    const template = await scanService.saveDispatchTemplate(templateName, preview.mapping);
+    await loadTemplates();
+    setTemplateId(template.id);
+    setTemplateName('');
+    setMessage(`💾 Mapping saved as "${template.name}"`);
+  });
+
+  const handleCommit = () => {
+    if (!window.confirm(`Replace the dispatch data with ${preview.totalRows} row(s) from ${preview.fileName}?`)) {
+      return;
+    }
+
+    run(async () => {
+      const result = await scanService.commitDispatchUpload(preview.uploadId);
+      reset();
+      setMessage(`✅ ${result.message}`);
+      onCommitted?.();
+    });
+  };
+
+  const handleDiscard = () => run(async () => {
+    await scanService.discardDispatchUpload(preview.uploadId);
+    reset();
+  });
+
+  const reset = () => {
+    setPreview(null);
+    setFile(null);
+  };
+
+  const validation = preview?.validation;
+
+  return (
+    <div className="dispatch-upload">
+      <h3>📄 Dispatch Upload</h3>
+
+      <div className="dispatch-controls">
+        <input
+          type="file"
+          accept=".xlsx,.xls,.csv"
+          onChange={(e) => setFile(e.target.files[0] || null)}
+          disabled={busy || !!preview}
+        />
+        <select value={templateId} onChange={(e) => handleTemplateChange(e.target.value)} disabled={busy}>
+          <option value="">Detect columns</option>
+          {templates.map(template => (
+            <option key={template.id} value={template.id}>{template.name}</option>
+          ))}
+        </select>
+        {!preview && (
+          <button onClick={handlePreview} className="btn-apply" disabled={!file || busy}>
+            Preview
+          </button>
+        )}
+      </div>
+
+      {message && <div className="status-message status-warning">{message}</div>}
+
+      {preview && (
+        <>
+          <div className="dispatch-mapping">
+            {FIELDS.map(field => (
+              <label key={field.key}>
+                {field.label}{field.required && ' *'}
+                <select
+                  value={preview.mapping[field.key] || ''}
+                  onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                  disabled={busy}
+                >
+                  <option value="">(not in sheet)</option>
+                  {preview.headers.map(header => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          <div className="dispatch-template-save">
+            <input
+              type="text"
+              value={templateName}
+              onChange={(e) => setTemplateName(e.target.value)}
+              placeholder="Customer template name"
+            />
+            <button onClick={handleSaveTemplate} className="btn-refresh" disabled={!templateName.trim() || busy}>
+              💾 Save Mapping
+            </button>
+          </div>
+
+          <div className="dispatch-summary">
+            {preview.totalRows} row(s), {preview.summary.consignments} consignment(s),{' '}
+            {preview.summary.destinations} destination(s)
+          </div>
+
+          <table className="dispatch-preview">
+            <thead>
+              <tr>
+                {FIELDS.map(field => <th key={field.key}>{field.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {preview.preview.map((row, index) => (
+                <tr key={index}>
+                  {FIELDS.map(field => <td key={field.key}>{row[field.key]}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {validation.errorCount > 0 && (
+            <div className="dispatch-issues errors">
+              <strong>❌ {validation.errorCount} error(s) must be fixed before committing</strong>
+              <ul>
+                {validation.errors.map((issue, index) => (
+                  <li key={index}>{issue.row ? `Row ${issue.row}: ` : ''}{issue.message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {validation.warningCount > 0 && (
+            <div className="dispatch-issues warnings">
+              <strong>⚠️ {validation.warningCount} warning(s)</strong>
+              <ul>
+                {validation.warnings.map((issue, index) => (
+                  <li key={index}>{issue.row ? `Row ${issue.row}: ` : ''}{issue.message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="dispatch-actions">
+            <button onClick={handleCommit} className="btn-apply" disabled={!validation.valid || busy}>
+              ✅ Confirm & Replace Dispatch Data
+            </button>
+            <button onClick={handleDiscard} className="btn-delete" disabled={busy}>
+              Discard
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DispatchUpload;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { scanService } from '../services/scanService';
+
+const formatChanges = (changes) => Object.entries(changes)
+  .map(([field, { from, to }]) => `${field}: ${from ?? '—'} → ${to ?? '—'}`)
+  .join(', ');
+
+const DiffSection = ({ title, diff, idKey }) => (
+  <div className="version-diff-section">
+    <h4>
+      {title}: +{diff.added.length} / −{diff.removed.length} / ~{diff.changed.length}
+    </h4>
+    <ul>
+      {diff.added.map(item => (
+        <li key={`added-${item[idKey]}`} className="diff-added">+ {item[idKey]}</li>
+      ))}
+      {diff.removed.map(item => (
+        <li key={`removed-${item[idKey]}`} className="diff-removed">− {item[idKey]}</li>
+      ))}
+      {diff.changed.map(item => (
+        <li key={`changed-${item[idKey]}`} className="diff-changed">
+          ~ {item[idKey]} ({formatChanges(item.changes)})
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+const DispatchVersions = ({ canRollback, refreshKey, onRolledBack }) => {
+  const [versions, setVersions] = useState([]);
+  const [diff, setDiff] = useState(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    loadVersions();
+  }, [refreshKey]);
+
+  const loadVersions = async () => {
+    try {
+      setVersions(await scanService.getDispatchVersions());
+    } catch (error) {
+      console.error('Error loading dispatch versions:', error);
+    }
+  };
+
+  const handleShowDiff = async (version) => {
+    if (diff?.to.version === version) {
+      setDiff(null);
+      return;
+    }
+
+    try {
+      setDiff(await scanService.getDispatchVersionDiff(version));
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Error loading changes');
+    }
+  };
+
+  const handleRollback = async (version) => {
+    if (!window.confirm(`Make version ${version} the active dispatch data again? Open scans will be re-matched against it.`)) {
+      return;
+    }
+
+    try {
+      const result = await scanService.rollbackDispatchVersion(version);
+      setMessage(result.message);
+      await loadVersions();
+      onRolledBack?.();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Error rolling back dispatch data');
+    }
+  };
+
+  if (versions.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="dispatch-versions">
+      <h3>🗂️ Dispatch Versions</h3>
+
+      {message && <div className="status-message status-warning">{message}</div>}
+
+      <table className="dispatch-preview">
+        <thead>
+          <tr>
+            <th>Version</th>
+            <th>File</th>
+            <th>Uploaded</th>
+            <th>Rows</th>
+            <th>Consignments</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {versions.map(version => (
+            <tr key={version.id} className={version.active ? 'version-active' : ''}>
+              <td>v{version.version}{version.active && ' (active)'}</td>
+              <td>{version.fileName}</td>
+              <td>{new Date(version.uploadedAt).toLocaleString()} by {version.uploadedBy}</td>
+              <td>{version.summary.rows}</td>
+              <td>{version.summary.consignments}</td>
+              <td>
+                <button onClick={() => handleShowDiff(version.version)} className="btn-refresh">
+                  {diff?.to.version === version.version ? 'Hide Changes' : 'Changes'}
+                </button>
+                {canRollback && !version.active && (
+                  <button onClick={() => handleRollback(version.version)} className="btn-restore">
+                    ↩️ Roll Back
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {diff && (
+        <div className="version-diff">
+          <strong>
+            Changes in v{diff.to.version} {diff.from ? `since v${diff.from.version}` : '(first version)'}
+          </strong>
+          <DiffSection title="Consignments" diff={diff.consignments} idKey="consignment" />
+          <DiffSection title="Boxes" diff={diff.boxes} idKey="boxId" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DispatchVersions;
@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import { scanService } from '../services/scanService';
+
+const describeStatus = (exception) => {
+  if (exception.status === 'open') return 'Open';
+  const outcome = exception.resolution === 'matched' ? 'Matched' : 'Resolved';
+  return `${outcome} by ${exception.resolvedBy}${exception.note ? `: ${exception.note}` : ''}`;
+};
+
+// Pending scans that sat past the escalation age without a manifest match
+const ExceptionsList = ({ refreshKey }) => {
+  const [status, setStatus] = useState('open');
+  const [exceptions, setExceptions] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadExceptions();
+  }, [refreshKey, status]);
+
+  const loadExceptions = async () => {
+    try {
+      const data = await scanService.getExceptions(status);
+      setExceptions(data.exceptions);
+      setError('');
+    } catch (err) {
+      setError('Error loading exceptions: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleResolve = async (exception) => {
+    const note = window.prompt(`What happened to box ${exception.boxId}? (required)`);
+    if (note === null) return;
+    if (!note.trim()) {
+      alert('A note is required to resolve an exception.');
+      return;
+    }
+
+    try {
+      await scanService.resolveException(exception.id, note);
+      await loadExceptions();
+    } catch (err) {
+      alert('Error resolving exception: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  return (
+    <div className="scan-exceptions">
+      <div className="scan-exceptions-header">
+        <h3>🚨 Exceptions ({exceptions.length})</h3>
+        <select value={status} onChange={(e) => setStatus(e.target.value)}>
+          <option value="open">Open</option>
+          <option value="resolved">Resolved</option>
+          <option value="all">All</option>
+        </select>
+      </div>
+
+      {error && <div className="status-message status-error">{error}</div>}
+
+      {exceptions.length === 0 ? (
+        <p className="dispatch-summary">No {status === 'all' ? '' : `${status} `}exceptions.</p>
+      ) : (
+        <table className="dispatch-preview">
+          <thead>
+            <tr>
+              <th>Box ID</th>
+              <th>Scanned</th>
+              <th>Scanner</th>
+              <th>Reason</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {exceptions.map(exception => (
+              <tr key={exception.id}>
+                <td>{exception.boxId}</td>
+                <td>{new Date(exception.scannedAt).toLocaleString()}</td>
+                <td>{exception.scanner}</td>
+                <td>{exception.reason}</td>
+                <td>{describeStatus(exception)}</td>
+                <td>
+                  {exception.status === 'open' && (
+                    <button onClick={() => handleResolve(exception)} className="btn-apply">
+                      Resolve
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ExceptionsList;
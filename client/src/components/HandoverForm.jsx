@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import SignaturePad from './SignaturePad';
+import { scanService } from '../services/scanService';
+
+// Hand the scanned boxes of a destination or consignment to a carrier.
+// scope: { destination } or { consignments: [...] }
+const HandoverForm = ({ scope, onDone, onCancel }) => {
+  const [driverName, setDriverName] = useState('');
+  const [vehicle, setVehicle] = useState('');
+  const [signature, setSignature] = useState(null);
+  const [photo, setPhoto] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const label = scope.destination || scope.consignments.join(', ');
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!driverName.trim() || !vehicle.trim()) {
+      setError('Driver name and vehicle number are required.');
+      return;
+    }
+    if (!signature) {
+      setError('The driver needs to sign.');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const result = await scanService.createHandover({
+        ...scope,
+        driverName: driverName.trim(),
+        vehicle: vehicle.trim(),
+        signature,
+        photo
+      });
+      onDone(result);
+    } catch (err) {
+      setError('Error recording handover: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="handover-form" onSubmit={handleSubmit}>
+      <h4>🚚 Hand over {label}</h4>
+
+      {error && <div className="status-message status-error">{error}</div>}
+
+      <label>
+        Driver name
+        <input type="text" value={driverName} onChange={(e) => setDriverName(e.target.value)} />
+      </label>
+      <label>
+        Vehicle / trailer number
+        <input type="text" value={vehicle} onChange={(e) => setVehicle(e.target.value)} />
+      </label>
+
+      <div className="handover-signature">
+        Driver signature
+        <SignaturePad onChange={setSignature} />
+      </div>
+
+      <label>
+        Photo (optional)
+        <input
+          type="file"
+          accept="image/jpeg,image/png"
+          capture="environment"
+          onChange={(e) => setPhoto(e.target.files[0] || null)}
+        />
+      </label>
+
+      <div className="handover-actions">
+        <button type="submit" className="btn-apply" disabled={submitting}>
+          {submitting ? 'Saving...' : '✅ Confirm Handover'}
+        </button>
+        <button type="button" onClick={onCancel} className="btn-refresh" disabled={submitting}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default HandoverForm;
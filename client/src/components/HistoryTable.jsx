@@ -1,70 +1,151 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { scanService } from '../services/scanService';
+import { openHandoverReceipt } from '../services/handoverReceipts';
+import { getDestinationColor, getDestinationLabel } from '../services/destinations';
 
-const HistoryTable = ({ scans, onRefresh, onDeleteScan }) => {
+const FILTER_DEBOUNCE_MS = 300;
+const LIVE_RELOAD_MS = 5000; // at most one reload per this long while scans stream in
+const PAGE_SIZE = 200;
+const MAX_RELOAD_ROWS = 1000; // server page size limit
+
+// Only the rows in view are rendered; rows are a fixed height for that
+const ROW_HEIGHT = 40;
+const VIEWPORT_HEIGHT = 600;
+const OVERSCAN_ROWS = 10;
+const LOAD_AHEAD_ROWS = 50;
+
+const COLUMNS = [
+  { key: 'timestamp', label: 'Date' },
+  { key: 'shift', label: 'Shift' },
+  { key: 'boxId', label: 'Box ID' },
+  { key: 'consignment', label: 'Consignment' },
+  { key: 'dbStatus', label: 'DB Status' },
+  { key: 'verified', label: 'Verified Time' },
+  { key: 'finalStatus', label: 'Final Status' },
+  { key: 'scanCount', label: 'Scan Count' },
+  { key: 'qty', label: 'QTY' },
+  { key: 'totalBox', label: 'Total Box' },
+  { key: 'destination', label: 'Destination' },
+  { key: 'scanner', label: 'Scanner' }
+];
+const EXPORT_EXTENSIONS = { excel: 'xlsx', csv: 'csv', pdf: 'pdf', json: 'json' };
+
+const HistoryTable = ({
+  scans,
+  onRefresh,
+  onDeleteScan,
+  onRestoreScan,
+  canDelete,
+  showDeleted,
+  destinations = [],
+  onToggleDeleted
+}) => {
   const [filters, setFilters] = useState({
     startDate: new Date().toISOString().split('T')[0],
     endDate: new Date().toISOString().split('T')[0],
     statusFilter: 'ALL',
     searchTerm: ''
   });
-  const [filteredScans, setFilteredScans] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [sort, setSort] = useState({ sortBy: 'timestamp', sortDir: 'desc' });
+  const [scrollTop, setScrollTop] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [csvOptions, setCsvOptions] = useState({ delimiter: 'comma', encoding: 'utf8' });
+  const wrapperRef = useRef(null);
+  const requestRef = useRef(0);
+  const queryKeyRef = useRef(null);
+  const lastReloadRef = useRef(0);
+  const rowsRef = useRef(rows);
+  rowsRef.current = rows;
 
-  // Apply filters whenever scans or filters change
-  React.useEffect(() => {
-    applyFilters();
-  }, [scans, filters]);
+  // Filtering, sorting and paging happen on the server so the table and
+  // exports always agree
+  const query = { ...filters, includeDeleted: showDeleted, ...sort };
+  const queryKey = JSON.stringify(query);
 
-  const applyFilters = () => {
-    let filtered = [...scans];
+  // A new query starts from the top
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      queryKeyRef.current = queryKey;
+      if (wrapperRef.current) wrapperRef.current.scrollTop = 0;
+      setScrollTop(0);
+      loadRows(0, PAGE_SIZE, true);
+    }, FILTER_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [queryKey]);
 
-    // Date filter
-    if (filters.startDate) {
-      const start = new Date(filters.startDate);
-      filtered = filtered.filter(scan => new Date(scan.timestamp) >= start);
-    }
+  // Live scan updates reload the rows already loaded so the scroll position
+  // is kept, throttled so a busy dock doesn't refetch on every scan
+  useEffect(() => {
+    if (queryKeyRef.current !== queryKey) return; // the new query loads anyway
 
-    if (filters.endDate) {
-      const end = new Date(filters.endDate);
-      end.setHours(23, 59, 59, 999);
-      filtered = filtered.filter(scan => new Date(scan.timestamp) <= end);
-    }
+    const wait = Math.max(FILTER_DEBOUNCE_MS, lastReloadRef.current + LIVE_RELOAD_MS - Date.now());
+    const timer = setTimeout(() => {
+      lastReloadRef.current = Date.now();
+      loadRows(0, Math.min(Math.max(rowsRef.current.length, PAGE_SIZE), MAX_RELOAD_ROWS), true);
+    }, wait);
+    return () => clearTimeout(timer);
+  }, [scans]);
 
-    // Status filter
-    if (filters.statusFilter !== 'ALL') {
-      filtered = filtered.filter(scan => {
-        const status = scan.finalStatus?.toUpperCase() || '';
-        switch (filters.statusFilter.toUpperCase()) {
-          case 'TRUE': return status === 'TRUE';
-          case 'PENDING': return status.startsWith('PENDING');
-          case 'OVERSCANNED': return status.startsWith('OVERSCANNED');
-          case 'DUPLICATE': return scan.isDuplicate;
-          default: return true;
-        }
-      });
+  const loadRows = async (offset, limit, replace) => {
+    const request = ++requestRef.current;
+    setLoading(true);
+
+    try {
+      const result = await scanService.getFilteredScans({ ...query, offset, limit });
+      if (request !== requestRef.current) return; // a newer request won
+
+      setRows(prev => (replace ? result.scans : [...prev, ...result.scans]));
+      setTotal(result.total);
+    } catch (error) {
+      console.error('Error loading scans:', error);
+    } finally {
+      if (request === requestRef.current) setLoading(false);
     }
+  };
+
+  const applyFilters = () => loadRows(0, PAGE_SIZE, true);
+
+  // Infinite scroll: fetch the next page before the last loaded row shows
+  const handleScroll = (e) => {
+    const top = e.currentTarget.scrollTop;
+    setScrollTop(top);
 
-    // Search filter
-    if (filters.searchTerm) {
-      const term = filters.searchTerm.toLowerCase();
-      filtered = filtered.filter(scan => 
-        scan.boxId?.toLowerCase().includes(term) ||
-        scan.consignment?.toLowerCase().includes(term) ||
-        scan.destination?.toLowerCase().includes(term)
-      );
+    const lastVisibleRow = Math.ceil((top + VIEWPORT_HEIGHT) / ROW_HEIGHT);
+    if (!loading && rows.length < total && lastVisibleRow + LOAD_AHEAD_ROWS >= rows.length) {
+      loadRows(rows.length, PAGE_SIZE, false);
     }
+  };
 
-    setFilteredScans(filtered);
+  const handleSort = (key) => {
+    setSort(prev => (prev.sortBy === key
+      ? { sortBy: key, sortDir: prev.sortDir === 'asc' ? 'desc' : 'asc' }
+      : { sortBy: key, sortDir: key === 'timestamp' ? 'desc' : 'asc' }));
   };
 
+  const sortIndicator = (key) => {
+    if (sort.sortBy !== key) return '';
+    return sort.sortDir === 'asc' ? ' ▲' : ' ▼';
+  };
+
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+  const lastRow = Math.min(rows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN_ROWS);
+  const visibleRows = rows.slice(firstRow, lastRow);
+  const columnCount = canDelete ? COLUMNS.length + 1 : COLUMNS.length;
+
   const handleExport = async (format) => {
     try {
-      const blob = await scanService.exportScans(format, filters);
+      const blob = await scanService.exportScans(format, {
+        ...filters,
+        includeDeleted: showDeleted,
+        ...(format === 'csv' ? csvOptions : {})
+      });
       const url = window.URL.createObjectURL(blob);
       const a = document.createElement('a');
       a.style.display = 'none';
       a.href = url;
-      a.download = `scan-data.${format === 'excel' ? 'xlsx' : 'json'}`;
+      a.download = `scan-data.${EXPORT_EXTENSIONS[format]}`;
       document.body.appendChild(a);
       a.click();
       window.URL.revokeObjectURL(url);
@@ -74,16 +155,6 @@ const HistoryTable = ({ scans, onRefresh, onDeleteScan }) => {
     }
   };
 
-  const getDestinationColor = (destination) => {
-    // Generate consistent color based on destination
-    const colors = [
-      '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7',
-      '#DDA0DD', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E9'
-    ];
-    const index = destination.split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
-    return colors[index % colors.length];
-  };
-
   return (
     <div className="history-section">
       <div className="section-header">
@@ -95,6 +166,30 @@ const HistoryTable = ({ scans, onRefresh, onDeleteScan }) => {
           <button onClick={() => handleExport('excel')} className="btn-export">
             📊 Export Excel
           </button>
+          <button onClick={() => handleExport('csv')} className="btn-export">
+            📄 Export CSV
+          </button>
+          <select
+            value={csvOptions.delimiter}
+            onChange={(e) => setCsvOptions(prev => ({ ...prev, delimiter: e.target.value }))}
+            title="CSV delimiter"
+          >
+            <option value="comma">, (comma)</option>
+            <option value="semicolon">; (semicolon)</option>
+            <option value="tab">Tab</option>
+          </select>
+          <select
+            value={csvOptions.encoding}
+            onChange={(e) => setCsvOptions(prev => ({ ...prev, encoding: e.target.value }))}
+            title="CSV encoding"
+          >
+            <option value="utf8">UTF-8</option>
+            <option value="utf8-bom">UTF-8 with BOM (Excel)</option>
+            <option value="latin1">Latin-1 (older Excel)</option>
+          </select>
+          <button onClick={() => handleExport('pdf')} className="btn-export">
+            🖨️ Export PDF
+          </button>
           <button onClick={() => handleExport('json')} className="btn-export">
             📁 Export JSON
           </button>
@@ -145,6 +240,17 @@ const HistoryTable = ({ scans, onRefresh, onDeleteScan }) => {
           </select>
         </div>
 
+        <div className="filter-group">
+          <label>
+            <input
+              type="checkbox"
+              checked={showDeleted}
+              onChange={onToggleDeleted}
+            />
+            Show deleted
+          </label>
+        </div>
+
         <button onClick={applyFilters} className="btn-apply">
           Apply Filters
         </button>
@@ -152,38 +258,49 @@ const HistoryTable = ({ scans, onRefresh, onDeleteScan }) => {
 
       {/* Results Count */}
       <div className="results-info">
-        Showing {filteredScans.length} of {scans.length} records
+        Loaded {rows.length} of {total} matching records{loading && ' ⏳'}
       </div>
 
       {/* Table */}
-      <div className="table-wrapper">
+      <div
+        className="table-wrapper virtual-scroll"
+        ref={wrapperRef}
+        onScroll={handleScroll}
+        style={{ height: VIEWPORT_HEIGHT }}
+      >
         <table className="scan-table">
           <thead>
             <tr>
-              <th>Date</th>
-              <th>Shift</th>
-              <th>Box ID</th>
-              <th>Consignment</th>
-              <th>DB Status</th>
-              <th>Verified Time</th>
-              <th>Final Status</th>
-              <th>Scan Count</th>
-              <th>QTY</th>
-              <th>Total Box</th>
-              <th>Destination</th>
-              <th>Scanner</th>
-              <th>Actions</th>
+              {COLUMNS.map(column => (
+                <th
+                  key={column.key}
+                  onClick={() => handleSort(column.key)}
+                  className="sortable"
+                  aria-sort={sort.sortBy === column.key ? `${sort.sortDir}ending` : 'none'}
+                >
+                  {column.label}{sortIndicator(column.key)}
+                </th>
+              ))}
+              {canDelete && <th>Actions</th>}
             </tr>
           </thead>
           <tbody>
-            {filteredScans.map((scan) => (
+            {firstRow > 0 && (
+              <tr className="virtual-spacer" style={{ height: firstRow * ROW_HEIGHT }} />
+            )}
+            {visibleRows.map((scan) => (
               <tr 
                 key={scan.id} 
+                style={{ height: ROW_HEIGHT }}
                 className={`
                   scan-row 
                   ${scan.isDuplicate ? 'duplicate-row' : ''}
                   ${scan.finalStatus === 'TRUE' ? 'success-row' : ''}
+                  ${scan.deletedAt ? 'deleted-row' : ''}
                 `}
+                title={scan.deletedAt
+                  ? `Deleted by ${scan.deletedBy} on ${new Date(scan.deletedAt).toLocaleString()}: ${scan.deleteReason}`
+                  : undefined}
               >
                 <td>{new Date(scan.timestamp).toLocaleString()}</td>
                 <td>{scan.shift}</td>
@@ -194,6 +311,15 @@ const HistoryTable = ({ scans, onRefresh, onDeleteScan }) => {
                       🔄 {scan.duplicateCount || 1}
                     </span>
                   )}
+                  {scan.handoverId && (
+                    <button
+                      onClick={() => openHandoverReceipt(scan.handoverId)}
+                      className="handover-badge"
+                      title="Handed over to a carrier: open the receipt"
+                    >
+                      🚚
+                    </button>
+                  )}
                 </td>
                 <td>{scan.consignment}</td>
                 <td>{scan.dbStatus}</td>
@@ -206,8 +332,9 @@ const HistoryTable = ({ scans, onRefresh, onDeleteScan }) => {
                 <td>{scan.totalBox}</td>
                 <td 
                   className="destination-cell"
+                  title={getDestinationLabel(destinations, scan.destination)}
                   style={{ 
-                    backgroundColor: getDestinationColor(scan.destination),
+                    backgroundColor: getDestinationColor(destinations, scan.destination),
                     color: 'white',
                     fontWeight: 'bold'
                   }}
@@ -215,21 +342,38 @@ const HistoryTable = ({ scans, onRefresh, onDeleteScan }) => {
                   {scan.destination}
                 </td>
                 <td>{scan.scanner?.split('@')[0]}</td>
-                <td>
-                  <button 
-                    onClick={() => onDeleteScan(scan.id)}
-                    className="btn-delete"
-                    title="Delete this scan"
-                  >
-                    🗑️
-                  </button>
-                </td>
+                {canDelete && (
+                  <td>
+                    {scan.deletedAt ? (
+                      <button 
+                        onClick={() => onRestoreScan(scan.id)}
+                        className="btn-restore"
+                        title="Restore this scan"
+                      >
+                        ♻️
+                      </button>
+                    ) : (
+                      <button 
+                        onClick={() => onDeleteScan(scan.id)}
+                        className="btn-delete"
+                        title="Delete this scan"
+                        disabled={!!(scan.shiftClosureId || scan.handoverId)}
+                      >
+                        🗑️
+                      </button>
+                    )}
+                  </td>
+                )}
               </tr>
             ))}
             
-            {filteredScans.length === 0 && (
+            {lastRow < rows.length && (
+              <tr className="virtual-spacer" style={{ height: (rows.length - lastRow) * ROW_HEIGHT }} />
+            )}
+            
+            {rows.length === 0 && !loading && (
               <tr>
-                <td colSpan="13" className="no-data">
+                <td colSpan={columnCount} className="no-data">
                   No scans found matching your filters
                 </td>
               </tr>
@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { authService } from '../services/authService';
+
+const Login = ({ onLogin }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const user = await authService.login(email, password);
+      onLogin(user);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Login failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <form className="login-form" onSubmit={handleSubmit}>
+        <h1>📦 Box Scanning System</h1>
+
+        <label>Email:</label>
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          autoComplete="username"
+          autoFocus
+          required
+        />
+
+        <label>Password:</label>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          required
+        />
+
+        {error && <div className="status-message status-error">{error}</div>}
+
+        <button type="submit" className="btn-apply" disabled={loading}>
+          {loading ? 'Logging in...' : 'Log In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
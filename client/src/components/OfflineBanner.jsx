@@ -0,0 +1,47 @@
+import React from 'react';
+
+const OfflineBanner = ({ online, queuedCount, conflicts, syncing, onSync, onDismissConflict }) => {
+  if (online && !queuedCount && !conflicts.length) {
+    return null;
+  }
+
+  return (
+    <div className="offline-banner">
+      {!online && (
+        <div className="offline-status">
+          📴 Offline: scans are saved on this device and sent when the connection is back
+        </div>
+      )}
+
+      {queuedCount > 0 && (
+        <div className="offline-queue">
+          <span>📤 {queuedCount} scan(s) waiting to be sent</span>
+          <button onClick={onSync} className="btn-apply" disabled={syncing}>
+            {syncing ? 'Sending...' : 'Send Now'}
+          </button>
+        </div>
+      )}
+
+      {conflicts.length > 0 && (
+        <div className="offline-conflicts">
+          <strong>⚠️ {conflicts.length} queued scan(s) were not recorded:</strong>
+          <ul>
+            {conflicts.map(conflict => (
+              <li key={conflict.clientScanId}>
+                <span>
+                  <strong>{conflict.boxId}</strong> scanned {new Date(conflict.scannedAt).toLocaleString()}
+                  {' '}- {conflict.message?.replace(/\*\*/g, '')}
+                </span>
+                <button onClick={() => onDismissConflict(conflict.clientScanId)} className="btn-refresh">
+                  Dismiss
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfflineBanner;
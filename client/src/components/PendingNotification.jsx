@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+
+const PendingNotification = ({ count, onProcess, canProcess }) => {
+  const [processing, setProcessing] = useState(false);
+  const [report, setReport] = useState('');
+
+  if (!count && !report) {
+    return null;
+  }
+
+  const handleProcess = async () => {
+    setProcessing(true);
+    try {
+      const result = await onProcess();
+      setReport(result?.message || '');
+    } catch (error) {
+      alert('Error processing pending scans: ' + error.message);
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  return (
+    <div className="pending-notification">
+      <span>⏳ {count} scan(s) waiting for dispatch data</span>
+      {report && <span className="pending-report">{report}</span>}
+      {count > 0 && (canProcess ? (
+        <button onClick={handleProcess} className="btn-apply" disabled={processing}>
+          {processing ? 'Processing...' : 'Process Pending'}
+        </button>
+      ) : (
+        <span className="permission-hint">A supervisor can process these</span>
+      ))}
+    </div>
+  );
+};
+
+export default PendingNotification;
@@ -0,0 +1,259 @@
+import React, { useState, useEffect } from 'react';
+import { scanService } from '../services/scanService';
+
+const EMPTY_SCHEDULE = {
+  name: '',
+  report: 'handover-summary',
+  period: 'yesterday',
+  format: 'excel',
+  cron: '0 6 * * *',
+  deliveryType: 'directory',
+  folder: '',
+  recipients: ''
+};
+
+const DELIVERY_LABELS = { directory: '📁 Reports folder', smtp: '✉️ Email' };
+const STATUS_ICONS = { delivered: '✅', retrying: '🔁', failed: '❌', running: '⏳' };
+
+const toDraft = (schedule) => ({
+  name: schedule.name,
+  report: schedule.report,
+  period: schedule.period,
+  format: schedule.format,
+  cron: schedule.cron,
+  deliveryType: schedule.delivery.type,
+  folder: schedule.delivery.folder || '',
+  recipients: (schedule.delivery.recipients || []).join(', ')
+});
+
+const toSchedule = ({ deliveryType, folder, recipients, ...draft }) => ({
+  ...draft,
+  delivery: deliveryType === 'smtp' ? { type: 'smtp', recipients } : { type: deliveryType, folder }
+});
+
+const describeDelivery = (delivery) => (delivery.type === 'smtp'
+  ? `✉️ ${delivery.recipients.join(', ')}`
+  : `📁 ${delivery.folder || 'reports'}`);
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '–');
+
+// Admin screen for scheduled reports: cron-timed schedules and the log of
+// their deliveries. Failed deliveries are retried by the server; Retry
+// sends one again straight away.
+const ReportSchedules = () => {
+  const [options, setOptions] = useState(null);
+  const [schedules, setSchedules] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_SCHEDULE);
+  const [editingId, setEditingId] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    scanService.getReportOptions().then(setOptions).catch(err => setError(err.message));
+    loadSchedules();
+  }, []);
+
+  const loadSchedules = async () => {
+    const [scheduleList, runList] = await Promise.all([
+      scanService.getReportSchedules(),
+      scanService.getReportRuns()
+    ]);
+    setSchedules(scheduleList);
+    setRuns(runList.slice(0, 20));
+  };
+
+  const run = async (action) => {
+    setMessage('');
+    setError('');
+    try {
+      await action();
+      await loadSchedules();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleDraftChange = (event) => {
+    setDraft({ ...draft, [event.target.name]: event.target.value });
+  };
+
+  const handleEdit = (schedule) => {
+    setEditingId(schedule.id);
+    setDraft(toDraft(schedule));
+  };
+
+  const handleCancel = () => {
+    setEditingId(null);
+    setDraft(EMPTY_SCHEDULE);
+  };
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    run(async () => {
+      const saved = editingId
+        ? await scanService.updateReportSchedule(editingId, toSchedule(draft))
+        : await scanService.createReportSchedule(toSchedule(draft));
+      setMessage(`${saved.name} saved. Next run ${formatTime(saved.nextRunAt)}`);
+      handleCancel();
+    });
+  };
+
+  const handleToggle = (schedule) => {
+    run(() => scanService.updateReportSchedule(schedule.id, { enabled: !schedule.enabled }));
+  };
+
+  const handleRunNow = (schedule) => {
+    run(async () => {
+      const result = await scanService.runReportSchedule(schedule.id);
+      setMessage(result.status === 'delivered'
+        ? `${schedule.name} delivered to ${result.location}`
+        : `${schedule.name} failed: ${result.attempts[result.attempts.length - 1].error}`);
+    });
+  };
+
+  const handleDelete = (schedule) => {
+    if (!window.confirm(`Delete the report schedule "${schedule.name}"? Its delivery log is kept.`)) {
+      return;
+    }
+    run(() => scanService.deleteReportSchedule(schedule.id));
+  };
+
+  const handleRetry = (reportRun) => {
+    run(async () => {
+      const result = await scanService.retryReportRun(reportRun.id);
+      setMessage(`${reportRun.scheduleName}: ${result.status}`);
+    });
+  };
+
+  if (!options) {
+    return null;
+  }
+
+  const reportTitle = (id) => options.reports.find(report => report.id === id)?.title || id;
+
+  return (
+    <div className="report-schedules">
+      <h3>🗓️ Scheduled Reports</h3>
+      <p className="dispatch-summary">
+        Times are cron expressions in server time: minute hour day-of-month month day-of-week,
+        e.g. <code>0 6 * * 1-5</code> for 06:00 on weekdays.
+      </p>
+
+      {error && <div className="status-message status-error">{error}</div>}
+      {message && <div className="status-message status-success">{message}</div>}
+
+      {schedules.length > 0 && (
+        <table className="dispatch-preview">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Report</th>
+              <th>When</th>
+              <th>Delivery</th>
+              <th>Next Run</th>
+              <th>Last Run</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {schedules.map(schedule => (
+              <tr key={schedule.id} className={schedule.enabled ? '' : 'rule-disabled'}>
+                <td><strong>{schedule.name}</strong></td>
+                <td>{reportTitle(schedule.report)} ({schedule.period}, {schedule.format})</td>
+                <td><code>{schedule.cron}</code></td>
+                <td>{describeDelivery(schedule.delivery)}</td>
+                <td>{schedule.enabled ? formatTime(schedule.nextRunAt) : 'Paused'}</td>
+                <td>
+                  {schedule.lastRun
+                    ? `${STATUS_ICONS[schedule.lastRun.status] || ''} ${formatTime(schedule.lastRun.startedAt)}`
+                    : '–'}
+                </td>
+                <td>
+                  <button onClick={() => handleRunNow(schedule)} className="btn-refresh">▶️ Run now</button>
+                  <button onClick={() => handleToggle(schedule)} className="btn-refresh">
+                    {schedule.enabled ? '⏸️ Pause' : '▶️ Resume'}
+                  </button>
+                  <button onClick={() => handleEdit(schedule)} className="btn-refresh">✏️ Edit</button>
+                  <button onClick={() => handleDelete(schedule)} className="btn-delete">🗑️ Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form onSubmit={handleSave} className="report-form">
+        <input name="name" value={draft.name} onChange={handleDraftChange} placeholder="Name" />
+        <select name="report" value={draft.report} onChange={handleDraftChange}>
+          {options.reports.map(report => <option key={report.id} value={report.id}>{report.title}</option>)}
+        </select>
+        <select name="period" value={draft.period} onChange={handleDraftChange}>
+          {options.periods.map(period => <option key={period} value={period}>{period}</option>)}
+        </select>
+        <select name="format" value={draft.format} onChange={handleDraftChange}>
+          {options.formats.map(format => <option key={format} value={format}>{format}</option>)}
+        </select>
+        <input name="cron" value={draft.cron} onChange={handleDraftChange} placeholder="0 6 * * *" size={12} />
+        <select name="deliveryType" value={draft.deliveryType} onChange={handleDraftChange}>
+          {options.deliveryTypes.map(type => <option key={type} value={type}>{DELIVERY_LABELS[type] || type}</option>)}
+        </select>
+        {draft.deliveryType === 'smtp' ? (
+          <input name="recipients" value={draft.recipients} onChange={handleDraftChange} placeholder="Recipients, comma separated" />
+        ) : (
+          <input name="folder" value={draft.folder} onChange={handleDraftChange} placeholder="Subfolder (optional)" size={14} />
+        )}
+        <button type="submit" className="btn-refresh" disabled={!draft.name || !draft.cron}>
+          {editingId ? '💾 Save' : '➕ Add Schedule'}
+        </button>
+        {editingId && (
+          <button type="button" onClick={handleCancel} className="btn-refresh">
+            Cancel
+          </button>
+        )}
+      </form>
+
+      {runs.length > 0 && (
+        <>
+          <h4>Recent deliveries</h4>
+          <table className="dispatch-preview">
+            <thead>
+              <tr>
+                <th>Started</th>
+                <th>Schedule</th>
+                <th>Status</th>
+                <th>Attempts</th>
+                <th>Delivered To / Last Error</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map(reportRun => {
+                const lastAttempt = reportRun.attempts[reportRun.attempts.length - 1];
+                return (
+                  <tr key={reportRun.id}>
+                    <td>{formatTime(reportRun.startedAt)}</td>
+                    <td>{reportRun.scheduleName}</td>
+                    <td>
+                      {STATUS_ICONS[reportRun.status]} {reportRun.status}
+                      {reportRun.status === 'retrying' && ` (next ${formatTime(reportRun.nextAttemptAt)})`}
+                    </td>
+                    <td>{reportRun.attempts.length}</td>
+                    <td>{reportRun.status === 'delivered' ? reportRun.location : lastAttempt?.error || ''}</td>
+                    <td>
+                      {['failed', 'retrying'].includes(reportRun.status) && (
+                        <button onClick={() => handleRetry(reportRun)} className="btn-refresh">🔁 Retry</button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReportSchedules;
@@ -1,27 +1,27 @@
-import React, { useState } from 'react';
+import React, { useState, useRef } from 'react';
+import CameraScanner from './CameraScanner';
+import { decodeImageFile } from '../services/barcodeDecoder';
 
 const ScanInterface = ({ onScan, inputRef, allowDuplicate, onToggleDuplicate }) => {
   const [boxId, setBoxId] = useState('');
   const [status, setStatus] = useState({ message: '', type: '' });
+  const [cameraOpen, setCameraOpen] = useState(false);
+  const photoInputRef = useRef(null);
 
-  const handleScan = async () => {
-    if (!boxId.trim()) {
-      showStatus('Please scan or enter a Box ID.', 'error');
-      return;
-    }
-
-    showStatus(`Processing Box ID: ${boxId}...`, 'warning');
+  // Typed, wedge-scanned, camera and photo reads all end up here
+  const submitScan = async (code) => {
+    showStatus(`Processing Box ID: ${code}...`, 'warning');
     
     try {
-      const result = await onScan(boxId);
+      const result = await onScan(code);
       
       if (result.success) {
-        if (result.isPending) {
+        if (result.isPending || result.isQueued) {
           showStatus(result.message, 'warning');
         } else if (result.isDuplicate) {
           showStatus(result.message, 'duplicate');
         } else {
-          showStatus(`✅ Success! Box ID: ${boxId} recorded.`, 'success');
+          showStatus(`✅ Success! Box ID: ${result.row?.boxId || code} recorded.`, 'success');
         }
       } else {
         showStatus(result.message, result.isDuplicate ? 'duplicate' : 'error');
@@ -29,10 +29,37 @@ const ScanInterface = ({ onScan, inputRef, allowDuplicate, onToggleDuplicate })
     } catch (error) {
       showStatus('Error processing scan. Please try again.', 'error');
     }
+  };
+
+  const handleScan = async () => {
+    if (!boxId.trim()) {
+      showStatus('Please scan or enter a Box ID.', 'error');
+      return;
+    }
 
+    await submitScan(boxId);
     setBoxId('');
   };
 
+  const handlePhoto = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    showStatus('Reading label photo...', 'warning');
+    try {
+      const result = await decodeImageFile(file);
+      if (result) {
+        await submitScan(result.text);
+      } else {
+        showStatus('No barcode found in the photo. Try again closer to the label.', 'error');
+      }
+    } catch (error) {
+      console.error('Error reading label photo:', error);
+      showStatus('Could not read the photo.', 'error');
+    }
+  };
+
   const showStatus = (message, type) => {
     setStatus({ message, type });
     setTimeout(() => setStatus({ message: '', type: '' }), 5000);
@@ -76,6 +103,27 @@ const ScanInterface = ({ onScan, inputRef, allowDuplicate, onToggleDuplicate })
         />
         <button onClick={handleScan}>Scan</button>
       </div>
+
+      <div className="scan-sources">
+        <button onClick={() => setCameraOpen(!cameraOpen)} className="btn-refresh">
+          📷 {cameraOpen ? 'Stop Camera' : 'Camera'}
+        </button>
+        <button onClick={() => photoInputRef.current?.click()} className="btn-refresh">
+          🖼️ Photo of Label
+        </button>
+        <input
+          ref={photoInputRef}
+          type="file"
+          accept="image/*"
+          capture="environment"
+          onChange={handlePhoto}
+          hidden
+        />
+      </div>
+
+      {cameraOpen && (
+        <CameraScanner onDetected={submitScan} onClose={() => setCameraOpen(false)} />
+      )}
       
       {status.message && (
         <div className={`status-message status-${status.type}`}>
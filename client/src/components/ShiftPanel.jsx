@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import { scanService } from '../services/scanService';
+
+const ShiftPanel = ({ canClose, onShiftClosed }) => {
+  const [current, setCurrent] = useState(null);
+  const [lastEnded, setLastEnded] = useState(null);
+  const [closures, setClosures] = useState([]);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    loadShifts();
+  }, []);
+
+  const loadShifts = async () => {
+    try {
+      const data = await scanService.getShifts();
+      setCurrent(data.current);
+      setLastEnded(data.lastEnded);
+      setClosures(data.closures);
+    } catch (error) {
+      console.error('Error loading shifts:', error);
+    }
+  };
+
+  const handleCloseShift = async () => {
+    if (!window.confirm(`Close the ${lastEnded.shift} shift of ${lastEnded.shiftDate}? Its scans will be frozen.`)) {
+      return;
+    }
+
+    try {
+      const result = await scanService.closeShift(lastEnded.shift, lastEnded.shiftDate);
+      setMessage(result.message);
+      await loadShifts();
+      onShiftClosed?.();
+    } catch (error) {
+      setMessage(error.response?.data?.error || 'Error closing shift');
+    }
+  };
+
+  const handleDownload = async (closure, format) => {
+    try {
+      const blob = await scanService.exportScans(format, { closureId: closure.id });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.style.display = 'none';
+      a.href = url;
+      a.download = `shift-${closure.shiftDate}-${closure.shift}.${format === 'excel' ? 'xlsx' : 'json'}`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (error) {
+      alert('Error downloading shift report: ' + error.message);
+    }
+  };
+
+  const isLastEndedClosed = lastEnded && closures.some(closure =>
+    closure.shift === lastEnded.shift && closure.shiftDate === lastEnded.shiftDate
+  );
+
+  return (
+    <div className="shift-panel">
+      <h3>Shift</h3>
+      {current && (
+        <div className="shift-current">
+          <span>Current: <strong>{current.shift}</strong> ({current.shiftDate})</span>
+        </div>
+      )}
+
+      {lastEnded && (
+        <div className="shift-current">
+          <span>Last ended: <strong>{lastEnded.shift}</strong> ({lastEnded.shiftDate})</span>
+          {canClose && (
+            <button onClick={handleCloseShift} className="btn-delete" disabled={isLastEndedClosed}>
+              {isLastEndedClosed ? '🔒 Closed' : '🔒 Close Shift'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {message && <div className="status-message status-warning">{message}</div>}
+
+      {closures.length > 0 && (
+        <ul className="shift-closures">
+          {closures.slice(0, 5).map(closure => (
+            <li key={closure.id}>
+              {closure.shiftDate} {closure.shift}: {closure.summary.totalScans} scans,{' '}
+              {closure.summary.consignments.completed.length} completed
+              <button onClick={() => handleDownload(closure, 'excel')} className="btn-export">📊</button>
+              <button onClick={() => handleDownload(closure, 'json')} className="btn-export">📁</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ShiftPanel;
@@ -0,0 +1,80 @@
+import React, { useRef, useEffect } from 'react';
+
+const WIDTH = 400;
+const HEIGHT = 150;
+
+// Finger, stylus or mouse signature. onChange gets a PNG data URL after
+// each stroke, or null once cleared.
+const SignaturePad = ({ onChange }) => {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+
+  useEffect(() => {
+    clear();
+  }, []);
+
+  // White background so the PNG isn't transparent on the receipt
+  const clear = () => {
+    const context = canvasRef.current.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, WIDTH, HEIGHT);
+    onChange(null);
+  };
+
+  // The canvas may be scaled by CSS on small screens
+  const toCanvasPoint = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) * WIDTH) / rect.width,
+      y: ((event.clientY - rect.top) * HEIGHT) / rect.height
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    event.preventDefault();
+    canvasRef.current.setPointerCapture(event.pointerId);
+    drawingRef.current = true;
+
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = toCanvasPoint(event);
+    context.strokeStyle = '#000000';
+    context.lineWidth = 2;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.beginPath();
+    context.moveTo(x, y);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drawingRef.current) return;
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = toCanvasPoint(event);
+    context.lineTo(x, y);
+    context.stroke();
+  };
+
+  const handlePointerUp = () => {
+    if (!drawingRef.current) return;
+    drawingRef.current = false;
+    onChange(canvasRef.current.toDataURL('image/png'));
+  };
+
+  return (
+    <div className="signature-pad">
+      <canvas
+        ref={canvasRef}
+        width={WIDTH}
+        height={HEIGHT}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      />
+      <button type="button" onClick={clear} className="btn-refresh">
+        ✖ Clear
+      </button>
+    </div>
+  );
+};
+
+export default SignaturePad;
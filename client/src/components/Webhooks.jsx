@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import { scanService } from '../services/scanService';
+
+const EMPTY_WEBHOOK = { name: '', url: '', events: [] };
+const STATUS_ICONS = { delivered: '✅', retrying: '🔁', failed: '❌', pending: '⏳' };
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '–');
+
+// Admin screen for outbound webhooks and their delivery log. The signing
+// secret is only shown once, right after it is created or rotated.
+const Webhooks = () => {
+  const [events, setEvents] = useState([]);
+  const [webhooks, setWebhooks] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_WEBHOOK);
+  const [editingId, setEditingId] = useState(null);
+  const [secret, setSecret] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    scanService.getWebhookEvents().then(setEvents).catch(err => setError(err.message));
+    loadWebhooks();
+  }, []);
+
+  const loadWebhooks = async () => {
+    const [webhookList, deliveryList] = await Promise.all([
+      scanService.getWebhooks(),
+      scanService.getWebhookDeliveries()
+    ]);
+    setWebhooks(webhookList);
+    setDeliveries(deliveryList.slice(0, 30));
+  };
+
+  const run = async (action) => {
+    setMessage('');
+    setError('');
+    try {
+      await action();
+      await loadWebhooks();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const handleDraftChange = (event) => {
+    setDraft({ ...draft, [event.target.name]: event.target.value });
+  };
+
+  const handleEventToggle = (event) => {
+    setDraft({
+      ...draft,
+      events: draft.events.includes(event)
+        ? draft.events.filter(item => item !== event)
+        : [...draft.events, event]
+    });
+  };
+
+  const handleEdit = (webhook) => {
+    setEditingId(webhook.id);
+    setDraft({ name: webhook.name, url: webhook.url, events: webhook.events });
+  };
+
+  const handleCancel = () => {
+    setEditingId(null);
+    setDraft(EMPTY_WEBHOOK);
+  };
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    run(async () => {
+      const result = editingId
+        ? await scanService.updateWebhook(editingId, draft)
+        : await scanService.createWebhook(draft);
+      if (result.secret) {
+        setSecret({ name: result.webhook.name, value: result.secret });
+      }
+      setMessage(`${result.webhook.name} saved`);
+      handleCancel();
+    });
+  };
+
+  const handleToggle = (webhook) => {
+    run(() => scanService.updateWebhook(webhook.id, { enabled: !webhook.enabled }));
+  };
+
+  const handleRotate = (webhook) => {
+    if (!window.confirm(`Rotate the signing secret of "${webhook.name}"? The receiver must be updated with the new one.`)) {
+      return;
+    }
+    run(async () => {
+      const result = await scanService.updateWebhook(webhook.id, { rotateSecret: true });
+      setSecret({ name: webhook.name, value: result.secret });
+    });
+  };
+
+  const handleDelete = (webhook) => {
+    if (!window.confirm(`Delete the webhook "${webhook.name}"? Its delivery log is kept.`)) {
+      return;
+    }
+    run(() => scanService.deleteWebhook(webhook.id));
+  };
+
+  const handleRedeliver = (delivery) => {
+    run(async () => {
+      const result = await scanService.redeliverWebhook(delivery.id);
+      setMessage(`${delivery.event} to ${delivery.webhookName}: ${result.status}`);
+    });
+  };
+
+  return (
+    <div className="webhooks">
+      <h3>🔗 Webhooks</h3>
+      <p className="dispatch-summary">
+        Events are POSTed as JSON and signed: <code>X-Webhook-Signature</code> is
+        <code>sha256=</code> plus the hex HMAC-SHA256 of <code>X-Webhook-Timestamp</code>, a dot and the body.
+        Failed deliveries are retried with increasing delays.
+      </p>
+
+      {error && <div className="status-message status-error">{error}</div>}
+      {message && <div className="status-message status-success">{message}</div>}
+      {secret && (
+        <div className="status-message status-success">
+          Signing secret for {secret.name}: <code>{secret.value}</code> (copy it now, it is not shown again)
+          <button onClick={() => setSecret(null)} className="btn-refresh">Done</button>
+        </div>
+      )}
+
+      {webhooks.length > 0 && (
+        <table className="dispatch-preview">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>URL</th>
+              <th>Events</th>
+              <th>Secret</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {webhooks.map(webhook => (
+              <tr key={webhook.id} className={webhook.enabled ? '' : 'rule-disabled'}>
+                <td><strong>{webhook.name}</strong></td>
+                <td>{webhook.url}</td>
+                <td>{webhook.events.join(', ')}</td>
+                <td><code>{webhook.secretHint}</code></td>
+                <td>
+                  <button onClick={() => handleToggle(webhook)} className="btn-refresh">
+                    {webhook.enabled ? '⏸️ Pause' : '▶️ Resume'}
+                  </button>
+                  <button onClick={() => handleEdit(webhook)} className="btn-refresh">✏️ Edit</button>
+                  <button onClick={() => handleRotate(webhook)} className="btn-refresh">🔑 Rotate secret</button>
+                  <button onClick={() => handleDelete(webhook)} className="btn-delete">🗑️ Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <form onSubmit={handleSave} className="webhook-form">
+        <input name="name" value={draft.name} onChange={handleDraftChange} placeholder="Name (WMS)" />
+        <input name="url" value={draft.url} onChange={handleDraftChange} placeholder="https://wms.example.com/hooks/scans" />
+        {events.map(event => (
+          <label key={event} className="webhook-event">
+            <input type="checkbox" checked={draft.events.includes(event)} onChange={() => handleEventToggle(event)} />
+            {event}
+          </label>
+        ))}
+        <button type="submit" className="btn-refresh" disabled={!draft.name || !draft.url || draft.events.length === 0}>
+          {editingId ? '💾 Save' : '➕ Add Webhook'}
+        </button>
+        {editingId && (
+          <button type="button" onClick={handleCancel} className="btn-refresh">
+            Cancel
+          </button>
+        )}
+      </form>
+
+      {deliveries.length > 0 && (
+        <>
+          <h4>Recent deliveries</h4>
+          <table className="dispatch-preview">
+            <thead>
+              <tr>
+                <th>Created</th>
+                <th>Webhook</th>
+                <th>Event</th>
+                <th>Status</th>
+                <th>Attempts</th>
+                <th>Last Response</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map(delivery => {
+                const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+                return (
+                  <tr key={delivery.id}>
+                    <td>{formatTime(delivery.createdAt)}</td>
+                    <td>{delivery.webhookName}</td>
+                    <td>{delivery.event}{delivery.redeliveryOf ? ' (redelivery)' : ''}</td>
+                    <td>
+                      {STATUS_ICONS[delivery.status]} {delivery.status}
+                      {delivery.status === 'retrying' && ` (next ${formatTime(delivery.nextAttemptAt)})`}
+                    </td>
+                    <td>{delivery.attempts.length}</td>
+                    <td>{lastAttempt ? lastAttempt.error || `HTTP ${lastAttempt.statusCode}` : ''}</td>
+                    <td>
+                      <button onClick={() => handleRedeliver(delivery)} className="btn-refresh">🔁 Redeliver</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Webhooks;
@@ -0,0 +1,41 @@
+import axios from 'axios';
+
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+const TOKEN_KEY = 'authToken';
+
+export const api = axios.create({
+  baseURL: API_BASE_URL,
+});
+
+export const tokenStore = {
+  get: () => localStorage.getItem(TOKEN_KEY),
+  set: (token) => localStorage.setItem(TOKEN_KEY, token),
+  clear: () => localStorage.removeItem(TOKEN_KEY)
+};
+
+// Attach the login token to every request
+api.interceptors.request.use((config) => {
+  const token = tokenStore.get();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// Expired or revoked sessions send the user back to the login screen
+let unauthorizedHandler = null;
+
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response?.status === 401 && !error.config.url.startsWith('/auth/login')) {
+      tokenStore.clear();
+      unauthorizedHandler?.();
+    }
+    return Promise.reject(error);
+  }
+);
@@ -0,0 +1,26 @@
+import { api, tokenStore } from './api';
+
+export const authService = {
+  login: async (email, password) => {
+    const response = await api.post('/auth/login', { email, password });
+    tokenStore.set(response.data.token);
+    return response.data.user;
+  },
+
+  logout: async () => {
+    try {
+      await api.post('/auth/logout');
+    } finally {
+      tokenStore.clear();
+    }
+  },
+
+  // Restores the session from a stored token, or null if there is none
+  getCurrentUser: async () => {
+    if (!tokenStore.get()) {
+      return null;
+    }
+    const response = await api.get('/auth/me');
+    return response.data;
+  }
+};
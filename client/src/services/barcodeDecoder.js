@@ -0,0 +1,198 @@
+// Barcode decoding for camera frames and label photos. Everything goes
+// through decodePixels so the fixture check (scripts/check-barcode-fixtures.js)
+// exercises the same code as the browser. The decoded text is sent as is:
+// GS1 labels keep their ]C1 prefix or GS separators for the server's parser.
+import {
+  BarcodeFormat,
+  BinaryBitmap,
+  DecodeHintType,
+  HybridBinarizer,
+  MultiFormatReader,
+  NotFoundException,
+  ChecksumException,
+  FormatException,
+  RGBLuminanceSource
+} from '@zxing/library';
+
+export const SUPPORTED_FORMATS = [
+  BarcodeFormat.CODE_128,
+  BarcodeFormat.CODE_39,
+  BarcodeFormat.EAN_13,
+  BarcodeFormat.EAN_8,
+  BarcodeFormat.UPC_A,
+  BarcodeFormat.ITF,
+  BarcodeFormat.QR_CODE,
+  BarcodeFormat.DATA_MATRIX,
+  BarcodeFormat.PDF_417
+];
+
+// Photos are scaled down to this before decoding, camera frames further
+const MAX_PHOTO_SIZE = 1600;
+const MAX_FRAME_SIZE = 800;
+const FRAME_INTERVAL_MS = 250;
+
+const createReader = (tryHarder) => {
+  const hints = new Map();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, SUPPORTED_FORMATS);
+  hints.set(DecodeHintType.ASSUME_GS1, true); // FNC1 -> ]C1 / GS on GS1-128
+  if (tryHarder) {
+    hints.set(DecodeHintType.TRY_HARDER, true);
+  }
+
+  const reader = new MultiFormatReader();
+  reader.setHints(hints);
+  return reader;
+};
+
+// Camera frames use the fast reader, photos the thorough one (rotations,
+// more rows sampled)
+const readers = {};
+const getReader = (tryHarder) => {
+  const key = tryHarder ? 'thorough' : 'fast';
+  readers[key] = readers[key] || createReader(tryHarder);
+  return readers[key];
+};
+
+const toLuminance = ({ data, width, height }) => {
+  const luminance = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < luminance.length; i++) {
+    const offset = i * 4;
+    luminance[i] = (data[offset] * 299 + data[offset + 1] * 587 + data[offset + 2] * 114) / 1000;
+  }
+  return { luminance, width, height };
+};
+
+// 3x3 box blur. The 1D readers sharpen each row before thresholding, which
+// turns sensor noise on phone photos into phantom bars.
+const smooth = ({ luminance, width, height }) => {
+  const smoothed = new Uint8ClampedArray(luminance.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let total = 0;
+      let count = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const sx = x + dx;
+          const sy = y + dy;
+          if (sx >= 0 && sy >= 0 && sx < width && sy < height) {
+            total += luminance[sy * width + sx];
+            count += 1;
+          }
+        }
+      }
+      smoothed[y * width + x] = total / count;
+    }
+  }
+  return { luminance: smoothed, width, height };
+};
+
+// 90° clockwise, for 1D labels photographed sideways (zxing's own rotation
+// isn't available for raw luminance sources)
+const rotate = ({ luminance, width, height }) => {
+  const rotated = new Uint8ClampedArray(luminance.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      rotated[x * height + (height - 1 - y)] = luminance[y * width + x];
+    }
+  }
+  return { luminance: rotated, width: height, height: width };
+};
+
+const isNoMatch = (error) =>
+  error instanceof NotFoundException ||
+  error instanceof ChecksumException ||
+  error instanceof FormatException;
+
+const read = ({ luminance, width, height }, reader) => {
+  const source = new RGBLuminanceSource(luminance, width, height);
+  try {
+    const result = reader.decodeWithState(new BinaryBitmap(new HybridBinarizer(source)));
+    return { text: result.getText(), format: BarcodeFormat[result.getBarcodeFormat()] };
+  } catch (error) {
+    if (isNoMatch(error)) return null;
+    throw error;
+  }
+};
+
+// RGBA pixels (ImageData, or a decoded PNG in Node) -> { text, format },
+// or null when no barcode could be read. tryHarder also tries a smoothed
+// and a rotated copy; camera frames skip that and wait for the next frame.
+export function decodePixels(pixels, { tryHarder = true } = {}) {
+  const reader = getReader(tryHarder);
+  const image = toLuminance(pixels);
+  const attempts = tryHarder
+    ? [() => image, () => smooth(image), () => rotate(image)]
+    : [() => image];
+
+  for (const attempt of attempts) {
+    const result = read(attempt(), reader);
+    if (result) return result;
+  }
+  return null;
+}
+
+// Draw an image or video frame scaled to fit maxSize and read its pixels
+const grabPixels = (source, sourceWidth, sourceHeight, maxSize, canvas = document.createElement('canvas')) => {
+  const scale = Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight));
+  canvas.width = Math.round(sourceWidth * scale);
+  canvas.height = Math.round(sourceHeight * scale);
+
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+// Photo of a label (File from an <input type="file">)
+export async function decodeImageFile(file) {
+  const image = await createImageBitmap(file);
+  try {
+    return decodePixels(grabPixels(image, image.width, image.height, MAX_PHOTO_SIZE));
+  } finally {
+    image.close();
+  }
+}
+
+// Stream the back camera into `video` and decode a frame every
+// FRAME_INTERVAL_MS. onDecode gets every read, repeats included.
+// Resolves to a stop function once the camera is running.
+export async function startCameraScanner(video, { onDecode, onError }) {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw new Error('Camera access is not available in this browser (HTTPS is required)');
+  }
+
+  const stream = await navigator.mediaDevices.getUserMedia({
+    video: { facingMode: { ideal: 'environment' } },
+    audio: false
+  });
+  video.srcObject = stream;
+  video.setAttribute('playsinline', 'true'); // keep iOS from going fullscreen
+  await video.play();
+
+  const canvas = document.createElement('canvas');
+  let timer = null;
+  let stopped = false;
+
+  const scanFrame = () => {
+    if (stopped) return;
+    try {
+      if (video.videoWidth) {
+        const result = decodePixels(
+          grabPixels(video, video.videoWidth, video.videoHeight, MAX_FRAME_SIZE, canvas),
+          { tryHarder: false }
+        );
+        if (result) onDecode(result);
+      }
+    } catch (error) {
+      onError?.(error);
+    }
+    timer = setTimeout(scanFrame, FRAME_INTERVAL_MS);
+  };
+  scanFrame();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    stream.getTracks().forEach(track => track.stop());
+    video.srcObject = null;
+  };
+}
@@ -0,0 +1,26 @@
+// Colour and label of a destination code from the server's registry.
+// Codes not in the registry get a colour hashed from the name.
+const FALLBACK_COLORS = [
+  '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7',
+  '#DDA0DD', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E9'
+];
+
+const findDestination = (destinations, code) =>
+  destinations.find(destination => destination.code === code);
+
+export const getDestinationColor = (destinations, code) => {
+  const destination = findDestination(destinations, code);
+  if (destination) return destination.color;
+
+  const index = (code || '').split('').reduce((acc, char) => acc + char.charCodeAt(0), 0);
+  return FALLBACK_COLORS[index % FALLBACK_COLORS.length];
+};
+
+// "BLR · Bangalore (Dock 3)"
+export const getDestinationLabel = (destinations, code) => {
+  const destination = findDestination(destinations, code);
+  if (!destination) return code;
+
+  const name = destination.name && destination.name !== destination.code ? ` · ${destination.name}` : '';
+  return `${destination.code}${name}${destination.dock ? ` (${destination.dock})` : ''}`;
+};
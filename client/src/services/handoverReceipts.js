@@ -0,0 +1,36 @@
+import { scanService } from './scanService';
+
+// The receipt needs the auth header, so it is fetched and shown from a blob.
+// The window is opened before the request so popup blockers allow it.
+export const openHandoverReceipt = async (handoverId) => {
+  const receiptWindow = window.open('', '_blank');
+  try {
+    const blob = await scanService.getHandoverReceipt(handoverId, 'html');
+    const url = window.URL.createObjectURL(blob);
+    if (receiptWindow) {
+      receiptWindow.location.href = url;
+    } else {
+      window.location.assign(url);
+    }
+  } catch (error) {
+    receiptWindow?.close();
+    alert('Error loading handover receipt: ' + error.message);
+  }
+};
+
+export const downloadHandoverReceipt = async (handover) => {
+  try {
+    const blob = await scanService.getHandoverReceipt(handover.id, 'pdf');
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.style.display = 'none';
+    a.href = url;
+    a.download = `handover-${handover.number}.pdf`;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+  } catch (error) {
+    alert('Error downloading handover receipt: ' + error.message);
+  }
+};
@@ -0,0 +1,71 @@
+import { API_BASE_URL, tokenStore } from './api';
+
+const EVENT_TYPES = [
+  'scan.recorded',
+  'scan.deleted',
+  'scan.restored',
+  'dispatch.uploaded',
+  'dispatch.rolledback',
+  'pending.processed',
+  'pending.escalated',
+  'shift.closed',
+  'handover.created',
+  'destinations.updated',
+  'resync'
+];
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+// Subscribes to the server's event stream and keeps reconnecting with
+// backoff after drops, asking for the events missed in between.
+// onEvent(type, data) gets every event, onStatus(connected) connection
+// changes. Returns a function that closes the stream for good.
+export function connectLiveUpdates({ onEvent, onStatus }) {
+  let source = null;
+  let retryTimer = null;
+  let retryDelay = MIN_RETRY_MS;
+  let lastEventId = null;
+  let closed = false;
+
+  const connect = () => {
+    const params = new URLSearchParams({ access_token: tokenStore.get() || '' });
+    if (lastEventId !== null) {
+      params.set('lastEventId', lastEventId);
+    }
+
+    source = new EventSource(`${API_BASE_URL}/events?${params}`);
+
+    source.onopen = () => {
+      retryDelay = MIN_RETRY_MS;
+      onStatus?.(true);
+    };
+
+    EVENT_TYPES.forEach(type => {
+      source.addEventListener(type, (event) => {
+        if (event.lastEventId) {
+          lastEventId = event.lastEventId;
+        }
+        onEvent(type, JSON.parse(event.data));
+      });
+    });
+
+    // Reconnect ourselves so the token and lastEventId are sent again
+    source.onerror = () => {
+      source.close();
+      onStatus?.(false);
+      if (closed) return;
+
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS);
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    source?.close();
+  };
+}
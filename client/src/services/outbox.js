@@ -0,0 +1,57 @@
+// IndexedDB outbox for scans that couldn't reach the server, plus the
+// conflicts found when they were replayed later.
+const DB_NAME = 'box-scanning';
+const DB_VERSION = 1;
+const OUTBOX = 'outbox';
+const CONFLICTS = 'conflicts';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(OUTBOX, { keyPath: 'clientScanId' });
+        db.createObjectStore(CONFLICTS, { keyPath: 'clientScanId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+// Runs a single request against a store and resolves with its result
+const withStore = async (storeName, mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const byScanTime = (a, b) => new Date(a.scannedAt) - new Date(b.scannedAt);
+
+// Same shape as the server's IDs, crypto.randomUUID needs HTTPS
+export const createClientScanId = () =>
+  Date.now().toString(36) + Math.random().toString(36).substr(2);
+
+export const outbox = {
+  add: (scan) => withStore(OUTBOX, 'readwrite', store => store.put(scan)),
+
+  list: async () => (await withStore(OUTBOX, 'readonly', store => store.getAll())).sort(byScanTime),
+
+  count: () => withStore(OUTBOX, 'readonly', store => store.count()),
+
+  remove: (clientScanId) => withStore(OUTBOX, 'readwrite', store => store.delete(clientScanId)),
+
+  addConflict: (conflict) => withStore(CONFLICTS, 'readwrite', store => store.put(conflict)),
+
+  listConflicts: async () => (await withStore(CONFLICTS, 'readonly', store => store.getAll())).sort(byScanTime),
+
+  removeConflict: (clientScanId) => withStore(CONFLICTS, 'readwrite', store => store.delete(clientScanId))
+};
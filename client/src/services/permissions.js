@@ -0,0 +1,20 @@
+// Mirrors the role checks in server/routes (scanner < supervisor < admin)
+const ROLES = ['scanner', 'supervisor', 'admin'];
+
+const REQUIRED_ROLE = {
+  deleteScan: 'supervisor',
+  processPending: 'supervisor',
+  closeShift: 'supervisor',
+  handover: 'supervisor',
+  viewAudit: 'supervisor',
+  viewAnalytics: 'supervisor',
+  uploadDispatch: 'admin',
+  manageBarcodeRules: 'admin',
+  manageDestinations: 'admin',
+  manageReports: 'admin',
+  manageWebhooks: 'admin',
+  manageApiKeys: 'admin'
+};
+
+export const can = (user, action) =>
+  ROLES.indexOf(user?.role || 'scanner') >= ROLES.indexOf(REQUIRED_ROLE[action]);
@@ -1,19 +1,77 @@
-import axios from 'axios';
+import { api } from './api';
+import { outbox, createClientScanId } from './outbox';
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+// No response at all, or the proxy in front of the server couldn't reach it
+const isUnreachable = (error) => !error.response || error.response.status >= 502;
 
-const api = axios.create({
-  baseURL: API_BASE_URL,
-});
+const postScan = async (scan) => {
+  const response = await api.post('/scans/scan', scan);
+  return response.data;
+};
 
 export const scanService = {
-  scanBox: async (boxId, userEmail, allowDuplicate = false) => {
-    const response = await api.post('/scans/scan', { boxId, userEmail, allowDuplicate });
-    return response.data;
+  // Every scan carries its own ID and time so it can be queued while the
+  // server is unreachable and replayed later without being counted twice
+  scanBox: async (boxId, allowDuplicate = false) => {
+    const scan = {
+      clientScanId: createClientScanId(),
+      boxId: boxId.toString().trim(),
+      allowDuplicate,
+      scannedAt: new Date().toISOString()
+    };
+
+    try {
+      return await postScan(scan);
+    } catch (error) {
+      if (!isUnreachable(error)) throw error;
+
+      await outbox.add(scan);
+      return {
+        success: true,
+        isQueued: true,
+        message: `📴 Offline: Box ID **${scan.boxId}** saved and will be sent when the connection is back.`
+      };
+    }
+  },
+
+  // Replay queued scans oldest first. Stops at the first scan the server
+  // still can't take; rejected scans are kept as conflicts for the operator.
+  syncOutbox: async () => {
+    const queued = await outbox.list();
+    const recorded = [];
+    const conflicts = [];
+
+    for (const scan of queued) {
+      let result;
+      try {
+        result = await postScan(scan);
+      } catch (error) {
+        if (isUnreachable(error) || error.response.status === 401) break;
+        result = { success: false, message: error.response.data?.error || error.message };
+      }
+
+      if (result.success) {
+        recorded.push(result);
+      } else {
+        const conflict = { ...scan, message: result.message, syncedAt: new Date().toISOString() };
+        await outbox.addConflict(conflict);
+        conflicts.push(conflict);
+      }
+      await outbox.remove(scan.clientScanId);
+    }
+
+    return { recorded, conflicts, remaining: await outbox.count() };
   },
 
-  getScans: async () => {
-    const response = await api.get('/scans/history');
+  getOutboxStatus: async () => {
+    const [queued, conflicts] = await Promise.all([outbox.count(), outbox.listConflicts()]);
+    return { queued, conflicts };
+  },
+
+  dismissConflict: (clientScanId) => outbox.removeConflict(clientScanId),
+
+  getScans: async (params = {}) => {
+    const response = await api.get('/scans/history', { params });
     return response.data;
   },
 
@@ -37,6 +95,16 @@ export const scanService = {
     return response.data;
   },
 
+  getExceptions: async (status = 'open') => {
+    const response = await api.get('/scans/exceptions', { params: { status } });
+    return response.data;
+  },
+
+  resolveException: async (exceptionId, note) => {
+    const response = await api.post(`/scans/exceptions/${exceptionId}/resolve`, { note });
+    return response.data;
+  },
+
   exportScans: async (format, filters = {}) => {
     const response = await api.get('/scans/export', {
       params: { format, ...filters },
@@ -55,9 +123,294 @@ export const scanService = {
     return response.data;
   },
 
-  // New delete function
-  deleteScan: async (scanId) => {
-    const response = await api.delete(`/scans/${scanId}`);
+  // Dispatch uploads are staged for a dry run and committed separately
+  previewDispatchUpload: async (file, templateId) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (templateId) {
+      formData.append('templateId', templateId);
+    }
+
+    const response = await api.post('/dispatch/uploads', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  },
+
+  remapDispatchUpload: async (uploadId, mapping, templateId) => {
+    const response = await api.post(`/dispatch/uploads/${uploadId}/mapping`, { mapping, templateId });
+    return response.data;
+  },
+
+  commitDispatchUpload: async (uploadId) => {
+    const response = await api.post(`/dispatch/uploads/${uploadId}/commit`);
+    return response.data;
+  },
+
+  discardDispatchUpload: async (uploadId) => {
+    const response = await api.delete(`/dispatch/uploads/${uploadId}`);
+    return response.data;
+  },
+
+  getDispatchVersions: async () => {
+    const response = await api.get('/dispatch/versions');
+    return response.data;
+  },
+
+  // Compared with the version before unless `against` is given
+  getDispatchVersionDiff: async (version, against) => {
+    const response = await api.get(`/dispatch/versions/${version}/diff`, {
+      params: against ? { against } : {}
+    });
+    return response.data;
+  },
+
+  rollbackDispatchVersion: async (version) => {
+    const response = await api.post(`/dispatch/versions/${version}/rollback`);
+    return response.data;
+  },
+
+  getDispatchTemplates: async () => {
+    const response = await api.get('/dispatch/templates');
+    return response.data;
+  },
+
+  saveDispatchTemplate: async (name, mapping) => {
+    const response = await api.put('/dispatch/templates', { name, mapping });
+    return response.data;
+  },
+
+  deleteDispatchTemplate: async (templateId) => {
+    const response = await api.delete(`/dispatch/templates/${templateId}`);
+    return response.data;
+  },
+
+  getBarcodeRules: async () => {
+    const response = await api.get('/barcodes/rules');
+    return response.data;
+  },
+
+  createBarcodeRule: async (rule) => {
+    const response = await api.post('/barcodes/rules', rule);
+    return response.data;
+  },
+
+  updateBarcodeRule: async (ruleId, changes) => {
+    const response = await api.put(`/barcodes/rules/${ruleId}`, changes);
+    return response.data;
+  },
+
+  deleteBarcodeRule: async (ruleId) => {
+    const response = await api.delete(`/barcodes/rules/${ruleId}`);
+    return response.data;
+  },
+
+  // Parse without recording; pass pattern/flags to try a draft rule
+  parseBarcode: async (barcode, draftRule = {}) => {
+    const response = await api.post('/barcodes/parse', { barcode, ...draftRule });
+    return response.data;
+  },
+
+  // params: from, to (YYYY-MM-DD), granularity (hour | day | week)
+  getAnalytics: async (params = {}) => {
+    const response = await api.get('/analytics', { params });
+    return response.data;
+  },
+
+  // format: excel | csv | json; a csv holds the `section` given in params
+  exportAnalytics: async (format, params = {}) => {
+    const response = await api.get('/analytics/export', {
+      params: { format, ...params },
+      responseType: 'blob'
+    });
+    return response.data;
+  },
+
+  getDestinations: async () => {
+    const response = await api.get('/destinations');
+    return response.data;
+  },
+
+  createDestination: async (destination) => {
+    const response = await api.post('/destinations', destination);
+    return response.data;
+  },
+
+  updateDestination: async (destinationId, changes) => {
+    const response = await api.put(`/destinations/${destinationId}`, changes);
+    return response.data;
+  },
+
+  deleteDestination: async (destinationId) => {
+    const response = await api.delete(`/destinations/${destinationId}`);
+    return response.data;
+  },
+
+  getReportOptions: async () => {
+    const response = await api.get('/reports/options');
+    return response.data;
+  },
+
+  getReportSchedules: async () => {
+    const response = await api.get('/reports/schedules');
+    return response.data;
+  },
+
+  createReportSchedule: async (schedule) => {
+    const response = await api.post('/reports/schedules', schedule);
+    return response.data;
+  },
+
+  updateReportSchedule: async (scheduleId, changes) => {
+    const response = await api.put(`/reports/schedules/${scheduleId}`, changes);
+    return response.data;
+  },
+
+  deleteReportSchedule: async (scheduleId) => {
+    const response = await api.delete(`/reports/schedules/${scheduleId}`);
+    return response.data;
+  },
+
+  runReportSchedule: async (scheduleId) => {
+    const response = await api.post(`/reports/schedules/${scheduleId}/run`);
+    return response.data;
+  },
+
+  getReportRuns: async (filters = {}) => {
+    const response = await api.get('/reports/runs', { params: filters });
+    return response.data;
+  },
+
+  retryReportRun: async (runId) => {
+    const response = await api.post(`/reports/runs/${runId}/retry`);
+    return response.data;
+  },
+
+  getWebhookEvents: async () => {
+    const response = await api.get('/webhooks/events');
+    return response.data;
+  },
+
+  getWebhooks: async () => {
+    const response = await api.get('/webhooks');
+    return response.data;
+  },
+
+  createWebhook: async (webhook) => {
+    const response = await api.post('/webhooks', webhook);
+    return response.data;
+  },
+
+  // changes may include rotateSecret: true
+  updateWebhook: async (webhookId, changes) => {
+    const response = await api.put(`/webhooks/${webhookId}`, changes);
+    return response.data;
+  },
+
+  deleteWebhook: async (webhookId) => {
+    const response = await api.delete(`/webhooks/${webhookId}`);
+    return response.data;
+  },
+
+  getWebhookDeliveries: async (filters = {}) => {
+    const response = await api.get('/webhooks/deliveries', { params: filters });
+    return response.data;
+  },
+
+  redeliverWebhook: async (deliveryId) => {
+    const response = await api.post(`/webhooks/deliveries/${deliveryId}/redeliver`);
+    return response.data;
+  },
+
+  getApiKeys: async () => {
+    const response = await api.get('/api-keys');
+    return response.data;
+  },
+
+  createApiKey: async (apiKey) => {
+    const response = await api.post('/api-keys', apiKey);
+    return response.data;
+  },
+
+  rotateApiKey: async (keyId) => {
+    const response = await api.post(`/api-keys/${keyId}/rotate`);
+    return response.data;
+  },
+
+  revokeApiKey: async (keyId) => {
+    const response = await api.delete(`/api-keys/${keyId}`);
+    return response.data;
+  },
+
+  // Soft delete; the server requires a reason
+  deleteScan: async (scanId, reason) => {
+    const response = await api.delete(`/scans/${scanId}`, { data: { reason } });
+    return response.data;
+  },
+
+  restoreScan: async (scanId) => {
+    const response = await api.post(`/scans/${scanId}/restore`);
+    return response.data;
+  },
+
+  getConsignments: async (filters = {}) => {
+    const response = await api.get('/consignments', { params: filters });
+    return response.data;
+  },
+
+  getConsignment: async (consignmentId) => {
+    const response = await api.get(`/consignments/${encodeURIComponent(consignmentId)}`);
+    return response.data;
+  },
+
+  getAuditLog: async (filters = {}) => {
+    const response = await api.get('/audit', { params: filters });
+    return response.data;
+  },
+
+  getShifts: async () => {
+    const response = await api.get('/shifts');
+    return response.data;
+  },
+
+  closeShift: async (shift, shiftDate) => {
+    const response = await api.post('/shifts/close', { shift, shiftDate });
+    return response.data;
+  },
+
+  getHandovers: async (filters = {}) => {
+    const response = await api.get('/handovers', { params: filters });
+    return response.data;
+  },
+
+  // scope: { destination } or { consignments: [...] }; signature is the
+  // pad's PNG data URL, photo an optional image File
+  createHandover: async ({ destination, consignments, driverName, vehicle, signature, photo }) => {
+    const formData = new FormData();
+    formData.append('driverName', driverName);
+    formData.append('vehicle', vehicle);
+    formData.append('signature', signature);
+    if (destination) {
+      formData.append('destination', destination);
+    } else {
+      formData.append('consignments', JSON.stringify(consignments));
+    }
+    if (photo) {
+      formData.append('photo', photo);
+    }
+
+    const response = await api.post('/handovers', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  },
+
+  // format: pdf | html
+  getHandoverReceipt: async (handoverId, format = 'pdf') => {
+    const response = await api.get(`/handovers/${handoverId}/receipt`, {
+      params: { format },
+      responseType: 'blob'
+    });
     return response.data;
   }
 };
@@ -0,0 +1,16 @@
+// Authentication settings
+// AUTH_SECRET signs login tokens; without it a random secret is generated at
+// startup and everyone has to log in again after a restart.
+import crypto from 'crypto';
+
+if (!process.env.AUTH_SECRET) {
+  console.warn('⚠️  AUTH_SECRET is not set, sessions will not survive a restart');
+}
+
+export const authConfig = {
+  secret: process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex'),
+  tokenTtlHours: parseInt(process.env.AUTH_TOKEN_TTL_HOURS, 10) || 12,
+  // First account, created on startup when there are no users yet
+  bootstrapEmail: process.env.ADMIN_EMAIL,
+  bootstrapPassword: process.env.ADMIN_PASSWORD
+};
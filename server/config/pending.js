@@ -0,0 +1,13 @@
+// Pending scan escalation
+// Pending scans older than PENDING_ESCALATION_HOURS (default 48) move to the
+// exceptions list. The server checks every PENDING_CHECK_MINUTES (default 60)
+// and on every dispatch upload.
+const positiveNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return number > 0 ? number : fallback;
+};
+
+export const pendingConfig = {
+  escalateAfterHours: positiveNumber(process.env.PENDING_ESCALATION_HOURS, 48),
+  checkIntervalMinutes: positiveNumber(process.env.PENDING_CHECK_MINUTES, 60)
+};
@@ -0,0 +1,33 @@
+// Scheduled reports
+// Schedules themselves are managed under /api/reports. Set REPORTS_ENABLED=false
+// to stop this server from running them (e.g. when several instances share
+// the same storage). Directory delivery writes to REPORTS_DIR; email delivery
+// goes through SMTP_HOST/SMTP_PORT (SMTP_SECURE=true for TLS, SMTP_USER and
+// SMTP_PASSWORD if the relay needs a login) from REPORTS_FROM.
+// A failed delivery is retried REPORT_RETRY_ATTEMPTS times (default 3),
+// first after REPORT_RETRY_MINUTES (default 5), doubling each time.
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const positiveNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return number > 0 ? number : fallback;
+};
+
+export const reportsConfig = {
+  enabled: process.env.REPORTS_ENABLED !== 'false',
+  dir: process.env.REPORTS_DIR || path.join(__dirname, '..', 'reports'),
+  retryAttempts: positiveNumber(process.env.REPORT_RETRY_ATTEMPTS, 3),
+  retryMinutes: positiveNumber(process.env.REPORT_RETRY_MINUTES, 5),
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: positiveNumber(process.env.SMTP_PORT, 25),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || '',
+    password: process.env.SMTP_PASSWORD || '',
+    from: process.env.REPORTS_FROM || 'scan-reports@localhost'
+  }
+};
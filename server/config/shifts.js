@@ -0,0 +1,23 @@
+// Shift definitions
+// Override with SHIFT_DEFINITIONS, a JSON array of { name, start, end }.
+// A shift whose end is not after its start crosses midnight.
+const DEFAULT_SHIFTS = [
+  { name: 'Morning', start: '06:00', end: '14:00' },
+  { name: 'Evening', start: '14:00', end: '22:00' },
+  { name: 'Night', start: '22:00', end: '06:00' }
+];
+
+function loadShiftDefinitions() {
+  if (!process.env.SHIFT_DEFINITIONS) {
+    return DEFAULT_SHIFTS;
+  }
+
+  try {
+    return JSON.parse(process.env.SHIFT_DEFINITIONS);
+  } catch (error) {
+    console.error('Invalid SHIFT_DEFINITIONS, using defaults:', error.message);
+    return DEFAULT_SHIFTS;
+  }
+}
+
+export const shiftDefinitions = loadShiftDefinitions();
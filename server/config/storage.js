@@ -0,0 +1,16 @@
+// Storage backend selection
+// STORAGE_BACKEND=json (default) keeps one JSON file per collection in
+// DATA_DIR; STORAGE_BACKEND=sqlite uses a single database at SQLITE_FILE.
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+export const storageConfig = {
+  backend: (process.env.STORAGE_BACKEND || 'json').toLowerCase(),
+  dataDir,
+  sqliteFile: process.env.SQLITE_FILE || path.join(dataDir, 'scans.db')
+};
@@ -0,0 +1,12 @@
+// Files served as-is under /uploads (handover signatures and photos).
+// UPLOADS_DIR moves them out of the server directory.
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const uploadsConfig = {
+  dir: process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'),
+  publicPath: '/uploads'
+};
@@ -0,0 +1,17 @@
+// Outbound webhooks
+// Webhooks are managed under /api/webhooks. A delivery that does not get a
+// 2xx answer within WEBHOOK_TIMEOUT_SECONDS (default 10) is retried up to
+// WEBHOOK_RETRY_ATTEMPTS times (default 5), first after
+// WEBHOOK_RETRY_SECONDS (default 30), doubling each time.
+// WEBHOOKS_ENABLED=false stops this server from sending any.
+const positiveNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return number > 0 ? number : fallback;
+};
+
+export const webhooksConfig = {
+  enabled: process.env.WEBHOOKS_ENABLED !== 'false',
+  timeoutSeconds: positiveNumber(process.env.WEBHOOK_TIMEOUT_SECONDS, 10),
+  retryAttempts: positiveNumber(process.env.WEBHOOK_RETRY_ATTEMPTS, 5),
+  retrySeconds: positiveNumber(process.env.WEBHOOK_RETRY_SECONDS, 30)
+};
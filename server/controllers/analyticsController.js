@@ -0,0 +1,84 @@
+import { getScans, annotateDuplicates } from '../models/dataStore.js';
+import {
+  ANALYTICS_SECTIONS,
+  parseAnalyticsQuery,
+  buildAnalytics,
+  analyticsSheets
+} from '../services/analytics.js';
+import { parseCsvOptions, sendExport } from '../services/exporter.js';
+
+const EXPORT_FORMATS = ['excel', 'csv', 'json'];
+
+const loadAnalytics = async (range, sections) => {
+  const scans = await getScans();
+  return buildAnalytics(await annotateDuplicates(scans), range, sections);
+};
+
+// All sections at once: ?from=YYYY-MM-DD&to=YYYY-MM-DD&granularity=hour|day|week
+export const getAnalytics = async (req, res) => {
+  try {
+    const range = parseAnalyticsQuery(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    res.json(await loadAnalytics(range));
+  } catch (error) {
+    console.error('Error in getAnalytics:', error);
+    res.status(500).json({ error: 'Failed to build analytics' });
+  }
+};
+
+// One of throughput, scanners, destinations, consignments or quality
+export const getAnalyticsSection = async (req, res) => {
+  try {
+    const { section } = req.params;
+    if (!ANALYTICS_SECTIONS.includes(section)) {
+      return res.status(404).json({ error: `Unknown analytics section. Use one of: ${ANALYTICS_SECTIONS.join(', ')}` });
+    }
+
+    const range = parseAnalyticsQuery(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    res.json(await loadAnalytics(range, [section]));
+  } catch (error) {
+    console.error('Error in getAnalyticsSection:', error);
+    res.status(500).json({ error: 'Failed to build analytics' });
+  }
+};
+
+// Same range parameters plus format=excel|csv|json. A csv holds a single
+// section, picked with ?section= (throughput by default).
+export const exportAnalytics = async (req, res) => {
+  try {
+    const { format = 'excel', section = 'throughput' } = req.query;
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    if (!ANALYTICS_SECTIONS.includes(section)) {
+      return res.status(400).json({ error: `Section must be one of ${ANALYTICS_SECTIONS.join(', ')}` });
+    }
+
+    const range = parseAnalyticsQuery(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const analytics = await loadAnalytics(range);
+    const sheets = analyticsSheets(analytics);
+    const sheetName = section.charAt(0).toUpperCase() + section.slice(1);
+
+    await sendExport(res, {
+      format,
+      fileName: format === 'csv'
+        ? `analytics-${section}-${range.from}-${range.to}`
+        : `analytics-${range.from}-${range.to}`,
+      sheets: format === 'csv' ? { [sheetName]: sheets[sheetName] } : sheets,
+      json: analytics,
+      csv: parseCsvOptions(req.query)
+    });
+  } catch (error) {
+    console.error('Error in exportAnalytics:', error);
+    res.status(500).json({ error: 'Failed to export analytics' });
+  }
+};
@@ -0,0 +1,90 @@
+import { getApiKeys, addApiKey, updateApiKey } from '../models/dataStore.js';
+import { generateApiKey, describeApiKey, readApiKey } from '../services/apiKeys.js';
+import { recordAudit } from '../services/audit.js';
+
+const auditDetails = (record, extra) => ({ apiKeyId: record.id, name: record.name, kind: record.kind, ...extra });
+
+const findActiveKey = async (keyId) => {
+  const record = (await getApiKeys()).find(item => item.id === keyId);
+  return record && !record.revokedAt ? record : null;
+};
+
+export const getApiKeyList = async (req, res) => {
+  try {
+    res.json((await getApiKeys()).map(describeApiKey));
+  } catch (error) {
+    console.error('Error in getApiKeyList:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+};
+
+// The response carries the key, the only time it is shown
+export const createApiKey = async (req, res) => {
+  try {
+    const { apiKey, error, conflict } = readApiKey(req.body, await getApiKeys());
+    if (error || conflict) {
+      return res.status(error ? 400 : 409).json({ error: error || conflict });
+    }
+
+    const { key, keyHint, keyHash } = generateApiKey();
+    const created = await addApiKey({ ...apiKey, keyHint, keyHash, createdBy: req.user.email });
+    await recordAudit({
+      actor: req.user.email,
+      action: 'apikey.manage',
+      after: apiKey,
+      details: auditDetails(created, { operation: 'create' })
+    });
+
+    res.status(201).json({ apiKey: describeApiKey(created), key });
+  } catch (error) {
+    console.error('Error in createApiKey:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+};
+
+// New key for the same device; the old one stops working at once
+export const rotateApiKey = async (req, res) => {
+  try {
+    const record = await findActiveKey(req.params.keyId);
+    if (!record) {
+      return res.status(404).json({ error: 'Active API key not found' });
+    }
+
+    const { key, keyHint, keyHash } = generateApiKey();
+    const changes = { keyHint, keyHash, rotatedAt: new Date(), rotatedBy: req.user.email };
+    await updateApiKey(record.id, changes);
+    await recordAudit({
+      actor: req.user.email,
+      action: 'apikey.manage',
+      details: auditDetails(record, { operation: 'rotate', previousKeyHint: record.keyHint })
+    });
+
+    res.json({ apiKey: describeApiKey({ ...record, ...changes }), key });
+  } catch (error) {
+    console.error('Error in rotateApiKey:', error);
+    res.status(500).json({ error: 'Failed to rotate API key' });
+  }
+};
+
+// Revoked keys stay listed so past scans can be traced to them
+export const revokeApiKey = async (req, res) => {
+  try {
+    const record = await findActiveKey(req.params.keyId);
+    if (!record) {
+      return res.status(404).json({ error: 'Active API key not found' });
+    }
+
+    const changes = { revokedAt: new Date(), revokedBy: req.user.email };
+    await updateApiKey(record.id, changes);
+    await recordAudit({
+      actor: req.user.email,
+      action: 'apikey.manage',
+      details: auditDetails(record, { operation: 'revoke' })
+    });
+
+    res.json({ apiKey: describeApiKey({ ...record, ...changes }) });
+  } catch (error) {
+    console.error('Error in revokeApiKey:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+};
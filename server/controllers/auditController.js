@@ -0,0 +1,19 @@
+import { getAuditLog } from '../models/dataStore.js';
+import { filterAuditLog } from '../services/audit.js';
+
+// Audit entries, newest first, filtered by user, boxId, consignment,
+// action and from/to dates
+export const getAudit = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 500, 5000);
+    const entries = filterAuditLog(await getAuditLog(), req.query).reverse();
+
+    res.json({
+      total: entries.length,
+      entries: entries.slice(0, limit)
+    });
+  } catch (error) {
+    console.error('Error in getAudit:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+};
@@ -0,0 +1,42 @@
+import { findUserByEmail, findUserById, updateUser } from '../models/dataStore.js';
+import { verifyPassword, createToken, toPublicUser } from '../services/auth.js';
+
+export const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const user = await findUserByEmail(email);
+    if (!user || user.disabled || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    await updateUser(user.id, { lastLoginAt: new Date() });
+
+    res.json({
+      success: true,
+      token: createToken(user),
+      user: toPublicUser(user)
+    });
+  } catch (error) {
+    console.error('Error in login:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+};
+
+// Bumping the session version invalidates every token issued so far
+export const logout = async (req, res) => {
+  try {
+    const user = await findUserById(req.user.id);
+    await updateUser(user.id, { sessionVersion: (user.sessionVersion || 0) + 1 });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: 'Logout failed' });
+  }
+};
+
+export const getCurrentUser = (req, res) => {
+  res.json(req.user);
+};
@@ -0,0 +1,149 @@
+import {
+  getBarcodeRules,
+  addBarcodeRule,
+  updateBarcodeRule,
+  removeBarcodeRule
+} from '../models/dataStore.js';
+import { parseBarcode, validateRulePattern } from '../services/barcode.js';
+import { recordAudit } from '../services/audit.js';
+
+// Rules aren't scans, so keep their IDs out of the audit scanId column
+const describeRule = (rule) => rule && {
+  name: rule.name,
+  pattern: rule.pattern,
+  flags: rule.flags,
+  enabled: rule.enabled
+};
+
+// Name, pattern and flags from the request body, or an error message
+const readRule = (body, current = {}) => {
+  const rule = {
+    name: (body.name ?? current.name)?.toString().trim(),
+    pattern: (body.pattern ?? current.pattern)?.toString(),
+    flags: (body.flags ?? current.flags ?? '').toString(),
+    enabled: body.enabled === undefined ? current.enabled ?? true : !!body.enabled
+  };
+
+  if (!rule.name) {
+    return { error: 'Rule name is required' };
+  }
+  const patternError = validateRulePattern(rule.pattern, rule.flags);
+  return patternError ? { error: patternError } : { rule };
+};
+
+export const getRules = async (req, res) => {
+  try {
+    res.json(await getBarcodeRules());
+  } catch (error) {
+    console.error('Error in getRules:', error);
+    res.status(500).json({ error: 'Failed to fetch barcode rules' });
+  }
+};
+
+export const createRule = async (req, res) => {
+  try {
+    const { rule, error } = readRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rules = await getBarcodeRules();
+    if (rules.some(item => item.name.toLowerCase() === rule.name.toLowerCase())) {
+      return res.status(409).json({ error: `A rule named "${rule.name}" already exists` });
+    }
+
+    const created = await addBarcodeRule({ ...rule, updatedBy: req.user.email });
+    await recordAudit({
+      actor: req.user.email,
+      action: 'barcode.rule',
+      after: describeRule(created),
+      details: { name: created.name }
+    });
+
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error in createRule:', error);
+    res.status(500).json({ error: 'Failed to save barcode rule' });
+  }
+};
+
+export const updateRule = async (req, res) => {
+  try {
+    const rules = await getBarcodeRules();
+    const existing = rules.find(item => item.id === req.params.ruleId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Barcode rule not found' });
+    }
+
+    const { rule, error } = readRule(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (rules.some(item => item.id !== existing.id && item.name.toLowerCase() === rule.name.toLowerCase())) {
+      return res.status(409).json({ error: `A rule named "${rule.name}" already exists` });
+    }
+
+    await updateBarcodeRule(existing.id, { ...rule, updatedBy: req.user.email });
+    const updated = { ...existing, ...rule, updatedBy: req.user.email };
+    await recordAudit({
+      actor: req.user.email,
+      action: 'barcode.rule',
+      before: describeRule(existing),
+      after: describeRule(updated),
+      details: { name: updated.name }
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error in updateRule:', error);
+    res.status(500).json({ error: 'Failed to save barcode rule' });
+  }
+};
+
+export const deleteRule = async (req, res) => {
+  try {
+    const rules = await getBarcodeRules();
+    const rule = rules.find(item => item.id === req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({ error: 'Barcode rule not found' });
+    }
+
+    await removeBarcodeRule(rule.id);
+    await recordAudit({
+      actor: req.user.email,
+      action: 'barcode.rule',
+      before: describeRule(rule),
+      details: { name: rule.name, deleted: true }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error in deleteRule:', error);
+    res.status(500).json({ error: 'Failed to delete barcode rule' });
+  }
+};
+
+// Try a barcode against the enabled rules (or a draft rule given in the
+// body) without recording anything
+export const testBarcode = async (req, res) => {
+  try {
+    const { barcode } = req.body;
+    if (barcode === undefined || barcode === null) {
+      return res.status(400).json({ error: 'Barcode is required' });
+    }
+
+    let rules = (await getBarcodeRules()).filter(rule => rule.enabled);
+    if (req.body.pattern) {
+      const { rule, error } = readRule({ name: 'Draft rule', ...req.body });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      rules = [rule];
+    }
+
+    res.json(parseBarcode(barcode, rules));
+  } catch (error) {
+    console.error('Error in testBarcode:', error);
+    res.status(500).json({ error: 'Failed to parse barcode' });
+  }
+};
@@ -0,0 +1,60 @@
+import { getScans, getConsignmentScans, getDispatchData, getHandovers } from '../models/dataStore.js';
+import { buildConsignmentSummaries, toConsignmentListItem } from '../services/consignments.js';
+import { toManifestEntry } from '../services/reconciliation.js';
+import { toHandoverListItem } from '../services/handover.js';
+
+// Summaries of the given consignments only (their scans come from the scan
+// index), or of all of them
+const loadSummaries = async (consignments = null) => {
+  const dispatchData = await getDispatchData();
+  if (!consignments) {
+    return buildConsignmentSummaries(dispatchData, await getScans());
+  }
+
+  const wanted = new Set(consignments);
+  const scans = await Promise.all([...wanted].map(getConsignmentScans));
+  return buildConsignmentSummaries(
+    dispatchData.filter(row => wanted.has(toManifestEntry(row).consignment)),
+    scans.flat()
+  );
+};
+
+// List consignments, optionally for a single destination or only the
+// comma-separated consignments (a live update refreshing a few rows)
+export const getConsignments = async (req, res) => {
+  try {
+    const { destination, consignments } = req.query;
+
+    let summaries = await loadSummaries(consignments ? consignments.toString().split(',') : null);
+    if (destination) {
+      summaries = summaries.filter(summary => summary.destination === destination);
+    }
+
+    res.json(summaries.map(toConsignmentListItem));
+  } catch (error) {
+    console.error('Error in getConsignments:', error);
+    res.status(500).json({ error: 'Failed to fetch consignments' });
+  }
+};
+
+// One consignment with its missing and overscanned boxes and its handovers
+export const getConsignment = async (req, res) => {
+  try {
+    const { consignmentId } = req.params;
+    const [[summary], handovers] = await Promise.all([loadSummaries([consignmentId]), getHandovers()]);
+
+    if (!summary) {
+      return res.status(404).json({ error: 'Consignment not found' });
+    }
+
+    res.json({
+      ...summary,
+      handovers: handovers
+        .filter(handover => handover.consignments.some(item => item.consignment === consignmentId))
+        .map(toHandoverListItem)
+    });
+  } catch (error) {
+    console.error('Error in getConsignment:', error);
+    res.status(500).json({ error: 'Failed to fetch consignment' });
+  }
+};
@@ -0,0 +1,109 @@
+import {
+  getDestinations,
+  addDestination,
+  updateDestination as saveDestination,
+  removeDestination
+} from '../models/dataStore.js';
+import { readDestination, describeDestination } from '../services/destinations.js';
+import { applyDestinationRegistry } from '../services/manifest.js';
+import { recordAudit } from '../services/audit.js';
+import { publishEvent } from '../services/events.js';
+
+// New codes and aliases apply to the live manifest and open scans at once
+const applyRegistry = async (actor) => {
+  const result = await applyDestinationRegistry({ actor });
+  publishEvent('destinations.updated', { changedRows: result.changedRows });
+
+  const moved = result.reconciliation?.moved.length || 0;
+  return result.changedRows
+    ? `${result.changedRows} manifest row(s) and ${moved} scan(s) renamed`
+    : 'No manifest rows needed renaming';
+};
+
+export const getDestinationList = async (req, res) => {
+  try {
+    res.json(await getDestinations());
+  } catch (error) {
+    console.error('Error in getDestinationList:', error);
+    res.status(500).json({ error: 'Failed to fetch destinations' });
+  }
+};
+
+export const createDestination = async (req, res) => {
+  try {
+    const destinations = await getDestinations();
+    const { destination, error, conflict } = readDestination(req.body, null, destinations);
+    if (error || conflict) {
+      return res.status(error ? 400 : 409).json({ error: error || conflict });
+    }
+
+    const created = await addDestination({ ...destination, updatedBy: req.user.email });
+    await recordAudit({
+      actor: req.user.email,
+      action: 'destination.registry',
+      after: describeDestination(created),
+      details: { code: created.code }
+    });
+
+    res.status(201).json({ destination: created, message: await applyRegistry(req.user.email) });
+  } catch (error) {
+    console.error('Error in createDestination:', error);
+    res.status(500).json({ error: 'Failed to save destination' });
+  }
+};
+
+export const updateDestination = async (req, res) => {
+  try {
+    const destinations = await getDestinations();
+    const existing = destinations.find(item => item.id === req.params.destinationId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Destination not found' });
+    }
+
+    const others = destinations.filter(item => item.id !== existing.id);
+    const { destination, error, conflict } = readDestination(req.body, existing, others);
+    if (error || conflict) {
+      return res.status(error ? 400 : 409).json({ error: error || conflict });
+    }
+
+    await saveDestination(existing.id, { ...destination, updatedBy: req.user.email });
+    const updated = { ...existing, ...destination, updatedBy: req.user.email };
+    await recordAudit({
+      actor: req.user.email,
+      action: 'destination.registry',
+      before: describeDestination(existing),
+      after: describeDestination(updated),
+      details: { code: updated.code }
+    });
+
+    res.json({ destination: updated, message: await applyRegistry(req.user.email) });
+  } catch (error) {
+    console.error('Error in updateDestination:', error);
+    res.status(500).json({ error: 'Failed to save destination' });
+  }
+};
+
+// Recorded scans keep the code; it just stops being normalized to
+export const deleteDestination = async (req, res) => {
+  try {
+    const destinations = await getDestinations();
+    const destination = destinations.find(item => item.id === req.params.destinationId);
+    if (!destination) {
+      return res.status(404).json({ error: 'Destination not found' });
+    }
+
+    await removeDestination(destination.id);
+    await recordAudit({
+      actor: req.user.email,
+      action: 'destination.registry',
+      before: describeDestination(destination),
+      details: { code: destination.code, deleted: true }
+    });
+    publishEvent('destinations.updated', { changedRows: 0 });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error in deleteDestination:', error);
+    res.status(500).json({ error: 'Failed to delete destination' });
+  }
+};
@@ -0,0 +1,326 @@
+import {
+  addDispatchUpload,
+  findDispatchUpload,
+  getDispatchUploads,
+  updateDispatchUpload,
+  getDispatchVersions,
+  removeDispatchUpload,
+  getDispatchTemplates,
+  addDispatchTemplate,
+  updateDispatchTemplate,
+  removeDispatchTemplate,
+  getDestinations,
+  withScanLock
+} from '../models/dataStore.js';
+import {
+  MAPPABLE_FIELDS,
+  parseDispatchFile,
+  getHeaders,
+  suggestMapping,
+  applyMapping,
+  buildDispatchPreview
+} from '../services/dispatchImport.js';
+import {
+  activateManifest,
+  rollbackManifest,
+  diffManifests,
+  toVersionListItem
+} from '../services/manifest.js';
+import { describePendingReport } from '../services/scanRecorder.js';
+import { recordAudit } from '../services/audit.js';
+
+// Staged uploads nobody confirmed are dropped after a day
+const STAGED_UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Templates aren't scans, so keep their IDs out of the audit scanId column
+const describeTemplate = (template) => template && { name: template.name, mapping: template.mapping };
+
+// Only known fields, and only headers that exist in the sheet when given
+const cleanMapping = (mapping, headers = null) => MAPPABLE_FIELDS.reduce((clean, field) => {
+  const header = mapping?.[field];
+  if (typeof header === 'string' && header && (!headers || headers.includes(header))) {
+    clean[field] = mapping[field];
+  }
+  return clean;
+}, {});
+
+const parseMappingParam = (value) => {
+  if (!value) return null;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+const dropExpiredUploads = async () => {
+  const cutoff = Date.now() - STAGED_UPLOAD_TTL_MS;
+  const uploads = await getDispatchUploads();
+  for (const upload of uploads) {
+    if (new Date(upload.uploadedAt).getTime() < cutoff) {
+      await removeDispatchUpload(upload.id);
+    }
+  }
+};
+
+// Parse a sheet and stage it for review. Optional templateId or mapping
+// (JSON) fields pick the columns, otherwise they are guessed from headers.
+export const previewDispatchUpload = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const rows = parseDispatchFile(req.file.buffer);
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'The uploaded sheet has no rows' });
+    }
+
+    const headers = getHeaders(rows);
+    let mapping = parseMappingParam(req.body.mapping);
+    if (!mapping && req.body.templateId) {
+      const template = (await getDispatchTemplates()).find(item => item.id === req.body.templateId);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      mapping = template.mapping;
+    }
+    mapping = cleanMapping(mapping || suggestMapping(headers), headers);
+
+    await dropExpiredUploads();
+    const upload = await addDispatchUpload({
+      fileName: req.file.originalname,
+      uploadedBy: req.user.email,
+      templateId: req.body.templateId || null,
+      mapping,
+      rows
+    });
+
+    const preview = buildDispatchPreview(rows, mapping, await getDestinations());
+    res.json({ uploadId: upload.id, fileName: upload.fileName, ...preview });
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({ error: 'Mapping must be valid JSON' });
+    }
+    console.error('Error in previewDispatchUpload:', error);
+    res.status(500).json({ error: 'Failed to read dispatch file' });
+  }
+};
+
+// Re-run the dry run of a staged upload with a different mapping
+export const remapDispatchUpload = async (req, res) => {
+  try {
+    const upload = await findDispatchUpload(req.params.uploadId);
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+
+    const mapping = cleanMapping(req.body.mapping, getHeaders(upload.rows));
+    await updateDispatchUpload(upload.id, { mapping, templateId: req.body.templateId || null });
+
+    const preview = buildDispatchPreview(upload.rows, mapping, await getDestinations());
+    res.json({ uploadId: upload.id, fileName: upload.fileName, ...preview });
+  } catch (error) {
+    console.error('Error in remapDispatchUpload:', error);
+    res.status(500).json({ error: 'Failed to validate dispatch upload' });
+  }
+};
+
+// Replace the manifest with a staged upload once the admin confirms it.
+// The upload is claimed under the scan lock first, so a double click or a
+// second admin can't activate the same upload twice.
+export const commitDispatchUpload = async (req, res) => {
+  try {
+    const upload = await withScanLock(async () => {
+      const staged = await findDispatchUpload(req.params.uploadId);
+      if (staged && !staged.committingBy) {
+        await updateDispatchUpload(staged.id, { committingBy: req.user.email });
+      }
+      return staged;
+    });
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+    if (upload.committingBy) {
+      return res.status(409).json({ error: `${upload.committingBy} is already committing this upload` });
+    }
+
+    const releaseUpload = () => updateDispatchUpload(upload.id, { committingBy: null });
+
+    const { validation } = buildDispatchPreview(upload.rows, upload.mapping);
+    if (!validation.valid) {
+      await releaseUpload();
+      return res.status(422).json({ error: 'Fix the errors in the sheet before committing it', validation });
+    }
+
+    let activated;
+    try {
+      activated = await activateManifest({
+        rows: applyMapping(upload.rows, upload.mapping),
+        actor: req.user.email,
+        fileName: upload.fileName
+      });
+    } catch (error) {
+      await releaseUpload();
+      throw error;
+    }
+    await removeDispatchUpload(upload.id);
+
+    const { rows, version, pending, reconciliation } = activated;
+    res.json({
+      success: true,
+      rows,
+      version,
+      pending,
+      reconciliation: { moved: reconciliation.moved, unmatched: reconciliation.unmatched },
+      message: `Dispatch data updated with ${rows} row(s) (version ${version}). ` +
+        describePendingReport(pending, reconciliation)
+    });
+  } catch (error) {
+    console.error('Error in commitDispatchUpload:', error);
+    res.status(500).json({ error: 'Failed to commit dispatch upload' });
+  }
+};
+
+export const discardDispatchUpload = async (req, res) => {
+  try {
+    const removed = await removeDispatchUpload(req.params.uploadId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error in discardDispatchUpload:', error);
+    res.status(500).json({ error: 'Failed to discard dispatch upload' });
+  }
+};
+
+export const getTemplates = async (req, res) => {
+  try {
+    const templates = await getDispatchTemplates();
+    res.json(templates.sort((a, b) => a.name.localeCompare(b.name)));
+  } catch (error) {
+    console.error('Error in getTemplates:', error);
+    res.status(500).json({ error: 'Failed to fetch templates' });
+  }
+};
+
+// Save a customer's column mapping; saving an existing name overwrites it
+export const saveTemplate = async (req, res) => {
+  try {
+    const name = req.body.name?.toString().trim();
+    const mapping = cleanMapping(req.body.mapping);
+
+    if (!name) {
+      return res.status(400).json({ error: 'Template name is required' });
+    }
+    if (!mapping.boxId || !mapping.consignment) {
+      return res.status(400).json({ error: 'A template must map box ID and consignment' });
+    }
+
+    const existing = (await getDispatchTemplates())
+      .find(item => item.name.toLowerCase() === name.toLowerCase());
+    let template;
+    if (existing) {
+      await updateDispatchTemplate(existing.id, { mapping, updatedBy: req.user.email });
+      template = { ...existing, mapping, updatedBy: req.user.email };
+    } else {
+      template = await addDispatchTemplate({ name, mapping, updatedBy: req.user.email });
+    }
+
+    await recordAudit({
+      actor: req.user.email,
+      action: 'dispatch.template',
+      before: describeTemplate(existing),
+      after: describeTemplate(template),
+      details: { name }
+    });
+
+    res.json(template);
+  } catch (error) {
+    console.error('Error in saveTemplate:', error);
+    res.status(500).json({ error: 'Failed to save template' });
+  }
+};
+
+export const deleteTemplate = async (req, res) => {
+  try {
+    const templates = await getDispatchTemplates();
+    const template = templates.find(item => item.id === req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    await removeDispatchTemplate(template.id);
+    await recordAudit({
+      actor: req.user.email,
+      action: 'dispatch.template',
+      before: describeTemplate(template),
+      details: { name: template.name, deleted: true }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error in deleteTemplate:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+};
+
+// Manifest versions, newest first
+export const getVersions = async (req, res) => {
+  try {
+    const versions = await getDispatchVersions();
+    res.json(versions.map(toVersionListItem));
+  } catch (error) {
+    console.error('Error in getVersions:', error);
+    res.status(500).json({ error: 'Failed to fetch dispatch versions' });
+  }
+};
+
+// Changes from ?against (default: the version before) to :version
+export const getVersionDiff = async (req, res) => {
+  try {
+    const version = parseInt(req.params.version, 10);
+    const against = req.query.against ? parseInt(req.query.against, 10) : version - 1;
+    const versions = await getDispatchVersions();
+
+    const target = versions.find(item => item.version === version);
+    if (!target) {
+      return res.status(404).json({ error: 'Dispatch version not found' });
+    }
+    const base = versions.find(item => item.version === against);
+    if (req.query.against && !base) {
+      return res.status(404).json({ error: `Dispatch version ${against} not found` });
+    }
+
+    res.json({
+      from: base ? toVersionListItem(base) : null,
+      to: toVersionListItem(target),
+      ...diffManifests(base?.rows || [], target.rows)
+    });
+  } catch (error) {
+    console.error('Error in getVersionDiff:', error);
+    res.status(500).json({ error: 'Failed to compare dispatch versions' });
+  }
+};
+
+// Reactivate an earlier version and re-reconcile scans against it
+export const rollbackVersion = async (req, res) => {
+  try {
+    const version = parseInt(req.params.version, 10);
+    const result = await rollbackManifest({ version, actor: req.user.email });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Dispatch version not found' });
+    }
+
+    const { matched, moved, unmatched } = result.reconciliation;
+    res.json({
+      success: true,
+      version: result.version,
+      rows: result.rows,
+      reconciliation: { matched, moved, unmatched },
+      message: `Version ${result.version} is active again. ${matched.length} scan(s) matched, ` +
+        `${moved.length} moved, ${unmatched.length} back to pending`
+    });
+  } catch (error) {
+    console.error('Error in rollbackVersion:', error);
+    res.status(500).json({ error: 'Failed to roll back dispatch data' });
+  }
+};
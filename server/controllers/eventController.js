@@ -0,0 +1,38 @@
+import { subscribe, getEventsSince } from '../services/events.js';
+
+const KEEP_ALIVE_MS = 25000;
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
+// Server-Sent Events stream of scan, delete, dispatch and pending events
+export const streamEvents = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  // Replay what a reconnecting client missed
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = getEventsSince(lastEventId);
+    if (missed === null) {
+      res.write('event: resync\ndata: {}\n\n');
+    } else {
+      missed.forEach(event => writeEvent(res, event));
+    }
+  }
+
+  const unsubscribe = subscribe(event => writeEvent(res, event));
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+};
@@ -0,0 +1,127 @@
+import { getHandovers, findHandover } from '../models/dataStore.js';
+import { createHandover as recordHandover, decodeSignature, toHandoverListItem } from '../services/handover.js';
+import { RECEIPT_FORMATS, buildReceiptPdf, buildReceiptHtml } from '../services/handoverReceipt.js';
+
+// consignments arrive as a JSON array in multipart forms, or a comma list
+const parseConsignments = (value) => {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [String(parsed)];
+  } catch {
+    return value.split(',');
+  }
+};
+
+// Handovers, optionally only those including a consignment or scan
+export const getHandoverList = async (req, res) => {
+  try {
+    const { consignment, scanId } = req.query;
+    let handovers = await getHandovers();
+
+    if (consignment) {
+      handovers = handovers.filter(handover =>
+        handover.consignments.some(summary => summary.consignment === consignment));
+    }
+    if (scanId) {
+      handovers = handovers.filter(handover => handover.boxes.some(box => box.scanId === scanId));
+    }
+
+    res.json({ handovers: handovers.map(toHandoverListItem) });
+  } catch (error) {
+    console.error('Error in getHandoverList:', error);
+    res.status(500).json({ error: 'Failed to fetch handovers' });
+  }
+};
+
+export const getHandover = async (req, res) => {
+  try {
+    const handover = await findHandover(req.params.handoverId);
+    if (!handover) {
+      return res.status(404).json({ error: 'Handover not found' });
+    }
+    res.json(handover);
+  } catch (error) {
+    console.error('Error in getHandover:', error);
+    res.status(500).json({ error: 'Failed to fetch handover' });
+  }
+};
+
+// Hand the open boxes of a destination or of some consignments to a carrier.
+// Multipart: driverName, vehicle, signature (PNG data URL), consignments or
+// destination, and an optional photo file.
+export const createHandover = async (req, res) => {
+  try {
+    const driverName = req.body.driverName?.trim();
+    const vehicle = req.body.vehicle?.trim();
+    const destination = req.body.destination?.trim() || null;
+    const consignments = parseConsignments(req.body.consignments)
+      .map(consignment => String(consignment).trim())
+      .filter(Boolean);
+
+    if (!driverName || !vehicle) {
+      return res.status(400).json({ error: 'Driver name and vehicle number are required' });
+    }
+    if (!destination && consignments.length === 0) {
+      return res.status(400).json({ error: 'Choose a destination or at least one consignment' });
+    }
+
+    const signature = decodeSignature(req.body.signature);
+    if (!signature) {
+      return res.status(400).json({ error: 'A drawn signature (PNG) is required' });
+    }
+
+    const handover = await recordHandover({
+      consignments,
+      destination,
+      driverName,
+      vehicle,
+      signature,
+      photo: req.file || null,
+      actor: req.user.email
+    });
+
+    if (!handover) {
+      return res.status(409).json({ error: 'No scanned boxes left to hand over' });
+    }
+
+    res.json({
+      success: true,
+      message: `🚚 Handover #${handover.number}: ${handover.boxes.length} box(es) to ${driverName} (${vehicle})`,
+      handover: toHandoverListItem(handover)
+    });
+  } catch (error) {
+    console.error('Error in createHandover:', error);
+    res.status(500).json({ error: 'Failed to record handover' });
+  }
+};
+
+// ?format=pdf (default) | html
+export const getHandoverReceipt = async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (!RECEIPT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unsupported format. Use one of: ${RECEIPT_FORMATS.join(', ')}` });
+    }
+
+    const handover = await findHandover(req.params.handoverId);
+    if (!handover) {
+      return res.status(404).json({ error: 'Handover not found' });
+    }
+
+    const fileName = `handover-${handover.number}`;
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', `inline; filename="${fileName}.html"`);
+      return res.send(await buildReceiptHtml(handover));
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+    res.send(await buildReceiptPdf(handover));
+  } catch (error) {
+    console.error('Error in getHandoverReceipt:', error);
+    res.status(500).json({ error: 'Failed to build handover receipt' });
+  }
+};
@@ -0,0 +1,179 @@
+import {
+  getReportSchedules,
+  addReportSchedule,
+  updateReportSchedule,
+  removeReportSchedule,
+  getReportRuns
+} from '../models/dataStore.js';
+import {
+  REPORT_TYPES,
+  REPORT_PERIODS,
+  REPORT_FORMATS,
+  readReportSchedule,
+  describeSchedule
+} from '../services/reports.js';
+import { getDeliveryTypes } from '../services/reportDelivery.js';
+import { runSchedule, retryRun } from '../services/reportScheduler.js';
+import { recordAudit } from '../services/audit.js';
+
+const RUNS_LIMIT = 200;
+
+// Report types, periods, formats and delivery types for the schedule form
+export const getReportOptions = async (req, res) => {
+  res.json({
+    reports: Object.entries(REPORT_TYPES).map(([id, type]) => ({ id, title: type.title })),
+    periods: REPORT_PERIODS,
+    formats: REPORT_FORMATS,
+    deliveryTypes: getDeliveryTypes()
+  });
+};
+
+// Each schedule with its next run and the status of its latest run
+export const getScheduleList = async (req, res) => {
+  try {
+    const [schedules, runs] = await Promise.all([getReportSchedules(), getReportRuns()]);
+    res.json(schedules.map(schedule => ({
+      ...describeSchedule(schedule),
+      lastRun: runs.find(run => run.scheduleId === schedule.id) || null
+    })));
+  } catch (error) {
+    console.error('Error in getScheduleList:', error);
+    res.status(500).json({ error: 'Failed to fetch report schedules' });
+  }
+};
+
+export const createSchedule = async (req, res) => {
+  try {
+    const { schedule, error } = readReportSchedule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = await addReportSchedule({ ...schedule, updatedBy: req.user.email });
+    await recordAudit({
+      actor: req.user.email,
+      action: 'report.schedule',
+      after: schedule,
+      details: { scheduleId: created.id, name: created.name }
+    });
+
+    res.status(201).json(describeSchedule(created));
+  } catch (error) {
+    console.error('Error in createSchedule:', error);
+    res.status(500).json({ error: 'Failed to save report schedule' });
+  }
+};
+
+export const updateSchedule = async (req, res) => {
+  try {
+    const schedules = await getReportSchedules();
+    const existing = schedules.find(item => item.id === req.params.scheduleId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Report schedule not found' });
+    }
+
+    const { schedule, error } = readReportSchedule(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const changes = { ...schedule, updatedBy: req.user.email, updatedAt: new Date() };
+    await updateReportSchedule(existing.id, changes);
+    const { id, lastRunAt, updatedBy, updatedAt, ...before } = existing;
+    await recordAudit({
+      actor: req.user.email,
+      action: 'report.schedule',
+      before,
+      after: schedule,
+      details: { scheduleId: existing.id, name: schedule.name }
+    });
+
+    res.json(describeSchedule({ ...existing, ...changes }));
+  } catch (error) {
+    console.error('Error in updateSchedule:', error);
+    res.status(500).json({ error: 'Failed to save report schedule' });
+  }
+};
+
+// The run log of a deleted schedule is kept
+export const deleteSchedule = async (req, res) => {
+  try {
+    const schedules = await getReportSchedules();
+    const schedule = schedules.find(item => item.id === req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Report schedule not found' });
+    }
+
+    await removeReportSchedule(schedule.id);
+    await recordAudit({
+      actor: req.user.email,
+      action: 'report.schedule',
+      before: schedule,
+      details: { scheduleId: schedule.id, name: schedule.name, deleted: true }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error in deleteSchedule:', error);
+    res.status(500).json({ error: 'Failed to delete report schedule' });
+  }
+};
+
+// Build and deliver now, outside the cron timing. A failed delivery is
+// retried like a scheduled one.
+export const runScheduleNow = async (req, res) => {
+  try {
+    const schedules = await getReportSchedules();
+    const schedule = schedules.find(item => item.id === req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Report schedule not found' });
+    }
+
+    res.json(await runSchedule(schedule, { triggeredBy: req.user.email }));
+  } catch (error) {
+    console.error('Error in runScheduleNow:', error);
+    res.status(500).json({ error: 'Failed to run report' });
+  }
+};
+
+// Delivery log, newest first: ?scheduleId=&status=delivered|retrying|failed
+export const getRunList = async (req, res) => {
+  try {
+    const { scheduleId, status } = req.query;
+    let runs = await getReportRuns();
+    if (scheduleId) {
+      runs = runs.filter(run => run.scheduleId === scheduleId);
+    }
+    if (status) {
+      runs = runs.filter(run => run.status === status);
+    }
+    res.json(runs.slice(0, RUNS_LIMIT));
+  } catch (error) {
+    console.error('Error in getRunList:', error);
+    res.status(500).json({ error: 'Failed to fetch report runs' });
+  }
+};
+
+// Retry a failed (or still retrying) delivery straight away
+export const retryReportRun = async (req, res) => {
+  try {
+    const runs = await getReportRuns();
+    const run = runs.find(item => item.id === req.params.runId);
+    if (!run) {
+      return res.status(404).json({ error: 'Report run not found' });
+    }
+    if (!['failed', 'retrying'].includes(run.status)) {
+      return res.status(409).json({ error: `Run is ${run.status}, only failed deliveries can be retried` });
+    }
+
+    const retried = await retryRun(run);
+    if (!retried) {
+      return res.status(409).json({ error: 'Run is already being delivered' });
+    }
+
+    res.json(retried);
+  } catch (error) {
+    console.error('Error in retryReportRun:', error);
+    res.status(500).json({ error: 'Failed to retry report' });
+  }
+};
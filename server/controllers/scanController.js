@@ -1,75 +1,177 @@
 import { 
   getScans, 
-  addScan, 
-  getDispatchData, 
-  getPendingScans, 
-  addPendingScan, 
-  removePendingScan,
-  updateDispatchData,
-  deleteScan,
-  updateScan
+  getPendingScans as loadPendingScans, 
+  deleteScan as removeScan,
+  restoreScan as reinstateScan,
+  getShiftClosures,
+  getScanExceptions,
+  getScanById,
+  findBoxScansOnDay,
+  getScanDestinationCounts,
+  getScansBetween,
+  annotateDuplicates,
+  withScanLock
 } from '../models/dataStore.js';
+import {
+  parseScanFilters,
+  getDateRange,
+  filterScans,
+  describeScanFilters,
+  parsePageOptions,
+  paginateScans
+} from '../services/scanFilters.js';
+import {
+  recordScan,
+  recountConsignments,
+  getStoredStatus,
+  resolvePendingScans,
+  resolveScanException,
+  describePendingReport
+} from '../services/scanRecorder.js';
+import { recordAudit } from '../services/audit.js';
+import {
+  parseDispatchFile,
+  getHeaders,
+  suggestMapping,
+  applyMapping,
+  buildDispatchPreview
+} from '../services/dispatchImport.js';
+import { activateManifest } from '../services/manifest.js';
+import { publishEvent } from '../services/events.js';
+import {
+  EXPORT_FORMATS,
+  toExportRow,
+  shiftSummarySheets,
+  parseCsvOptions,
+  sendExport
+} from '../services/exporter.js';
 
 // Updated scan function with duplicate handling
 export const scanBox = async (req, res) => {
   try {
-    const { boxId, userEmail, allowDuplicate = false } = req.body;
-    const boxIdTrimmed = boxId.toString().trim();
+    // The scanner is whoever is logged in, not what the client claims
+    res.json(await recordScan({ ...req.body, userEmail: req.user.email }));
+  } catch (error) {
+    console.error('Error in scanBox:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
-    // Get existing scans
-    const scans = await getScans();
-    const today = new Date().toDateString();
-    
-    // Check for duplicate scan today
-    const todayScans = scans.filter(scan => 
-      new Date(scan.timestamp).toDateString() === today
-    );
+const BULK_SCAN_LIMIT = 1000;
 
-    const existingScan = todayScans.find(scan => scan.boxId === boxIdTrimmed);
-    
-    if (existingScan && !allowDuplicate) {
-      return res.json({
-        success: false,
-        isDuplicate: true,
-        message: `⚠️ Duplicate Scan! Box ID **${boxIdTrimmed}** has already been scanned today.`,
-        duplicateData: existingScan
-      });
-    }
+// recordScan result -> per-item status of a bulk upload
+const toBulkStatus = (result) => {
+  if (result.isInvalid) return 'invalid';
+  if (!result.success) return result.isDuplicate ? 'duplicate' : 'rejected';
+  if (result.isReplay) return 'replay';
+  if (result.isPending) return 'pending';
+  return result.isDuplicate ? 'duplicate-recorded' : 'recorded';
+};
 
-    // If duplicate is allowed, mark it as duplicate
-    if (existingScan && allowDuplicate) {
-      // Update existing scan as duplicate
-      const updatedScan = {
-        ...existingScan,
-        isDuplicate: true,
-        duplicateCount: (existingScan.duplicateCount || 1) + 1,
-        lastScanned: new Date()
-      };
-      
-      await updateScan(existingScan.id, updatedScan);
-      
-      return res.json({
-        success: true,
-        isDuplicate: true,
-        message: `🔄 Duplicate Box ID **${boxIdTrimmed}** recorded. (Count: ${updatedScan.duplicateCount})`,
-        row: updatedScan
-      });
+// Many scans at once from tunnel scanners and integrations:
+// { scans: [{ boxId, scannedAt, clientScanId, allowDuplicate }] }. Each one
+// goes through recordScan in order, so duplicates, replays and pending
+// boxes behave as for single scans. Returns a result per item.
+export const scanBulk = async (req, res) => {
+  try {
+    const { scans } = req.body || {};
+    if (!Array.isArray(scans) || scans.length === 0) {
+      return res.status(400).json({ error: 'scans must be a non-empty array' });
+    }
+    if (scans.length > BULK_SCAN_LIMIT) {
+      return res.status(400).json({ error: `At most ${BULK_SCAN_LIMIT} scans per request` });
     }
 
-    // Rest of the scan logic remains same...
-    // [Previous scan logic here...]
+    const results = [];
+    for (const [index, item] of scans.entries()) {
+      const clientScanId = item?.clientScanId ?? null;
+      // Numeric box IDs are fine, as they are for a single scan
+      const boxId = item?.boxId?.toString().trim();
+      if (!boxId) {
+        results.push({ index, clientScanId, status: 'invalid', message: 'boxId is required' });
+        continue;
+      }
+
+      try {
+        const result = await recordScan({
+          boxId,
+          scannedAt: item.scannedAt,
+          clientScanId,
+          allowDuplicate: item.allowDuplicate === true,
+          userEmail: req.user.email
+        });
+        const row = result.row || result.duplicateData || null;
+        results.push({
+          index,
+          clientScanId,
+          boxId: row?.boxId || boxId,
+          status: toBulkStatus(result),
+          scanId: row?.id || null,
+          consignment: row?.consignment || null,
+          finalStatus: result.consignmentStatus?.finalStatus || row?.finalStatus || null,
+          message: result.message.replace(/\*\*/g, '')
+        });
+      } catch (error) {
+        console.error(`Error in scanBulk item ${index}:`, error);
+        results.push({ index, clientScanId, boxId: item.boxId, status: 'error', message: 'Failed to record scan' });
+      }
+    }
 
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, {});
+    res.json({ total: scans.length, summary, results });
   } catch (error) {
-    console.error('Error in scanBox:', error);
+    console.error('Error in scanBulk:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 };
 
-// Delete scan endpoint
+// Delete scan endpoint (soft delete, a reason is required)
 export const deleteScan = async (req, res) => {
   try {
     const { scanId } = req.params;
-    const success = await deleteScan(scanId);
+    const reason = req.body?.reason?.toString().trim();
+
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to delete a scan' });
+    }
+
+    const { frozenScan, success } = await withScanLock(async () => {
+      const scan = await getScanById(scanId);
+      if (!scan || scan.deletedAt) {
+        return { success: false };
+      }
+      if (scan.shiftClosureId || scan.handoverId) {
+        return { frozenScan: scan, success: false };
+      }
+
+      const previousStatuses = new Map([[scan.consignment, await getStoredStatus(scan.consignment)]]);
+      await removeScan(scanId, { deletedBy: req.user.email, reason });
+      const consignmentStatuses = await recountConsignments([scan.consignment], previousStatuses);
+      await recordAudit({
+        actor: req.user.email,
+        action: 'scan.delete',
+        before: scan,
+        after: { ...scan, deletedBy: req.user.email, deleteReason: reason },
+        details: { reason }
+      });
+
+      publishEvent('scan.deleted', {
+        scanId,
+        consignmentStatuses,
+        counts: await getScanDestinationCounts()
+      });
+      return { success: true };
+    });
+
+    if (frozenScan?.handoverId) {
+      return res.status(409).json({ error: 'Scan was handed over to a carrier and cannot be deleted' });
+    }
+    if (frozenScan) {
+      return res.status(409).json({ error: `Scan belongs to the closed ${frozenScan.shift} shift and cannot be deleted` });
+    }
     
     if (success) {
       res.json({ success: true, message: 'Scan deleted successfully' });
@@ -77,31 +179,257 @@ export const deleteScan = async (req, res) => {
       res.status(404).json({ error: 'Scan not found' });
     }
   } catch (error) {
+    console.error('Error in deleteScan:', error);
     res.status(500).json({ error: 'Failed to delete scan' });
   }
 };
 
+// Put a soft-deleted scan back and recount its consignment
+export const restoreScan = async (req, res) => {
+  try {
+    const { scanId } = req.params;
+
+    const result = await withScanLock(async () => {
+      const scan = await getScanById(scanId);
+      if (!scan?.deletedAt) {
+        return { status: 404, error: 'Deleted scan not found' };
+      }
+
+      // Restoring must not create a second active scan of the box that day
+      const [conflict] = await findBoxScansOnDay(scan.boxId, scan.timestamp);
+      if (conflict) {
+        return { status: 409, error: `Box ID ${scan.boxId} has been scanned again that day` };
+      }
+
+      const previousStatuses = new Map([[scan.consignment, await getStoredStatus(scan.consignment)]]);
+      await reinstateScan(scanId, { restoredBy: req.user.email });
+      const consignmentStatuses = await recountConsignments([scan.consignment], previousStatuses);
+      await recordAudit({
+        actor: req.user.email,
+        action: 'scan.restore',
+        before: scan,
+        after: { ...scan, deletedAt: null, deletedBy: null, deleteReason: null }
+      });
+
+      publishEvent('scan.restored', {
+        row: await getScanById(scanId),
+        consignmentStatuses,
+        counts: await getScanDestinationCounts()
+      });
+      return { status: 200 };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, message: 'Scan restored successfully' });
+  } catch (error) {
+    console.error('Error in restoreScan:', error);
+    res.status(500).json({ error: 'Failed to restore scan' });
+  }
+};
+
+// Scans matching the history filters, newest first. Only the date range is
+// read, from the scan index; duplicate info is added where the status
+// filter needs it and otherwise left to the caller.
+const loadFilteredScans = async (query) => {
+  const filters = parseScanFilters(query);
+  const { start, end } = getDateRange(filters);
+  let scans = await getScansBetween(start, end, { includeDeleted: filters.includeDeleted });
+  if (filters.statusFilter === 'DUPLICATE') {
+    scans = await annotateDuplicates(scans);
+  }
+  return { filters, scans: filterScans(scans, filters) };
+};
+
 // Get scans with duplicates highlighted
 export const getScansWithDuplicates = async (req, res) => {
   try {
-    const scans = await getScans();
-    
-    // Mark duplicates
-    const scansWithDuplicates = scans.map(scan => {
-      const sameDayScans = scans.filter(s => 
-        s.boxId === scan.boxId && 
-        new Date(s.timestamp).toDateString() === new Date(scan.timestamp).toDateString()
-      );
-      
-      return {
-        ...scan,
-        isDuplicate: sameDayScans.length > 1,
-        duplicateCount: sameDayScans.length
-      };
-    });
+    const { scans } = await loadFilteredScans(req.query);
+    res.json(await annotateDuplicates(scans));
+  } catch (error) {
+    console.error('Error in getScansWithDuplicates:', error);
+    res.status(500).json({ error: 'Failed to fetch scans' });
+  }
+};
 
-    res.json(scansWithDuplicates);
+// One page of the history table. Filters: startDate, endDate (YYYY-MM-DD),
+// statusFilter, searchTerm, includeDeleted. Paging: offset, limit, sortBy
+// (any column), sortDir (asc|desc).
+export const getFilteredScans = async (req, res) => {
+  try {
+    const { filters, scans } = await loadFilteredScans(req.query);
+    const page = paginateScans(scans, parsePageOptions(req.query));
+    res.json({ filters, ...page, scans: await annotateDuplicates(page.scans) });
   } catch (error) {
+    console.error('Error in getFilteredScans:', error);
     res.status(500).json({ error: 'Failed to fetch scans' });
   }
 };
+
+// Scanned boxes per destination
+export const getDestinationCounts = async (req, res) => {
+  try {
+    res.json(await getScanDestinationCounts());
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch destination counts' });
+  }
+};
+
+// Scans waiting for their box to appear in dispatch data
+export const getPendingScans = async (req, res) => {
+  try {
+    const pending = await loadPendingScans();
+    res.json({ count: pending.length, pending });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch pending scans' });
+  }
+};
+
+// Re-match pending scans against the current dispatch data
+export const processPendingScans = async (req, res) => {
+  try {
+    const report = await withScanLock(() => resolvePendingScans({ actor: req.user.email }));
+
+    res.json({
+      success: true,
+      processed: report.resolved.length,
+      pendingCount: report.remaining.length,
+      ...report,
+      message: describePendingReport(report)
+    });
+  } catch (error) {
+    console.error('Error in processPendingScans:', error);
+    res.status(500).json({ error: 'Failed to process pending scans' });
+  }
+};
+
+// Escalated pending scans, newest first. status=open (default), resolved or all
+export const getExceptions = async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    const exceptions = (await getScanExceptions())
+      .filter(item => status === 'all' || item.status === status)
+      .sort((a, b) => new Date(b.escalatedAt) - new Date(a.escalatedAt));
+
+    res.json({ count: exceptions.length, exceptions });
+  } catch (error) {
+    console.error('Error in getExceptions:', error);
+    res.status(500).json({ error: 'Failed to fetch exceptions' });
+  }
+};
+
+// Close an exception by hand; a note saying what happened is required
+export const resolveException = async (req, res) => {
+  try {
+    const note = req.body?.note?.toString().trim();
+    if (!note) {
+      return res.status(400).json({ error: 'A note is required to resolve an exception' });
+    }
+
+    const exception = await withScanLock(() =>
+      resolveScanException(req.params.exceptionId, { actor: req.user.email, note }));
+    if (!exception) {
+      return res.status(404).json({ error: 'Open exception not found' });
+    }
+
+    res.json({ success: true, exception });
+  } catch (error) {
+    console.error('Error in resolveException:', error);
+    res.status(500).json({ error: 'Failed to resolve exception' });
+  }
+};
+
+// Export scans, or a closed shift's summary when closureId is given.
+// Without closureId the history filters apply, so the file matches the table.
+export const exportScans = async (req, res) => {
+  try {
+    const { format = 'excel', closureId } = req.query;
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const csv = parseCsvOptions(req.query);
+
+    if (closureId) {
+      const closures = await getShiftClosures();
+      const closure = closures.find(item => item.id === closureId);
+      if (!closure) {
+        return res.status(404).json({ error: 'Shift closure not found' });
+      }
+
+      const ids = new Set(closure.scanIds);
+      const shiftScans = await annotateDuplicates((await getScans()).filter(scan => ids.has(scan.id)));
+      const { summary } = closure;
+
+      return await sendExport(res, {
+        format,
+        fileName: `shift-${summary.shiftDate}-${summary.shift}`,
+        sheets: shiftSummarySheets(closure, shiftScans),
+        json: { ...closure, scans: shiftScans },
+        csv,
+        pdf: {
+          title: `Shift report: ${summary.shift} ${summary.shiftDate}`,
+          subtitle: `Closed by ${closure.closedBy || 'unknown'} on ${new Date(closure.closedAt).toLocaleString()}`,
+          scans: shiftScans
+        }
+      });
+    }
+
+    const { filters, scans: matching } = await loadFilteredScans(req.query);
+    const scans = await annotateDuplicates(matching);
+
+    await sendExport(res, {
+      format,
+      fileName: 'scan-data',
+      sheets: { Scans: scans.map(toExportRow) },
+      json: scans,
+      csv,
+      pdf: {
+        title: 'Scan report',
+        subtitle: describeScanFilters(filters),
+        scans
+      }
+    });
+  } catch (error) {
+    console.error('Error in exportScans:', error);
+    res.status(500).json({ error: 'Failed to export scans' });
+  }
+};
+
+// Replace the dispatch manifest in one step. Columns are matched by their
+// usual headers and the sheet is rejected if validation finds errors; use
+// /api/dispatch/uploads for mapping and a dry run.
+export const uploadDispatchData = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const rawRows = parseDispatchFile(req.file.buffer);
+    const mapping = suggestMapping(getHeaders(rawRows));
+    const { validation } = buildDispatchPreview(rawRows, mapping);
+    if (!validation.valid) {
+      return res.status(422).json({ error: 'The dispatch sheet has errors', validation });
+    }
+
+    const { rows, version, pending, reconciliation } = await activateManifest({
+      rows: applyMapping(rawRows, mapping),
+      actor: req.user.email,
+      fileName: req.file.originalname
+    });
+
+    res.json({
+      success: true,
+      rows,
+      version,
+      pending,
+      reconciliation: { moved: reconciliation.moved, unmatched: reconciliation.unmatched },
+      message: `Dispatch data updated with ${rows} row(s) (version ${version}). ` +
+        describePendingReport(pending, reconciliation)
+    });
+  } catch (error) {
+    console.error('Error in uploadDispatchData:', error);
+    res.status(500).json({ error: 'Failed to upload dispatch data' });
+  }
+};
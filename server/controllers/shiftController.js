@@ -0,0 +1,121 @@
+import {
+  getScans,
+  getShiftClosures,
+  addShiftClosure,
+  updateScansByIds,
+  withScanLock
+} from '../models/dataStore.js';
+import {
+  describeShifts,
+  formatLocalDate,
+  getOpenShift,
+  getLastEndedShift,
+  getShiftEnd,
+  isInShift,
+  buildShiftSummary
+} from '../services/shifts.js';
+import { recordAudit } from '../services/audit.js';
+import { publishEvent } from '../services/events.js';
+
+const isLocalDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+  && formatLocalDate(new Date(`${value}T00:00:00`)) === value;
+
+// Shift definitions, the shift running now, the last one that ended and
+// past closures
+export const getShifts = async (req, res) => {
+  try {
+    const closures = await getShiftClosures();
+    const now = new Date();
+    res.json({
+      definitions: describeShifts(),
+      current: getOpenShift(now, closures),
+      lastEnded: getLastEndedShift(now),
+      closures: closures.map(({ scanIds, ...closure }) => closure)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch shifts' });
+  }
+};
+
+// Freeze a shift's scans and store its closing summary. Defaults to the
+// last shift that ended; a shift still running can't be closed.
+export const closeShift = async (req, res) => {
+  try {
+    const now = new Date();
+    const lastEnded = getLastEndedShift(now);
+    const shift = req.body.shift || lastEnded?.shift;
+    const shiftDate = req.body.shiftDate || lastEnded?.shiftDate;
+
+    if (!describeShifts().some(definition => definition.name === shift)) {
+      return res.status(400).json({ error: `Unknown shift: ${shift}` });
+    }
+    if (!isLocalDate(shiftDate)) {
+      return res.status(400).json({ error: 'shiftDate must be a date as YYYY-MM-DD' });
+    }
+    if (getShiftEnd({ shift, shiftDate }) > now) {
+      return res.status(409).json({ error: `Shift ${shift} on ${shiftDate} has not ended yet` });
+    }
+
+    const closure = await withScanLock(async () => {
+      const closures = await getShiftClosures();
+      if (closures.some(item => item.shift === shift && item.shiftDate === shiftDate)) {
+        return null;
+      }
+
+      const scans = await getScans();
+      const shiftScans = scans.filter(scan => isInShift(scan, { shift, shiftDate }));
+
+      const created = await addShiftClosure({
+        shift,
+        shiftDate,
+        closedBy: req.user.email,
+        scanIds: shiftScans.map(scan => scan.id),
+        summary: buildShiftSummary(shiftScans, { shift, shiftDate })
+      });
+
+      await updateScansByIds(created.scanIds, { shiftClosureId: created.id });
+      await recordAudit({
+        actor: req.user.email,
+        action: 'shift.close',
+        after: created.summary,
+        details: { closureId: created.id, scanCount: created.scanIds.length }
+      });
+      return created;
+    });
+
+    if (!closure) {
+      return res.status(409).json({ error: `Shift ${shift} on ${shiftDate} is already closed` });
+    }
+
+    publishEvent('shift.closed', {
+      closureId: closure.id,
+      shift,
+      shiftDate,
+      scanIds: closure.scanIds
+    });
+
+    res.json({
+      success: true,
+      message: `Shift ${shift} on ${shiftDate} closed with ${closure.scanIds.length} scan(s)`,
+      closure
+    });
+  } catch (error) {
+    console.error('Error in closeShift:', error);
+    res.status(500).json({ error: 'Failed to close shift' });
+  }
+};
+
+export const getShiftClosure = async (req, res) => {
+  try {
+    const closures = await getShiftClosures();
+    const closure = closures.find(item => item.id === req.params.closureId);
+
+    if (!closure) {
+      return res.status(404).json({ error: 'Shift closure not found' });
+    }
+
+    res.json(closure);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch shift closure' });
+  }
+};
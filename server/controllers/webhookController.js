@@ -0,0 +1,155 @@
+import {
+  getWebhooks,
+  addWebhook,
+  updateWebhook as saveWebhook,
+  removeWebhook,
+  getWebhookDeliveries
+} from '../models/dataStore.js';
+import {
+  WEBHOOK_EVENTS,
+  readWebhook,
+  describeWebhook,
+  generateWebhookSecret,
+  redeliver
+} from '../services/webhooks.js';
+import { recordAudit } from '../services/audit.js';
+
+const DELIVERIES_LIMIT = 200;
+
+export const getWebhookEvents = async (req, res) => {
+  res.json(WEBHOOK_EVENTS);
+};
+
+export const getWebhookList = async (req, res) => {
+  try {
+    res.json((await getWebhooks()).map(describeWebhook));
+  } catch (error) {
+    console.error('Error in getWebhookList:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+};
+
+// The response carries the signing secret, the only time it is shown
+export const createWebhook = async (req, res) => {
+  try {
+    const { webhook, error } = readWebhook(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = await addWebhook({ ...webhook, secret: generateWebhookSecret(), updatedBy: req.user.email });
+    await recordAudit({
+      actor: req.user.email,
+      action: 'webhook.config',
+      after: webhook,
+      details: { webhookId: created.id, name: created.name }
+    });
+
+    res.status(201).json({ webhook: describeWebhook(created), secret: created.secret });
+  } catch (error) {
+    console.error('Error in createWebhook:', error);
+    res.status(500).json({ error: 'Failed to save webhook' });
+  }
+};
+
+// rotateSecret: true replaces the signing secret and returns the new one
+export const updateWebhook = async (req, res) => {
+  try {
+    const webhooks = await getWebhooks();
+    const existing = webhooks.find(item => item.id === req.params.webhookId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const { webhook, error } = readWebhook(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rotated = req.body.rotateSecret === true;
+    const changes = {
+      ...webhook,
+      ...(rotated ? { secret: generateWebhookSecret() } : {}),
+      updatedBy: req.user.email
+    };
+    await saveWebhook(existing.id, changes);
+    await recordAudit({
+      actor: req.user.email,
+      action: 'webhook.config',
+      before: { name: existing.name, url: existing.url, events: existing.events, enabled: existing.enabled },
+      after: webhook,
+      details: { webhookId: existing.id, name: webhook.name, secretRotated: rotated }
+    });
+
+    const updated = { ...existing, ...changes };
+    res.json({ webhook: describeWebhook(updated), ...(rotated ? { secret: updated.secret } : {}) });
+  } catch (error) {
+    console.error('Error in updateWebhook:', error);
+    res.status(500).json({ error: 'Failed to save webhook' });
+  }
+};
+
+// Its delivery log is kept; pending retries fail once it is gone
+export const deleteWebhook = async (req, res) => {
+  try {
+    const webhooks = await getWebhooks();
+    const webhook = webhooks.find(item => item.id === req.params.webhookId);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await removeWebhook(webhook.id);
+    await recordAudit({
+      actor: req.user.email,
+      action: 'webhook.config',
+      before: { name: webhook.name, url: webhook.url, events: webhook.events, enabled: webhook.enabled },
+      details: { webhookId: webhook.id, name: webhook.name, deleted: true }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error in deleteWebhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+};
+
+// Delivery log, newest first: ?webhookId=&event=&status=delivered|retrying|failed
+export const getDeliveryList = async (req, res) => {
+  try {
+    const { webhookId, event, status } = req.query;
+    let deliveries = await getWebhookDeliveries();
+    if (webhookId) {
+      deliveries = deliveries.filter(delivery => delivery.webhookId === webhookId);
+    }
+    if (event) {
+      deliveries = deliveries.filter(delivery => delivery.event === event);
+    }
+    if (status) {
+      deliveries = deliveries.filter(delivery => delivery.status === status);
+    }
+    res.json(deliveries.slice(0, DELIVERIES_LIMIT));
+  } catch (error) {
+    console.error('Error in getDeliveryList:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+};
+
+// Send a logged delivery again, whatever its status, as a new delivery
+export const redeliverWebhook = async (req, res) => {
+  try {
+    const deliveries = await getWebhookDeliveries();
+    const delivery = deliveries.find(item => item.id === req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const result = await redeliver(delivery);
+    if (!result) {
+      return res.status(409).json({ error: 'The webhook of this delivery was deleted' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error in redeliverWebhook:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+};
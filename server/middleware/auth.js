@@ -0,0 +1,71 @@
+import { findUserById } from '../models/dataStore.js';
+import { verifyToken, toPublicUser } from '../services/auth.js';
+import { isApiKey, authenticateApiKey, toApiKeyUser } from '../services/apiKeys.js';
+
+// "METHOD /path" of a request. Express routes /api/scans/scan/ to the same
+// handler as /api/scans/scan, so the trailing slash is dropped.
+const routeKey = (req) => `${req.method} ${req.baseUrl}${req.path}`.replace(/\/+$/, '');
+
+// EventSource can't send headers, so the event stream may pass
+// ?access_token=. Nowhere else: tokens in URLs end up in logs and history.
+const QUERY_TOKEN_ROUTE = 'GET /api/events';
+
+const readToken = (req) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7);
+  }
+  return routeKey(req) === QUERY_TOKEN_ROUTE ? req.query.access_token || null : null;
+};
+
+// The only routes an API key can call: devices and integrations record
+// scans, everything else needs a login
+const API_KEY_ROUTES = ['POST /api/scans/scan', 'POST /api/scans/bulk'];
+
+// Rejects requests without a valid login token or API key and sets
+// req.user. API keys come as X-API-Key or as the bearer token.
+export const requireAuth = async (req, res, next) => {
+  try {
+    const apiKey = req.get('X-API-Key') || readToken(req);
+    if (isApiKey(apiKey)) {
+      const record = await authenticateApiKey(apiKey);
+      if (!record) {
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+      }
+      if (!API_KEY_ROUTES.includes(routeKey(req))) {
+        return res.status(403).json({ error: 'API keys can only be used to record scans' });
+      }
+      req.user = toApiKeyUser(record);
+      return next();
+    }
+
+    const claims = verifyToken(readToken(req));
+    if (!claims) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const user = await findUserById(claims.sub);
+    if (!user || user.disabled || (user.sessionVersion || 0) !== claims.ver) {
+      return res.status(401).json({ error: 'Session expired, please log in again' });
+    }
+
+    req.user = toPublicUser(user);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Roles in increasing order of privilege
+export const ROLES = ['scanner', 'supervisor', 'admin'];
+
+export const hasRole = (user, minimumRole) =>
+  ROLES.indexOf(user?.role || 'scanner') >= ROLES.indexOf(minimumRole);
+
+// Use after requireAuth: rejects users below the given role
+export const requireRole = (minimumRole) => (req, res, next) => {
+  if (!hasRole(req.user, minimumRole)) {
+    return res.status(403).json({ error: `This action requires the ${minimumRole} role` });
+  }
+  next();
+};
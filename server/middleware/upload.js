@@ -0,0 +1,33 @@
+import multer from 'multer';
+
+const ALLOWED_EXTENSIONS = ['.xlsx', '.xls', '.csv'];
+
+// Dispatch sheets are parsed straight from memory, never written to disk
+export const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const name = file.originalname.toLowerCase();
+    if (ALLOWED_EXTENSIONS.some(ext => name.endsWith(ext))) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only ${ALLOWED_EXTENSIONS.join(', ')} files are accepted`));
+    }
+  }
+});
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+// Handover photos; kept in memory until the handover is saved. JPEG and PNG
+// only, so they can be embedded in the PDF receipt.
+export const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JPEG and PNG photos are accepted'));
+    }
+  }
+});
@@ -1,29 +1,622 @@
-// Add these new functions to dataStore.js
-
-// Delete scan by ID
-export async function deleteScan(scanId) {
-  const scans = await getScans();
-  const initialLength = scans.length;
-  const updatedScans = scans.filter(scan => scan.id !== scanId);
-  
-  if (updatedScans.length === initialLength) {
-    return false; // No scan was deleted
+// Data access used by the controllers. Persistence is delegated to the
+// storage adapter selected by STORAGE_BACKEND (see storage/index.js).
+import { getStorage } from './storage/index.js';
+import { createMutationQueue } from './storage/mutationQueue.js';
+import { createScanIndex } from './scanIndex.js';
+
+const DISPATCH = 'dispatch';
+const PENDING = 'pending';
+const SHIFT_CLOSURES = 'shift-closures';
+const USERS = 'users';
+const AUDIT_LOG = 'audit-log';
+const DISPATCH_VERSIONS = 'dispatch-versions';
+const DISPATCH_UPLOADS = 'dispatch-uploads';
+const DISPATCH_TEMPLATES = 'dispatch-templates';
+const BARCODE_RULES = 'barcode-rules';
+const SCAN_EXCEPTIONS = 'scan-exceptions';
+const HANDOVERS = 'handovers';
+const DESTINATIONS = 'destinations';
+const REPORT_SCHEDULES = 'report-schedules';
+const REPORT_RUNS = 'report-runs';
+const WEBHOOKS = 'webhooks';
+const WEBHOOK_DELIVERIES = 'webhook-deliveries';
+const API_KEYS = 'api-keys';
+
+// Everything kept as generic records rather than scans, e.g. for the
+// JSON -> SQLite migration
+export const RECORD_COLLECTIONS = [
+  DISPATCH,
+  PENDING,
+  SHIFT_CLOSURES,
+  USERS,
+  AUDIT_LOG,
+  DISPATCH_VERSIONS,
+  DISPATCH_UPLOADS,
+  DISPATCH_TEMPLATES,
+  BARCODE_RULES,
+  SCAN_EXCEPTIONS,
+  HANDOVERS,
+  DESTINATIONS,
+  REPORT_SCHEDULES,
+  REPORT_RUNS,
+  WEBHOOKS,
+  WEBHOOK_DELIVERIES,
+  API_KEYS
+];
+
+const exclusive = createMutationQueue();
+
+// Run a read-check-write sequence on scans without other scan mutations
+// interleaving (duplicate check + insert, consignment recounts, ...)
+export function withScanLock(task) {
+  return exclusive('scans', task);
+}
+
+// Read-check-write on report runs (claiming a run before delivering it)
+export function withReportRunLock(task) {
+  return exclusive(REPORT_RUNS, task);
+}
+
+// Built from storage on first use, then kept current by the scan writes below
+let scanIndexPromise = null;
+
+async function getScanIndex() {
+  if (!scanIndexPromise) {
+    scanIndexPromise = getStorage()
+      .then(storage => storage.listScans())
+      .then(createScanIndex)
+      .catch(error => {
+        scanIndexPromise = null;
+        throw error;
+      });
   }
-  
-  return await writeData(SCANS_FILE, updatedScans);
+  return scanIndexPromise;
+}
+
+// Scans. Soft-deleted scans are left out unless includeDeleted is set.
+export async function getScans({ includeDeleted = false } = {}) {
+  const storage = await getStorage();
+  const scans = await storage.listScans();
+  return includeDeleted ? scans : scans.filter(scan => !scan.deletedAt);
+}
+
+// Indexed lookups, no full scan list needed
+
+// Scans between two Dates (either may be null), newest first
+export async function getScansBetween(start, end, { includeDeleted = false } = {}) {
+  const index = await getScanIndex();
+  const scans = index.listScansBetween(start, end);
+  return includeDeleted ? scans : scans.filter(scan => !scan.deletedAt);
+}
+export async function getScanById(scanId) {
+  const index = await getScanIndex();
+  return index.get(scanId);
+}
+
+export async function findScanByClientScanId(clientScanId) {
+  const index = await getScanIndex();
+  return index.findByClientScanId(clientScanId);
+}
+
+// Active scans of a box on the same day as `date`
+export async function findBoxScansOnDay(boxId, date) {
+  const index = await getScanIndex();
+  return index.findBoxScansOnDay(boxId, date);
+}
+
+export async function getConsignmentScans(consignment) {
+  const index = await getScanIndex();
+  return index.findConsignmentScans(consignment);
+}
+
+export async function getScanDestinationCounts() {
+  const index = await getScanIndex();
+  return index.getDestinationCounts();
+}
+
+// isDuplicate/duplicateCount for each scan, counted over the whole day
+export async function annotateDuplicates(scans) {
+  const index = await getScanIndex();
+  return scans.map(scan => ({ ...scan, ...index.duplicateInfo(scan) }));
+}
+
+// Dispatch data (uploaded manifest rows)
+export async function getDispatchData() {
+  const storage = await getStorage();
+  return await storage.listRecords(DISPATCH);
+}
+
+export async function updateDispatchData(rows) {
+  const storage = await getStorage();
+  return await storage.replaceRecords(DISPATCH, rows);
+}
+
+// Every manifest that was ever made active, numbered from 1
+export async function getDispatchVersions() {
+  const storage = await getStorage();
+  const versions = await storage.listRecords(DISPATCH_VERSIONS);
+  return versions.sort((a, b) => b.version - a.version);
+}
+
+export async function findDispatchVersion(version) {
+  const versions = await getDispatchVersions();
+  return versions.find(item => item.version === version) || null;
+}
+
+export async function addDispatchVersion(versionData) {
+  const storage = await getStorage();
+  const [latest] = await getDispatchVersions();
+  const versionWithId = {
+    id: generateId(),
+    version: (latest?.version || 0) + 1,
+    ...versionData,
+    uploadedAt: new Date()
+  };
+  await storage.appendRecord(DISPATCH_VERSIONS, versionWithId);
+  return versionWithId;
+}
+
+export async function updateDispatchVersion(versionId, updatedData) {
+  const storage = await getStorage();
+  return await storage.updateRecord(DISPATCH_VERSIONS, versionId, updatedData);
+}
+
+// Dispatch uploads parsed and waiting for an admin to confirm them
+export async function getDispatchUploads() {
+  const storage = await getStorage();
+  return await storage.listRecords(DISPATCH_UPLOADS);
+}
+
+export async function findDispatchUpload(uploadId) {
+  const uploads = await getDispatchUploads();
+  return uploads.find(upload => upload.id === uploadId) || null;
+}
+
+export async function addDispatchUpload(uploadData) {
+  const storage = await getStorage();
+  const uploadWithId = {
+    id: generateId(),
+    ...uploadData,
+    uploadedAt: new Date()
+  };
+  await storage.appendRecord(DISPATCH_UPLOADS, uploadWithId);
+  return uploadWithId;
+}
+
+export async function updateDispatchUpload(uploadId, updatedData) {
+  const storage = await getStorage();
+  return await storage.updateRecord(DISPATCH_UPLOADS, uploadId, updatedData);
+}
+
+export async function removeDispatchUpload(uploadId) {
+  const storage = await getStorage();
+  return await storage.removeRecord(DISPATCH_UPLOADS, uploadId);
+}
+
+// Saved column mappings, one per customer sheet layout
+export async function getDispatchTemplates() {
+  const storage = await getStorage();
+  return await storage.listRecords(DISPATCH_TEMPLATES);
+}
+
+export async function addDispatchTemplate(templateData) {
+  const storage = await getStorage();
+  const templateWithId = {
+    id: generateId(),
+    ...templateData,
+    updatedAt: new Date()
+  };
+  await storage.appendRecord(DISPATCH_TEMPLATES, templateWithId);
+  return templateWithId;
+}
+
+export async function updateDispatchTemplate(templateId, updatedData) {
+  const storage = await getStorage();
+  return await storage.updateRecord(DISPATCH_TEMPLATES, templateId, {
+    ...updatedData,
+    updatedAt: new Date()
+  });
+}
+
+export async function removeDispatchTemplate(templateId) {
+  const storage = await getStorage();
+  return await storage.removeRecord(DISPATCH_TEMPLATES, templateId);
+}
+
+// Customer barcode rules, tried in list order when parsing a scan
+export async function getBarcodeRules() {
+  const storage = await getStorage();
+  return await storage.listRecords(BARCODE_RULES);
+}
+
+export async function addBarcodeRule(ruleData) {
+  const storage = await getStorage();
+  const ruleWithId = {
+    id: generateId(),
+    ...ruleData,
+    updatedAt: new Date()
+  };
+  await storage.appendRecord(BARCODE_RULES, ruleWithId);
+  return ruleWithId;
+}
+
+export async function updateBarcodeRule(ruleId, updatedData) {
+  const storage = await getStorage();
+  return await storage.updateRecord(BARCODE_RULES, ruleId, {
+    ...updatedData,
+    updatedAt: new Date()
+  });
+}
+
+export async function removeBarcodeRule(ruleId) {
+  const storage = await getStorage();
+  return await storage.removeRecord(BARCODE_RULES, ruleId);
+}
+
+// Pending scans (boxes not found in dispatch data)
+export async function getPendingScans() {
+  const storage = await getStorage();
+  return await storage.listRecords(PENDING);
+}
+
+export async function addPendingScan(pendingData) {
+  const storage = await getStorage();
+  const pendingWithId = {
+    id: generateId(),
+    ...pendingData,
+    timestamp: new Date(pendingData.timestamp || new Date())
+  };
+  await storage.appendRecord(PENDING, pendingWithId);
+  return pendingWithId;
+}
+
+export async function removePendingScan(pendingId) {
+  const storage = await getStorage();
+  return await storage.removeRecord(PENDING, pendingId);
+}
+
+// Pending scans escalated after sitting too long, open until a later
+// manifest matches them or a supervisor resolves them
+export async function getScanExceptions() {
+  const storage = await getStorage();
+  return await storage.listRecords(SCAN_EXCEPTIONS);
+}
+
+export async function addScanException(exceptionData) {
+  const storage = await getStorage();
+  const exceptionWithId = {
+    id: generateId(),
+    status: 'open',
+    ...exceptionData,
+    escalatedAt: new Date()
+  };
+  await storage.appendRecord(SCAN_EXCEPTIONS, exceptionWithId);
+  return exceptionWithId;
+}
+
+export async function updateScanException(exceptionId, updatedData) {
+  const storage = await getStorage();
+  return await storage.updateRecord(SCAN_EXCEPTIONS, exceptionId, updatedData);
+}
+
+// Closed shifts and their summaries, newest first
+export async function getShiftClosures() {
+  const storage = await getStorage();
+  const closures = await storage.listRecords(SHIFT_CLOSURES);
+  return closures.sort((a, b) => new Date(b.closedAt) - new Date(a.closedAt));
+}
+
+export async function addShiftClosure(closureData) {
+  const storage = await getStorage();
+  const closureWithId = {
+    id: generateId(),
+    ...closureData,
+    closedAt: new Date(closureData.closedAt || new Date())
+  };
+  await storage.appendRecord(SHIFT_CLOSURES, closureWithId);
+  return closureWithId;
+}
+
+// Boxes handed over to a carrier, numbered from 1, newest first
+export async function getHandovers() {
+  const storage = await getStorage();
+  const handovers = await storage.listRecords(HANDOVERS);
+  return handovers.sort((a, b) => b.number - a.number);
+}
+
+export async function findHandover(handoverId) {
+  const handovers = await getHandovers();
+  return handovers.find(item => item.id === handoverId) || null;
+}
+
+export async function addHandover(handoverData) {
+  const storage = await getStorage();
+  const [latest] = await getHandovers();
+  const handoverWithId = {
+    id: generateId(),
+    number: (latest?.number || 0) + 1,
+    ...handoverData,
+    handedOverAt: new Date()
+  };
+  await storage.appendRecord(HANDOVERS, handoverWithId);
+  return handoverWithId;
+}
+
+export async function updateHandover(handoverId, updatedData) {
+  const storage = await getStorage();
+  return await storage.updateRecord(HANDOVERS, handoverId, updatedData);
+}
+
+// Destinations registry: canonical code, name, colour, dock and aliases
+export async function getDestinations() {
+  const storage = await getStorage();
+  const destinations = await storage.listRecords(DESTINATIONS);
+  return destinations.sort((a, b) => a.code.localeCompare(b.code));
+}
+
+export async function addDestination(destinationData) {
+  const storage = await getStorage();
+  const destinationWithId = {
+    id: generateId(),
+    ...destinationData,
+    updatedAt: new Date()
+  };
+  await storage.appendRecord(DESTINATIONS, destinationWithId);
+  return destinationWithId;
+}
+
+export async function updateDestination(destinationId, updatedData) {
+  const storage = await getStorage();
+  return await storage.updateRecord(DESTINATIONS, destinationId, {
+    ...updatedData,
+    updatedAt: new Date()
+  });
+}
+
+export async function removeDestination(destinationId) {
+  const storage = await getStorage();
+  return await storage.removeRecord(DESTINATIONS, destinationId);
+}
+
+// Scheduled reports and the log of their runs
+export async function getReportSchedules() {
+  const storage = await getStorage();
+  const schedules = await storage.listRecords(REPORT_SCHEDULES);
+  return schedules.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function addReportSchedule(scheduleData) {
+  const storage = await getStorage();
+  const scheduleWithId = {
+    id: generateId(),
+    lastRunAt: null,
+    ...scheduleData,
+    updatedAt: new Date()
+  };
+  await storage.appendRecord(REPORT_SCHEDULES, scheduleWithId);
+  return scheduleWithId;
+}
+
+export async function updateReportSchedule(scheduleId, updatedData) {
+  const storage = await getStorage();
+  return await storage.updateRecord(REPORT_SCHEDULES, scheduleId, updatedData);
+}
+
+export async function removeReportSchedule(scheduleId) {
+  const storage = await getStorage();
+  return await storage.removeRecord(REPORT_SCHEDULES, scheduleId);
+}
+
+// Newest first
+export async function getReportRuns() {
+  const storage = await getStorage();
+  const runs = await storage.listRecords(REPORT_RUNS);
+  return runs.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+}
+
+export async function addReportRun(runData) {
+  const storage = await getStorage();
+  const runWithId = {
+    id: generateId(),
+    ...runData,
+    startedAt: new Date()
+  };
+  await storage.appendRecord(REPORT_RUNS, runWithId);
+  return runWithId;
+}
+
+export async function updateReportRun(runId, updatedData) {
+  const storage = await getStorage();
+  return await storage.updateRecord(REPORT_RUNS, runId, updatedData);
+}
+
+// Outbound webhooks and their delivery log
+export async function getWebhooks() {
+  const storage = await getStorage();
+  const webhooks = await storage.listRecords(WEBHOOKS);
+  return webhooks.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function addWebhook(webhookData) {
+  const storage = await getStorage();
+  const webhookWithId = {
+    id: generateId(),
+    ...webhookData,
+    updatedAt: new Date()
+  };
+  await storage.appendRecord(WEBHOOKS, webhookWithId);
+  return webhookWithId;
+}
+
+export async function updateWebhook(webhookId, updatedData) {
+  const storage = await getStorage();
+  return await storage.updateRecord(WEBHOOKS, webhookId, {
+    ...updatedData,
+    updatedAt: new Date()
+  });
+}
+
+export async function removeWebhook(webhookId) {
+  const storage = await getStorage();
+  return await storage.removeRecord(WEBHOOKS, webhookId);
+}
+
+// Newest first
+export async function getWebhookDeliveries() {
+  const storage = await getStorage();
+  const deliveries = await storage.listRecords(WEBHOOK_DELIVERIES);
+  return deliveries.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+export async function addWebhookDelivery(deliveryData) {
+  const storage = await getStorage();
+  const deliveryWithId = {
+    id: generateId(),
+    ...deliveryData,
+    createdAt: new Date()
+  };
+  await storage.appendRecord(WEBHOOK_DELIVERIES, deliveryWithId);
+  return deliveryWithId;
+}
+
+export async function updateWebhookDelivery(deliveryId, updatedData) {
+  const storage = await getStorage();
+  return await storage.updateRecord(WEBHOOK_DELIVERIES, deliveryId, updatedData);
+}
+
+// Users (login accounts)
+export async function getUsers() {
+  const storage = await getStorage();
+  return await storage.listRecords(USERS);
+}
+
+export async function findUserByEmail(email) {
+  const normalized = (email || '').trim().toLowerCase();
+  const users = await getUsers();
+  return users.find(user => user.email === normalized) || null;
+}
+
+export async function findUserById(userId) {
+  const users = await getUsers();
+  return users.find(user => user.id === userId) || null;
+}
+
+export async function addUser(userData) {
+  const storage = await getStorage();
+  const userWithId = {
+    id: generateId(),
+    ...userData,
+    email: userData.email.trim().toLowerCase(),
+    createdAt: new Date()
+  };
+  await storage.appendRecord(USERS, userWithId);
+  return userWithId;
+}
+
+export async function updateUser(userId, updatedData) {
+  const storage = await getStorage();
+  return await storage.updateRecord(USERS, userId, updatedData);
+}
+
+// API keys for fixed scanners and integrations. Only a hash of each key
+// is stored; revoked keys stay on record.
+export async function getApiKeys() {
+  const storage = await getStorage();
+  const keys = await storage.listRecords(API_KEYS);
+  return keys.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function addApiKey(keyData) {
+  const storage = await getStorage();
+  const keyWithId = {
+    id: generateId(),
+    lastUsedAt: null,
+    revokedAt: null,
+    ...keyData,
+    createdAt: new Date()
+  };
+  await storage.appendRecord(API_KEYS, keyWithId);
+  return keyWithId;
+}
+
+export async function updateApiKey(keyId, updatedData) {
+  const storage = await getStorage();
+  return await storage.updateRecord(API_KEYS, keyId, updatedData);
+}
+
+// Audit log: append-only, there is deliberately no update or delete
+export async function getAuditLog() {
+  const storage = await getStorage();
+  return await storage.listRecords(AUDIT_LOG);
+}
+
+export async function appendAuditEntry(entryData) {
+  const storage = await getStorage();
+  const entryWithId = {
+    id: generateId(),
+    timestamp: new Date(),
+    ...entryData
+  };
+  await storage.appendRecord(AUDIT_LOG, entryWithId);
+  return entryWithId;
+}
+
+// Soft delete: the scan stays on record with who deleted it, when and why
+export async function deleteScan(scanId, { deletedBy, reason }) {
+  return await updateScan(scanId, {
+    deletedAt: new Date(),
+    deletedBy,
+    deleteReason: reason
+  });
+}
+
+// Undo a soft delete, keeping the previous deletion on the scan's history
+export async function restoreScan(scanId, { restoredBy }) {
+  const scan = await getScanById(scanId);
+  if (!scan?.deletedAt) {
+    return false;
+  }
+
+  return await updateScan(scanId, {
+    deletedAt: null,
+    deletedBy: null,
+    deleteReason: null,
+    restoredAt: new Date(),
+    restoredBy,
+    previousDeletion: {
+      deletedAt: scan.deletedAt,
+      deletedBy: scan.deletedBy,
+      reason: scan.deleteReason
+    }
+  });
 }
 
 // Update scan by ID
 export async function updateScan(scanId, updatedData) {
-  const scans = await getScans();
-  const scanIndex = scans.findIndex(scan => scan.id === scanId);
-  
-  if (scanIndex === -1) {
-    return false;
+  const storage = await getStorage();
+  const index = await getScanIndex();
+  const updated = await storage.updateScan(scanId, updatedData);
+  if (updated) {
+    index.update(scanId, updatedData);
   }
-  
-  scans[scanIndex] = { ...scans[scanIndex], ...updatedData };
-  return await writeData(SCANS_FILE, scans);
+  return updated;
+}
+
+// Apply the same update to every active scan of a consignment. Deleted
+// scans keep the values they had when they were deleted.
+export async function updateScansByConsignment(consignment, updatedData) {
+  const index = await getScanIndex();
+  const scanIds = index.findConsignmentScans(consignment).map(scan => scan.id);
+  return await updateScansByIds(scanIds, updatedData);
+}
+
+// Apply the same update to a set of scans
+export async function updateScansByIds(scanIds, updatedData) {
+  const storage = await getStorage();
+  const index = await getScanIndex();
+  const updated = await storage.updateScans({ ids: scanIds }, updatedData);
+  scanIds.forEach(scanId => index.update(scanId, updatedData));
+  return updated;
 }
 
 // Generate unique ID
@@ -31,14 +624,15 @@ function generateId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
-// In addScan function, add ID
 export async function addScan(scanData) {
-  const scans = await getScans();
+  const storage = await getStorage();
   const scanWithId = {
     id: generateId(),
     ...scanData,
     timestamp: new Date(scanData.timestamp || new Date())
   };
-  scans.unshift(scanWithId);
-  return await writeData(SCANS_FILE, scans);
+  const index = await getScanIndex();
+  await storage.insertScan(scanWithId);
+  index.add(scanWithId);
+  return scanWithId;
 }
@@ -0,0 +1,181 @@
+// In-memory index over scans, kept up to date by dataStore on every write
+// so duplicate checks, consignment lookups and history pages don't have to
+// walk the whole scan list. Only this process's writes are seen: run a single server
+// process per data directory.
+
+// Same day as Date#toDateString, i.e. the server's local day
+export const dayKey = (timestamp) => new Date(timestamp).toDateString();
+
+const dayBoxKey = (timestamp, boxId) => `${dayKey(timestamp)}|${boxId}`;
+
+const addToSet = (map, key, value) => {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(value);
+};
+
+const removeFromSet = (map, key, value) => {
+  const set = map.get(key);
+  if (!set) return;
+  set.delete(value);
+  if (set.size === 0) map.delete(key);
+};
+
+const toTime = (timestamp) => new Date(timestamp).getTime();
+
+// First position in `timeline` (ordered by time) whose time is >= time
+const lowerBound = (timeline, time) => {
+  let low = 0;
+  let high = timeline.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (timeline[middle].time < time) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+export function createScanIndex(scans = []) {
+  const byId = new Map();
+  const byDayBox = new Map();        // "day|boxId" -> active scan IDs
+  const byConsignment = new Map();   // consignment -> active scan IDs
+  const byClientScanId = new Map();  // station-generated ID -> scan ID
+  const destinationCounts = new Map();
+  const timeline = [];               // { time, id } of every scan, oldest first
+
+  const addToTimeline = (scan) => {
+    const time = toTime(scan.timestamp);
+    timeline.splice(lowerBound(timeline, time + 1), 0, { time, id: scan.id });
+  };
+
+  const removeFromTimeline = (scan) => {
+    const time = toTime(scan.timestamp);
+    for (let position = lowerBound(timeline, time); timeline[position]?.time === time; position++) {
+      if (timeline[position].id === scan.id) {
+        timeline.splice(position, 1);
+        return;
+      }
+    }
+  };
+
+  const link = (scan) => {
+    (scan.clientScanIds || []).forEach(clientScanId => byClientScanId.set(clientScanId, scan.id));
+    if (scan.deletedAt) return;
+
+    addToSet(byDayBox, dayBoxKey(scan.timestamp, scan.boxId), scan.id);
+    if (scan.consignment) {
+      addToSet(byConsignment, scan.consignment, scan.id);
+    }
+    if (scan.destination) {
+      destinationCounts.set(scan.destination, (destinationCounts.get(scan.destination) || 0) + 1);
+    }
+  };
+
+  const unlink = (scan) => {
+    if (scan.deletedAt) return;
+
+    removeFromSet(byDayBox, dayBoxKey(scan.timestamp, scan.boxId), scan.id);
+    if (scan.consignment) {
+      removeFromSet(byConsignment, scan.consignment, scan.id);
+    }
+    if (scan.destination) {
+      const count = destinationCounts.get(scan.destination) - 1;
+      if (count > 0) {
+        destinationCounts.set(scan.destination, count);
+      } else {
+        destinationCounts.delete(scan.destination);
+      }
+    }
+  };
+
+  const resolve = (ids) => (ids ? [...ids].map(id => byId.get(id)) : []);
+
+  const index = {
+    add(scan) {
+      byId.set(scan.id, scan);
+      addToTimeline(scan);
+      link(scan);
+    },
+
+    // Apply a partial update; returns the updated scan
+    update(scanId, updatedData) {
+      const before = byId.get(scanId);
+      if (!before) return null;
+
+      const after = { ...before, ...updatedData, id: scanId };
+      unlink(before);
+      byId.set(scanId, after);
+      if (toTime(after.timestamp) !== toTime(before.timestamp)) {
+        removeFromTimeline(before);
+        addToTimeline(after);
+      }
+      link(after);
+      return after;
+    },
+
+    remove(scanId) {
+      const scan = byId.get(scanId);
+      if (!scan) return;
+      unlink(scan);
+      removeFromTimeline(scan);
+      byId.delete(scanId);
+    },
+
+    get(scanId) {
+      return byId.get(scanId) || null;
+    },
+
+    findByClientScanId(clientScanId) {
+      return byId.get(byClientScanId.get(clientScanId)) || null;
+    },
+
+    // Active scans of a box on the day of `date`
+    findBoxScansOnDay(boxId, date) {
+      return resolve(byDayBox.get(dayBoxKey(date, boxId)));
+    },
+
+    // Scans, deleted ones included, between two Dates (either may be
+    // null), newest first like storage.listScans()
+    listScansBetween(start, end) {
+      const first = start ? lowerBound(timeline, start.getTime()) : 0;
+      const last = end ? lowerBound(timeline, end.getTime() + 1) : timeline.length;
+      const scans = [];
+      for (let position = last - 1; position >= first; position--) {
+        scans.push(byId.get(timeline[position].id));
+      }
+      return scans;
+    },
+
+    findConsignmentScans(consignment) {
+      return resolve(byConsignment.get(consignment));
+    },
+
+    countConsignmentScans(consignment) {
+      return byConsignment.get(consignment)?.size || 0;
+    },
+
+    // Times the box was scanned that day: one per active row plus the
+    // extra scans recorded on a row with "allow duplicates" on
+    duplicateInfo(scan) {
+      const sameDayScans = index.findBoxScansOnDay(scan.boxId, scan.timestamp);
+      const duplicateCount = sameDayScans.reduce((sum, item) => sum + (item.duplicateCount || 1), 0);
+      return { isDuplicate: duplicateCount > 1, duplicateCount };
+    },
+
+    getDestinationCounts() {
+      return Object.fromEntries(destinationCounts);
+    },
+
+    get size() {
+      return byId.size;
+    }
+  };
+
+  // Sorted once rather than inserted scan by scan
+  for (const scan of scans) {
+    byId.set(scan.id, scan);
+    timeline.push({ time: toTime(scan.timestamp), id: scan.id });
+    link(scan);
+  }
+  timeline.sort((a, b) => a.time - b.time);
+  return index;
+}
@@ -0,0 +1,43 @@
+// Storage adapter selection
+//
+// Every adapter implements the same interface:
+//   init()
+//   listScans()                        scans, newest first
+//   insertScan(scan)
+//   updateScan(scanId, updatedData)    -> false if not found
+//   updateScans(where, updatedData)    where: { ids } or { consignment }
+//   removeScan(scanId)                 -> false if not found
+//   listRecords(collection)            generic collections, insertion order
+//   appendRecord(collection, record)
+//   updateRecord(collection, recordId, updatedData)
+//   removeRecord(collection, recordId)
+//   replaceRecords(collection, records)
+import { storageConfig } from '../../config/storage.js';
+import { createJsonAdapter } from './jsonAdapter.js';
+import { createSqliteAdapter } from './sqliteAdapter.js';
+
+export function createStorage(config = storageConfig) {
+  switch (config.backend) {
+    case 'json':
+      return createJsonAdapter(config);
+    case 'sqlite':
+      return createSqliteAdapter(config);
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${config.backend}" (expected json or sqlite)`);
+  }
+}
+
+let storagePromise;
+
+// Shared, initialised adapter for the configured backend
+export function getStorage() {
+  if (!storagePromise) {
+    storagePromise = (async () => {
+      const storage = createStorage();
+      await storage.init();
+      console.log(`💾 Using ${storage.name} storage`);
+      return storage;
+    })();
+  }
+  return storagePromise;
+}
@@ -0,0 +1,134 @@
+// JSON file storage: one file per collection, rewritten on every change.
+// Changes to a file are queued so concurrent requests can't overwrite each
+// other, and each rewrite goes to a temp file that is renamed into place.
+import fs from 'fs/promises';
+import path from 'path';
+import { createMutationQueue } from './mutationQueue.js';
+
+export function createJsonAdapter({ dataDir }) {
+  const fileFor = (collection) => path.join(dataDir, `${collection}.json`);
+  const queue = createMutationQueue();
+  let tempCounter = 0;
+
+  // Read a JSON data file, returning the fallback if it doesn't exist yet
+  async function readData(collection, fallback = []) {
+    try {
+      const content = await fs.readFile(fileFor(collection), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return fallback;
+      }
+      throw error;
+    }
+  }
+
+  // Rename is atomic, so readers see either the old or the new file
+  async function writeData(collection, data) {
+    const filePath = fileFor(collection);
+    const tempPath = `${filePath}.${process.pid}.${++tempCounter}.tmp`;
+
+    await fs.mkdir(dataDir, { recursive: true });
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.rm(tempPath, { force: true });
+      throw error;
+    }
+    return true;
+  }
+
+  // Queued read-modify-write. The updater returns the new contents, or
+  // undefined to leave the file untouched (the mutation then returns false).
+  function mutate(collection, updater) {
+    return queue(collection, async () => {
+      const records = await readData(collection);
+      const updated = updater(records);
+      if (updated === undefined) {
+        return false;
+      }
+      return await writeData(collection, updated);
+    });
+  }
+
+  const matches = (scan, { ids, consignment }) =>
+    (ids ? ids.has(scan.id) : true) &&
+    (consignment !== undefined ? scan.consignment === consignment : true);
+
+  return {
+    name: 'json',
+
+    async init() {
+      await fs.mkdir(dataDir, { recursive: true });
+    },
+
+    // Scans, newest first
+    async listScans() {
+      return await readData('scans');
+    },
+
+    async insertScan(scan) {
+      return await mutate('scans', scans => [scan, ...scans]);
+    },
+
+    async updateScan(scanId, updatedData) {
+      return await mutate('scans', scans => {
+        const scanIndex = scans.findIndex(scan => scan.id === scanId);
+        if (scanIndex === -1) {
+          return undefined;
+        }
+
+        scans[scanIndex] = { ...scans[scanIndex], ...updatedData };
+        return scans;
+      });
+    },
+
+    // where: { ids?: string[], consignment?: string }
+    async updateScans(where, updatedData) {
+      const criteria = { ...where, ids: where.ids && new Set(where.ids) };
+      return await mutate('scans', scans => scans.map(scan =>
+        matches(scan, criteria) ? { ...scan, ...updatedData } : scan
+      ));
+    },
+
+    async removeScan(scanId) {
+      return await mutate('scans', scans => {
+        const updatedScans = scans.filter(scan => scan.id !== scanId);
+        return updatedScans.length === scans.length ? undefined : updatedScans;
+      });
+    },
+
+    // Generic record collections, in insertion order
+    async listRecords(collection) {
+      return await readData(collection);
+    },
+
+    async appendRecord(collection, record) {
+      return await mutate(collection, records => [...records, record]);
+    },
+
+    async updateRecord(collection, recordId, updatedData) {
+      return await mutate(collection, records => {
+        const index = records.findIndex(record => record.id === recordId);
+        if (index === -1) {
+          return undefined;
+        }
+
+        records[index] = { ...records[index], ...updatedData };
+        return records;
+      });
+    },
+
+    async removeRecord(collection, recordId) {
+      return await mutate(collection, records => {
+        const updatedRecords = records.filter(record => record.id !== recordId);
+        return updatedRecords.length === records.length ? undefined : updatedRecords;
+      });
+    },
+
+    async replaceRecords(collection, records) {
+      return await mutate(collection, () => records);
+    }
+  };
+}
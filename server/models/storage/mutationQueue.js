@@ -0,0 +1,21 @@
+// Serializes async work per key: tasks queued under the same key run one
+// at a time, in the order they were queued.
+export function createMutationQueue() {
+  const tails = new Map();
+
+  return function run(key, task) {
+    const previous = tails.get(key) || Promise.resolve();
+    const result = previous.then(() => task());
+
+    // The next task waits for this one whether it succeeds or fails
+    const tail = result.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) {
+        tails.delete(key);
+      }
+    });
+
+    return result;
+  };
+}
@@ -0,0 +1,181 @@
+// SQLite storage: scans get their own indexed table, every other
+// collection lives in a generic records table as JSON documents.
+import fs from 'fs/promises';
+import path from 'path';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS scans (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    boxId TEXT,
+    consignment TEXT,
+    timestamp TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_scans_box_id ON scans (boxId);
+  CREATE INDEX IF NOT EXISTS idx_scans_timestamp ON scans (timestamp);
+  CREATE INDEX IF NOT EXISTS idx_scans_consignment ON scans (consignment);
+
+  CREATE TABLE IF NOT EXISTS records (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    collection TEXT NOT NULL,
+    id TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_records_collection ON records (collection, id);
+`;
+
+const toIsoString = (value) => (value ? new Date(value).toISOString() : null);
+
+// Indexed columns are copied out of the document on every write
+const scanColumns = (scan) => ({
+  id: scan.id,
+  boxId: scan.boxId ?? null,
+  consignment: scan.consignment ?? null,
+  timestamp: toIsoString(scan.timestamp),
+  data: JSON.stringify(scan)
+});
+
+const parseRows = (rows) => rows.map(row => JSON.parse(row.data));
+
+export function createSqliteAdapter({ sqliteFile }) {
+  let db;
+  let statements;
+
+  const getScanById = (scanId) => {
+    const row = statements.selectScan.get(scanId);
+    return row ? JSON.parse(row.data) : null;
+  };
+
+  return {
+    name: 'sqlite',
+
+    async init() {
+      // Loaded lazily so the JSON backend doesn't need the native module
+      const { default: Database } = await import('better-sqlite3');
+
+      await fs.mkdir(path.dirname(sqliteFile), { recursive: true });
+      db = new Database(sqliteFile);
+      db.pragma('journal_mode = WAL');
+      db.exec(SCHEMA);
+
+      statements = {
+        listScans: db.prepare('SELECT data FROM scans ORDER BY timestamp DESC, seq DESC'),
+        selectScan: db.prepare('SELECT data FROM scans WHERE id = ?'),
+        selectScansByConsignment: db.prepare('SELECT data FROM scans WHERE consignment = ?'),
+        insertScan: db.prepare(`
+          INSERT INTO scans (id, boxId, consignment, timestamp, data)
+          VALUES (@id, @boxId, @consignment, @timestamp, @data)
+        `),
+        updateScan: db.prepare(`
+          UPDATE scans SET boxId = @boxId, consignment = @consignment,
+            timestamp = @timestamp, data = @data
+          WHERE id = @id
+        `),
+        deleteScan: db.prepare('DELETE FROM scans WHERE id = ?'),
+        listRecords: db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY seq'),
+        selectRecord: db.prepare('SELECT seq, data FROM records WHERE collection = ? AND id = ?'),
+        insertRecord: db.prepare('INSERT INTO records (collection, id, data) VALUES (?, ?, ?)'),
+        updateRecord: db.prepare('UPDATE records SET data = ? WHERE seq = ?'),
+        deleteRecord: db.prepare('DELETE FROM records WHERE collection = ? AND id = ?'),
+        clearRecords: db.prepare('DELETE FROM records WHERE collection = ?')
+      };
+    },
+
+    async listScans() {
+      return parseRows(statements.listScans.all());
+    },
+
+    async insertScan(scan) {
+      statements.insertScan.run(scanColumns(scan));
+      return true;
+    },
+
+    async updateScan(scanId, updatedData) {
+      const scan = getScanById(scanId);
+      if (!scan) {
+        return false;
+      }
+
+      statements.updateScan.run(scanColumns({ ...scan, ...updatedData, id: scanId }));
+      return true;
+    },
+
+    // where: { ids?: string[], consignment?: string }
+    async updateScans(where, updatedData) {
+      const scans = where.ids
+        ? where.ids.map(getScanById).filter(Boolean)
+        : parseRows(statements.selectScansByConsignment.all(where.consignment));
+
+      const applyUpdates = db.transaction((rows) => {
+        for (const scan of rows) {
+          statements.updateScan.run(scanColumns({ ...scan, ...updatedData, id: scan.id }));
+        }
+      });
+      applyUpdates(scans);
+      return true;
+    },
+
+    async removeScan(scanId) {
+      return statements.deleteScan.run(scanId).changes > 0;
+    },
+
+    async listRecords(collection) {
+      return parseRows(statements.listRecords.all(collection));
+    },
+
+    async appendRecord(collection, record) {
+      statements.insertRecord.run(collection, record.id ?? null, JSON.stringify(record));
+      return true;
+    },
+
+    async updateRecord(collection, recordId, updatedData) {
+      const row = statements.selectRecord.get(collection, recordId);
+      if (!row) {
+        return false;
+      }
+
+      const record = { ...JSON.parse(row.data), ...updatedData };
+      statements.updateRecord.run(JSON.stringify(record), row.seq);
+      return true;
+    },
+
+    async removeRecord(collection, recordId) {
+      return statements.deleteRecord.run(collection, recordId).changes > 0;
+    },
+
+    async replaceRecords(collection, records) {
+      const replace = db.transaction((items) => {
+        statements.clearRecords.run(collection);
+        for (const record of items) {
+          statements.insertRecord.run(collection, record.id ?? null, JSON.stringify(record));
+        }
+      });
+      replace(records);
+      return true;
+    },
+
+    // Bulk load used by the JSON migration; re-imported IDs are replaced
+    async importScans(scans) {
+      const upsert = db.prepare(`
+        INSERT OR REPLACE INTO scans (id, boxId, consignment, timestamp, data)
+        VALUES (@id, @boxId, @consignment, @timestamp, @data)
+      `);
+      const insertAll = db.transaction((items) => {
+        for (const scan of items) {
+          upsert.run(scanColumns(scan));
+        }
+      });
+      insertAll(scans);
+      return scans.length;
+    },
+
+    async countScans() {
+      return db.prepare('SELECT COUNT(*) AS count FROM scans').get().count;
+    },
+
+    async close() {
+      db?.close();
+    }
+  };
+}
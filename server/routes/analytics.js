@@ -0,0 +1,16 @@
+import express from 'express';
+import {
+  getAnalytics,
+  getAnalyticsSection,
+  exportAnalytics
+} from '../controllers/analyticsController.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Range parameters on all of them: from, to (YYYY-MM-DD), granularity=hour|day|week
+router.get('/', requireRole('supervisor'), getAnalytics);
+router.get('/export', requireRole('supervisor'), exportAnalytics); // format=excel|csv|json, section= for csv
+router.get('/:section', requireRole('supervisor'), getAnalyticsSection);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+  getApiKeyList,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey
+} from '../controllers/apiKeyController.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/', requireRole('admin'), getApiKeyList);
+router.post('/', requireRole('admin'), createApiKey);
+router.post('/:keyId/rotate', requireRole('admin'), rotateApiKey);
+router.delete('/:keyId', requireRole('admin'), revokeApiKey);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { getAudit } from '../controllers/auditController.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/', requireRole('supervisor'), getAudit);
+
+export default router;
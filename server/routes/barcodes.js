@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  testBarcode
+} from '../controllers/barcodeController.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.post('/parse', testBarcode);
+
+router.get('/rules', getRules);
+router.post('/rules', requireRole('admin'), createRule);
+router.put('/rules/:ruleId', requireRole('admin'), updateRule);
+router.delete('/rules/:ruleId', requireRole('admin'), deleteRule);
+
+export default router;
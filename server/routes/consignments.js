@@ -0,0 +1,9 @@
+import express from 'express';
+import { getConsignments, getConsignment } from '../controllers/consignmentController.js';
+
+const router = express.Router();
+
+router.get('/', getConsignments);
+router.get('/:consignmentId', getConsignment);
+
+export default router;
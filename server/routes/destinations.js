@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+  getDestinationList,
+  createDestination,
+  updateDestination,
+  deleteDestination
+} from '../controllers/destinationController.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/', getDestinationList);
+router.post('/', requireRole('admin'), createDestination);
+router.put('/:destinationId', requireRole('admin'), updateDestination);
+router.delete('/:destinationId', requireRole('admin'), deleteDestination);
+
+export default router;
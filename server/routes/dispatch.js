@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  previewDispatchUpload,
+  remapDispatchUpload,
+  commitDispatchUpload,
+  discardDispatchUpload,
+  getTemplates,
+  saveTemplate,
+  deleteTemplate,
+  getVersions,
+  getVersionDiff,
+  rollbackVersion
+} from '../controllers/dispatchController.js';
+import { upload } from '../middleware/upload.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Uploads are a dry run until committed
+router.post('/uploads', requireRole('admin'), upload.single('file'), previewDispatchUpload);
+router.post('/uploads/:uploadId/mapping', requireRole('admin'), remapDispatchUpload);
+router.post('/uploads/:uploadId/commit', requireRole('admin'), commitDispatchUpload);
+router.delete('/uploads/:uploadId', requireRole('admin'), discardDispatchUpload);
+
+router.get('/versions', getVersions);
+router.get('/versions/:version/diff', getVersionDiff); // ?against=<version>
+router.post('/versions/:version/rollback', requireRole('admin'), rollbackVersion);
+
+router.get('/templates', getTemplates);
+router.put('/templates', requireRole('admin'), saveTemplate);
+router.delete('/templates/:templateId', requireRole('admin'), deleteTemplate);
+
+export default router;
@@ -0,0 +1,8 @@
+import express from 'express';
+import { streamEvents } from '../controllers/eventController.js';
+
+const router = express.Router();
+
+router.get('/', streamEvents);
+
+export default router;
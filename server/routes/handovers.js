@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  getHandoverList,
+  getHandover,
+  createHandover,
+  getHandoverReceipt
+} from '../controllers/handoverController.js';
+import { imageUpload } from '../middleware/upload.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/', getHandoverList); // ?consignment=&scanId=
+router.post('/', requireRole('supervisor'), imageUpload.single('photo'), createHandover);
+router.get('/:handoverId', getHandover);
+router.get('/:handoverId/receipt', getHandoverReceipt); // ?format=pdf|html
+
+export default router;
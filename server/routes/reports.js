@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  getReportOptions,
+  getScheduleList,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runScheduleNow,
+  getRunList,
+  retryReportRun
+} from '../controllers/reportController.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/options', requireRole('admin'), getReportOptions);
+router.get('/schedules', requireRole('admin'), getScheduleList);
+router.post('/schedules', requireRole('admin'), createSchedule);
+router.put('/schedules/:scheduleId', requireRole('admin'), updateSchedule);
+router.delete('/schedules/:scheduleId', requireRole('admin'), deleteSchedule);
+router.post('/schedules/:scheduleId/run', requireRole('admin'), runScheduleNow);
+router.get('/runs', requireRole('admin'), getRunList); // ?scheduleId=&status=
+router.post('/runs/:runId/retry', requireRole('admin'), retryReportRun);
+
+export default router;
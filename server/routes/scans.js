@@ -1,28 +1,36 @@
 import express from 'express';
 import {
   scanBox,
-  getScans,
+  scanBulk,
   getFilteredScans,
   getDestinationCounts,
   getPendingScans,
   processPendingScans,
+  getExceptions,
+  resolveException,
   exportScans,
   uploadDispatchData,
   deleteScan,
+  restoreScan,
   getScansWithDuplicates
 } from '../controllers/scanController.js';
 import { upload } from '../middleware/upload.js';
+import { requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
 
 router.post('/scan', scanBox);
+router.post('/bulk', scanBulk); // { scans: [{ boxId, scannedAt, clientScanId, allowDuplicate }] }
 router.get('/history', getScansWithDuplicates); // Updated to include duplicates
 router.get('/filtered', getFilteredScans);
 router.get('/counts', getDestinationCounts);
 router.get('/pending', getPendingScans);
-router.post('/process-pending', processPendingScans);
-router.get('/export', exportScans);
-router.post('/upload-dispatch', upload.single('file'), uploadDispatchData);
-router.delete('/:scanId', deleteScan); // New delete endpoint
+router.post('/process-pending', requireRole('supervisor'), processPendingScans);
+router.get('/exceptions', getExceptions); // status=open|resolved|all
+router.post('/exceptions/:exceptionId/resolve', requireRole('supervisor'), resolveException);
+router.get('/export', exportScans); // format=excel|csv|pdf|json, same filters as /filtered
+router.post('/upload-dispatch', requireRole('admin'), upload.single('file'), uploadDispatchData);
+router.delete('/:scanId', requireRole('supervisor'), deleteScan); // Soft delete, needs { reason }
+router.post('/:scanId/restore', requireRole('supervisor'), restoreScan);
 
 export default router;
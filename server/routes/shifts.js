@@ -0,0 +1,11 @@
+import express from 'express';
+import { getShifts, closeShift, getShiftClosure } from '../controllers/shiftController.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/', getShifts);
+router.post('/close', requireRole('supervisor'), closeShift);
+router.get('/closures/:closureId', getShiftClosure);
+
+export default router;
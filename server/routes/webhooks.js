@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getWebhookEvents,
+  getWebhookList,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveryList,
+  redeliverWebhook
+} from '../controllers/webhookController.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/events', requireRole('admin'), getWebhookEvents);
+router.get('/', requireRole('admin'), getWebhookList);
+router.post('/', requireRole('admin'), createWebhook);
+router.put('/:webhookId', requireRole('admin'), updateWebhook);
+router.delete('/:webhookId', requireRole('admin'), deleteWebhook);
+router.get('/deliveries', requireRole('admin'), getDeliveryList); // ?webhookId=&event=&status=
+router.post('/deliveries/:deliveryId/redeliver', requireRole('admin'), redeliverWebhook);
+
+export default router;
@@ -0,0 +1,104 @@
+// Benchmark of duplicate detection: full-list scans vs the scan index
+// Usage:
+//   node scripts/benchmark-scan-index.js [scans] [days]
+// Generates the scans in memory (no storage involved) and times the old
+// per-request filters against the indexed lookups used now. The old history
+// annotation is quadratic, so it is timed on a sample and extrapolated.
+import { performance } from 'perf_hooks';
+import { createScanIndex } from '../models/scanIndex.js';
+
+const scanCount = parseInt(process.argv[2], 10) || 500000;
+const dayCount = parseInt(process.argv[3], 10) || 60;
+const BOXES_PER_CONSIGNMENT = 20;
+const LEGACY_CHECKS = 10;
+const LEGACY_ANNOTATION_SAMPLE = 20;
+const INDEXED_CHECKS = 100000;
+
+const time = (task) => {
+  const start = performance.now();
+  const result = task();
+  return { result, ms: performance.now() - start };
+};
+
+const formatMs = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${ms.toFixed(4)} ms`);
+
+// Spread over `dayCount` days, about 1% of boxes scanned twice the same day
+const generateScans = () => {
+  const firstDay = Date.now() - dayCount * 24 * 60 * 60 * 1000;
+  const perDay = Math.ceil(scanCount / dayCount);
+
+  return Array.from({ length: scanCount }, (_, i) => {
+    const day = Math.floor(i / perDay);
+    const repeat = i % 100 === 99;
+    const box = repeat ? i - 1 : i;
+    return {
+      id: `scan-${i}`,
+      boxId: `BOX-${box}`,
+      consignment: `CN-${Math.floor(box / BOXES_PER_CONSIGNMENT)}`,
+      destination: `DEST-${box % 12}`,
+      timestamp: new Date(firstDay + day * 24 * 60 * 60 * 1000 + (i % perDay) * 1000).toISOString()
+    };
+  });
+};
+
+// What recordScan did before: filter today's scans, then look for the box
+const legacyDuplicateCheck = (scans, boxId, date) => {
+  const day = date.toDateString();
+  const todayScans = scans.filter(scan => new Date(scan.timestamp).toDateString() === day);
+  return todayScans.find(scan => scan.boxId === boxId);
+};
+
+// What getScansWithDuplicates did for every row
+const legacyAnnotate = (scans, scan) => scans.filter(s =>
+  s.boxId === scan.boxId &&
+  new Date(s.timestamp).toDateString() === new Date(scan.timestamp).toDateString()
+).length;
+
+console.log(`🧪 Generating ${scanCount.toLocaleString()} scans over ${dayCount} days...`);
+const scans = generateScans();
+const probes = Array.from({ length: INDEXED_CHECKS }, (_, i) => scans[(i * 7919) % scans.length]);
+
+const build = time(() => createScanIndex(scans));
+const index = build.result;
+console.log(`📇 Index built in ${formatMs(build.ms)} (${index.size.toLocaleString()} scans)`);
+
+const legacyCheck = time(() => {
+  for (let i = 0; i < LEGACY_CHECKS; i++) {
+    const probe = probes[i];
+    legacyDuplicateCheck(scans, probe.boxId, new Date(probe.timestamp));
+  }
+});
+const indexedCheck = time(() => {
+  for (const probe of probes) {
+    index.findBoxScansOnDay(probe.boxId, probe.timestamp);
+  }
+});
+
+const legacyCheckMs = legacyCheck.ms / LEGACY_CHECKS;
+const indexedCheckMs = indexedCheck.ms / probes.length;
+console.log('\n🔍 Duplicate check per scan');
+console.log(`   full list: ${formatMs(legacyCheckMs)}`);
+console.log(`   indexed:   ${formatMs(indexedCheckMs)}  (${Math.round(legacyCheckMs / indexedCheckMs).toLocaleString()}x faster)`);
+
+const legacyAnnotation = time(() => {
+  for (let i = 0; i < LEGACY_ANNOTATION_SAMPLE; i++) {
+    legacyAnnotate(scans, probes[i]);
+  }
+});
+const indexedAnnotation = time(() => scans.map(scan => index.duplicateInfo(scan)));
+
+const legacyAnnotationMs = (legacyAnnotation.ms / LEGACY_ANNOTATION_SAMPLE) * scans.length;
+console.log('\n🏷️  Duplicate annotation of the whole history');
+console.log(`   full list: ~${formatMs(legacyAnnotationMs)} (extrapolated from ${LEGACY_ANNOTATION_SAMPLE} rows)`);
+console.log(`   indexed:   ${formatMs(indexedAnnotation.ms)}  (${Math.round(legacyAnnotationMs / indexedAnnotation.ms).toLocaleString()}x faster)`);
+
+// Sanity check: both approaches agree on the sample
+for (let i = 0; i < LEGACY_ANNOTATION_SAMPLE; i++) {
+  const legacy = legacyAnnotate(scans, probes[i]);
+  const indexed = index.findBoxScansOnDay(probes[i].boxId, probes[i].timestamp).length;
+  if (legacy !== indexed) {
+    console.error(`❌ Mismatch for ${probes[i].boxId}: ${legacy} vs ${indexed}`);
+    process.exit(1);
+  }
+}
+console.log('\n✅ Indexed lookups match the full-list results');
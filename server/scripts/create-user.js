@@ -0,0 +1,40 @@
+// Create a login account, or reset the password and role of an existing one
+// Usage:
+//   node scripts/create-user.js <email> <password> [role] [name]
+// Roles: scanner (default), supervisor, admin
+import { findUserByEmail, addUser, updateUser } from '../models/dataStore.js';
+import { hashPassword } from '../services/auth.js';
+import { ROLES } from '../middleware/auth.js';
+
+async function run() {
+  const [email, password, role = 'scanner', name] = process.argv.slice(2);
+  if (!email || !password) {
+    console.log('Usage: node scripts/create-user.js <email> <password> [role] [name]');
+    process.exit(1);
+  }
+  if (!ROLES.includes(role)) {
+    console.log(`Unknown role "${role}" (expected one of ${ROLES.join(', ')})`);
+    process.exit(1);
+  }
+
+  const passwordHash = await hashPassword(password);
+  const existing = await findUserByEmail(email);
+
+  if (existing) {
+    await updateUser(existing.id, {
+      passwordHash,
+      role,
+      name: name || existing.name,
+      sessionVersion: (existing.sessionVersion || 0) + 1
+    });
+    console.log(`🔁 Updated ${existing.email} (${role})`);
+  } else {
+    const user = await addUser({ email, name: name || email.split('@')[0], role, passwordHash });
+    console.log(`✅ Created ${user.email} (${role})`);
+  }
+}
+
+run().catch(err => {
+  console.error('❌ Failed:', err.message);
+  process.exit(1);
+});
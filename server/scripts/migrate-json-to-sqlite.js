@@ -0,0 +1,44 @@
+// One-shot migration of the JSON data files into SQLite
+// Usage:
+//   node scripts/migrate-json-to-sqlite.js [--force]
+// Reads DATA_DIR and writes SQLITE_FILE (see config/storage.js). Refuses to
+// run against a database that already holds scans unless --force is given.
+import { storageConfig } from '../config/storage.js';
+import { createJsonAdapter } from '../models/storage/jsonAdapter.js';
+import { createSqliteAdapter } from '../models/storage/sqliteAdapter.js';
+import { RECORD_COLLECTIONS } from '../models/dataStore.js';
+
+async function migrate({ force }) {
+  const source = createJsonAdapter(storageConfig);
+  const target = createSqliteAdapter(storageConfig);
+  await target.init();
+
+  try {
+    const existing = await target.countScans();
+    if (existing > 0 && !force) {
+      throw new Error(`${storageConfig.sqliteFile} already contains ${existing} scans (use --force to import anyway)`);
+    }
+
+    // Oldest first so insertion order matches the JSON files
+    const scans = (await source.listScans()).reverse();
+    await target.importScans(scans);
+    console.log(`✅ Imported ${scans.length} scans`);
+
+    for (const collection of RECORD_COLLECTIONS) {
+      const records = await source.listRecords(collection);
+      await target.replaceRecords(collection, records);
+      console.log(`✅ Imported ${records.length} ${collection} records`);
+    }
+
+    console.log(`\nDone. Start the server with STORAGE_BACKEND=sqlite to use ${storageConfig.sqliteFile}`);
+  } finally {
+    await target.close();
+  }
+}
+
+const force = process.argv.includes('--force');
+
+migrate({ force }).catch(err => {
+  console.error('❌ Migration failed:', err.message);
+  process.exit(1);
+});
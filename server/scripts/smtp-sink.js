@@ -0,0 +1,116 @@
+// Local SMTP stand-in for trying out emailed reports. Accepts every message
+// and saves it as an .eml file instead of sending it anywhere.
+// Usage:
+//   node scripts/smtp-sink.js [--port 2525] [--dir ./smtp-sink] [--fail N]
+// --fail N rejects the first N messages with a temporary error, to watch
+// the scheduler retry. Point the server at it with SMTP_HOST=localhost
+// SMTP_PORT=2525.
+import net from 'net';
+import fs from 'fs/promises';
+import path from 'path';
+
+const readOption = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : process.argv[index + 1];
+};
+
+const port = Number(readOption('port', 2525));
+const dir = path.resolve(readOption('dir', 'smtp-sink'));
+let failuresLeft = Number(readOption('fail', 0));
+let received = 0;
+
+function handleConnection(socket) {
+  let buffer = '';
+  let envelope = { from: null, to: [] };
+  let data = null;
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  const finishMessage = async () => {
+    const message = data.join('\r\n');
+    data = null;
+
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      console.log(`✋ Rejected message from ${envelope.from} (${failuresLeft} more to reject)`);
+      reply('451 4.3.0 Temporary failure requested with --fail');
+    } else {
+      received += 1;
+      const file = path.join(dir, `${Date.now()}-${received}.eml`);
+      await fs.writeFile(file, message);
+      console.log(`📨 ${envelope.from} -> ${envelope.to.join(', ')} saved to ${file}`);
+      reply(`250 2.0.0 Ok: queued as sink-${received}`);
+    }
+    envelope = { from: null, to: [] };
+  };
+
+  const handleLine = async (line) => {
+    if (data) {
+      if (line === '.') {
+        return await finishMessage();
+      }
+      // Undo dot-stuffing
+      data.push(line.startsWith('..') ? line.slice(1) : line);
+      return;
+    }
+
+    const command = line.slice(0, 4).toUpperCase();
+    if (command === 'EHLO') {
+      reply('250-smtp-sink');
+      reply('250-8BITMIME');
+      reply('250 SIZE 52428800');
+    } else if (command === 'HELO') {
+      reply('250 smtp-sink');
+    } else if (command === 'MAIL') {
+      envelope = { from: line.match(/<(.*)>/)?.[1] || '', to: [] };
+      reply('250 2.1.0 Ok');
+    } else if (command === 'RCPT') {
+      envelope.to.push(line.match(/<(.*)>/)?.[1] || '');
+      reply('250 2.1.5 Ok');
+    } else if (command === 'DATA') {
+      data = [];
+      reply('354 End data with <CR><LF>.<CR><LF>');
+    } else if (command === 'RSET') {
+      envelope = { from: null, to: [] };
+      reply('250 2.0.0 Ok');
+    } else if (command === 'NOOP') {
+      reply('250 2.0.0 Ok');
+    } else if (command === 'QUIT') {
+      reply('221 2.0.0 Bye');
+      socket.end();
+    } else {
+      reply('502 5.5.2 Command not implemented');
+    }
+  };
+
+  // Lines are handled one at a time so a message is saved before the next
+  // command is answered
+  let queue = Promise.resolve();
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let newline;
+    while ((newline = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 2);
+      queue = queue.then(() => handleLine(line)).catch(error => {
+        console.error('Error handling SMTP command:', error);
+        reply('451 4.3.0 Local error');
+      });
+    }
+  });
+  socket.on('error', error => console.error('SMTP connection error:', error.message));
+
+  reply('220 smtp-sink ready');
+}
+
+async function run() {
+  await fs.mkdir(dir, { recursive: true });
+  net.createServer(handleConnection).listen(port, () => {
+    console.log(`📭 SMTP sink listening on port ${port}, saving messages to ${dir}`);
+  });
+}
+
+run().catch(error => {
+  console.error('❌ SMTP sink failed to start:', error);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+// Concurrency stress test for scan recording
+// Usage:
+//   node scripts/stress-scans.js [boxes] [stations]
+// Every station scans every manifest box at the same time, plus a batch of
+// unknown boxes. Runs against a throwaway data directory with the configured
+// STORAGE_BACKEND and exits non-zero if a scan is lost or accepted twice.
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const BOXES_PER_CONSIGNMENT = 10;
+const boxCount = parseInt(process.argv[2], 10) || 200;
+const stationCount = parseInt(process.argv[3], 10) || 4;
+const unknownCount = Math.ceil(boxCount / 10);
+
+const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scan-stress-'));
+process.env.DATA_DIR = tempDir;
+process.env.SQLITE_FILE = path.join(tempDir, 'stress.db');
+
+// Imported after the environment is set so storage picks up the temp paths
+const { updateDispatchData, getScans, getPendingScans } = await import('../models/dataStore.js');
+const { recordScan } = await import('../services/scanRecorder.js');
+
+const manifest = Array.from({ length: boxCount }, (_, i) => ({
+  'Box ID': `BOX-${i}`,
+  Consignment: `CN-${Math.floor(i / BOXES_PER_CONSIGNMENT)}`,
+  Destination: `DEST-${i % 5}`,
+  'Total Box': Math.min(BOXES_PER_CONSIGNMENT, boxCount - Math.floor(i / BOXES_PER_CONSIGNMENT) * BOXES_PER_CONSIGNMENT)
+}));
+
+async function run() {
+  await updateDispatchData(manifest);
+
+  const attempts = [];
+  for (let station = 0; station < stationCount; station++) {
+    for (const row of manifest) {
+      attempts.push(recordScan({ boxId: row['Box ID'], userEmail: `station${station}@dock` }));
+    }
+  }
+  for (let i = 0; i < unknownCount; i++) {
+    attempts.push(recordScan({ boxId: `UNKNOWN-${i}`, userEmail: 'station0@dock' }));
+  }
+
+  console.log(`🔨 Firing ${attempts.length} concurrent scans (${boxCount} boxes × ${stationCount} stations + ${unknownCount} unknown)`);
+  const started = Date.now();
+  const results = await Promise.all(attempts);
+  console.log(`⏱️  Completed in ${Date.now() - started} ms`);
+
+  const accepted = results.filter(result => result.success);
+  const duplicates = results.filter(result => result.isDuplicate && !result.success);
+  assert.equal(accepted.length, boxCount + unknownCount, 'each box is accepted exactly once');
+  assert.equal(duplicates.length, boxCount * (stationCount - 1), 'every other attempt is a duplicate');
+
+  const scans = await getScans();
+  assert.equal(scans.length, boxCount + unknownCount, 'no scans were lost');
+  assert.equal(new Set(scans.map(scan => scan.boxId)).size, scans.length, 'no box was stored twice');
+
+  const pending = await getPendingScans();
+  assert.equal(pending.length, unknownCount, 'every unknown box is pending');
+
+  for (const scan of scans.filter(item => item.consignment)) {
+    assert.equal(scan.finalStatus, 'TRUE', `${scan.consignment} is complete`);
+    assert.equal(scan.scanCount, scan.totalBox, `${scan.consignment} count matches its total`);
+  }
+
+  console.log('✅ No scans lost, no duplicates accepted, all consignments complete');
+}
+
+try {
+  await run();
+} catch (error) {
+  console.error('❌ Stress test failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await fs.rm(tempDir, { recursive: true, force: true });
+}
@@ -5,6 +5,28 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import scanRoutes from './routes/scans.js';
 import dispatchRoutes from './routes/dispatch.js';
+import consignmentRoutes from './routes/consignments.js';
+import shiftRoutes from './routes/shifts.js';
+import authRoutes from './routes/auth.js';
+import auditRoutes from './routes/audit.js';
+import eventRoutes from './routes/events.js';
+import barcodeRoutes from './routes/barcodes.js';
+import handoverRoutes from './routes/handovers.js';
+import destinationRoutes from './routes/destinations.js';
+import analyticsRoutes from './routes/analytics.js';
+import reportRoutes from './routes/reports.js';
+import webhookRoutes from './routes/webhooks.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import { requireAuth } from './middleware/auth.js';
+import { ensureBootstrapUser } from './services/auth.js';
+import { escalateStalePendingScans } from './services/scanRecorder.js';
+import { withScanLock } from './models/dataStore.js';
+import { pendingConfig } from './config/pending.js';
+import { uploadsConfig } from './config/uploads.js';
+import { reportsConfig } from './config/reports.js';
+import { startReportScheduler } from './services/reportScheduler.js';
+import { webhooksConfig } from './config/webhooks.js';
+import { startWebhookDispatcher } from './services/webhooks.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,14 +44,26 @@ app.use(express.urlencoded({ extended: true }));
 
 // Create uploads directory if it doesn't exist
 import fs from 'fs';
-const uploadsDir = path.join(__dirname, 'uploads');
+const uploadsDir = uploadsConfig.dir;
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
 // Routes
-app.use('/api/scans', scanRoutes);
-app.use('/api/dispatch', dispatchRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/scans', requireAuth, scanRoutes);
+app.use('/api/dispatch', requireAuth, dispatchRoutes);
+app.use('/api/consignments', requireAuth, consignmentRoutes);
+app.use('/api/shifts', requireAuth, shiftRoutes);
+app.use('/api/audit', requireAuth, auditRoutes);
+app.use('/api/events', requireAuth, eventRoutes);
+app.use('/api/barcodes', requireAuth, barcodeRoutes);
+app.use('/api/handovers', requireAuth, handoverRoutes);
+app.use('/api/destinations', requireAuth, destinationRoutes);
+app.use('/api/analytics', requireAuth, analyticsRoutes);
+app.use('/api/reports', requireAuth, reportRoutes);
+app.use('/api/webhooks', requireAuth, webhookRoutes);
+app.use('/api/api-keys', requireAuth, apiKeyRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -41,7 +75,7 @@ app.get('/health', (req, res) => {
 });
 
 // Serve static files from uploads
-app.use('/uploads', express.static(uploadsDir));
+app.use(uploadsConfig.publicPath, express.static(uploadsDir));
 
 // Serve React build in production
 if (process.env.NODE_ENV === 'production') {
@@ -70,6 +104,25 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
+ensureBootstrapUser().catch(err => {
+  console.error('Failed to create initial user:', err);
+});
+
+// Pending scans nobody resolved become exceptions
+setInterval(() => {
+  withScanLock(() => escalateStalePendingScans({ actor: 'system' })).catch(err => {
+    console.error('Failed to escalate pending scans:', err);
+  });
+}, pendingConfig.checkIntervalMinutes * 60 * 1000).unref();
+
+if (reportsConfig.enabled) {
+  startReportScheduler();
+}
+
+if (webhooksConfig.enabled) {
+  startWebhookDispatcher();
+}
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -0,0 +1,266 @@
+// Throughput analytics for the dashboard: boxes per time bucket, scanner
+// and destination, how long consignments take from first to last box, and
+// duplicate/overscan rates. Everything in here is pure; scans must already
+// carry their duplicate annotation.
+import { formatLocalDate } from './shifts.js';
+
+export const GRANULARITIES = ['hour', 'day', 'week'];
+export const ANALYTICS_SECTIONS = ['throughput', 'scanners', 'destinations', 'consignments', 'quality'];
+
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_BUCKETS = 2000;
+const SLOWEST_CONSIGNMENTS = 50;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const pad = (value) => value.toString().padStart(2, '0');
+
+const bucketStart = (date, granularity) => {
+  const start = new Date(date);
+  start.setMinutes(0, 0, 0);
+  if (granularity === 'hour') return start;
+
+  start.setHours(0);
+  if (granularity === 'week') {
+    // Weeks start on Monday
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  }
+  return start;
+};
+
+const nextBucket = (start, granularity) => {
+  const next = new Date(start);
+  if (granularity === 'hour') {
+    next.setHours(next.getHours() + 1);
+  } else {
+    next.setDate(next.getDate() + (granularity === 'week' ? 7 : 1));
+  }
+  return next;
+};
+
+// "2024-05-06 14:00" for hours, the (first) day otherwise
+const bucketLabel = (start, granularity) => (granularity === 'hour'
+  ? `${formatLocalDate(start)} ${pad(start.getHours())}:00`
+  : formatLocalDate(start));
+
+// Query string -> { from, to, granularity } or { error }. Dates are
+// YYYY-MM-DD in local time and inclusive; the default is the last week,
+// hourly for ranges of up to two days and daily beyond that.
+export function parseAnalyticsQuery(query = {}, now = new Date()) {
+  for (const field of ['from', 'to']) {
+    if (query[field] && !DATE_PATTERN.test(query[field])) {
+      return { error: `${field} must be a YYYY-MM-DD date` };
+    }
+  }
+
+  const to = query.to || formatLocalDate(now);
+  const defaultFrom = new Date(`${to}T00:00:00`);
+  defaultFrom.setDate(defaultFrom.getDate() - (DEFAULT_RANGE_DAYS - 1));
+  const from = query.from || formatLocalDate(defaultFrom);
+
+  const start = new Date(`${from}T00:00:00`);
+  const end = new Date(`${to}T23:59:59.999`);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+    return { error: 'from must be a valid date on or before to' };
+  }
+
+  const days = Math.round((end - start) / (24 * 3600 * 1000));
+  const granularity = query.granularity || (days <= 2 ? 'hour' : 'day');
+  if (!GRANULARITIES.includes(granularity)) {
+    return { error: `granularity must be one of ${GRANULARITIES.join(', ')}` };
+  }
+  if (granularity === 'hour' && days * 24 > MAX_BUCKETS) {
+    return { error: 'Range is too long for hourly figures; use day or week' };
+  }
+
+  return { from, to, granularity, start, end };
+}
+
+const inRange = (scan, { start, end }) => {
+  const timestamp = new Date(scan.timestamp);
+  return timestamp >= start && timestamp <= end;
+};
+
+// Empty bucket for every step of the range so charts have no gaps
+const createBuckets = ({ start, end, granularity }, emptyBucket) => {
+  const buckets = new Map();
+  for (let cursor = bucketStart(start, granularity); cursor <= end; cursor = nextBucket(cursor, granularity)) {
+    const label = bucketLabel(cursor, granularity);
+    buckets.set(label, { bucket: label, ...emptyBucket() });
+  }
+  return buckets;
+};
+
+const bucketOf = (buckets, scan, granularity) =>
+  buckets.get(bucketLabel(bucketStart(new Date(scan.timestamp), granularity), granularity));
+
+const percentage = (part, total) => (total ? Math.round((part / total) * 1000) / 10 : 0);
+
+const extraScans = (scan) => (scan.isDuplicate ? (scan.duplicateCount || 1) - 1 : 0);
+
+function buildThroughput(scans, range) {
+  const buckets = createBuckets(range, () => ({ boxes: 0, scans: 0 }));
+  for (const scan of scans) {
+    const bucket = bucketOf(buckets, scan, range.granularity);
+    bucket.boxes += 1;
+    bucket.scans += 1 + extraScans(scan);
+  }
+  return [...buckets.values()];
+}
+
+const rankBy = (scans, keyOf, keyName) => {
+  const groups = new Map();
+  for (const scan of scans) {
+    const key = keyOf(scan);
+    const group = groups.get(key) || { [keyName]: key, boxes: 0, duplicateBoxes: 0 };
+    group.boxes += 1;
+    if (scan.isDuplicate) group.duplicateBoxes += 1;
+    groups.set(key, group);
+  }
+  return [...groups.values()].sort((a, b) => b.boxes - a.boxes);
+};
+
+// Per scanner, with how many boxes an hour they managed while active
+function buildScanners(scans) {
+  const ranked = rankBy(scans, scan => scan.scanner || 'unknown', 'scanner');
+  const activeHours = new Map();
+  for (const scan of scans) {
+    const scanner = scan.scanner || 'unknown';
+    const hours = activeHours.get(scanner) || new Set();
+    hours.add(bucketLabel(bucketStart(new Date(scan.timestamp), 'hour'), 'hour'));
+    activeHours.set(scanner, hours);
+  }
+
+  return ranked.map(item => {
+    const hours = activeHours.get(item.scanner).size;
+    return { ...item, activeHours: hours, boxesPerHour: Math.round((item.boxes / hours) * 10) / 10 };
+  });
+}
+
+const buildDestinations = (scans) => rankBy(scans, scan => scan.destination || 'PENDING', 'destination');
+
+const minutesBetween = (from, to) => Math.round(((to - from) / 60000) * 10) / 10;
+
+// First to last box of each consignment scanned in the range. Consignments
+// with a single box have no duration and are left out of the average.
+function buildConsignments(scans) {
+  const groups = new Map();
+  for (const scan of scans) {
+    if (!scan.consignment) continue;
+    const timestamp = new Date(scan.timestamp);
+    const group = groups.get(scan.consignment) || {
+      consignment: scan.consignment,
+      destination: scan.destination,
+      boxes: 0,
+      firstScan: timestamp,
+      lastScan: timestamp,
+      finalStatus: scan.finalStatus || ''
+    };
+    group.boxes += 1;
+    if (timestamp < group.firstScan) group.firstScan = timestamp;
+    if (timestamp > group.lastScan) group.lastScan = timestamp;
+    groups.set(scan.consignment, group);
+  }
+
+  const timed = [...groups.values()]
+    .filter(group => group.boxes > 1)
+    .map(group => ({ ...group, minutes: minutesBetween(group.firstScan, group.lastScan) }))
+    .sort((a, b) => b.minutes - a.minutes);
+
+  const minutes = timed.map(group => group.minutes).sort((a, b) => a - b);
+  const middle = Math.floor(minutes.length / 2);
+
+  return {
+    consignments: groups.size,
+    timedConsignments: timed.length,
+    averageMinutes: minutes.length
+      ? Math.round((minutes.reduce((sum, value) => sum + value, 0) / minutes.length) * 10) / 10
+      : null,
+    medianMinutes: minutes.length
+      ? (minutes.length % 2 ? minutes[middle] : (minutes[middle - 1] + minutes[middle]) / 2)
+      : null,
+    slowest: timed.slice(0, SLOWEST_CONSIGNMENTS)
+  };
+}
+
+// Share of boxes scanned more than once, and of boxes in overscanned
+// consignments, per bucket
+function buildQuality(scans, range) {
+  const buckets = createBuckets(range, () => ({ boxes: 0, duplicateBoxes: 0, extraScans: 0, overscannedBoxes: 0 }));
+  for (const scan of scans) {
+    const bucket = bucketOf(buckets, scan, range.granularity);
+    bucket.boxes += 1;
+    if (scan.isDuplicate) bucket.duplicateBoxes += 1;
+    bucket.extraScans += extraScans(scan);
+    if (scan.finalStatus?.startsWith('OVERSCANNED')) bucket.overscannedBoxes += 1;
+  }
+
+  return [...buckets.values()].map(bucket => ({
+    ...bucket,
+    duplicateRate: percentage(bucket.duplicateBoxes, bucket.boxes),
+    overscanRate: percentage(bucket.overscannedBoxes, bucket.boxes)
+  }));
+}
+
+const SECTION_BUILDERS = {
+  throughput: buildThroughput,
+  scanners: buildScanners,
+  destinations: buildDestinations,
+  consignments: buildConsignments,
+  quality: buildQuality
+};
+
+// range comes from parseAnalyticsQuery; sections defaults to all of them
+export function buildAnalytics(scans, range, sections = ANALYTICS_SECTIONS) {
+  const rangeScans = scans.filter(scan => inRange(scan, range));
+  const result = {
+    from: range.from,
+    to: range.to,
+    granularity: range.granularity,
+    totalBoxes: rangeScans.length
+  };
+  for (const section of sections) {
+    result[section] = SECTION_BUILDERS[section](rangeScans, range);
+  }
+  return result;
+}
+
+// Workbook sheets for the export, one per section
+export function analyticsSheets(analytics) {
+  return {
+    Throughput: analytics.throughput.map(item => ({
+      Period: item.bucket,
+      Boxes: item.boxes,
+      Scans: item.scans
+    })),
+    Scanners: analytics.scanners.map(item => ({
+      Scanner: item.scanner,
+      Boxes: item.boxes,
+      'Duplicate Boxes': item.duplicateBoxes,
+      'Active Hours': item.activeHours,
+      'Boxes per Hour': item.boxesPerHour
+    })),
+    Destinations: analytics.destinations.map(item => ({
+      Destination: item.destination,
+      Boxes: item.boxes,
+      'Duplicate Boxes': item.duplicateBoxes
+    })),
+    Consignments: analytics.consignments.slowest.map(item => ({
+      Consignment: item.consignment,
+      Destination: item.destination || '',
+      Boxes: item.boxes,
+      'First Scan': item.firstScan.toLocaleString(),
+      'Last Scan': item.lastScan.toLocaleString(),
+      Minutes: item.minutes,
+      'Final Status': item.finalStatus
+    })),
+    Quality: analytics.quality.map(item => ({
+      Period: item.bucket,
+      Boxes: item.boxes,
+      'Duplicate Boxes': item.duplicateBoxes,
+      'Extra Scans': item.extraScans,
+      'Duplicate Rate %': item.duplicateRate,
+      'Overscanned Boxes': item.overscannedBoxes,
+      'Overscan Rate %': item.overscanRate
+    }))
+  };
+}
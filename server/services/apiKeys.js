@@ -0,0 +1,74 @@
+// API keys for tunnel scanners and integrations that push scans without a
+// person logging in. A key is bound to a named device or integration, which
+// is recorded as the scanner of everything it sends, and acts with the
+// scanner role on the scan routes only (see middleware/auth.js). Keys are
+// shown once; only their SHA-256 is stored.
+import crypto from 'crypto';
+import { getApiKeys, updateApiKey } from '../models/dataStore.js';
+
+export const API_KEY_PREFIX = 'bsk_';
+export const API_KEY_KINDS = ['device', 'integration'];
+
+// Shown in lists so a key can be recognised without revealing it
+const HINT_LENGTH = API_KEY_PREFIX.length + 6;
+// lastUsedAt is written at most this often per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+export const isApiKey = (value) => typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+
+// { key, keyHint, keyHash } for a new or rotated key
+export function generateApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  return { key, keyHint: key.slice(0, HINT_LENGTH), keyHash: hashApiKey(key) };
+}
+
+const lastUsedWrites = new Map();
+
+// Active key record for `key`, or null
+export async function authenticateApiKey(key) {
+  const hash = Buffer.from(hashApiKey(key), 'hex');
+  const record = (await getApiKeys()).find(item =>
+    !item.revokedAt && crypto.timingSafeEqual(Buffer.from(item.keyHash, 'hex'), hash));
+  if (!record) {
+    return null;
+  }
+
+  const now = Date.now();
+  if (now - (lastUsedWrites.get(record.id) || 0) > LAST_USED_INTERVAL_MS) {
+    lastUsedWrites.set(record.id, now);
+    await updateApiKey(record.id, { lastUsedAt: new Date(now) });
+  }
+  return record;
+}
+
+// req.user for a request made with an API key
+export const toApiKeyUser = (record) => ({
+  id: record.id,
+  email: record.name,
+  name: record.name,
+  role: 'scanner',
+  apiKeyId: record.id,
+  apiKeyKind: record.kind
+});
+
+// Listed without the hash
+export const describeApiKey = ({ keyHash, ...record }) => ({ ...record, active: !record.revokedAt });
+
+// Request body -> { apiKey }, { error } or { conflict }. Names must be
+// unique among active keys since they end up as the scanner on scans.
+export function readApiKey(body, others) {
+  const name = body.name?.toString().trim();
+  if (!name) {
+    return { error: 'Name is required' };
+  }
+  const kind = body.kind || 'device';
+  if (!API_KEY_KINDS.includes(kind)) {
+    return { error: `Kind must be one of ${API_KEY_KINDS.join(', ')}` };
+  }
+  if (others.some(item => !item.revokedAt && item.name.toLowerCase() === name.toLowerCase())) {
+    return { conflict: `An active key named ${name} already exists` };
+  }
+  return { apiKey: { name, kind, description: body.description?.toString().trim() || '' } };
+}
@@ -0,0 +1,96 @@
+// Audit trail for every mutation: who did what, when, and the values
+// before and after the change. Scan entries are kept compact since one is
+// written for every scan.
+import { appendAuditEntry } from '../models/dataStore.js';
+
+export const AUDIT_ACTIONS = [
+  'scan.create',
+  'scan.pending',
+  'scan.duplicate',
+  'scan.delete',
+  'scan.restore',
+  'scan.reconcile',
+  'pending.process',
+  'pending.escalate',
+  'exception.resolve',
+  'dispatch.upload',
+  'dispatch.template',
+  'dispatch.rollback',
+  'barcode.rule',
+  'destination.registry',
+  'shift.close',
+  'handover.create',
+  'report.schedule',
+  'webhook.config',
+  'apikey.manage'
+];
+
+// Actions whose before/after are scan rows
+const SCAN_ACTION = /^(scan|pending)\./;
+// What a new or removed scan is recorded with; its ID, box and consignment
+// are columns of the entry already
+const SCAN_FIELDS = ['destination', 'dbStatus', 'finalStatus', 'scanner', 'shift', 'shiftDate'];
+
+const pick = (record, keys) => Object.fromEntries(keys.filter(key => key in record).map(key => [key, record[key]]));
+
+// Changed fields only for an update, a few identifying ones otherwise
+const compactScanChange = (before, after) => {
+  if (!before || !after) {
+    return { before: before && pick(before, SCAN_FIELDS), after: after && pick(after, SCAN_FIELDS) };
+  }
+  const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+  return { before: pick(before, changed), after: pick(after, changed) };
+};
+
+// Box, consignment and scan ID are taken from the scan being changed
+// unless given explicitly
+export async function recordAudit({ actor, action, before = null, after = null, ...subject }) {
+  const scan = after || before || {};
+  const values = SCAN_ACTION.test(action) ? compactScanChange(before, after) : { before, after };
+
+  return await appendAuditEntry({
+    actor: actor || 'system',
+    action,
+    scanId: subject.scanId ?? scan.id ?? null,
+    boxId: subject.boxId ?? scan.boxId ?? null,
+    consignment: subject.consignment ?? (scan.consignment || before?.consignment || null),
+    ...values,
+    details: subject.details ?? null
+  });
+}
+
+const touchesConsignment = (entry, consignment) =>
+  entry.consignment === consignment ||
+  entry.before?.consignment === consignment ||
+  entry.after?.consignment === consignment;
+
+// Filters for GET /api/audit; dates are inclusive YYYY-MM-DD
+export function filterAuditLog(entries, { user, boxId, consignment, action, from, to }) {
+  let filtered = entries;
+
+  if (user) {
+    const term = user.toLowerCase();
+    filtered = filtered.filter(entry => entry.actor?.toLowerCase().includes(term));
+  }
+  if (boxId) {
+    filtered = filtered.filter(entry => entry.boxId === boxId.trim());
+  }
+  if (consignment) {
+    filtered = filtered.filter(entry => touchesConsignment(entry, consignment.trim()));
+  }
+  if (action) {
+    filtered = filtered.filter(entry => entry.action === action);
+  }
+  // Local days, like the scan history filters
+  if (from) {
+    const start = new Date(`${from}T00:00:00`);
+    filtered = filtered.filter(entry => new Date(entry.timestamp) >= start);
+  }
+  if (to) {
+    const end = new Date(`${to}T23:59:59.999`);
+    filtered = filtered.filter(entry => new Date(entry.timestamp) <= end);
+  }
+
+  return filtered;
+}
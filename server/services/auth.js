@@ -0,0 +1,91 @@
+// Password hashing and signed login tokens
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { authConfig } from '../config/auth.js';
+import { getUsers, addUser } from '../models/dataStore.js';
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+// Stored as scrypt$<salt>$<hash>
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+export async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+const sign = (payload) =>
+  crypto.createHmac('sha256', authConfig.secret).update(payload).digest('base64url');
+
+// Token: base64url(JSON payload).signature. The session version lets a
+// logout invalidate every token issued to the user before it.
+export function createToken(user) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: user.id,
+    ver: user.sessionVersion || 0,
+    exp: Date.now() + authConfig.tokenTtlHours * 60 * 60 * 1000
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+// Returns the token payload, or null if it is forged or expired
+export function verifyToken(token) {
+  const [payload, signature] = (token || '').split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp > Date.now() ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+// User as sent to clients; accounts created before roles existed are scanners
+export const toPublicUser = ({ passwordHash, sessionVersion, ...user }) => ({
+  role: 'scanner',
+  ...user
+});
+
+// Create the first account from ADMIN_EMAIL / ADMIN_PASSWORD on an empty store
+export async function ensureBootstrapUser() {
+  const { bootstrapEmail, bootstrapPassword } = authConfig;
+  const users = await getUsers();
+
+  if (users.length > 0) {
+    return null;
+  }
+  if (!bootstrapEmail || !bootstrapPassword) {
+    console.warn('⚠️  No users yet: set ADMIN_EMAIL and ADMIN_PASSWORD or run scripts/create-user.js');
+    return null;
+  }
+
+  const user = await addUser({
+    email: bootstrapEmail,
+    name: 'Administrator',
+    role: 'admin',
+    passwordHash: await hashPassword(bootstrapPassword)
+  });
+  console.log(`👤 Created initial user ${user.email}`);
+  return user;
+}
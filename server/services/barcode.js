@@ -0,0 +1,243 @@
+// Barcode parsing: turns raw scanner output into the box ID the manifest
+// uses. Customer regex rules are tried first, then GS1-128 (application
+// identifiers, SSCC check digits), then the code is taken as a plain box ID.
+
+// Symbology identifiers some scanners prepend (GS1-128, GS1 DataMatrix, GS1 QR)
+const GS1_SYMBOLOGY = /^\](C1|d2|Q3|e0)/;
+const OTHER_SYMBOLOGY = /^\][A-Za-z][0-9A-Za-z]/;
+const GROUP_SEPARATOR = '\x1d';
+const MAX_BARCODE_LENGTH = 100;
+
+// GS1 application identifiers we read. length = fixed data length,
+// maxLength = variable length (ended by GS or end of data).
+export const GS1_AIS = {
+  '00': { field: 'sscc', length: 18, checkDigit: true },
+  '01': { field: 'gtin', length: 14, checkDigit: true },
+  '02': { field: 'contentGtin', length: 14, checkDigit: true },
+  '10': { field: 'batch', maxLength: 20 },
+  '11': { field: 'productionDate', length: 6 },
+  '13': { field: 'packagingDate', length: 6 },
+  '15': { field: 'bestBefore', length: 6 },
+  '17': { field: 'expiry', length: 6 },
+  '21': { field: 'serial', maxLength: 20 },
+  '37': { field: 'count', maxLength: 8 },
+  '400': { field: 'orderNumber', maxLength: 30 },
+  '401': { field: 'consignmentNumber', maxLength: 30 },
+  '402': { field: 'shipmentId', length: 17, checkDigit: true },
+  '410': { field: 'shipToGln', length: 13, checkDigit: true },
+  '413': { field: 'shipForGln', length: 13, checkDigit: true },
+  '420': { field: 'shipToPostalCode', maxLength: 20 },
+  '421': { field: 'shipToPostalCodeWithCountry', maxLength: 12 }
+};
+
+// Total length (AI plus data) of the AIs GS1 predefines as fixed length,
+// keyed by their first two digits. Lets the raw parser step over fields we
+// don't read; any other unknown AI runs to the next GS.
+const GS1_PREDEFINED_LENGTHS = {
+  '00': 20, '01': 16, '02': 16, '03': 16, '04': 18,
+  '11': 8, '12': 8, '13': 8, '14': 8, '15': 8, '16': 8, '17': 8, '18': 8, '19': 8,
+  '20': 4,
+  '31': 10, '32': 10, '33': 10, '34': 10, '35': 10, '36': 10,
+  '41': 16
+};
+
+// Thrown inside this module only; callers get { valid: false, error }
+class BarcodeError extends Error {}
+
+// GS1 mod-10 check digit over all digits but the last
+export function hasValidCheckDigit(digits) {
+  if (!/^\d+$/.test(digits)) return false;
+
+  const body = digits.slice(0, -1);
+  const sum = [...body].reverse().reduce((total, digit, index) =>
+    total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === Number(digits.slice(-1));
+}
+
+// Known AI at `position`, or null
+const readAi = (data, position) => {
+  for (const length of [2, 3]) {
+    const ai = data.slice(position, position + length);
+    if (GS1_AIS[ai]) return ai;
+  }
+  return null;
+};
+
+// Position after an AI we don't read
+const skipAi = (data, position) => {
+  const prefix = data.slice(position, position + 2);
+  if (!/^\d{2}$/.test(prefix)) {
+    throw new BarcodeError(`Malformed GS1 application identifier at "${data.slice(position, position + 4)}"`);
+  }
+
+  const length = GS1_PREDEFINED_LENGTHS[prefix];
+  if (!length) {
+    const end = data.indexOf(GROUP_SEPARATOR, position);
+    return end === -1 ? data.length : end + 1;
+  }
+  if (position + length > data.length) {
+    throw new BarcodeError(`GS1 (${data.slice(position, position + 4)}...) is too short`);
+  }
+  return data[position + length] === GROUP_SEPARATOR ? position + length + 1 : position + length;
+};
+
+const checkAiValue = (ai, value) => {
+  const { field, length, maxLength, checkDigit } = GS1_AIS[ai];
+  if (length && value.length !== length) {
+    throw new BarcodeError(`GS1 (${ai}) ${field} must be ${length} characters`);
+  }
+  if (maxLength && (value.length === 0 || value.length > maxLength)) {
+    throw new BarcodeError(`GS1 (${ai}) ${field} must be 1-${maxLength} characters`);
+  }
+  if (checkDigit && !hasValidCheckDigit(value)) {
+    throw new BarcodeError(`GS1 (${ai}) ${field} ${value} has an invalid check digit`);
+  }
+};
+
+// "(00)123...(21)ABC" as printed under the bars
+const parseBracketedGs1 = (data) => {
+  const fields = {};
+  const pattern = /\((\d{2,4})\)([^(]*)/g;
+  let consumed = 0;
+  let match;
+
+  while ((match = pattern.exec(data)) !== null) {
+    const [whole, ai, value] = match;
+    consumed += whole.length;
+    // Labels carry more than we read, e.g. a (3103) net weight
+    if (!GS1_AIS[ai]) continue;
+
+    checkAiValue(ai, value);
+    fields[GS1_AIS[ai].field] = value;
+  }
+
+  if (consumed !== data.length) {
+    throw new BarcodeError('Malformed GS1 barcode');
+  }
+  return fields;
+};
+
+// Raw element string: fixed-length AIs run on, variable ones end with GS
+const parseRawGs1 = (data) => {
+  const fields = {};
+  let position = 0;
+
+  while (position < data.length) {
+    const ai = readAi(data, position);
+    if (!ai) {
+      position = skipAi(data, position);
+      continue;
+    }
+
+    const { field, length } = GS1_AIS[ai];
+    position += ai.length;
+
+    let value;
+    if (length) {
+      value = data.slice(position, position + length);
+      position += length;
+      if (data[position] === GROUP_SEPARATOR) position += 1;
+    } else {
+      const end = data.indexOf(GROUP_SEPARATOR, position);
+      value = data.slice(position, end === -1 ? data.length : end);
+      position = end === -1 ? data.length : end + 1;
+    }
+
+    checkAiValue(ai, value);
+    fields[field] = value;
+  }
+
+  return fields;
+};
+
+// Box ID of a GS1 label: the SSCC, or the serial number if there is none
+const gs1Result = (raw, fields) => {
+  const boxId = fields.sscc || fields.serial;
+  if (!boxId) {
+    throw new BarcodeError('GS1 barcode has no SSCC (00) or serial number (21)');
+  }
+  return { raw, boxId, format: fields.sscc ? 'sscc' : 'gs1', rule: null, fields };
+};
+
+const applyRule = (raw, data, rule) => {
+  const match = new RegExp(rule.pattern, rule.flags || '').exec(data);
+  if (!match) return null;
+
+  const { boxId, ...fields } = match.groups || {};
+  const value = boxId ?? match[1] ?? match[0];
+  if (!value) {
+    throw new BarcodeError(`Rule "${rule.name}" matched but found no box ID`);
+  }
+  return { raw, boxId: value.trim(), format: 'custom', rule: rule.name, fields };
+};
+
+// Error message if the pattern can't be used as a rule, otherwise null
+export function validateRulePattern(pattern, flags = '') {
+  if (!pattern || pattern.length > 200) {
+    return 'Pattern must be 1-200 characters';
+  }
+  if (!/^[imsu]*$/.test(flags)) {
+    return 'Flags may only contain i, m, s and u';
+  }
+  try {
+    new RegExp(pattern, flags);
+  } catch (error) {
+    return `Invalid pattern: ${error.message}`;
+  }
+  return null;
+}
+
+const parse = (raw, rules) => {
+  let data = raw.trim();
+
+  if (!data) {
+    throw new BarcodeError('Empty barcode');
+  }
+  if (data.length > MAX_BARCODE_LENGTH) {
+    throw new BarcodeError(`Barcode is longer than ${MAX_BARCODE_LENGTH} characters`);
+  }
+
+  const isGs1Symbology = GS1_SYMBOLOGY.test(data);
+  data = data.replace(isGs1Symbology ? GS1_SYMBOLOGY : OTHER_SYMBOLOGY, '');
+
+  for (const rule of rules) {
+    const result = applyRule(raw, data, rule);
+    if (result) return result;
+  }
+
+  if (data.startsWith('(')) {
+    return gs1Result(raw, parseBracketedGs1(data));
+  }
+  if (isGs1Symbology || data.includes(GROUP_SEPARATOR)) {
+    return gs1Result(raw, parseRawGs1(data.replace(new RegExp(`^${GROUP_SEPARATOR}`), '')));
+  }
+
+  // A bare "00" + 18 digits with a valid check digit is an SSCC whose
+  // symbology prefix the scanner dropped
+  if (/^00\d{18}$/.test(data) && hasValidCheckDigit(data.slice(2))) {
+    return gs1Result(raw, { sscc: data.slice(2) });
+  }
+
+  if (/[\x00-\x1f\x7f]/.test(data)) {
+    throw new BarcodeError('Barcode contains control characters');
+  }
+  if (/\s/.test(data)) {
+    throw new BarcodeError('Barcode contains spaces');
+  }
+  return { raw, boxId: data, format: 'plain', rule: null, fields: {} };
+};
+
+// rules: enabled customer rules, tried in order. Returns
+// { valid: true, raw, boxId, format, rule, fields } or { valid: false, raw, error }
+export function parseBarcode(input, rules = []) {
+  const raw = input == null ? '' : input.toString();
+
+  try {
+    return { valid: true, ...parse(raw, rules) };
+  } catch (error) {
+    if (error instanceof BarcodeError) {
+      return { valid: false, raw, error: error.message };
+    }
+    throw error;
+  }
+}
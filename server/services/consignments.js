@@ -0,0 +1,81 @@
+// Consignment-level handover summaries
+// Combines the dispatch manifest with recorded scans to answer "which boxes
+// of consignment X are still not scanned?".
+import { toManifestEntry, getConsignmentFinalStatus } from './reconciliation.js';
+
+const emptySummary = (consignment, destination) => ({
+  consignment,
+  destination,
+  expectedBoxes: 0,
+  manifestBoxes: [],
+  scannedBoxes: [],
+  scanCount: 0,
+  missingBoxes: [],
+  overscans: [],
+  completion: 0,
+  finalStatus: ''
+});
+
+export function buildConsignmentSummaries(dispatchData, scans) {
+  const summaries = new Map();
+
+  for (const row of dispatchData) {
+    const entry = toManifestEntry(row);
+    if (!entry.consignment) continue;
+
+    if (!summaries.has(entry.consignment)) {
+      summaries.set(entry.consignment, emptySummary(entry.consignment, entry.destination));
+    }
+    const summary = summaries.get(entry.consignment);
+    summary.manifestBoxes.push(entry.boxId);
+    if (entry.totalBox) {
+      summary.expectedBoxes = entry.totalBox;
+    }
+  }
+
+  // Times each box has been scanned, per consignment
+  const scanTally = new Map();
+  for (const scan of scans) {
+    if (!scan.consignment) continue;
+
+    if (!summaries.has(scan.consignment)) {
+      summaries.set(scan.consignment, emptySummary(scan.consignment, scan.destination));
+    }
+    if (!scanTally.has(scan.consignment)) {
+      scanTally.set(scan.consignment, new Map());
+    }
+    const tally = scanTally.get(scan.consignment);
+    tally.set(scan.boxId, (tally.get(scan.boxId) || 0) + 1);
+  }
+
+  for (const summary of summaries.values()) {
+    const tally = scanTally.get(summary.consignment) || new Map();
+    const manifest = new Set(summary.manifestBoxes);
+
+    summary.expectedBoxes = summary.expectedBoxes || summary.manifestBoxes.length;
+    summary.scannedBoxes = [...tally.keys()];
+    summary.scanCount = [...tally.values()].reduce((sum, count) => sum + count, 0);
+    summary.missingBoxes = summary.manifestBoxes.filter(boxId => !tally.has(boxId));
+    summary.overscans = [...tally.entries()]
+      .filter(([boxId, count]) => count > 1 || !manifest.has(boxId))
+      .map(([boxId, count]) => ({ boxId, count, inManifest: manifest.has(boxId) }));
+    summary.completion = summary.expectedBoxes
+      ? Math.min(100, Math.round((summary.scannedBoxes.length / summary.expectedBoxes) * 100))
+      : 0;
+    summary.finalStatus = getConsignmentFinalStatus(
+      summary.scannedBoxes.length,
+      summary.scanCount,
+      summary.expectedBoxes
+    );
+  }
+
+  return [...summaries.values()];
+}
+
+// Compact form for list views; the box lists are only sent for one consignment
+export const toConsignmentListItem = ({ manifestBoxes, scannedBoxes, missingBoxes, overscans, ...rest }) => ({
+  ...rest,
+  scannedBoxCount: scannedBoxes.length,
+  missingBoxCount: missingBoxes.length,
+  overscanCount: overscans.length
+});
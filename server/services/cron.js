@@ -0,0 +1,129 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week)
+// in server local time. Fields take *, numbers, ranges (1-5), steps (*/15,
+// 8-18/2) and lists (1,15). Day of week is 0-7 with both 0 and 7 Sunday.
+// As in cron, when both day fields are restricted either one may match.
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Look ahead at most this far for the next run
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60;
+
+const parseNumber = (text, field) => {
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`"${text}" is not a number in the ${field.name} field`);
+  }
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${value} is outside ${field.min}-${field.max} in the ${field.name} field`);
+  }
+  return value;
+};
+
+const parseField = (text, field) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseNumber(stepText, { ...field, min: 1 });
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseNumber(start, field);
+      to = end === undefined ? (stepText === undefined ? from : field.max) : parseNumber(end, field);
+      if (from > to) {
+        throw new Error(`${range} runs backwards in the ${field.name} field`);
+      }
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, restricted: text !== '*' };
+};
+
+// { minute, hour, dayOfMonth, month, dayOfWeek }, or throws with a message
+// naming the bad field
+function parseCron(expression) {
+  const text = SHORTCUTS[expression?.trim()] || expression?.trim() || '';
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expressions need five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (dayOfWeek.values.has(7)) {
+    dayOfWeek.values.add(0);
+  }
+  return { minute, hour, dayOfMonth, month, dayOfWeek };
+}
+
+// Error message for an invalid expression, null when it is valid
+export function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+const dayMatches = (cron, date) => {
+  const dom = cron.dayOfMonth.values.has(date.getDate());
+  const dow = cron.dayOfWeek.values.has(date.getDay());
+  if (cron.dayOfMonth.restricted && cron.dayOfWeek.restricted) {
+    return dom || dow;
+  }
+  return dom && dow;
+};
+
+const matches = (cron, date) =>
+  cron.minute.values.has(date.getMinutes()) &&
+  cron.hour.values.has(date.getHours()) &&
+  cron.month.values.has(date.getMonth() + 1) &&
+  dayMatches(cron, date);
+
+// Whether the expression fires in the minute `date` falls in
+export function cronMatches(expression, date) {
+  return matches(parseCron(expression), date);
+}
+
+// First minute after `after` the expression fires, or null if it never
+// does within a year (e.g. 30 February)
+export function nextCronRun(expression, after = new Date()) {
+  const cron = parseCron(expression);
+  const candidate = new Date(after);
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+
+  for (let step = 0; step < MAX_LOOKAHEAD_MINUTES; step++) {
+    if (!cron.month.values.has(candidate.getMonth() + 1) || !dayMatches(cron, candidate)) {
+      candidate.setHours(24, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.values.has(candidate.getHours())) {
+      candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (matches(cron, candidate)) {
+      return candidate;
+    }
+    candidate.setMinutes(candidate.getMinutes() + 1);
+  }
+  return null;
+}
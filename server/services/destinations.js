@@ -0,0 +1,119 @@
+// Destinations registry. Manifests spell the same place several ways
+// ("BLR", "Bangalore", "blr "); every spelling listed as a code, name or
+// alias is rewritten to the destination's code when a manifest goes live.
+import { FIELD_ALIASES, normalizeBoxId } from './reconciliation.js';
+
+// Handed out in order to destinations created without a colour
+export const DESTINATION_COLORS = [
+  '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#E1B12C',
+  '#DDA0DD', '#98D8C8', '#F39C12', '#BB8FCE', '#85C1E9',
+  '#E67E22', '#16A085', '#8E44AD', '#2980B9', '#C0392B',
+  '#27AE60', '#D35400', '#7F8C8D', '#2C3E50', '#F1948A'
+];
+
+const CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]*$/;
+const COLOR_PATTERN = /^#[0-9A-F]{6}$/i;
+
+// Case, surrounding and repeated spaces don't make a different destination
+export const normalizeDestinationKey = (value) =>
+  normalizeBoxId(value).replace(/\s+/g, ' ').toUpperCase();
+
+const destinationKeys = (destination) =>
+  [destination.code, destination.name, ...(destination.aliases || [])]
+    .map(normalizeDestinationKey)
+    .filter(Boolean);
+
+export function buildDestinationLookup(destinations) {
+  const lookup = new Map();
+  for (const destination of destinations) {
+    for (const key of destinationKeys(destination)) {
+      if (!lookup.has(key)) {
+        lookup.set(key, destination);
+      }
+    }
+  }
+  return lookup;
+}
+
+// Code for a destination as written in a sheet; unknown ones are only trimmed
+export const resolveDestination = (lookup, value) => {
+  const trimmed = normalizeBoxId(value);
+  return lookup.get(normalizeDestinationKey(trimmed))?.code || trimmed;
+};
+
+// Manifest rows with their destination replaced by the registry code. Rows
+// that don't change are returned as they are.
+export function normalizeManifestRows(rows, destinations) {
+  if (destinations.length === 0) {
+    return rows;
+  }
+
+  const lookup = buildDestinationLookup(destinations);
+  return rows.map(row => {
+    let normalized = row;
+    for (const key of FIELD_ALIASES.destination) {
+      if (row[key] === undefined || row[key] === '') continue;
+      const code = resolveDestination(lookup, row[key]);
+      if (code !== row[key]) {
+        normalized = { ...normalized, [key]: code };
+      }
+    }
+    return normalized;
+  });
+}
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  return value ? value.toString().split(',') : [];
+};
+
+// Code, name, colour, dock and aliases from a request body. Invalid input
+// gives `error`, a spelling another destination already owns `conflict`.
+// A renamed code is kept as an alias so existing data still maps.
+export function readDestination(body, current = null, others = []) {
+  const code = normalizeDestinationKey(body.code ?? current?.code);
+  const name = (body.name ?? current?.name ?? '').toString().trim() || code;
+  const usedColors = new Set(others.map(item => item.color));
+  const color = (body.color ?? current?.color ??
+    DESTINATION_COLORS.find(item => !usedColors.has(item)) ?? DESTINATION_COLORS[0]).toString();
+  const dock = (body.dock ?? current?.dock ?? '').toString().trim();
+
+  const aliases = [...toList(body.aliases ?? current?.aliases)];
+  if (current && current.code !== code) {
+    aliases.push(current.code);
+  }
+
+  if (!CODE_PATTERN.test(code)) {
+    return { error: 'Code is required and may only contain letters, digits, "-" and "_"' };
+  }
+  if (!COLOR_PATTERN.test(color)) {
+    return { error: `Colour "${color}" is not a #RRGGBB value` };
+  }
+
+  const ownKeys = new Set([code, normalizeDestinationKey(name)]);
+  const uniqueAliases = [];
+  for (const alias of aliases.map(item => item.toString().trim()).filter(Boolean)) {
+    const key = normalizeDestinationKey(alias);
+    if (!ownKeys.has(key)) {
+      ownKeys.add(key);
+      uniqueAliases.push(alias);
+    }
+  }
+
+  const destination = { code, name, color: color.toUpperCase(), dock, aliases: uniqueAliases };
+  const lookup = buildDestinationLookup(others);
+  const clash = destinationKeys(destination).find(key => lookup.has(key));
+  if (clash) {
+    return { conflict: `"${clash}" already belongs to destination ${lookup.get(clash).code}` };
+  }
+  return { destination };
+}
+
+// Registry fields worth keeping in the audit log
+export const describeDestination = (destination) => destination && {
+  code: destination.code,
+  name: destination.name,
+  color: destination.color,
+  dock: destination.dock,
+  aliases: destination.aliases
+};
@@ -0,0 +1,171 @@
+// Reading uploaded dispatch sheets (xlsx, xls or csv)
+import XLSX from 'xlsx';
+import { FIELD_ALIASES, normalizeBoxId, toManifestEntry } from './reconciliation.js';
+import { buildDestinationLookup, normalizeDestinationKey, normalizeManifestRows } from './destinations.js';
+
+// Rows of the first sheet, keyed by header
+export function parseDispatchFile(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(sheet, { defval: '' });
+}
+
+// Small description of a manifest, used where the full rows are too big
+export function summarizeDispatch(rows) {
+  const entries = rows.map(toManifestEntry);
+  return {
+    rows: rows.length,
+    consignments: new Set(entries.map(entry => entry.consignment).filter(Boolean)).size,
+    destinations: new Set(entries.map(entry => entry.destination).filter(Boolean)).size
+  };
+}
+
+// Fields an admin can map sheet columns to. Box ID and consignment are
+// required, the rest are optional.
+export const MAPPABLE_FIELDS = ['boxId', 'consignment', 'destination', 'qty', 'totalBox', 'dbStatus'];
+const REQUIRED_FIELDS = ['boxId', 'consignment'];
+
+const PREVIEW_ROWS = 20;
+const MAX_REPORTED_ISSUES = 500;
+
+// Column headers in sheet order
+export function getHeaders(rows) {
+  const headers = new Set();
+  rows.forEach(row => Object.keys(row).forEach(key => headers.add(key)));
+  return [...headers];
+}
+
+// Best guess of { field: header } from the usual header spellings
+export function suggestMapping(headers) {
+  const lowered = new Map(headers.map(header => [header.toString().trim().toLowerCase(), header]));
+
+  return MAPPABLE_FIELDS.reduce((mapping, field) => {
+    const alias = FIELD_ALIASES[field].find(name => lowered.has(name.toLowerCase()));
+    if (alias) {
+      mapping[field] = lowered.get(alias.toLowerCase());
+    }
+    return mapping;
+  }, {});
+}
+
+// Sheet rows rewritten with the field names the rest of the app reads
+export function applyMapping(rows, mapping) {
+  return rows.map(row => MAPPABLE_FIELDS.reduce((mapped, field) => {
+    const header = mapping[field];
+    const value = header ? row[header] : '';
+    mapped[field] = typeof value === 'string' ? value.trim() : value ?? '';
+    return mapped;
+  }, {}));
+}
+
+// Row-level problems in mapped rows. Errors block the upload, warnings are
+// only shown. Row numbers match the sheet (header is row 1). Destinations
+// missing from the registry are warned about once each.
+export function validateDispatchRows(mappedRows, mapping, destinations = []) {
+  const errors = [];
+  const warnings = [];
+  const sheetRow = (index) => index + 2;
+
+  REQUIRED_FIELDS.filter(field => !mapping[field]).forEach(field => {
+    errors.push({ row: null, field, message: `No column mapped to ${field}` });
+  });
+
+  const boxConsignments = new Map();
+  const consignments = new Map();
+  const destinationLookup = destinations.length ? buildDestinationLookup(destinations) : null;
+  const unknownDestinations = new Set();
+
+  mappedRows.forEach((row, index) => {
+    const boxId = normalizeBoxId(row.boxId);
+    const consignment = normalizeBoxId(row.consignment);
+
+    if (mapping.boxId && !boxId) {
+      errors.push({ row: sheetRow(index), field: 'boxId', message: 'Missing box ID' });
+    }
+    if (mapping.consignment && !consignment) {
+      errors.push({ row: sheetRow(index), field: 'consignment', message: 'Missing consignment' });
+    }
+
+    let totalBox = null;
+    if (mapping.totalBox && row.totalBox !== '') {
+      totalBox = Number(row.totalBox);
+      if (!Number.isInteger(totalBox) || totalBox <= 0) {
+        errors.push({ row: sheetRow(index), field: 'totalBox', message: `Total boxes "${row.totalBox}" is not a positive whole number` });
+        totalBox = null;
+      }
+    }
+    if (mapping.qty && row.qty !== '' && Number.isNaN(Number(row.qty))) {
+      warnings.push({ row: sheetRow(index), field: 'qty', message: `Qty "${row.qty}" is not a number` });
+    }
+
+    const destinationKey = normalizeDestinationKey(row.destination);
+    if (destinationLookup && destinationKey && !destinationLookup.has(destinationKey) && !unknownDestinations.has(destinationKey)) {
+      unknownDestinations.add(destinationKey);
+      warnings.push({ row: sheetRow(index), field: 'destination', message: `Destination "${row.destination}" is not in the destinations registry` });
+    }
+
+    if (boxId) {
+      const seen = boxConsignments.get(boxId);
+      if (!seen) {
+        boxConsignments.set(boxId, { consignment, row: sheetRow(index) });
+      } else if (seen.consignment !== consignment) {
+        errors.push({
+          row: sheetRow(index),
+          field: 'boxId',
+          message: `Box ID ${boxId} is also in consignment ${seen.consignment} (row ${seen.row})`
+        });
+      } else {
+        warnings.push({ row: sheetRow(index), field: 'boxId', message: `Box ID ${boxId} is listed twice (row ${seen.row})` });
+      }
+    }
+
+    if (consignment) {
+      const group = consignments.get(consignment) || { boxes: new Set(), totals: new Set(), firstRow: sheetRow(index) };
+      if (boxId) group.boxes.add(boxId);
+      if (totalBox) group.totals.add(totalBox);
+      consignments.set(consignment, group);
+    }
+  });
+
+  // Every box of a consignment is a row, so the rows must add up to its total
+  for (const [consignment, group] of consignments) {
+    if (group.totals.size > 1) {
+      errors.push({
+        row: group.firstRow,
+        field: 'totalBox',
+        message: `Consignment ${consignment} has different totals: ${[...group.totals].join(', ')}`
+      });
+    } else if (group.totals.size === 1) {
+      const [totalBox] = group.totals;
+      if (totalBox !== group.boxes.size) {
+        errors.push({
+          row: group.firstRow,
+          field: 'totalBox',
+          message: `Consignment ${consignment} lists ${group.boxes.size} box(es) but its total is ${totalBox}`
+        });
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errorCount: errors.length,
+    warningCount: warnings.length,
+    errors: errors.slice(0, MAX_REPORTED_ISSUES),
+    warnings: warnings.slice(0, MAX_REPORTED_ISSUES)
+  };
+}
+
+// Everything the admin sees before confirming an upload, with destinations
+// already rewritten to their registry codes
+export function buildDispatchPreview(rawRows, mapping, destinations = []) {
+  const mappedRows = normalizeManifestRows(applyMapping(rawRows, mapping), destinations);
+  return {
+    headers: getHeaders(rawRows),
+    mapping,
+    totalRows: rawRows.length,
+    preview: mappedRows.slice(0, PREVIEW_ROWS),
+    summary: summarizeDispatch(mappedRows),
+    validation: validateDispatchRows(mappedRows, mapping, destinations)
+  };
+}
@@ -0,0 +1,55 @@
+// In-process event bus for live updates. Every published event gets an
+// increasing ID and is kept in a short history so reconnecting clients can
+// catch up on what they missed. IDs carry a per-boot prefix: the counter
+// starts again after a restart, and an ID from before it must not be taken
+// for a recent one.
+import { EventEmitter } from 'events';
+
+const HISTORY_SIZE = 500;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const BOOT_ID = Date.now().toString(36);
+
+const history = [];
+let lastSequence = 0;
+
+// Event types: scan.recorded, scan.deleted, scan.restored,
+// dispatch.uploaded, pending.processed, shift.closed
+export function publishEvent(type, data) {
+  const sequence = ++lastSequence;
+  const event = { id: `${BOOT_ID}-${sequence}`, sequence, type, data, timestamp: new Date() };
+
+  history.push(event);
+  if (history.length > HISTORY_SIZE) {
+    history.shift();
+  }
+
+  emitter.emit('event', event);
+  return event;
+}
+
+// Returns an unsubscribe function
+export function subscribe(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+// Events published after the one with the given ID, or null if the client
+// has to reload instead: they were dropped from the history, or the ID is
+// from before a restart
+export function getEventsSince(eventId) {
+  const [bootId, sequence] = String(eventId).split('-');
+  const after = Number(sequence);
+  if (bootId !== BOOT_ID || !Number.isInteger(after) || after > lastSequence) {
+    return null;
+  }
+  if (after === lastSequence) {
+    return [];
+  }
+  if (history.length === 0 || history[0].sequence > after + 1) {
+    return null;
+  }
+  return history.filter(event => event.sequence > after);
+}
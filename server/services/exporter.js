@@ -0,0 +1,230 @@
+// Builds export files (Excel, CSV, PDF and JSON) for scans and reports
+import XLSX from 'xlsx';
+import PDFDocument from 'pdfkit';
+
+export const EXPORT_FORMATS = ['excel', 'csv', 'pdf', 'json'];
+
+const CSV_DELIMITERS = { comma: ',', semicolon: ';', tab: '\t', pipe: '|' };
+const CSV_ENCODINGS = ['utf8', 'utf8-bom', 'latin1'];
+
+// Scan row as laid out in HistoryTable
+export const toExportRow = (scan) => ({
+  Date: new Date(scan.timestamp).toLocaleString(),
+  Shift: scan.shift || '',
+  'Box ID': scan.boxId,
+  Consignment: scan.consignment || '',
+  'DB Status': scan.dbStatus || '',
+  'Verified Time': scan.verified || '',
+  'Final Status': scan.finalStatus || '',
+  'Scan Count': scan.scanCount ?? '',
+  QTY: scan.qty ?? '',
+  'Total Box': scan.totalBox ?? '',
+  Destination: scan.destination || '',
+  Scanner: scan.scanner || '',
+  Duplicate: scan.isDuplicate ? scan.duplicateCount || 1 : ''
+});
+
+// sheets: { [sheetName]: arrayOfRowObjects }
+export function buildWorkbook(sheets) {
+  const workbook = XLSX.utils.book_new();
+
+  for (const [name, rows] of Object.entries(sheets)) {
+    const sheet = XLSX.utils.json_to_sheet(rows.length ? rows : [{}]);
+    XLSX.utils.book_append_sheet(workbook, sheet, name.slice(0, 31));
+  }
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// Shift closing summary flattened into workbook sheets
+export function shiftSummarySheets(closure, scans) {
+  const { summary } = closure;
+
+  return {
+    Summary: [
+      { Field: 'Shift', Value: summary.shift },
+      { Field: 'Shift Date', Value: summary.shiftDate },
+      { Field: 'Closed By', Value: closure.closedBy || '' },
+      { Field: 'Closed At', Value: new Date(closure.closedAt).toLocaleString() },
+      { Field: 'Total Scans', Value: summary.totalScans },
+      { Field: 'Pending Boxes', Value: summary.pendingBoxes },
+      { Field: 'Duplicate Boxes', Value: summary.duplicates.boxes },
+      { Field: 'Extra Duplicate Scans', Value: summary.duplicates.extraScans }
+    ],
+    Destinations: Object.entries(summary.boxesPerDestination)
+      .map(([Destination, Boxes]) => ({ Destination, Boxes })),
+    Consignments: Object.entries(summary.consignments).flatMap(([status, list]) =>
+      list.map(Consignment => ({ Consignment, Status: status.toUpperCase() }))
+    ),
+    Scanners: Object.entries(summary.scanners)
+      .map(([Scanner, Scans]) => ({ Scanner, Scans })),
+    Scans: scans.map(toExportRow)
+  };
+}
+
+// csv options from the query string. Excel in most of Europe expects ';'
+// and either a BOM or latin1 to get accents right.
+export function parseCsvOptions(query = {}) {
+  const delimiter = CSV_DELIMITERS[query.delimiter] ||
+    (Object.values(CSV_DELIMITERS).includes(query.delimiter) ? query.delimiter : ',');
+  const encoding = CSV_ENCODINGS.includes(query.encoding) ? query.encoding : 'utf8';
+  return { delimiter, encoding };
+}
+
+const escapeCsvValue = (value, delimiter) => {
+  const text = value == null ? '' : value.toString();
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+export function buildCsv(rows, { delimiter = ',', encoding = 'utf8' } = {}) {
+  const headers = rows.length ? Object.keys(rows[0]) : [];
+  const lines = [headers, ...rows.map(row => headers.map(header => row[header]))]
+    .map(values => values.map(value => escapeCsvValue(value, delimiter)).join(delimiter));
+  const text = lines.join('\r\n') + '\r\n';
+
+  if (encoding === 'latin1') {
+    return Buffer.from(text, 'latin1');
+  }
+  return Buffer.from(encoding === 'utf8-bom' ? `\uFEFF${text}` : text, 'utf8');
+}
+
+const PDF_COLUMNS = [
+  { header: 'Date', width: 120, value: scan => new Date(scan.timestamp).toLocaleString() },
+  { header: 'Box ID', width: 130, value: scan => scan.boxId },
+  { header: 'Consignment', width: 120, value: scan => scan.consignment || '' },
+  { header: 'Final Status', width: 110, value: scan => scan.finalStatus || '' },
+  { header: 'QTY', width: 50, value: scan => scan.qty ?? '' },
+  { header: 'Scanner', width: 150, value: scan => scan.scanner || '' },
+  { header: 'Dup', width: 40, value: scan => (scan.isDuplicate ? scan.duplicateCount || 1 : '') }
+];
+
+// Render a PDF document into a buffer; draw(doc) lays out the pages
+export function renderPdf(options, draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument(options);
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    draw(doc);
+    doc.end();
+  });
+}
+
+// Table at the left margin: a bold header row, then one row per item.
+// columns: [{ header, width, value(item) }]; cells that don't fit are cut
+// off and rows continue on a new page.
+export function drawPdfTable(doc, columns, items) {
+  const left = doc.page.margins.left;
+
+  const drawRow = (values, { bold = false } = {}) => {
+    if (doc.y + 14 > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    let x = left;
+    columns.forEach((column, index) => {
+      doc.text(String(values[index]), x, y, { width: column.width - 6, lineBreak: false, ellipsis: true });
+      x += column.width;
+    });
+    doc.x = left;
+    doc.y = y + 14;
+  };
+
+  drawRow(columns.map(column => column.header), { bold: true });
+  items.forEach(item => drawRow(columns.map(column => column.value(item))));
+}
+
+// Printable report: one section per destination with its boxes and a
+// subtotal, then a totals table
+export function buildPdfReport({ title, subtitle, scans }) {
+  return renderPdf({ size: 'A4', layout: 'landscape', margin: 36 }, (doc) => {
+    const left = doc.page.margins.left;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    const groups = new Map();
+    for (const scan of scans) {
+      const destination = scan.destination || 'No destination';
+      if (!groups.has(destination)) groups.set(destination, []);
+      groups.get(destination).push(scan);
+    }
+    const destinations = [...groups.keys()].sort();
+
+    doc.font('Helvetica-Bold').fontSize(16).text(title);
+    doc.font('Helvetica').fontSize(10)
+      .text(subtitle)
+      .text(`Generated ${new Date().toLocaleString()} - ${scans.length} scan(s), ${destinations.length} destination(s)`);
+
+    for (const destination of destinations) {
+      const group = groups.get(destination);
+      if (doc.y + 60 > bottom()) {
+        doc.addPage();
+      }
+
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(12).text(`${destination} (${group.length})`, left);
+      drawPdfTable(doc, PDF_COLUMNS, group);
+      doc.font('Helvetica-Bold').fontSize(9)
+        .text(`Subtotal ${destination}: ${group.length} box(es)`, left);
+    }
+
+    doc.moveDown();
+    if (doc.y + 40 > bottom()) {
+      doc.addPage();
+    }
+    doc.font('Helvetica-Bold').fontSize(12).text('Totals', left);
+    doc.font('Helvetica').fontSize(10);
+    destinations.forEach(destination => {
+      doc.text(`${destination}: ${groups.get(destination).length}`, left);
+    });
+    doc.font('Helvetica-Bold').text(`Total: ${scans.length}`, left);
+  });
+}
+
+// format: excel | csv | pdf | json. csv exports the Scans sheet (or the
+// only sheet), pdf the scans grouped by destination.
+// Returns { fileName, contentType, body } with the extension added.
+export async function buildExportFile({ format, fileName, sheets, json, csv, pdf }) {
+  if (format === 'excel') {
+    return {
+      fileName: `${fileName}.xlsx`,
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      body: buildWorkbook(sheets)
+    };
+  }
+
+  if (format === 'csv') {
+    const charset = csv?.encoding === 'latin1' ? 'iso-8859-1' : 'utf-8';
+    return {
+      fileName: `${fileName}.csv`,
+      contentType: `text/csv; charset=${charset}`,
+      body: buildCsv(sheets.Scans || Object.values(sheets)[0], csv)
+    };
+  }
+
+  if (format === 'pdf') {
+    return { fileName: `${fileName}.pdf`, contentType: 'application/pdf', body: await buildPdfReport(pdf) };
+  }
+
+  return {
+    fileName: `${fileName}.json`,
+    contentType: 'application/json; charset=utf-8',
+    body: Buffer.from(JSON.stringify(json, null, 2), 'utf8')
+  };
+}
+
+export async function sendExport(res, options) {
+  if (options.format === 'json') {
+    res.setHeader('Content-Disposition', `attachment; filename="${options.fileName}.json"`);
+    return res.json(options.json);
+  }
+
+  const file = await buildExportFile(options);
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+  res.send(file.body);
+}
@@ -0,0 +1,131 @@
+// Proof of handover: which boxes went to which carrier, with the driver's
+// details, a drawn signature and an optional photo. Handed-over scans are
+// locked like the scans of a closed shift.
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  getScans,
+  getDispatchData,
+  addHandover,
+  updateHandover,
+  updateScansByIds,
+  withScanLock
+} from '../models/dataStore.js';
+import { findConsignmentEntry, getExpectedBoxes } from './reconciliation.js';
+import { recordAudit } from './audit.js';
+import { publishEvent } from './events.js';
+import { uploadsConfig } from '../config/uploads.js';
+
+const SIGNATURE_PREFIX = 'data:image/png;base64,';
+const MAX_SIGNATURE_BYTES = 1024 * 1024;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PHOTO_EXTENSIONS = { 'image/jpeg': '.jpg', 'image/png': '.png' };
+
+// PNG bytes of the signature pad's canvas.toDataURL(), or null if the value
+// isn't a PNG data URL
+export function decodeSignature(dataUrl) {
+  if (typeof dataUrl !== 'string' || !dataUrl.startsWith(SIGNATURE_PREFIX)) {
+    return null;
+  }
+
+  const buffer = Buffer.from(dataUrl.slice(SIGNATURE_PREFIX.length), 'base64');
+  if (buffer.length > MAX_SIGNATURE_BYTES || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return null;
+  }
+  return buffer;
+}
+
+const saveUpload = async (handoverId, fileName, buffer) => {
+  const dir = path.join(uploadsConfig.dir, 'handovers', handoverId);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, fileName), buffer);
+  return `${uploadsConfig.publicPath}/handovers/${handoverId}/${fileName}`;
+};
+
+// Read back a file saved by saveUpload, e.g. to embed it in a receipt
+export async function readUpload(publicPath) {
+  const relative = path.relative(uploadsConfig.publicPath, publicPath);
+  return await fs.readFile(path.join(uploadsConfig.dir, relative));
+}
+
+// Open scans of the consignments, or of every consignment of the destination
+const selectScans = (scans, { consignments, destination }) => scans.filter(scan =>
+  scan.consignment &&
+  !scan.handoverId &&
+  (destination ? scan.destination === destination : consignments.includes(scan.consignment))
+);
+
+// Boxes handed over per consignment against what the manifest expects
+const summarizeConsignments = (boxes, dispatchData) => {
+  const summaries = new Map();
+  for (const box of boxes) {
+    if (!summaries.has(box.consignment)) {
+      const entry = findConsignmentEntry(dispatchData, box.consignment);
+      summaries.set(box.consignment, {
+        consignment: box.consignment,
+        destination: box.destination,
+        expectedBoxes: entry ? getExpectedBoxes(dispatchData, entry) : null,
+        boxCount: 0
+      });
+    }
+    summaries.get(box.consignment).boxCount += 1;
+  }
+  return [...summaries.values()];
+};
+
+// Record a handover of the open scans of `consignments` (or of all
+// consignments going to `destination`). signature: PNG bytes; photo: multer
+// file or null. Returns null when there is nothing left to hand over.
+export async function createHandover({ consignments = [], destination = null, driverName, vehicle, signature, photo, actor }) {
+  const handover = await withScanLock(async () => {
+    const [scans, dispatchData] = await Promise.all([getScans(), getDispatchData()]);
+    const included = selectScans(scans, { consignments, destination });
+    if (included.length === 0) {
+      return null;
+    }
+
+    const boxes = included.map(scan => ({
+      scanId: scan.id,
+      boxId: scan.boxId,
+      consignment: scan.consignment,
+      destination: scan.destination,
+      scanner: scan.scanner,
+      scannedAt: scan.timestamp
+    }));
+    const created = await addHandover({
+      destination,
+      driverName,
+      vehicle,
+      handedOverBy: actor,
+      consignments: summarizeConsignments(boxes, dispatchData),
+      boxes
+    });
+
+    const files = { signaturePath: await saveUpload(created.id, 'signature.png', signature) };
+    if (photo) {
+      files.photoPath = await saveUpload(created.id, `photo${PHOTO_EXTENSIONS[photo.mimetype]}`, photo.buffer);
+    }
+    await updateHandover(created.id, files);
+    await updateScansByIds(boxes.map(box => box.scanId), { handoverId: created.id });
+
+    await recordAudit({
+      actor,
+      action: 'handover.create',
+      after: { driverName, vehicle, destination, consignments: created.consignments },
+      details: { handoverId: created.id, number: created.number, boxCount: boxes.length }
+    });
+    return { ...created, ...files };
+  });
+
+  if (handover) {
+    publishEvent('handover.created', {
+      handoverId: handover.id,
+      number: handover.number,
+      scanIds: handover.boxes.map(box => box.scanId)
+    });
+  }
+  return handover;
+}
+
+// List form without the box snapshot
+export const toHandoverListItem = ({ boxes, ...handover }) => ({ ...handover, boxCount: boxes.length });
@@ -0,0 +1,134 @@
+// Handover receipts: a PDF to print or mail to the carrier, and a
+// self-contained HTML page with the signature and photo inlined
+import { readUpload } from './handover.js';
+import { renderPdf, drawPdfTable } from './exporter.js';
+
+export const RECEIPT_FORMATS = ['pdf', 'html'];
+
+const BOX_COLUMNS = [
+  { header: 'Box ID', width: 150, value: box => box.boxId },
+  { header: 'Consignment', width: 120, value: box => box.consignment },
+  { header: 'Destination', width: 110, value: box => box.destination || '' },
+  { header: 'Scanned', width: 143, value: box => new Date(box.scannedAt).toLocaleString() }
+];
+
+const describeConsignment = (summary) =>
+  `${summary.consignment}: ${summary.boxCount}` +
+  (summary.expectedBoxes ? ` of ${summary.expectedBoxes}` : '') + ' box(es)';
+
+// Label/value lines shared by both formats
+const receiptFields = (handover) => [
+  ['Handed over', new Date(handover.handedOverAt).toLocaleString()],
+  ['Driver', handover.driverName],
+  ['Vehicle', handover.vehicle],
+  ['Handed over by', handover.handedOverBy],
+  ['Destination', handover.destination || [...new Set(handover.consignments.map(c => c.destination))].join(', ')],
+  ['Boxes', handover.boxes.length]
+];
+
+const readImages = async (handover) => ({
+  signature: await readUpload(handover.signaturePath),
+  photo: handover.photoPath ? await readUpload(handover.photoPath) : null
+});
+
+export async function buildReceiptPdf(handover) {
+  const images = await readImages(handover);
+
+  return await renderPdf({ size: 'A4', margin: 36 }, (doc) => {
+    const left = doc.page.margins.left;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    doc.font('Helvetica-Bold').fontSize(16).text(`Handover receipt #${handover.number}`);
+    doc.moveDown(0.5);
+    for (const [label, value] of receiptFields(handover)) {
+      doc.font('Helvetica-Bold').fontSize(10).text(`${label}: `, { continued: true })
+        .font('Helvetica').text(String(value));
+    }
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).text('Consignments', left);
+    doc.font('Helvetica').fontSize(10);
+    handover.consignments.forEach(summary => doc.text(describeConsignment(summary), left));
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).text('Boxes', left);
+    drawPdfTable(doc, BOX_COLUMNS, handover.boxes);
+
+    if (doc.y + 130 > bottom()) {
+      doc.addPage();
+    }
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).text('Driver signature', left);
+    doc.image(images.signature, left, doc.y, { fit: [240, 100] });
+    doc.y += 104;
+
+    if (images.photo) {
+      if (doc.y + 260 > bottom()) {
+        doc.addPage();
+      }
+      doc.font('Helvetica-Bold').fontSize(12).text('Photo', left);
+      doc.image(images.photo, left, doc.y, { fit: [320, 240] });
+    }
+  });
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const toDataUri = (buffer) => {
+  // PNG files start with 0x89 'PNG', everything else we accept is JPEG
+  const type = buffer[0] === 0x89 ? 'image/png' : 'image/jpeg';
+  return `data:${type};base64,${buffer.toString('base64')}`;
+};
+
+export async function buildReceiptHtml(handover) {
+  const images = await readImages(handover);
+  const title = `Handover receipt #${handover.number}`;
+
+  const fields = receiptFields(handover)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('');
+  const consignments = handover.consignments
+    .map(summary => `<li>${escapeHtml(describeConsignment(summary))}</li>`)
+    .join('');
+  const boxes = handover.boxes
+    .map(box => `<tr>${BOX_COLUMNS.map(column => `<td>${escapeHtml(column.value(box))}</td>`).join('')}</tr>`)
+    .join('');
+  const photo = images.photo
+    ? `<h2>Photo</h2><img class="photo" src="${toDataUri(images.photo)}" alt="Handover photo">`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: sans-serif; margin: 24px; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 16px; }
+  th, td { text-align: left; padding: 4px 12px 4px 0; border-bottom: 1px solid #ddd; }
+  .signature { max-width: 320px; border: 1px solid #ccc; }
+  .photo { max-width: 480px; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<table>${fields}</table>
+<h2>Consignments</h2>
+<ul>${consignments}</ul>
+<h2>Boxes</h2>
+<table>
+<thead><tr>${BOX_COLUMNS.map(column => `<th>${column.header}</th>`).join('')}</tr></thead>
+<tbody>${boxes}</tbody>
+</table>
+<h2>Driver signature</h2>
+<img class="signature" src="${toDataUri(images.signature)}" alt="Driver signature">
+${photo}
+</body>
+</html>
+`;
+}
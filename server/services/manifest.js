@@ -0,0 +1,206 @@
+// Dispatch manifest versions. Every upload is kept as a numbered version;
+// the active one is copied into the dispatch collection scans are matched
+// against, so an earlier version can be brought back.
+import {
+  getDispatchData,
+  updateDispatchData,
+  getDispatchVersions,
+  addDispatchVersion,
+  updateDispatchVersion,
+  getDestinations,
+  withScanLock
+} from '../models/dataStore.js';
+import { toManifestEntry } from './reconciliation.js';
+import { summarizeDispatch } from './dispatchImport.js';
+import { normalizeManifestRows } from './destinations.js';
+import { reconcileScans, resolvePendingScans } from './scanRecorder.js';
+import { recordAudit } from './audit.js';
+import { publishEvent } from './events.js';
+
+const BOX_FIELDS = ['consignment', 'destination', 'qty', 'totalBox', 'dbStatus'];
+const CONSIGNMENT_FIELDS = ['destination', 'expectedBoxes', 'boxCount'];
+
+// Version list without the rows
+export const toVersionListItem = ({ rows, ...version }) => version;
+
+const markActive = async (version, actor) => {
+  const versions = await getDispatchVersions();
+  for (const item of versions) {
+    if (item.active && item.id !== version.id) {
+      await updateDispatchVersion(item.id, { active: false });
+    }
+  }
+
+  const activation = { active: true, activatedAt: new Date(), activatedBy: actor };
+  await updateDispatchVersion(version.id, activation);
+  return { ...version, ...activation };
+};
+
+// Store an upload as the next version and make it the live manifest.
+// Destinations are rewritten to their registry codes first. Pending scans
+// are matched against it straight away; `pending` is the report of what
+// was resolved, what remains and what got escalated. Scans already matched
+// are then re-matched, `reconciliation` says which moved or dropped out.
+export async function activateManifest({ rows: uploadedRows, actor, fileName }) {
+  return await withScanLock(async () => {
+    const previous = await getDispatchData();
+    const rows = normalizeManifestRows(uploadedRows, await getDestinations());
+    const version = await markActive(await addDispatchVersion({
+      fileName,
+      uploadedBy: actor,
+      summary: summarizeDispatch(rows),
+      rows
+    }), actor);
+
+    await updateDispatchData(rows);
+    const pending = await resolvePendingScans({ actor });
+    const reconciliation = await reconcileScans({ actor });
+    await recordAudit({
+      actor,
+      action: 'dispatch.upload',
+      before: summarizeDispatch(previous),
+      after: version.summary,
+      details: {
+        fileName,
+        version: version.version,
+        resolvedPending: pending.resolved.length,
+        escalatedPending: pending.escalated.length,
+        moved: reconciliation.moved.length,
+        unmatched: reconciliation.unmatched.length
+      }
+    });
+    publishEvent('dispatch.uploaded', {
+      rows: rows.length,
+      version: version.version,
+      uploadedBy: actor,
+      consignmentStatuses: reconciliation.consignmentStatuses
+    });
+
+    return { version: version.version, rows: rows.length, pending, reconciliation };
+  });
+}
+
+// Make an earlier version live again and re-match open scans against it
+export async function rollbackManifest({ version, actor }) {
+  return await withScanLock(async () => {
+    const versions = await getDispatchVersions();
+    const target = versions.find(item => item.version === version);
+    if (!target) {
+      return null;
+    }
+
+    const current = versions.find(item => item.active) || null;
+    await markActive(target, actor);
+    await updateDispatchData(normalizeManifestRows(target.rows, await getDestinations()));
+
+    const reconciliation = await reconcileScans({ actor });
+    await recordAudit({
+      actor,
+      action: 'dispatch.rollback',
+      before: current && toVersionListItem(current),
+      after: toVersionListItem(target),
+      details: {
+        fromVersion: current?.version ?? null,
+        toVersion: target.version,
+        matched: reconciliation.matched.length,
+        moved: reconciliation.moved.length,
+        unmatched: reconciliation.unmatched.length
+      }
+    });
+    publishEvent('dispatch.rolledback', {
+      version: target.version,
+      rolledBackBy: actor,
+      consignmentStatuses: reconciliation.consignmentStatuses
+    });
+
+    return { version: target.version, rows: target.rows.length, reconciliation };
+  });
+}
+
+// Rewrite the live manifest after the destinations registry changed and
+// carry the new codes over to the open scans. Returns how many manifest
+// rows changed and the reconciliation report.
+export async function applyDestinationRegistry({ actor }) {
+  return await withScanLock(async () => {
+    const [dispatchData, destinations] = await Promise.all([getDispatchData(), getDestinations()]);
+    const rows = normalizeManifestRows(dispatchData, destinations);
+    const changedRows = rows.filter((row, index) => row !== dispatchData[index]).length;
+
+    if (changedRows === 0) {
+      return { changedRows, reconciliation: null };
+    }
+    await updateDispatchData(rows);
+    return { changedRows, reconciliation: await reconcileScans({ actor }) };
+  });
+}
+
+const indexBoxes = (rows) => {
+  const boxes = new Map();
+  for (const row of rows) {
+    const entry = toManifestEntry(row);
+    if (entry.boxId && !boxes.has(entry.boxId)) {
+      boxes.set(entry.boxId, entry);
+    }
+  }
+  return boxes;
+};
+
+const indexConsignments = (boxes) => {
+  const consignments = new Map();
+  for (const entry of boxes.values()) {
+    if (!entry.consignment) continue;
+
+    const item = consignments.get(entry.consignment) || {
+      consignment: entry.consignment,
+      destination: entry.destination,
+      expectedBoxes: null,
+      boxCount: 0
+    };
+    item.boxCount += 1;
+    item.expectedBoxes = entry.totalBox || item.expectedBoxes;
+    consignments.set(entry.consignment, item);
+  }
+  return consignments;
+};
+
+// { field: { from, to } } for the fields that differ
+const fieldChanges = (before, after, fields) => fields.reduce((changes, field) => {
+  if ((before[field] ?? '') !== (after[field] ?? '')) {
+    changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+  }
+  return changes;
+}, {});
+
+const diffMaps = (fromMap, toMap, fields, key) => {
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (const [id, after] of toMap) {
+    const before = fromMap.get(id);
+    if (!before) {
+      diff.added.push(after);
+      continue;
+    }
+    const changes = fieldChanges(before, after, fields);
+    if (Object.keys(changes).length > 0) {
+      diff.changed.push({ [key]: id, changes });
+    }
+  }
+  for (const [id, before] of fromMap) {
+    if (!toMap.has(id)) {
+      diff.removed.push(before);
+    }
+  }
+
+  return diff;
+};
+
+// Consignments and boxes added, removed or changed from one manifest to another
+export function diffManifests(fromRows, toRows) {
+  const fromBoxes = indexBoxes(fromRows);
+  const toBoxes = indexBoxes(toRows);
+
+  return {
+    consignments: diffMaps(indexConsignments(fromBoxes), indexConsignments(toBoxes), CONSIGNMENT_FIELDS, 'consignment'),
+    boxes: diffMaps(fromBoxes, toBoxes, BOX_FIELDS, 'boxId')
+  };
+}
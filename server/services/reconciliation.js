@@ -0,0 +1,114 @@
+// Manifest reconciliation engine
+// Matches scanned boxes against the uploaded dispatch data and works out
+// how far each consignment has got. Everything in here is pure so the
+// controllers can decide when to read and write the data store.
+
+// Header variants seen in customer dispatch sheets
+export const FIELD_ALIASES = {
+  boxId: ['boxId', 'Box ID', 'BoxID', 'Box Id', 'BOX ID'],
+  consignment: ['consignment', 'Consignment', 'CONSIGNMENT', 'Consignment No'],
+  destination: ['destination', 'Destination', 'DESTINATION'],
+  qty: ['qty', 'QTY', 'Qty', 'Quantity'],
+  totalBox: ['totalBox', 'Total Box', 'TotalBox', 'TOTAL BOX', 'Total Boxes'],
+  dbStatus: ['dbStatus', 'DB Status', 'Status']
+};
+
+const pickField = (row, field) => {
+  const key = FIELD_ALIASES[field].find(alias => row[alias] !== undefined && row[alias] !== '');
+  return key ? row[key] : undefined;
+};
+
+export const normalizeBoxId = (value) => (value == null ? '' : value.toString().trim());
+
+// Convert a raw dispatch row into the shape the scan rows use
+export function toManifestEntry(row) {
+  const totalBox = parseInt(pickField(row, 'totalBox'), 10);
+  const qty = pickField(row, 'qty');
+
+  return {
+    boxId: normalizeBoxId(pickField(row, 'boxId')),
+    consignment: normalizeBoxId(pickField(row, 'consignment')),
+    destination: normalizeBoxId(pickField(row, 'destination')),
+    qty: qty === undefined ? '' : qty,
+    totalBox: Number.isNaN(totalBox) ? null : totalBox,
+    dbStatus: pickField(row, 'dbStatus') || 'FOUND'
+  };
+}
+
+export function findManifestEntry(dispatchData, boxId) {
+  const target = normalizeBoxId(boxId);
+  const row = dispatchData.find(item => normalizeBoxId(pickField(item, 'boxId')) === target);
+  return row ? toManifestEntry(row) : null;
+}
+
+// First manifest row of a consignment, used to look up its totals
+export function findConsignmentEntry(dispatchData, consignment) {
+  const row = dispatchData.find(item => normalizeBoxId(pickField(item, 'consignment')) === consignment);
+  return row ? toManifestEntry(row) : null;
+}
+
+// Expected box count for a consignment. Falls back to the number of
+// manifest rows when the sheet has no Total Box column.
+export function getExpectedBoxes(dispatchData, entry) {
+  if (entry.totalBox) {
+    return entry.totalBox;
+  }
+
+  return dispatchData.filter(row =>
+    normalizeBoxId(pickField(row, 'consignment')) === entry.consignment
+  ).length;
+}
+
+// Scan rows of a consignment and the distinct boxes among them. Deleted
+// scans don't count.
+export function countConsignmentScans(scans, consignment) {
+  if (!consignment) return { scans: 0, boxes: 0 };
+  const rows = scans.filter(scan => scan.consignment === consignment && !scan.deletedAt);
+  return { scans: rows.length, boxes: new Set(rows.map(scan => normalizeBoxId(scan.boxId))).size };
+}
+
+// TRUE / PENDING (x/y) / OVERSCANNED, as rendered by HistoryTable
+export function getFinalStatus(scanCount, totalBox) {
+  if (!totalBox) {
+    return `PENDING (${scanCount}/?)`;
+  }
+  if (scanCount === totalBox) {
+    return 'TRUE';
+  }
+  if (scanCount > totalBox) {
+    return 'OVERSCANNED';
+  }
+  return `PENDING (${scanCount}/${totalBox})`;
+}
+
+// Repeat scans push a consignment over, but only distinct boxes complete
+// it: scanning A1 on two days is not the same as scanning A1 and A2
+export function getConsignmentFinalStatus(boxCount, scanCount, totalBox) {
+  return totalBox && scanCount > totalBox ? 'OVERSCANNED' : getFinalStatus(boxCount, totalBox);
+}
+
+// Status patch applied to every row of a consignment after a change
+export function getConsignmentStatus(scans, consignment, totalBox) {
+  const counts = countConsignmentScans(scans, consignment);
+  return {
+    consignment,
+    scanCount: counts.scans,
+    boxCount: counts.boxes,
+    totalBox,
+    finalStatus: getConsignmentFinalStatus(counts.boxes, counts.scans, totalBox)
+  };
+}
+
+// Scanned boxes per destination for the dashboard
+export function getDestinationCounts(scans) {
+  return scans.reduce((counts, scan) => {
+    if (scan.destination) {
+      counts[scan.destination] = (counts[scan.destination] || 0) + 1;
+    }
+    return counts;
+  }, {});
+}
+
+// HH:mm:ss shown in the "Verified Time" column
+export const formatVerifiedTime = (date) => date.toTimeString().split(' ')[0];
+
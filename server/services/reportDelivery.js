@@ -0,0 +1,82 @@
+// Delivery of built reports. Each transport takes the schedule's delivery
+// settings and the file and either resolves with where it went or throws;
+// the scheduler takes care of retrying. Register another transport to add a
+// delivery type.
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { reportsConfig } from '../config/reports.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+const transports = new Map();
+
+export function registerTransport(type, { validate, deliver }) {
+  transports.set(type, { validate, deliver });
+}
+
+export const getDeliveryTypes = () => [...transports.keys()];
+
+// Error message for bad settings, null when they are usable
+export function validateDelivery(delivery) {
+  const transport = transports.get(delivery?.type);
+  if (!transport) {
+    return `Delivery type must be one of ${getDeliveryTypes().join(', ')}`;
+  }
+  return transport.validate ? transport.validate(delivery) : null;
+}
+
+export async function deliverReport(delivery, file) {
+  return await transports.get(delivery.type).deliver(delivery, file);
+}
+
+// Writes into the reports directory, optionally a subfolder of it
+registerTransport('directory', {
+  validate: ({ folder }) => (folder && !/^[\w-]+$/.test(folder)
+    ? 'Folder may only contain letters, digits, - and _'
+    : null),
+  deliver: async ({ folder }, file) => {
+    const dir = folder ? path.join(reportsConfig.dir, folder) : reportsConfig.dir;
+    await fs.mkdir(dir, { recursive: true });
+    const location = path.join(dir, file.fileName);
+    await fs.writeFile(location, file.body);
+    return location;
+  }
+});
+
+let mailer = null;
+
+const getMailer = () => {
+  if (!mailer) {
+    const { host, port, secure, user, password } = reportsConfig.smtp;
+    mailer = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass: password } : undefined,
+      connectionTimeout: 30000
+    });
+  }
+  return mailer;
+};
+
+// Emails the file as an attachment to every recipient
+registerTransport('smtp', {
+  validate: ({ recipients }) => {
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      return 'Email delivery needs at least one recipient';
+    }
+    const invalid = recipients.find(address => !EMAIL_PATTERN.test(address));
+    return invalid ? `${invalid} is not an email address` : null;
+  },
+  deliver: async ({ recipients }, file) => {
+    const info = await getMailer().sendMail({
+      from: reportsConfig.smtp.from,
+      to: recipients.join(', '),
+      subject: `${file.title} - ${file.date}`,
+      text: `${file.title} for ${file.date} is attached.`,
+      attachments: [{ filename: file.fileName, content: file.body, contentType: file.contentType }]
+    });
+    return `${recipients.join(', ')} (${info.messageId})`;
+  }
+});
@@ -0,0 +1,155 @@
+// Runs report schedules when their cron expression comes due, and retries
+// failed deliveries with a doubling delay. Every run is logged with its
+// attempts; the report settings are copied onto the run so a retry sends
+// the same report even if the schedule was edited in between.
+import {
+  getReportSchedules,
+  updateReportSchedule,
+  getReportRuns,
+  addReportRun,
+  updateReportRun,
+  withReportRunLock
+} from '../models/dataStore.js';
+import { reportsConfig } from '../config/reports.js';
+import { cronMatches } from './cron.js';
+import { buildReport } from './reports.js';
+import { deliverReport } from './reportDelivery.js';
+
+// Twice a minute; runDueReports catches up on minutes a slow tick skipped
+const TICK_MS = 30 * 1000;
+
+const minuteKey = (value) => Math.floor(new Date(value).getTime() / 60000);
+
+const retryDelayMinutes = (failedAttempts) =>
+  reportsConfig.retryMinutes * 2 ** (failedAttempts - 1);
+
+// Build and deliver once, then record the outcome on the run. Failures
+// before run.retriesFrom belong to earlier, exhausted rounds of retries.
+async function attemptRun(run) {
+  const attempts = [...(run.attempts || [])];
+  try {
+    const file = await buildReport({
+      report: run.report,
+      period: run.period,
+      format: run.format,
+      now: new Date(run.scheduledFor)
+    });
+    const location = await deliverReport(run.delivery, file);
+
+    attempts.push({ at: new Date(), error: null });
+    const outcome = { status: 'delivered', attempts, fileName: file.fileName, location, nextAttemptAt: null, finishedAt: new Date() };
+    await updateReportRun(run.id, outcome);
+    return { ...run, ...outcome };
+  } catch (error) {
+    attempts.push({ at: new Date(), error: error.message });
+    const failures = attempts.slice(run.retriesFrom || 0).filter(attempt => attempt.error).length;
+    const retrying = failures <= reportsConfig.retryAttempts;
+    console.error(
+      `Report "${run.scheduleName}" (${run.delivery.type}) failed on attempt ${attempts.length}` +
+      `${retrying ? ', will retry' : ', giving up'}:`,
+      error.message
+    );
+
+    const outcome = retrying
+      ? { status: 'retrying', attempts, nextAttemptAt: new Date(Date.now() + retryDelayMinutes(failures) * 60000) }
+      : { status: 'failed', attempts, nextAttemptAt: null, finishedAt: new Date() };
+    await updateReportRun(run.id, outcome);
+    return { ...run, ...outcome };
+  }
+}
+
+// Start a run of `schedule` for the minute `scheduledFor` (now when run by hand)
+export async function runSchedule(schedule, { scheduledFor = new Date(), triggeredBy = 'scheduler' } = {}) {
+  const run = await addReportRun({
+    scheduleId: schedule.id,
+    scheduleName: schedule.name,
+    report: schedule.report,
+    period: schedule.period,
+    format: schedule.format,
+    delivery: schedule.delivery,
+    scheduledFor,
+    triggeredBy,
+    status: 'running',
+    attempts: []
+  });
+  return await attemptRun(run);
+}
+
+// Mark a run running before delivering it, so the tick and a manual retry
+// can't both send it. Null when it is no longer in one of `statuses`.
+async function claimRun(runId, statuses) {
+  return await withReportRunLock(async () => {
+    const run = (await getReportRuns()).find(item => item.id === runId);
+    if (!run || !statuses.includes(run.status)) return null;
+
+    const claim = { status: 'running' };
+    if (run.status === 'failed') {
+      claim.retriesFrom = run.attempts.length;
+    }
+    await updateReportRun(run.id, claim);
+    return { ...run, ...claim };
+  });
+}
+
+// Try a run again straight away, e.g. after fixing the SMTP settings.
+// A failed run gets a fresh set of retries; its earlier attempts are kept.
+// Null when the run is already being delivered.
+export async function retryRun(run) {
+  const claimed = await claimRun(run.id, ['failed', 'retrying']);
+  return claimed && await attemptRun(claimed);
+}
+
+// Gaps longer than this (the host was asleep) are skipped, as after a restart
+const MAX_CATCH_UP_MINUTES = 60;
+
+let ticking = false;
+let lastEvaluatedMinute = null;
+
+// One scheduler tick: start the schedules due in every minute since the
+// last tick (once each) and retry the deliveries whose back-off has passed.
+// A tick still busy delivering makes the next ones return at once, so the
+// minutes they would have looked at are checked here afterwards.
+export async function runDueReports(now = new Date()) {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const currentMinute = minuteKey(now);
+    const firstMinute = lastEvaluatedMinute === null
+      ? currentMinute
+      : Math.max(lastEvaluatedMinute + 1, currentMinute - MAX_CATCH_UP_MINUTES);
+    const schedules = await getReportSchedules();
+
+    for (let minute = firstMinute; minute <= currentMinute; minute++) {
+      const scheduledFor = new Date(minute * 60000);
+      for (const schedule of schedules) {
+        if (!schedule.enabled || !cronMatches(schedule.cron, scheduledFor)) continue;
+        if (schedule.lastRunAt && minuteKey(schedule.lastRunAt) >= minute) continue;
+
+        schedule.lastRunAt = scheduledFor;
+        await updateReportSchedule(schedule.id, { lastRunAt: scheduledFor });
+        await runSchedule(schedule, { scheduledFor });
+      }
+      lastEvaluatedMinute = minute;
+    }
+
+    const retries = (await getReportRuns())
+      .filter(run => run.status === 'retrying' && new Date(run.nextAttemptAt) <= now);
+    for (const run of retries) {
+      const claimed = await claimRun(run.id, ['retrying']);
+      if (claimed) {
+        await attemptRun(claimed);
+      }
+    }
+  } finally {
+    ticking = false;
+  }
+}
+
+export function startReportScheduler() {
+  const tick = () => runDueReports().catch(error => {
+    console.error('Report scheduler tick failed:', error);
+  });
+  setInterval(tick, TICK_MS).unref();
+  tick();
+}
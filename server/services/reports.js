@@ -0,0 +1,240 @@
+// Reports built on a schedule (see reportScheduler.js). Each report covers
+// one local day and comes out as the same sheets the exports use, so any
+// export format can be delivered.
+import {
+  getScans,
+  annotateDuplicates,
+  getDispatchData,
+  getHandovers,
+  getScanExceptions
+} from '../models/dataStore.js';
+import { buildConsignmentSummaries } from './consignments.js';
+import { toExportRow, buildExportFile } from './exporter.js';
+import { formatLocalDate } from './shifts.js';
+import { validateCron, nextCronRun } from './cron.js';
+import { validateDelivery } from './reportDelivery.js';
+
+export const REPORT_PERIODS = ['today', 'yesterday'];
+export const REPORT_FORMATS = ['excel', 'csv', 'json'];
+
+// [start, end) of the reported day in local time
+export function reportDay(period, now = new Date()) {
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  if (period === 'yesterday') {
+    start.setDate(start.getDate() - 1);
+  }
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { date: formatLocalDate(start), start, end };
+}
+
+const within = (value, { start, end }) => {
+  const time = new Date(value).getTime();
+  return time >= start.getTime() && time < end.getTime();
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '');
+
+const dailyScans = async (day) => {
+  const scans = (await getScans()).filter(scan => within(scan.timestamp, day));
+  const annotated = await annotateDuplicates(scans);
+  return {
+    sheets: { Scans: annotated.map(toExportRow) },
+    json: { scans: annotated.length, rows: annotated }
+  };
+};
+
+const handoverSummary = async (day) => {
+  const handovers = (await getHandovers()).filter(handover => within(handover.handedOverAt, day));
+  const consignments = handovers.flatMap(handover => handover.consignments.map(item => ({
+    Handover: handover.number,
+    Consignment: item.consignment,
+    Destination: item.destination || '',
+    'Boxes Handed Over': item.boxCount,
+    'Expected Boxes': item.expectedBoxes ?? ''
+  })));
+
+  return {
+    sheets: {
+      Handovers: handovers.map(handover => ({
+        Number: handover.number,
+        'Handed Over At': formatTime(handover.handedOverAt),
+        Driver: handover.driverName,
+        Vehicle: handover.vehicle,
+        Destination: handover.destination || '',
+        Consignments: handover.consignments.length,
+        Boxes: handover.boxes.length,
+        'Handed Over By': handover.handedOverBy || ''
+      })),
+      Consignments: consignments,
+      Boxes: handovers.flatMap(handover => handover.boxes.map(box => ({
+        Handover: handover.number,
+        'Box ID': box.boxId,
+        Consignment: box.consignment,
+        Destination: box.destination || '',
+        Scanner: box.scanner || '',
+        'Scanned At': formatTime(box.scannedAt)
+      })))
+    },
+    json: {
+      handovers: handovers.length,
+      boxes: handovers.reduce((sum, handover) => sum + handover.boxes.length, 0),
+      rows: handovers.map(({ boxes, ...handover }) => ({ ...handover, boxCount: boxes.length }))
+    }
+  };
+};
+
+// Consignments still missing boxes or with scanned boxes not yet handed
+// over, as they stand when the report runs
+const outstandingConsignments = async () => {
+  const [dispatchData, scans] = await Promise.all([getDispatchData(), getScans()]);
+  const handedOver = new Map();
+  for (const scan of scans) {
+    if (scan.consignment && scan.handoverId) {
+      handedOver.set(scan.consignment, (handedOver.get(scan.consignment) || new Set()).add(scan.boxId));
+    }
+  }
+
+  const outstanding = buildConsignmentSummaries(dispatchData, scans)
+    .map(summary => ({ ...summary, handedOverBoxes: handedOver.get(summary.consignment)?.size || 0 }))
+    .filter(summary => summary.missingBoxes.length > 0 || summary.handedOverBoxes < summary.scannedBoxes.length)
+    .sort((a, b) => a.completion - b.completion);
+
+  return {
+    sheets: {
+      Consignments: outstanding.map(summary => ({
+        Consignment: summary.consignment,
+        Destination: summary.destination || '',
+        'Expected Boxes': summary.expectedBoxes,
+        'Scanned Boxes': summary.scannedBoxes.length,
+        'Missing Boxes': summary.missingBoxes.length,
+        'Handed Over Boxes': summary.handedOverBoxes,
+        'Completion %': summary.completion,
+        'Final Status': summary.finalStatus,
+        Outstanding: summary.missingBoxes.length > 0 ? 'Missing boxes' : 'Awaiting handover'
+      })),
+      'Missing Boxes': outstanding.flatMap(summary => summary.missingBoxes.map(boxId => ({
+        Consignment: summary.consignment,
+        Destination: summary.destination || '',
+        'Box ID': boxId
+      })))
+    },
+    json: {
+      consignments: outstanding.length,
+      rows: outstanding.map(({ manifestBoxes, scannedBoxes, ...summary }) => ({
+        ...summary,
+        scannedBoxCount: scannedBoxes.length
+      }))
+    }
+  };
+};
+
+// Every open exception plus the ones resolved during the day
+const exceptions = async (day) => {
+  const listed = (await getScanExceptions())
+    .filter(item => item.status === 'open' || within(item.resolvedAt, day))
+    .sort((a, b) => new Date(a.escalatedAt) - new Date(b.escalatedAt));
+
+  return {
+    sheets: {
+      Exceptions: listed.map(item => ({
+        Status: item.status,
+        'Box ID': item.boxId,
+        Scanner: item.scanner || '',
+        'Scanned At': formatTime(item.scannedAt),
+        Reason: item.reason || '',
+        'Escalated At': formatTime(item.escalatedAt),
+        Resolution: item.resolution || '',
+        Note: item.note || '',
+        'Resolved At': formatTime(item.resolvedAt),
+        'Resolved By': item.resolvedBy || ''
+      }))
+    },
+    json: {
+      open: listed.filter(item => item.status === 'open').length,
+      resolved: listed.filter(item => item.status !== 'open').length,
+      rows: listed
+    }
+  };
+};
+
+export const REPORT_TYPES = {
+  'handover-summary': { title: 'Daily handover summary', build: handoverSummary },
+  // A snapshot of when it runs, so the period does not apply
+  'outstanding-consignments': { title: 'Outstanding consignments', build: outstandingConsignments, snapshot: true },
+  exceptions: { title: 'Scan exceptions', build: exceptions },
+  'daily-scans': { title: 'Daily scans', build: dailyScans }
+};
+
+// { fileName, contentType, body, title, date } ready for delivery
+export async function buildReport({ report, period = 'yesterday', format = 'excel', now = new Date() }) {
+  const type = REPORT_TYPES[report];
+  const day = reportDay(type.snapshot ? 'today' : period, now);
+  const { sheets, json } = await type.build(day);
+
+  const file = await buildExportFile({
+    format,
+    fileName: `${report}-${day.date}`,
+    sheets,
+    json: { report, title: type.title, date: day.date, generatedAt: new Date(), ...json }
+  });
+  return { ...file, title: type.title, date: day.date };
+}
+
+const readRecipients = (value) => (Array.isArray(value) ? value : String(value || '').split(/[,;\s]+/))
+  .map(address => String(address).trim())
+  .filter(Boolean);
+
+const readDelivery = ({ type, recipients, folder } = {}) => (type === 'smtp'
+  ? { type, recipients: readRecipients(recipients) }
+  : { type, folder: folder?.toString().trim() || null });
+
+// Request body -> { schedule } or { error }. Fields left out keep the
+// current values when editing.
+export function readReportSchedule(body, current = null) {
+  const merged = { period: 'yesterday', format: 'excel', enabled: true, ...current, ...body };
+  const name = merged.name?.toString().trim();
+  if (!name) {
+    return { error: 'Name is required' };
+  }
+  if (!REPORT_TYPES[merged.report]) {
+    return { error: `Report must be one of ${Object.keys(REPORT_TYPES).join(', ')}` };
+  }
+  if (!REPORT_PERIODS.includes(merged.period)) {
+    return { error: `Period must be one of ${REPORT_PERIODS.join(', ')}` };
+  }
+  if (!REPORT_FORMATS.includes(merged.format)) {
+    return { error: `Format must be one of ${REPORT_FORMATS.join(', ')}` };
+  }
+
+  const cron = merged.cron?.toString().trim();
+  const cronError = validateCron(cron);
+  if (cronError) {
+    return { error: cronError };
+  }
+
+  const delivery = readDelivery(merged.delivery || undefined);
+  const deliveryError = validateDelivery(delivery);
+  if (deliveryError) {
+    return { error: deliveryError };
+  }
+
+  return {
+    schedule: {
+      name,
+      report: merged.report,
+      period: merged.period,
+      format: merged.format,
+      cron,
+      delivery,
+      enabled: merged.enabled !== false && merged.enabled !== 'false'
+    }
+  };
+}
+
+// Schedule as listed, with when it runs next
+export const describeSchedule = (schedule, now = new Date()) => ({
+  ...schedule,
+  nextRunAt: schedule.enabled ? nextCronRun(schedule.cron, now) : null
+});
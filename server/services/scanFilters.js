@@ -0,0 +1,165 @@
+// Scan history filters shared by /history, /filtered and /export, so an
+// export always contains exactly the rows HistoryTable shows.
+
+export const STATUS_FILTERS = ['ALL', 'TRUE', 'PENDING', 'OVERSCANNED', 'DUPLICATE'];
+
+// Dates are YYYY-MM-DD in the warehouse's local time and inclusive
+const startOfDay = (value) => new Date(`${value}T00:00:00`);
+const endOfDay = (value) => new Date(`${value}T23:59:59.999`);
+
+const isValidDate = (date) => !Number.isNaN(date.getTime());
+
+// Query string -> filters, ignoring anything malformed
+export function parseScanFilters(query = {}) {
+  const filters = {
+    startDate: null,
+    endDate: null,
+    statusFilter: 'ALL',
+    searchTerm: '',
+    includeDeleted: query.includeDeleted === 'true'
+  };
+
+  if (query.startDate && isValidDate(startOfDay(query.startDate))) {
+    filters.startDate = query.startDate;
+  }
+  if (query.endDate && isValidDate(endOfDay(query.endDate))) {
+    filters.endDate = query.endDate;
+  }
+
+  const status = query.statusFilter?.toString().toUpperCase();
+  if (STATUS_FILTERS.includes(status)) {
+    filters.statusFilter = status;
+  }
+  if (query.searchTerm) {
+    filters.searchTerm = query.searchTerm.toString().trim();
+  }
+
+  return filters;
+}
+
+const matchesStatus = (scan, statusFilter) => {
+  const status = scan.finalStatus?.toUpperCase() || '';
+  switch (statusFilter) {
+    case 'TRUE': return status === 'TRUE';
+    case 'PENDING': return status.startsWith('PENDING');
+    case 'OVERSCANNED': return status.startsWith('OVERSCANNED');
+    case 'DUPLICATE': return !!scan.isDuplicate;
+    default: return true;
+  }
+};
+
+const matchesSearch = (scan, term) =>
+  scan.boxId?.toLowerCase().includes(term) ||
+  scan.consignment?.toLowerCase().includes(term) ||
+  scan.destination?.toLowerCase().includes(term);
+
+// The date filters as Dates, null when open-ended
+export const getDateRange = (filters) => ({
+  start: filters.startDate ? startOfDay(filters.startDate) : null,
+  end: filters.endDate ? endOfDay(filters.endDate) : null
+});
+
+// The DUPLICATE filter needs scans that carry their duplicate annotation
+export function filterScans(scans, filters) {
+  const { start, end } = getDateRange(filters);
+  const term = filters.searchTerm.toLowerCase();
+
+  return scans.filter(scan => {
+    const timestamp = new Date(scan.timestamp);
+    if (start && timestamp < start) return false;
+    if (end && timestamp > end) return false;
+    if (!matchesStatus(scan, filters.statusFilter)) return false;
+    return !term || matchesSearch(scan, term);
+  });
+}
+
+// Human readable filter line for report headers
+export function describeScanFilters(filters) {
+  const parts = [];
+  if (filters.startDate || filters.endDate) {
+    parts.push(`${filters.startDate || '…'} to ${filters.endDate || '…'}`);
+  }
+  if (filters.statusFilter !== 'ALL') {
+    parts.push(`status ${filters.statusFilter}`);
+  }
+  if (filters.searchTerm) {
+    parts.push(`search "${filters.searchTerm}"`);
+  }
+  if (filters.includeDeleted) {
+    parts.push('including deleted');
+  }
+  return parts.length ? parts.join(', ') : 'All scans';
+}
+
+export const SORTABLE_FIELDS = [
+  'timestamp', 'shift', 'boxId', 'consignment', 'dbStatus', 'verified',
+  'finalStatus', 'scanCount', 'qty', 'totalBox', 'destination', 'scanner'
+];
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+const toInteger = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+// offset/limit paging and sortBy/sortDir from the query string
+export function parsePageOptions(query = {}) {
+  return {
+    offset: Math.max(0, toInteger(query.offset, 0)),
+    limit: Math.min(MAX_PAGE_SIZE, Math.max(1, toInteger(query.limit, DEFAULT_PAGE_SIZE))),
+    sortBy: SORTABLE_FIELDS.includes(query.sortBy) ? query.sortBy : 'timestamp',
+    sortDir: query.sortDir === 'asc' ? 'asc' : 'desc'
+  };
+}
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const compareValues = (a, b, field) => {
+  if (field === 'timestamp') {
+    return new Date(a) - new Date(b);
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return collator.compare(a.toString(), b.toString());
+};
+
+// Empty values always go last; ties fall back to newest first
+export function sortScans(scans, { sortBy, sortDir }) {
+  const direction = sortDir === 'asc' ? 1 : -1;
+
+  return [...scans].sort((a, b) => {
+    const left = a[sortBy];
+    const right = b[sortBy];
+
+    if (isEmpty(left) || isEmpty(right)) {
+      if (isEmpty(left) !== isEmpty(right)) return isEmpty(left) ? 1 : -1;
+    } else {
+      const result = compareValues(left, right, sortBy) * direction;
+      if (result !== 0) return result;
+    }
+    return new Date(b.timestamp) - new Date(a.timestamp);
+  });
+}
+
+// Scans come newest first, as storage and the scan index list them, so
+// the default order needs no sorting
+export function paginateScans(scans, options) {
+  let sorted = scans;
+  if (options.sortBy !== 'timestamp') {
+    sorted = sortScans(scans, options);
+  } else if (options.sortDir === 'asc') {
+    sorted = [...scans].reverse();
+  }
+  return {
+    total: scans.length,
+    offset: options.offset,
+    limit: options.limit,
+    sortBy: options.sortBy,
+    sortDir: options.sortDir,
+    scans: sorted.slice(options.offset, options.offset + options.limit)
+  };
+}
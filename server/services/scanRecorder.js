@@ -0,0 +1,585 @@
+// Records a single box scan: duplicate check, manifest reconciliation and
+// pending parking. Runs under the scan lock so two stations scanning the same
+// box can't both pass the duplicate check.
+import {
+  getScans,
+  findScanByClientScanId,
+  findBoxScansOnDay,
+  getConsignmentScans,
+  getScanDestinationCounts,
+  addScan,
+  getDispatchData,
+  getBarcodeRules,
+  getPendingScans,
+  addPendingScan,
+  removePendingScan,
+  getScanById,
+  getScanExceptions,
+  getShiftClosures,
+  addScanException,
+  updateScanException,
+  updateScan,
+  updateScansByConsignment,
+  withScanLock
+} from '../models/dataStore.js';
+import {
+  normalizeBoxId,
+  toManifestEntry,
+  findManifestEntry,
+  findConsignmentEntry,
+  getExpectedBoxes,
+  getConsignmentStatus,
+  formatVerifiedTime
+} from './reconciliation.js';
+import { getOpenShift } from './shifts.js';
+import { recordAudit } from './audit.js';
+import { publishEvent } from './events.js';
+import { parseBarcode } from './barcode.js';
+import { pendingConfig } from '../config/pending.js';
+
+// Time the box was actually scanned. Queued offline scans carry their
+// original time; anything unparseable or in the future falls back to now.
+const resolveScanTime = (scannedAt) => {
+  const now = new Date();
+  if (!scannedAt) return now;
+
+  const date = new Date(scannedAt);
+  return Number.isNaN(date.getTime()) || date > now ? now : date;
+};
+
+// How the box ID was read from a structured label, kept on the scan row.
+// Plain box IDs carry nothing extra.
+const describeBarcode = (parsed) => (parsed.format === 'plain' ? {} : {
+  barcode: { raw: parsed.raw, format: parsed.format, rule: parsed.rule, fields: parsed.fields }
+});
+
+// boxId: the scanned barcode, reduced to the box ID by parseBarcode.
+// clientScanId: ID generated by the station for this scan. Sending the same
+// ID again (an offline replay, or a retry after a lost response) returns the
+// scan recorded the first time instead of recording it twice.
+export async function recordScan({ boxId, userEmail, allowDuplicate = false, clientScanId, scannedAt }) {
+  const rules = (await getBarcodeRules()).filter(rule => rule.enabled);
+  const parsed = parseBarcode(boxId, rules);
+  if (!parsed.valid) {
+    return {
+      success: false,
+      isInvalid: true,
+      message: `❌ Invalid barcode: ${parsed.error}`,
+      barcode: parsed
+    };
+  }
+
+  const result = await withScanLock(async () => {
+    const boxIdTrimmed = parsed.boxId;
+    const barcode = describeBarcode(parsed);
+    const now = resolveScanTime(scannedAt);
+    const receivedAt = scannedAt ? { receivedAt: new Date() } : {};
+
+    clientScanId = clientScanId ? clientScanId.toString() : null;
+    if (clientScanId) {
+      const recorded = await findScanByClientScanId(clientScanId);
+      if (recorded) {
+        return {
+          success: true,
+          isReplay: true,
+          isDuplicate: !!recorded.isDuplicate,
+          message: `✅ Box ID **${boxIdTrimmed}** was already recorded.`,
+          row: recorded
+        };
+      }
+    }
+    const clientScanIds = clientScanId ? [clientScanId] : [];
+
+    // Check for duplicate scan on the day of the scan
+    const [existingScan] = await findBoxScansOnDay(boxIdTrimmed, now);
+    
+    if (existingScan && !allowDuplicate) {
+      return {
+        success: false,
+        isDuplicate: true,
+        message: `⚠️ Duplicate Scan! Box ID **${boxIdTrimmed}** has already been scanned today.`,
+        duplicateData: existingScan
+      };
+    }
+
+    // Scans of a closed shift are frozen
+    if (existingScan && existingScan.shiftClosureId) {
+      return {
+        success: false,
+        isDuplicate: true,
+        message: `⚠️ Box ID **${boxIdTrimmed}** was already scanned in a closed shift (${existingScan.shift}).`,
+        duplicateData: existingScan
+      };
+    }
+
+    // ...and so are boxes already handed over to a carrier
+    if (existingScan && existingScan.handoverId) {
+      return {
+        success: false,
+        isDuplicate: true,
+        message: `⚠️ Box ID **${boxIdTrimmed}** was already handed over to a carrier.`,
+        duplicateData: existingScan
+      };
+    }
+
+    // If duplicate is allowed, mark it as duplicate
+    if (existingScan && allowDuplicate) {
+      // Update existing scan as duplicate
+      const updatedScan = {
+        ...existingScan,
+        isDuplicate: true,
+        duplicateCount: (existingScan.duplicateCount || 1) + 1,
+        lastScanned: now,
+        clientScanIds: [...(existingScan.clientScanIds || []), ...clientScanIds]
+      };
+      
+      await updateScan(existingScan.id, updatedScan);
+      await recordAudit({
+        actor: userEmail,
+        action: 'scan.duplicate',
+        before: existingScan,
+        after: updatedScan
+      });
+      
+      return {
+        success: true,
+        isDuplicate: true,
+        message: `🔄 Duplicate Box ID **${boxIdTrimmed}** recorded. (Count: ${updatedScan.duplicateCount})`,
+        row: updatedScan
+      };
+    }
+
+    const dispatchData = await getDispatchData();
+    const entry = findManifestEntry(dispatchData, boxIdTrimmed);
+    const { shift, shiftDate } = getOpenShift(now, await getShiftClosures());
+
+    // Unknown box: record it and park it until new dispatch data arrives
+    if (!entry) {
+      const row = await addScan({
+        boxId: boxIdTrimmed,
+        consignment: '',
+        destination: '',
+        dbStatus: 'NOT FOUND',
+        verified: formatVerifiedTime(now),
+        finalStatus: 'PENDING',
+        scanCount: 0,
+        scanner: userEmail,
+        shift,
+        shiftDate,
+        timestamp: now,
+        clientScanIds,
+        ...barcode,
+        ...receivedAt
+      });
+
+      await addPendingScan({
+        scanId: row.id,
+        boxId: boxIdTrimmed,
+        scanner: userEmail,
+        timestamp: now
+      });
+      await recordAudit({ actor: userEmail, action: 'scan.pending', after: row });
+
+      return {
+        success: true,
+        isPending: true,
+        message: `⏳ Box ID **${boxIdTrimmed}** not found in dispatch data. Added to pending.`,
+        row,
+        counts: await getScanDestinationCounts(),
+        pendingCount: (await getPendingScans()).length
+      };
+    }
+
+    const totalBox = getExpectedBoxes(dispatchData, entry);
+    const consignmentStatus = getConsignmentStatus(
+      [{ consignment: entry.consignment, boxId: boxIdTrimmed }, ...(await getConsignmentScans(entry.consignment))],
+      entry.consignment,
+      totalBox
+    );
+
+    const row = await addScan({
+      boxId: boxIdTrimmed,
+      consignment: entry.consignment,
+      destination: entry.destination,
+      qty: entry.qty,
+      totalBox,
+      dbStatus: entry.dbStatus,
+      verified: formatVerifiedTime(now),
+      finalStatus: consignmentStatus.finalStatus,
+      scanCount: consignmentStatus.scanCount,
+      scanner: userEmail,
+      shift,
+      shiftDate,
+      timestamp: now,
+      clientScanIds,
+      ...barcode,
+      ...receivedAt
+    });
+
+    await recordAudit({ actor: userEmail, action: 'scan.create', after: row });
+
+    // Keep every row of the consignment on the same count/status
+    await updateScansByConsignment(entry.consignment, {
+      scanCount: consignmentStatus.scanCount,
+      finalStatus: consignmentStatus.finalStatus
+    });
+
+    return {
+      success: true,
+      isDuplicate: false,
+      message: `✅ Box ID **${boxIdTrimmed}** recorded for ${entry.destination} (${consignmentStatus.finalStatus}).`,
+      row,
+      consignmentStatus,
+      counts: await getScanDestinationCounts()
+    };
+  });
+
+  // Let every other station know
+  if (result.success && !result.isReplay) {
+    publishEvent('scan.recorded', {
+      row: result.row,
+      isDuplicate: !!result.isDuplicate,
+      isPending: !!result.isPending,
+      consignmentStatus: result.consignmentStatus || null,
+      counts: result.counts || null,
+      pendingCount: result.pendingCount
+    });
+  }
+
+  return result;
+}
+
+// Final status the active scans of a consignment carry ('' without any).
+// Taken before a change, it tells recountConsignments what the change did.
+export async function getStoredStatus(consignment) {
+  const [scan] = await getConsignmentScans(consignment);
+  return scan?.finalStatus || '';
+}
+
+// Recompute count and status on every row of the given consignments after
+// scans were removed, restored or re-matched. Call inside withScanLock.
+// Returns the new status of each consignment with its destination and
+// previousStatus: from previousStatuses (consignment -> status) when given,
+// otherwise what its rows carried before the recount.
+export async function recountConsignments(consignments, previousStatuses = new Map()) {
+  const dispatchData = await getDispatchData();
+  const statuses = [];
+
+  for (const consignment of new Set(consignments)) {
+    if (!consignment) continue;
+
+    const scans = await getConsignmentScans(consignment);
+    const entry = findConsignmentEntry(dispatchData, consignment);
+    const totalBox = entry
+      ? getExpectedBoxes(dispatchData, entry)
+      : scans[0]?.totalBox;
+    const status = getConsignmentStatus(scans, consignment, totalBox);
+    const previousStatus = previousStatuses.has(consignment)
+      ? previousStatuses.get(consignment)
+      : scans[0]?.finalStatus || '';
+
+    await updateScansByConsignment(consignment, {
+      totalBox,
+      scanCount: status.scanCount,
+      finalStatus: status.finalStatus
+    });
+    statuses.push({
+      ...status,
+      destination: entry?.destination || scans[0]?.destination || null,
+      previousStatus
+    });
+  }
+
+  return statuses;
+}
+
+// Match every open scan against the current manifest again, e.g. after a
+// manifest upload or rollback. Boxes that moved get their new consignment, boxes no
+// longer on the manifest go back to pending and pending boxes that now
+// appear are matched. Scans of closed shifts are left as they are.
+// Call inside withScanLock. Returns what changed.
+export async function reconcileScans({ actor }) {
+  const [scans, dispatchData, pending, exceptions] = await Promise.all([
+    getScans(),
+    getDispatchData(),
+    getPendingScans(),
+    getScanExceptions()
+  ]);
+
+  const manifest = new Map();
+  for (const row of dispatchData) {
+    const entry = toManifestEntry(row);
+    if (entry.boxId && !manifest.has(entry.boxId)) {
+      manifest.set(entry.boxId, entry);
+    }
+  }
+  const pendingByScanId = new Map(pending.map(item => [item.scanId, item]));
+  const openExceptionsByScanId = new Map(exceptions
+    .filter(item => item.status === 'open')
+    .map(item => [item.scanId, item]));
+
+  const expectedBoxes = new Map();
+  const getTotalBox = (consignment) => {
+    if (!expectedBoxes.has(consignment)) {
+      expectedBoxes.set(consignment, getExpectedBoxes(dispatchData, findConsignmentEntry(dispatchData, consignment)));
+    }
+    return expectedBoxes.get(consignment);
+  };
+
+  const touchedConsignments = [];
+  const previousStatuses = new Map();
+  const report = { matched: [], unmatched: [], moved: [] };
+
+  for (const scan of scans) {
+    if (scan.shiftClosureId || scan.handoverId) continue;
+
+    const entry = manifest.get(normalizeBoxId(scan.boxId));
+    let changes = null;
+
+    if (entry) {
+      const fields = {
+        consignment: entry.consignment,
+        destination: entry.destination,
+        qty: entry.qty,
+        dbStatus: entry.dbStatus
+      };
+      const totalBox = getTotalBox(entry.consignment);
+      const changed = Object.keys(fields).some(key => (scan[key] ?? '') !== fields[key]);
+      // A new Total Box alone still needs the consignment recounted
+      if (changed || scan.totalBox !== totalBox) {
+        changes = { ...fields, totalBox };
+      }
+      if (changed) {
+        report[scan.consignment ? 'moved' : 'matched'].push(scan.boxId);
+      }
+
+      const pendingItem = pendingByScanId.get(scan.id);
+      if (pendingItem) {
+        await removePendingScan(pendingItem.id);
+      }
+      const exception = openExceptionsByScanId.get(scan.id);
+      if (exception) {
+        await closeException(exception, { actor, resolution: 'matched' });
+      }
+    } else if (scan.consignment) {
+      changes = {
+        consignment: '',
+        destination: '',
+        qty: '',
+        totalBox: null,
+        dbStatus: 'NOT FOUND',
+        scanCount: 0,
+        finalStatus: 'PENDING'
+      };
+      report.unmatched.push(scan.boxId);
+
+      if (!pendingByScanId.has(scan.id)) {
+        await addPendingScan({
+          scanId: scan.id,
+          boxId: scan.boxId,
+          scanner: scan.scanner,
+          timestamp: scan.timestamp
+        });
+      }
+    }
+
+    if (!changes) continue;
+
+    // Before the first row of either consignment changes
+    for (const consignment of [scan.consignment, changes.consignment]) {
+      if (consignment && !previousStatuses.has(consignment)) {
+        previousStatuses.set(consignment, await getStoredStatus(consignment));
+      }
+    }
+    await updateScan(scan.id, changes);
+    await recordAudit({
+      actor,
+      action: 'scan.reconcile',
+      before: scan,
+      after: { ...scan, ...changes }
+    });
+    touchedConsignments.push(scan.consignment, changes.consignment);
+  }
+
+  const consignmentStatuses = await recountConsignments(touchedConsignments, previousStatuses);
+  return { ...report, consignmentStatuses };
+}
+
+const closeException = async (exception, { actor, resolution, note = null }) => {
+  const resolved = {
+    status: 'resolved',
+    resolution,
+    note,
+    resolvedAt: new Date(),
+    resolvedBy: actor
+  };
+  await updateScanException(exception.id, resolved);
+  return { ...exception, ...resolved };
+};
+
+const ageInHours = (timestamp, now) =>
+  Math.floor((now - new Date(timestamp)) / (60 * 60 * 1000));
+
+// Move pending scans older than the escalation age to the exceptions list.
+// Call inside withScanLock. Returns the new exceptions.
+export async function escalateStalePendingScans({ actor, now = new Date() }) {
+  const cutoff = now.getTime() - pendingConfig.escalateAfterHours * 60 * 60 * 1000;
+  const stale = (await getPendingScans()).filter(item => new Date(item.timestamp).getTime() < cutoff);
+  const escalated = [];
+
+  for (const item of stale) {
+    const exception = await addScanException({
+      scanId: item.scanId,
+      boxId: item.boxId,
+      scanner: item.scanner,
+      scannedAt: item.timestamp,
+      reason: `Not in dispatch data after ${ageInHours(item.timestamp, now)} hours`,
+      escalatedBy: actor
+    });
+    await removePendingScan(item.id);
+    await recordAudit({
+      actor,
+      action: 'pending.escalate',
+      scanId: item.scanId,
+      boxId: item.boxId,
+      details: { exceptionId: exception.id, reason: exception.reason }
+    });
+    escalated.push(exception);
+  }
+
+  if (escalated.length > 0) {
+    publishEvent('pending.escalated', {
+      escalated: escalated.length,
+      pendingCount: (await getPendingScans()).length
+    });
+  }
+  return escalated;
+}
+
+// Match pending scans, and exceptions still open, against the current
+// manifest; whatever is still pending past the escalation age becomes an
+// exception. Runs on every dispatch commit and from "Process Pending".
+// Call inside withScanLock. Returns the report sent back to the client.
+export async function resolvePendingScans({ actor, now = new Date() }) {
+  const [pending, exceptions, dispatchData] = await Promise.all([
+    getPendingScans(),
+    getScanExceptions(),
+    getDispatchData()
+  ]);
+  const touchedConsignments = [];
+  const resolved = [];
+
+  const matchScan = async (item, entry, source) => {
+    const changes = {
+      consignment: entry.consignment,
+      destination: entry.destination,
+      qty: entry.qty,
+      dbStatus: entry.dbStatus
+    };
+    const before = await getScanById(item.scanId);
+
+    await updateScan(item.scanId, changes);
+    await recordAudit({
+      actor,
+      action: 'pending.process',
+      scanId: item.scanId,
+      boxId: item.boxId,
+      before,
+      after: before ? { ...before, ...changes } : changes,
+      details: { source }
+    });
+
+    touchedConsignments.push(entry.consignment);
+    resolved.push({
+      scanId: item.scanId,
+      boxId: item.boxId,
+      consignment: entry.consignment,
+      destination: entry.destination,
+      source
+    });
+  };
+
+  for (const item of pending) {
+    const entry = findManifestEntry(dispatchData, item.boxId);
+    if (!entry) continue;
+
+    await matchScan(item, entry, 'pending');
+    await removePendingScan(item.id);
+  }
+
+  for (const exception of exceptions.filter(item => item.status === 'open')) {
+    const entry = findManifestEntry(dispatchData, exception.boxId);
+    if (!entry) continue;
+
+    await matchScan(exception, entry, 'exception');
+    await closeException(exception, { actor, resolution: 'matched' });
+  }
+
+  const consignmentStatuses = await recountConsignments(touchedConsignments);
+  const overscanned = consignmentStatuses
+    .filter(status => status.finalStatus === 'OVERSCANNED')
+    .map(({ consignment, scanCount, totalBox }) => ({ consignment, scanCount, totalBox }));
+
+  if (resolved.length > 0) {
+    publishEvent('pending.processed', {
+      rows: await Promise.all(resolved.map(item => getScanById(item.scanId))),
+      consignmentStatuses,
+      counts: await getScanDestinationCounts(),
+      pendingCount: pending.length - resolved.filter(item => item.source === 'pending').length
+    });
+  }
+
+  const escalated = await escalateStalePendingScans({ actor, now });
+  const remaining = (await getPendingScans()).map(item => ({
+    scanId: item.scanId,
+    boxId: item.boxId,
+    scanner: item.scanner,
+    timestamp: item.timestamp,
+    ageHours: ageInHours(item.timestamp, now)
+  }));
+
+  return {
+    resolved,
+    remaining,
+    escalated: escalated.map(({ id, scanId, boxId, reason }) => ({ id, scanId, boxId, reason })),
+    overscanned,
+    consignmentStatuses
+  };
+}
+
+// Supervisor closes an exception by hand, e.g. the box was sent back
+export async function resolveScanException(exceptionId, { actor, note }) {
+  const exception = (await getScanExceptions()).find(item => item.id === exceptionId);
+  if (!exception || exception.status !== 'open') {
+    return null;
+  }
+
+  const resolved = await closeException(exception, { actor, resolution: 'dismissed', note });
+  await recordAudit({
+    actor,
+    action: 'exception.resolve',
+    scanId: exception.scanId,
+    boxId: exception.boxId,
+    details: { exceptionId, note }
+  });
+  return resolved;
+}
+
+// One-line summary of a resolvePendingScans report, plus the scans a
+// reconcileScans run moved or sent back to pending
+export function describePendingReport({ resolved, remaining, escalated, overscanned }, reconciliation = null) {
+  const parts = [`Resolved ${resolved.length} pending scan(s)`, `${remaining.length} still pending`];
+  if (escalated.length > 0) {
+    parts.push(`${escalated.length} escalated to exceptions`);
+  }
+  if (reconciliation?.moved.length > 0) {
+    parts.push(`${reconciliation.moved.length} scan(s) moved`);
+  }
+  if (reconciliation?.unmatched.length > 0) {
+    parts.push(`${reconciliation.unmatched.length} back to pending`);
+  }
+  if (overscanned.length > 0) {
+    parts.push(`overscanned: ${overscanned.map(item => item.consignment).join(', ')}`);
+  }
+  return parts.join(', ');
+}
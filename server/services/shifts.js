@@ -0,0 +1,142 @@
+// Shift assignment and end-of-shift summaries
+import { shiftDefinitions } from '../config/shifts.js';
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+const pad = (value) => value.toString().padStart(2, '0');
+
+// YYYY-MM-DD in server local time
+export const formatLocalDate = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export function describeShifts(definitions = shiftDefinitions) {
+  return definitions.map(shift => ({
+    ...shift,
+    crossesMidnight: toMinutes(shift.end) <= toMinutes(shift.start)
+  }));
+}
+
+// Shift a moment belongs to. Shifts crossing midnight are dated by the
+// day they started, so 02:00 on the 5th is the night shift of the 4th.
+export function getShiftForDate(date, definitions = shiftDefinitions) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  for (const shift of describeShifts(definitions)) {
+    const start = toMinutes(shift.start);
+    const end = toMinutes(shift.end);
+
+    if (!shift.crossesMidnight && minutes >= start && minutes < end) {
+      return { shift: shift.name, shiftDate: formatLocalDate(date) };
+    }
+
+    if (shift.crossesMidnight && (minutes >= start || minutes < end)) {
+      const startDay = new Date(date);
+      if (minutes < end) {
+        startDay.setDate(startDay.getDate() - 1);
+      }
+      return { shift: shift.name, shiftDate: formatLocalDate(startDay) };
+    }
+  }
+
+  return { shift: 'Unassigned', shiftDate: formatLocalDate(date) };
+}
+
+// Moment a shift ends. Unassigned time runs to the end of its day.
+export function getShiftEnd({ shift, shiftDate }, definitions = shiftDefinitions) {
+  const definition = describeShifts(definitions).find(item => item.name === shift);
+  const end = new Date(`${shiftDate}T00:00:00`);
+  if (!definition || definition.crossesMidnight) {
+    end.setDate(end.getDate() + 1);
+  }
+  if (definition) {
+    end.setMinutes(toMinutes(definition.end));
+  }
+  return end;
+}
+
+// Most recent shift that has ended by `date`, or null without definitions
+export function getLastEndedShift(date, definitions = shiftDefinitions) {
+  let last = null;
+  let lastEnd = null;
+  for (let daysBack = 0; daysBack <= 2; daysBack++) {
+    const day = new Date(date);
+    day.setDate(day.getDate() - daysBack);
+    for (const { name } of definitions) {
+      const candidate = { shift: name, shiftDate: formatLocalDate(day) };
+      const end = getShiftEnd(candidate, definitions);
+      if (end <= date && (!lastEnd || end > lastEnd)) {
+        last = candidate;
+        lastEnd = end;
+      }
+    }
+  }
+  return last;
+}
+
+// Shift a scan made at `date` is booked to. Offline scans replayed after
+// their shift was closed go to the next shift that is still open.
+export function getOpenShift(date, closures, definitions = shiftDefinitions) {
+  let current = getShiftForDate(date, definitions);
+  while (closures.some(closure => isInShift(closure, current))) {
+    current = getShiftForDate(getShiftEnd(current, definitions), definitions);
+  }
+  return current;
+}
+
+export const isInShift = (scan, { shift, shiftDate }) =>
+  scan.shift === shift && scan.shiftDate === shiftDate;
+
+// Closing report for the scans of one shift
+export function buildShiftSummary(scans, { shift, shiftDate }) {
+  const boxesPerDestination = {};
+  const scanners = {};
+  const consignmentStatus = new Map();
+  let duplicateBoxes = 0;
+  let duplicateScans = 0;
+  let pendingBoxes = 0;
+
+  // Rows are newest first, so the first row seen has the latest status
+  for (const scan of scans) {
+    const destination = scan.destination || 'PENDING';
+    boxesPerDestination[destination] = (boxesPerDestination[destination] || 0) + 1;
+
+    const scanner = scan.scanner || 'unknown';
+    scanners[scanner] = (scanners[scanner] || 0) + 1;
+
+    if (scan.isDuplicate) {
+      duplicateBoxes++;
+      duplicateScans += (scan.duplicateCount || 1) - 1;
+    }
+
+    if (!scan.consignment) {
+      pendingBoxes++;
+    } else if (!consignmentStatus.has(scan.consignment)) {
+      consignmentStatus.set(scan.consignment, scan.finalStatus || '');
+    }
+  }
+
+  const consignments = { completed: [], pending: [], overscanned: [] };
+  for (const [consignment, status] of consignmentStatus) {
+    if (status === 'TRUE') {
+      consignments.completed.push(consignment);
+    } else if (status.startsWith('OVERSCANNED')) {
+      consignments.overscanned.push(consignment);
+    } else {
+      consignments.pending.push(consignment);
+    }
+  }
+
+  return {
+    shift,
+    shiftDate,
+    totalScans: scans.length,
+    boxesPerDestination,
+    consignments,
+    duplicates: { boxes: duplicateBoxes, extraScans: duplicateScans },
+    pendingBoxes,
+    scanners
+  };
+}
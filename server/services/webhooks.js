@@ -0,0 +1,282 @@
+// Outbound webhooks. Listens on the event bus, turns scan, consignment and
+// dispatch changes into webhook events and POSTs them to every subscribed
+// URL, signed with the webhook's secret. Each POST is a logged delivery;
+// failures are retried with a doubling delay and can be redelivered by hand.
+//
+// Receivers verify X-Webhook-Signature, "sha256=" + hex HMAC-SHA256 of
+// "<X-Webhook-Timestamp>.<raw body>" with the secret.
+import crypto from 'crypto';
+import {
+  getWebhooks,
+  getWebhookDeliveries,
+  addWebhookDelivery,
+  updateWebhookDelivery
+} from '../models/dataStore.js';
+import { webhooksConfig } from '../config/webhooks.js';
+import { subscribe } from './events.js';
+
+export const WEBHOOK_EVENTS = [
+  'scan.recorded',
+  'scan.duplicate',
+  'consignment.completed',
+  'consignment.overscanned',
+  'dispatch.uploaded'
+];
+
+const RETRY_CHECK_MS = 15 * 1000;
+const MAX_RESPONSE_LENGTH = 1000;
+
+const toScanPayload = (row) => ({
+  id: row.id,
+  boxId: row.boxId,
+  consignment: row.consignment || null,
+  destination: row.destination || null,
+  dbStatus: row.dbStatus,
+  finalStatus: row.finalStatus,
+  scanCount: row.scanCount,
+  totalBox: row.totalBox ?? null,
+  scanner: row.scanner,
+  shift: row.shift,
+  scannedAt: row.timestamp
+});
+
+// consignment.completed / consignment.overscanned for statuses that just
+// reached TRUE or went over. Scans only ever add boxes, so after a scan TRUE
+// is always new and every box past the total fires overscanned again.
+const consignmentEvents = (statuses, { destination, boxId = null } = {}) => statuses
+  .filter(status => status.finalStatus === 'TRUE' || status.finalStatus === 'OVERSCANNED')
+  .map(status => ({
+    event: status.finalStatus === 'TRUE' ? 'consignment.completed' : 'consignment.overscanned',
+    data: {
+      consignment: status.consignment,
+      destination: destination?.(status.consignment) ?? status.destination ?? null,
+      scanCount: status.scanCount,
+      totalBox: status.totalBox,
+      finalStatus: status.finalStatus,
+      ...(boxId ? { boxId } : {})
+    }
+  }));
+
+// Bus event -> [{ event, data }] for webhooks
+export function toWebhookEvents({ type, data }) {
+  if (type === 'scan.recorded') {
+    if (data.isDuplicate) {
+      return [{ event: 'scan.duplicate', data: { scan: toScanPayload(data.row), duplicateCount: data.row.duplicateCount } }];
+    }
+    return [
+      { event: 'scan.recorded', data: { scan: toScanPayload(data.row), pending: data.isPending } },
+      ...consignmentEvents(data.consignmentStatus ? [data.consignmentStatus] : [], {
+        destination: () => data.row.destination,
+        boxId: data.row.boxId
+      })
+    ];
+  }
+
+  // Pending boxes matched by a new manifest can complete consignments too
+  if (type === 'pending.processed') {
+    const destinations = new Map(data.rows.filter(Boolean).map(row => [row.consignment, row.destination]));
+    return consignmentEvents(data.consignmentStatuses, { destination: consignment => destinations.get(consignment) });
+  }
+
+  // Recounts after a delete, restore or new manifest can move a consignment
+  // either way; only statuses the recount changed are sent
+  const changedStatuses = () => (data.consignmentStatuses || [])
+    .filter(status => status.finalStatus !== status.previousStatus);
+
+  if (type === 'scan.deleted' || type === 'scan.restored' || type === 'dispatch.rolledback') {
+    return consignmentEvents(changedStatuses());
+  }
+
+  if (type === 'dispatch.uploaded') {
+    const { consignmentStatuses, ...upload } = data;
+    return [{ event: 'dispatch.uploaded', data: upload }, ...consignmentEvents(changedStatuses())];
+  }
+  return [];
+}
+
+// Request body -> { webhook } or { error }. Fields left out keep the
+// current values when editing.
+export function readWebhook(body, current = null) {
+  const merged = { enabled: true, ...current, ...body };
+  const name = merged.name?.toString().trim();
+  if (!name) {
+    return { error: 'Name is required' };
+  }
+
+  let url;
+  try {
+    url = new URL(merged.url);
+  } catch {
+    return { error: 'URL must be an absolute http(s) URL' };
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return { error: 'URL must be an absolute http(s) URL' };
+  }
+
+  const events = Array.isArray(merged.events) ? [...new Set(merged.events)] : [];
+  const unknown = events.find(event => !WEBHOOK_EVENTS.includes(event));
+  if (events.length === 0 || unknown) {
+    return { error: `Events must be one or more of ${WEBHOOK_EVENTS.join(', ')}` };
+  }
+
+  return {
+    webhook: {
+      name,
+      url: url.toString(),
+      events,
+      enabled: merged.enabled !== false && merged.enabled !== 'false'
+    }
+  };
+}
+
+// Listed without the secret; it is only shown when created or rotated
+export const describeWebhook = ({ secret, ...webhook }) => ({ ...webhook, secretHint: `…${secret.slice(-4)}` });
+
+export const generateWebhookSecret = () => crypto.randomBytes(24).toString('hex');
+
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+const retryDelaySeconds = (failedAttempts) =>
+  webhooksConfig.retrySeconds * 2 ** (failedAttempts - 1);
+
+// POST once and record the outcome on the delivery
+async function attemptDelivery(delivery, webhook) {
+  const attempts = [...(delivery.attempts || [])];
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  let attempt;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'box-scanning-webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(webhooksConfig.timeoutSeconds * 1000)
+    });
+    const text = await response.text().catch(() => '');
+    attempt = {
+      at: new Date(),
+      statusCode: response.status,
+      response: text.slice(0, MAX_RESPONSE_LENGTH),
+      error: response.ok ? null : `HTTP ${response.status}`,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    const message = error.name === 'TimeoutError'
+      ? `No response within ${webhooksConfig.timeoutSeconds}s`
+      : error.cause?.message || error.message;
+    attempt = { at: new Date(), statusCode: null, response: null, error: message, durationMs: Date.now() - startedAt };
+  }
+  attempts.push(attempt);
+
+  let outcome;
+  if (!attempt.error) {
+    outcome = { status: 'delivered', attempts, nextAttemptAt: null };
+  } else {
+    const failures = attempts.filter(item => item.error).length;
+    const retrying = failures <= webhooksConfig.retryAttempts;
+    console.error(
+      `Webhook "${webhook.name}" ${delivery.event} delivery failed on attempt ${attempts.length}` +
+      `${retrying ? ', will retry' : ', giving up'}:`,
+      attempt.error
+    );
+    outcome = retrying
+      ? { status: 'retrying', attempts, nextAttemptAt: new Date(Date.now() + retryDelaySeconds(failures) * 1000) }
+      : { status: 'failed', attempts, nextAttemptAt: null };
+  }
+
+  await updateWebhookDelivery(delivery.id, outcome);
+  return { ...delivery, ...outcome };
+}
+
+// Log a delivery of `payload` to `webhook` and send it
+export async function sendWebhook(webhook, { event, payload, redeliveryOf = null }) {
+  const delivery = await addWebhookDelivery({
+    webhookId: webhook.id,
+    webhookName: webhook.name,
+    url: webhook.url,
+    event,
+    eventId: payload.id,
+    payload,
+    redeliveryOf,
+    status: 'pending',
+    attempts: []
+  });
+  return await attemptDelivery(delivery, webhook);
+}
+
+// Fan one webhook event out to every enabled webhook subscribed to it
+export async function dispatchWebhookEvent({ event, data }, occurredAt = new Date()) {
+  const webhooks = (await getWebhooks())
+    .filter(webhook => webhook.enabled && webhook.events.includes(event));
+  if (webhooks.length === 0) return [];
+
+  const payload = { id: crypto.randomUUID(), event, occurredAt, data };
+  return await Promise.all(webhooks.map(webhook => sendWebhook(webhook, { event, payload })));
+}
+
+// Send a logged delivery again as a new delivery with the same payload,
+// to the webhook's current URL and secret. Null when the webhook is gone.
+export async function redeliver(delivery) {
+  const webhook = (await getWebhooks()).find(item => item.id === delivery.webhookId);
+  if (!webhook) {
+    return null;
+  }
+  return await sendWebhook(webhook, { event: delivery.event, payload: delivery.payload, redeliveryOf: delivery.id });
+}
+
+let retrying = false;
+
+// Deliveries whose back-off has passed, retried one at a time
+export async function retryDueDeliveries(now = new Date()) {
+  if (retrying) return;
+  retrying = true;
+
+  try {
+    const due = (await getWebhookDeliveries())
+      .filter(delivery => delivery.status === 'retrying' && new Date(delivery.nextAttemptAt) <= now);
+    if (due.length === 0) return;
+
+    const webhooks = new Map((await getWebhooks()).map(webhook => [webhook.id, webhook]));
+    for (const delivery of due) {
+      const webhook = webhooks.get(delivery.webhookId);
+      if (!webhook || !webhook.enabled) {
+        await updateWebhookDelivery(delivery.id, {
+          status: 'failed',
+          nextAttemptAt: null,
+          attempts: [...delivery.attempts, { at: new Date(), statusCode: null, response: null, error: 'Webhook was removed or disabled' }]
+        });
+        continue;
+      }
+      await attemptDelivery(delivery, webhook);
+    }
+  } finally {
+    retrying = false;
+  }
+}
+
+export function startWebhookDispatcher() {
+  subscribe(busEvent => {
+    for (const webhookEvent of toWebhookEvents(busEvent)) {
+      dispatchWebhookEvent(webhookEvent, busEvent.timestamp).catch(error => {
+        console.error(`Failed to dispatch ${webhookEvent.event} webhooks:`, error);
+      });
+    }
+  });
+
+  setInterval(() => {
+    retryDueDeliveries().catch(error => {
+      console.error('Failed to retry webhook deliveries:', error);
+    });
+  }, RETRY_CHECK_MS).unref();
+}
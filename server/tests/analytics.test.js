@@ -0,0 +1,95 @@
+import { manifestRow, callController } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { updateDispatchData } from '../models/dataStore.js';
+import { recordScan } from '../services/scanRecorder.js';
+import { formatLocalDate } from '../services/shifts.js';
+import { parseAnalyticsQuery, buildAnalytics } from '../services/analytics.js';
+import { getAnalyticsSection, exportAnalytics } from '../controllers/analyticsController.js';
+
+const scan = (time, fields) => ({ timestamp: new Date(`2026-03-10T${time}`), ...fields });
+const scans = [
+  scan('08:05:00', { scanner: 'a@dock', destination: 'NORTH', consignment: 'C1', finalStatus: 'TRUE' }),
+  scan('08:35:00', { scanner: 'a@dock', destination: 'NORTH', consignment: 'C1', finalStatus: 'TRUE', isDuplicate: true, duplicateCount: 3 }),
+  scan('09:15:00', { scanner: 'b@dock', destination: 'SOUTH', consignment: 'C2', finalStatus: 'OVERSCANNED' }),
+  scan('09:55:00', { scanner: 'a@dock', destination: 'SOUTH', consignment: 'C2', finalStatus: 'OVERSCANNED' }),
+  scan('10:00:00', { scanner: 'b@dock', destination: 'NORTH', consignment: 'C3', finalStatus: 'PENDING (1/2)' }),
+  // Outside the range
+  { timestamp: new Date('2026-03-11T08:00:00'), scanner: 'a@dock', destination: 'NORTH', consignment: 'C9' }
+];
+
+test('the range defaults to the last week and hourly buckets need a short range', () => {
+  const { from, to, granularity } = parseAnalyticsQuery({}, new Date('2026-03-10T12:00:00'));
+  assert.deepEqual({ from, to, granularity }, { from: '2026-03-04', to: '2026-03-10', granularity: 'day' });
+  assert.equal(parseAnalyticsQuery({ from: '2026-03-09', to: '2026-03-10' }).granularity, 'hour');
+
+  assert.ok(parseAnalyticsQuery({ from: '10/03/2026' }).error);
+  assert.ok(parseAnalyticsQuery({ from: '2026-03-11', to: '2026-03-10' }).error);
+  assert.ok(parseAnalyticsQuery({ granularity: 'minute' }).error);
+  assert.match(parseAnalyticsQuery({ from: '2025-01-01', to: '2026-03-10', granularity: 'hour' }).error, /too long/);
+});
+
+test('boxes per hour, scanner and destination', () => {
+  const analytics = buildAnalytics(scans, parseAnalyticsQuery({ from: '2026-03-10', to: '2026-03-10' }));
+  assert.equal(analytics.totalBoxes, 5);
+
+  assert.equal(analytics.throughput.length, 24, 'one bucket per hour, even empty ones');
+  const hours = Object.fromEntries(analytics.throughput.map(({ bucket, boxes, scans }) => [bucket.slice(-5), { boxes, scans }]));
+  assert.deepEqual(hours['08:00'], { boxes: 2, scans: 4 });
+  assert.deepEqual(hours['09:00'], { boxes: 2, scans: 2 });
+  assert.deepEqual(hours['11:00'], { boxes: 0, scans: 0 });
+
+  assert.deepEqual(analytics.scanners.map(({ scanner, boxes, activeHours }) => ({ scanner, boxes, activeHours })), [
+    { scanner: 'a@dock', boxes: 3, activeHours: 2 },
+    { scanner: 'b@dock', boxes: 2, activeHours: 2 }
+  ]);
+  assert.deepEqual(analytics.destinations.map(({ destination, boxes, duplicateBoxes }) => ({ destination, boxes, duplicateBoxes })), [
+    { destination: 'NORTH', boxes: 3, duplicateBoxes: 1 },
+    { destination: 'SOUTH', boxes: 2, duplicateBoxes: 0 }
+  ]);
+});
+
+test('consignment durations and duplicate/overscan rates', () => {
+  const analytics = buildAnalytics(scans, parseAnalyticsQuery({ from: '2026-03-10', to: '2026-03-10', granularity: 'day' }));
+
+  // C3 has a single box and no duration
+  assert.equal(analytics.consignments.consignments, 3);
+  assert.deepEqual(analytics.consignments.slowest.map(({ consignment, minutes }) => ({ consignment, minutes })), [
+    { consignment: 'C2', minutes: 40 },
+    { consignment: 'C1', minutes: 30 }
+  ]);
+  assert.equal(analytics.consignments.averageMinutes, 35);
+
+  assert.deepEqual(analytics.quality, [{
+    bucket: '2026-03-10',
+    boxes: 5,
+    duplicateBoxes: 1,
+    extraScans: 2,
+    overscannedBoxes: 2,
+    duplicateRate: 20,
+    overscanRate: 40
+  }]);
+});
+
+test('the analytics API serves single sections and exports', async () => {
+  await updateDispatchData([manifestRow('AN-1', 'AN', 1)]);
+  await recordScan({ boxId: 'AN-1', userEmail: 'tests' });
+  const today = formatLocalDate(new Date());
+
+  const destinations = await callController(getAnalyticsSection, {
+    params: { section: 'destinations' },
+    query: { from: today, to: today }
+  });
+  assert.deepEqual(destinations.body.destinations.map(item => item.destination), ['DEST']);
+  assert.equal(destinations.body.throughput, undefined);
+
+  const unknown = await callController(getAnalyticsSection, { params: { section: 'weather' }, query: {} });
+  assert.equal(unknown.statusCode, 404);
+
+  const csv = await callController(exportAnalytics, { query: { format: 'csv', section: 'destinations', from: today, to: today } });
+  const lines = csv.body.toString('utf8').replace(/^﻿/, '').trim().split('\r\n');
+  assert.deepEqual(lines, ['Destination,Boxes,Duplicate Boxes', 'DEST,1,0']);
+
+  const badFormat = await callController(exportAnalytics, { query: { format: 'pdf' } });
+  assert.equal(badFormat.statusCode, 400);
+});
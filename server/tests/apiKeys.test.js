@@ -0,0 +1,45 @@
+import { manifestRow, startApp } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { addApiKey, updateDispatchData } from '../models/dataStore.js';
+import { generateApiKey } from '../services/apiKeys.js';
+import scanRoutes from '../routes/scans.js';
+import apiKeyRoutes from '../routes/apiKeys.js';
+import authRoutes from '../routes/auth.js';
+
+const app = await startApp({ '/api/auth': authRoutes, '/api/scans': scanRoutes, '/api/api-keys': apiKeyRoutes });
+test.after(() => app.close());
+
+const { key, keyHint, keyHash } = generateApiKey();
+await addApiKey({ name: 'Tunnel 1', kind: 'device', description: '', keyHint, keyHash, createdBy: 'tests' });
+await updateDispatchData([manifestRow('AK-1', 'AK', 3), manifestRow('AK-2', 'AK', 3), manifestRow('AK-3', 'AK', 3), manifestRow('424242', 'NUM', 1)]);
+
+const callWithKey = (method, url, body) => fetch(`${app.url}${url}`, {
+  method,
+  headers: { 'X-API-Key': key, 'Content-Type': 'application/json' },
+  body: body && JSON.stringify(body)
+});
+
+test('API keys only reach the scan routes', async () => {
+  for (const [url, body] of [
+    ['/api/scans/scan', { boxId: 'AK-1' }],
+    ['/api/scans/scan/', { boxId: 'AK-2' }],
+    ['/api/scans/bulk', { scans: [{ boxId: 'AK-3' }] }]
+  ]) {
+    const response = await callWithKey('POST', url, body);
+    assert.equal(response.status, 200, `POST ${url}: ${(await response.json()).error}`);
+  }
+
+  for (const [method, url] of [['GET', '/api/scans/history'], ['GET', '/api/api-keys/'], ['POST', '/api/auth/logout']]) {
+    const response = await callWithKey(method, url);
+    assert.equal(response.status, 403, `${method} ${url} is refused`);
+  }
+});
+
+test('bulk scans accept numeric box IDs', async () => {
+  const response = await callWithKey('POST', '/api/scans/bulk', { scans: [{ boxId: 424242 }, { boxId: '  ' }] });
+  const [numeric, blank] = (await response.json()).results;
+  assert.equal(numeric.status, 'recorded', numeric.message);
+  assert.equal(numeric.boxId, '424242');
+  assert.equal(blank.status, 'invalid');
+});
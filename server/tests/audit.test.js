@@ -0,0 +1,64 @@
+import { dataDir, manifestRow, callController } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { execFileSync } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getAuditLog, updateDispatchData, RECORD_COLLECTIONS } from '../models/dataStore.js';
+import { recordScan, reconcileScans } from '../services/scanRecorder.js';
+import { filterAuditLog } from '../services/audit.js';
+import { getAudit } from '../controllers/auditController.js';
+
+test('scans are audited with compact entries', async () => {
+  await updateDispatchData([manifestRow('AU-1', 'AU', 1)]);
+  await recordScan({ boxId: 'AU-1', userEmail: 'scanner@dock', clientScanId: 'client-1' });
+  await updateDispatchData([manifestRow('AU-1', 'AU-NEW', 1)]);
+  await reconcileScans({ actor: 'tests' });
+
+  const entries = await getAuditLog();
+  const created = entries.find(entry => entry.action === 'scan.create');
+  assert.equal(created.actor, 'scanner@dock');
+  assert.equal(created.boxId, 'AU-1');
+  assert.equal(created.after.destination, 'DEST');
+  assert.equal(created.after.clientScanIds, undefined);
+  assert.equal(created.after.timestamp, undefined);
+
+  const moved = entries.find(entry => entry.action === 'scan.reconcile');
+  assert.deepEqual(moved.before, { consignment: 'AU' });
+  assert.deepEqual(moved.after, { consignment: 'AU-NEW' });
+});
+
+test('the audit API filters by box, consignment and action, newest first', async () => {
+  const byConsignment = await callController(getAudit, { query: { consignment: 'AU' } });
+  assert.deepEqual(byConsignment.body.entries.map(entry => entry.action), ['scan.reconcile', 'scan.create']);
+
+  const byAction = await callController(getAudit, { query: { action: 'scan.create', boxId: 'AU-1' } });
+  assert.equal(byAction.body.total, 1);
+});
+
+test('audit date filters are local days', () => {
+  const entries = [
+    { timestamp: new Date('2026-03-09T23:30:00') },
+    { timestamp: new Date('2026-03-10T00:30:00') },
+    { timestamp: new Date('2026-03-10T23:59:00') },
+    { timestamp: new Date('2026-03-11T00:00:00') }
+  ];
+  assert.equal(filterAuditLog(entries, { from: '2026-03-10', to: '2026-03-10' }).length, 2);
+});
+
+// Reads the JSON files the other tests wrote
+const jsonBackend = (process.env.STORAGE_BACKEND || 'json') === 'json';
+
+test('the SQLite migration copies the audit log and every other collection', { skip: !jsonBackend }, () => {
+  const output = execFileSync(process.execPath, ['scripts/migrate-json-to-sqlite.js'], {
+    cwd: path.join(path.dirname(fileURLToPath(import.meta.url)), '..'),
+    env: { ...process.env, SQLITE_FILE: path.join(dataDir, 'migrated.db') },
+    encoding: 'utf8'
+  });
+
+  const auditEntries = output.match(/Imported (\d+) audit-log records/);
+  assert.ok(auditEntries && Number(auditEntries[1]) > 0, output);
+  for (const collection of RECORD_COLLECTIONS) {
+    assert.match(output, new RegExp(`Imported \\d+ ${collection} records`));
+  }
+});
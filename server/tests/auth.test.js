@@ -0,0 +1,39 @@
+import { createUser, startApp, login } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import authRoutes from '../routes/auth.js';
+import scanRoutes from '../routes/scans.js';
+import eventRoutes from '../routes/events.js';
+
+const app = await startApp({ '/api/auth': authRoutes, '/api/scans': scanRoutes, '/api/events': eventRoutes });
+test.after(() => app.close());
+
+await createUser({ email: 'scanner@dock', role: 'scanner' });
+
+test('logging in returns a token for the API', async () => {
+  const refused = await fetch(`${app.url}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: 'scanner@dock', password: 'wrong-password' })
+  });
+  assert.equal(refused.status, 401);
+
+  const token = await login(app, 'scanner@dock');
+  const me = await fetch(`${app.url}/api/auth/me`, { headers: { Authorization: `Bearer ${token}` } });
+  assert.equal(me.status, 200);
+
+  assert.equal((await fetch(`${app.url}/api/scans/history`)).status, 401);
+});
+
+test('a token in the query string is only accepted by the event stream', async () => {
+  const token = await login(app, 'scanner@dock');
+
+  const history = await fetch(`${app.url}/api/scans/history?access_token=${token}`);
+  assert.equal(history.status, 401);
+
+  const stream = new AbortController();
+  const events = await fetch(`${app.url}/api/events?access_token=${token}`, { signal: stream.signal });
+  assert.equal(events.status, 200);
+  assert.match(events.headers.get('content-type'), /text\/event-stream/);
+  stream.abort();
+});
@@ -0,0 +1,55 @@
+import './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { parseBarcode, hasValidCheckDigit } from '../services/barcode.js';
+
+const GS = '\x1d';
+
+const sscc = (body) => {
+  for (let digit = 0; digit < 10; digit++) {
+    if (hasValidCheckDigit(`${body}${digit}`)) return `${body}${digit}`;
+  }
+  return null;
+};
+const code = sscc('34012345000000001');
+
+test('an SSCC label is reduced to the SSCC', () => {
+  for (const raw of [`(00)${code}`, `]C100${code}`, `00${code}`]) {
+    const parsed = parseBarcode(raw);
+    assert.ok(parsed.valid, parsed.error);
+    assert.equal(parsed.boxId, code);
+    assert.equal(parsed.format, 'sscc');
+  }
+
+  const wrongDigit = `${code.slice(0, -1)}${(Number(code.slice(-1)) + 1) % 10}`;
+  assert.equal(parseBarcode(`(00)${wrongDigit}`).valid, false);
+});
+
+test('GS1 labels with fields we do not read', () => {
+  const bracketed = parseBarcode(`(00)${code}(3103)000750(10)LOT1`);
+  assert.ok(bracketed.valid, bracketed.error);
+  assert.equal(bracketed.boxId, code);
+  assert.equal(bracketed.fields.batch, 'LOT1');
+
+  const fixedLength = parseBarcode(`]C100${code}310300075010LOT1${GS}21SER1`);
+  assert.ok(fixedLength.valid, fixedLength.error);
+  assert.deepEqual(fixedLength.fields, { sscc: code, batch: 'LOT1', serial: 'SER1' });
+
+  const variableLength = parseBarcode(`]C100${code}240PART-7${GS}3103000750`);
+  assert.ok(variableLength.valid, variableLength.error);
+  assert.equal(variableLength.boxId, code);
+
+  assert.equal(parseBarcode(`]C100${code}31030007`).valid, false, 'truncated field is rejected');
+});
+
+test('customer rules are tried before GS1 and plain box IDs', () => {
+  const rules = [{ name: 'Carrier', pattern: '^CAR-(?<boxId>\\d+)-(?<route>\\w+)$' }];
+
+  const parsed = parseBarcode('CAR-123-NORTH', rules);
+  assert.equal(parsed.boxId, '123');
+  assert.equal(parsed.rule, 'Carrier');
+  assert.deepEqual(parsed.fields, { route: 'NORTH' });
+
+  assert.equal(parseBarcode('BOX 1').valid, false, 'spaces are rejected');
+  assert.equal(parseBarcode('BOX-1').format, 'plain');
+});
@@ -0,0 +1,19 @@
+import { manifestRow } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { getScans, updateDispatchData } from '../models/dataStore.js';
+import { recordScan } from '../services/scanRecorder.js';
+
+test('the same box scanned at several stations at once is recorded once', async () => {
+  await updateDispatchData([manifestRow('CC-1', 'CC', 2), manifestRow('CC-2', 'CC', 2)]);
+
+  const results = await Promise.all(Array.from({ length: 6 }, (_, station) =>
+    recordScan({ boxId: station % 2 ? 'CC-1' : 'CC-2', userEmail: `station${station}@dock` })));
+
+  assert.equal(results.filter(result => result.success).length, 2);
+  assert.equal(results.filter(result => result.isDuplicate).length, 4);
+
+  const scans = await getScans();
+  assert.equal(scans.length, 2);
+  assert.ok(scans.every(scan => scan.finalStatus === 'TRUE' && scan.scanCount === 2));
+});
@@ -0,0 +1,45 @@
+import { manifestRow, callController } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { updateDispatchData } from '../models/dataStore.js';
+import { recordScan } from '../services/scanRecorder.js';
+import { getConsignments, getConsignment } from '../controllers/consignmentController.js';
+
+test('consignments list their scanned and missing boxes', async () => {
+  await updateDispatchData([
+    manifestRow('CO-1', 'CO-A', 2, 'NORTH'),
+    manifestRow('CO-2', 'CO-A', 2, 'NORTH'),
+    manifestRow('CO-3', 'CO-B', 1, 'SOUTH')
+  ]);
+  await recordScan({ boxId: 'CO-1', userEmail: 'tests' });
+  await recordScan({ boxId: 'CO-3', userEmail: 'tests' });
+
+  const all = await callController(getConsignments, {});
+  assert.deepEqual(all.body.map(item => [item.consignment, item.scannedBoxCount, item.missingBoxCount, item.finalStatus]), [
+    ['CO-A', 1, 1, 'PENDING (1/2)'],
+    ['CO-B', 1, 0, 'TRUE']
+  ]);
+
+  const north = await callController(getConsignments, { query: { destination: 'NORTH' } });
+  assert.deepEqual(north.body.map(item => item.consignment), ['CO-A']);
+
+  const detail = await callController(getConsignment, { params: { consignmentId: 'CO-A' } });
+  assert.deepEqual(detail.body.missingBoxes, ['CO-2']);
+  assert.deepEqual(detail.body.handovers, []);
+
+  const unknown = await callController(getConsignment, { params: { consignmentId: 'CO-Z' } });
+  assert.equal(unknown.statusCode, 404);
+});
+
+// What a live update asks for after a scan of one consignment
+test('only the requested consignments are summarised', async () => {
+  await recordScan({ boxId: 'CO-2', userEmail: 'tests' });
+
+  const refreshed = await callController(getConsignments, { query: { consignments: 'CO-A' } });
+  assert.deepEqual(refreshed.body.map(item => [item.consignment, item.scannedBoxCount, item.finalStatus]), [
+    ['CO-A', 2, 'TRUE']
+  ]);
+
+  const several = await callController(getConsignments, { query: { consignments: 'CO-A,CO-B' } });
+  assert.equal(several.body.length, 2);
+});
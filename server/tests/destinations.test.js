@@ -0,0 +1,43 @@
+import { manifestRow, callController } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { getDispatchData, getScanById, updateDispatchData } from '../models/dataStore.js';
+import { recordScan } from '../services/scanRecorder.js';
+import { createDestination, updateDestination } from '../controllers/destinationController.js';
+
+test('a new destination renames its spellings in the manifest and on open scans', async () => {
+  await updateDispatchData([manifestRow('DS-1', 'DS', 2, 'Bangalore '), manifestRow('DS-2', 'DS', 2, 'bengaluru')]);
+  const scan = await recordScan({ boxId: 'DS-1', userEmail: 'tests' });
+
+  const res = await callController(createDestination, {
+    body: { code: 'blr', name: 'Bangalore', aliases: 'Bengaluru' }
+  });
+  assert.equal(res.statusCode, 201, res.body?.error);
+  assert.equal(res.body.destination.code, 'BLR');
+
+  assert.deepEqual((await getDispatchData()).map(row => row.Destination), ['BLR', 'BLR']);
+  assert.equal((await getScanById(scan.row.id)).destination, 'BLR');
+});
+
+test('codes and aliases belong to one destination', async () => {
+  const invalid = await callController(createDestination, { body: { code: 'no spaces' } });
+  assert.equal(invalid.statusCode, 400);
+
+  const clash = await callController(createDestination, { body: { code: 'BEN', aliases: ['BENGALURU'] } });
+  assert.equal(clash.statusCode, 409);
+
+  const other = await callController(createDestination, { body: { code: 'DEL', name: 'Delhi' } });
+  assert.equal(other.statusCode, 201);
+  const chennai = await callController(createDestination, { body: { code: 'MAA' } });
+  assert.notEqual(other.body.destination.color, chennai.body.destination.color, 'colours are handed out in turn');
+});
+
+test('a renamed code stays as an alias', async () => {
+  const created = await callController(createDestination, { body: { code: 'BOM', name: 'Mumbai' } });
+  const renamed = await callController(updateDestination, {
+    params: { destinationId: created.body.destination.id },
+    body: { code: 'MUM' }
+  });
+  assert.equal(renamed.statusCode, 200, renamed.body?.error);
+  assert.deepEqual(renamed.body.destination.aliases, ['BOM']);
+});
@@ -0,0 +1,34 @@
+import { manifestRow, callController } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { addDispatchUpload, findDispatchUpload, getDispatchVersions } from '../models/dataStore.js';
+import { suggestMapping, getHeaders } from '../services/dispatchImport.js';
+import { commitDispatchUpload } from '../controllers/dispatchController.js';
+
+const stageUpload = (rows) => addDispatchUpload({
+  fileName: 'dispatch.xlsx',
+  uploadedBy: 'tests@dock',
+  templateId: null,
+  mapping: suggestMapping(getHeaders(rows)),
+  rows
+});
+
+test('a staged upload is activated once when it is committed twice at once', async () => {
+  const upload = await stageUpload([manifestRow('DU-1', 'DU', 2), manifestRow('DU-2', 'DU', 2)]);
+
+  const responses = await Promise.all([1, 2].map(() =>
+    callController(commitDispatchUpload, { params: { uploadId: upload.id } })));
+  assert.deepEqual(responses.map(res => res.statusCode).sort(), [200, 409]);
+  assert.equal((await getDispatchVersions()).length, 1);
+
+  const later = await callController(commitDispatchUpload, { params: { uploadId: upload.id } });
+  assert.equal(later.statusCode, 404);
+});
+
+test('a rejected commit leaves the upload free to commit after fixing it', async () => {
+  const upload = await stageUpload([manifestRow('', 'DU', 1)]);
+
+  const res = await callController(commitDispatchUpload, { params: { uploadId: upload.id } });
+  assert.equal(res.statusCode, 422);
+  assert.ok(!(await findDispatchUpload(upload.id)).committingBy);
+});
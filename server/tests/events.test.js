@@ -0,0 +1,29 @@
+import './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { publishEvent, getEventsSince } from '../services/events.js';
+
+test('a reconnecting client gets the events it missed', () => {
+  const first = publishEvent('scan.recorded', { boxId: 'EV-1' });
+  const second = publishEvent('scan.recorded', { boxId: 'EV-2' });
+
+  assert.deepEqual(getEventsSince(first.id).map(event => event.id), [second.id]);
+  assert.deepEqual(getEventsSince(second.id), []);
+});
+
+test('an event ID from before a restart asks the client to reload', () => {
+  const latest = publishEvent('scan.recorded', { boxId: 'EV-3' });
+  const [, sequence] = latest.id.split('-');
+
+  assert.equal(getEventsSince(`previousboot-${Number(sequence) + 40}`), null, 'higher than any ID of this boot');
+  assert.equal(getEventsSince(`previousboot-${sequence}`), null, 'same counter, earlier boot');
+  assert.equal(getEventsSince('41'), null, 'old numeric ID');
+});
+
+test('a client that missed more than the history holds reloads', () => {
+  const oldest = publishEvent('scan.recorded', { boxId: 'EV-4' });
+  for (let count = 0; count < 600; count++) {
+    publishEvent('scan.recorded', { boxId: 'EV-5' });
+  }
+  assert.equal(getEventsSince(oldest.id), null);
+});
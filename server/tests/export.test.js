@@ -0,0 +1,48 @@
+import { manifestRow, callController, DAY_MS } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { updateDispatchData } from '../models/dataStore.js';
+import { recordScan } from '../services/scanRecorder.js';
+import { formatLocalDate } from '../services/shifts.js';
+import { exportScans, getFilteredScans } from '../controllers/scanController.js';
+
+const today = formatLocalDate(new Date());
+const csvLines = (body) => body.toString('utf8').replace(/^﻿/, '').trim().split('\r\n');
+
+test('a CSV export holds exactly the rows the history table shows', async () => {
+  await updateDispatchData([manifestRow('EX-1', 'EX', 2, 'Zürich'), manifestRow('EX-2', 'EX', 2, 'Zürich'), manifestRow('OT-1', 'OT', 1)]);
+  await recordScan({ boxId: 'EX-1', userEmail: 'tests', scannedAt: new Date(Date.now() - DAY_MS) });
+  await recordScan({ boxId: 'EX-2', userEmail: 'tests' });
+  await recordScan({ boxId: 'OT-1', userEmail: 'tests' });
+
+  const query = { startDate: today, endDate: today, searchTerm: 'ex' };
+  const table = await callController(getFilteredScans, { query });
+  // Tab separated: the Date column holds commas
+  const res = await callController(exportScans, { query: { ...query, format: 'csv', delimiter: 'tab' } });
+
+  assert.match(res.headers['Content-Type'], /^text\/csv/);
+  const [header, ...rows] = csvLines(res.body);
+  const boxColumn = header.split('\t').indexOf('Box ID');
+  const exported = rows.map(row => row.split('\t')[boxColumn]);
+  assert.deepEqual(exported, table.body.scans.map(scan => scan.boxId));
+  assert.deepEqual(exported, ['EX-2']);
+});
+
+test('CSV delimiter and encoding follow the options', async () => {
+  const semicolon = await callController(exportScans, { query: { format: 'csv', delimiter: 'semicolon', encoding: 'utf8-bom' } });
+  assert.equal(semicolon.body.toString('utf8').charCodeAt(0), 0xFEFF);
+  assert.ok(csvLines(semicolon.body)[0].startsWith('Date;Shift;Box ID;'));
+
+  const latin1 = await callController(exportScans, { query: { format: 'csv', encoding: 'latin1', searchTerm: 'EX-1' } });
+  assert.match(latin1.headers['Content-Type'], /charset=iso-8859-1/);
+  assert.ok(latin1.body.toString('latin1').includes('Zürich'));
+});
+
+test('PDF exports and unknown formats', async () => {
+  const pdf = await callController(exportScans, { query: { format: 'pdf' } });
+  assert.equal(pdf.headers['Content-Type'], 'application/pdf');
+  assert.equal(pdf.body.subarray(0, 5).toString(), '%PDF-');
+
+  const unknown = await callController(exportScans, { query: { format: 'docx' } });
+  assert.equal(unknown.statusCode, 400);
+});
@@ -0,0 +1,79 @@
+import { dataDir, manifestRow, callController } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { updateDispatchData, getScanById } from '../models/dataStore.js';
+import { recordScan } from '../services/scanRecorder.js';
+import { createHandover, getHandoverList, getHandoverReceipt } from '../controllers/handoverController.js';
+import { deleteScan } from '../controllers/scanController.js';
+
+// 1x1 PNG, as the signature pad would send it
+const SIGNATURE = 'data:image/png;base64,' +
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const handoverBody = { driverName: 'Dana Driver', vehicle: 'TR-42', signature: SIGNATURE };
+
+let handover;
+let scans;
+
+test('a handover records the driver, vehicle and signature for the open boxes', async () => {
+  await updateDispatchData([manifestRow('HO-1', 'HO', 2), manifestRow('HO-2', 'HO', 2), manifestRow('HX-1', 'HX', 1)]);
+  scans = [];
+  for (const boxId of ['HO-1', 'HO-2', 'HX-1']) {
+    scans.push((await recordScan({ boxId, userEmail: 'tests' })).row);
+  }
+
+  const res = await callController(createHandover, { body: { ...handoverBody, consignments: '["HO"]' } });
+  assert.equal(res.statusCode, 200, res.body.error);
+  handover = res.body.handover;
+  assert.equal(handover.boxCount, 2);
+  assert.equal(handover.driverName, 'Dana Driver');
+  assert.equal(handover.vehicle, 'TR-42');
+  assert.deepEqual(handover.consignments.map(({ consignment, boxCount, expectedBoxes }) =>
+    ({ consignment, boxCount, expectedBoxes })), [{ consignment: 'HO', boxCount: 2, expectedBoxes: 2 }]);
+
+  assert.match(handover.signaturePath, /\/handovers\/.+\/signature\.png$/);
+  assert.ok(fs.existsSync(path.join(dataDir, 'uploads', 'handovers', handover.id, 'signature.png')));
+});
+
+test('handovers need driver details, a signature and boxes left to hand over', async () => {
+  const noDriver = await callController(createHandover, { body: { ...handoverBody, driverName: ' ', consignments: 'HX' } });
+  assert.equal(noDriver.statusCode, 400);
+
+  const noSignature = await callController(createHandover, { body: { ...handoverBody, signature: 'data:image/png;base64,AAAA', consignments: 'HX' } });
+  assert.equal(noSignature.statusCode, 400);
+
+  const again = await callController(createHandover, { body: { ...handoverBody, consignments: 'HO' } });
+  assert.equal(again.statusCode, 409);
+});
+
+test('handed-over scans are locked', async () => {
+  assert.equal((await getScanById(scans[0].id)).handoverId, handover.id);
+  assert.equal((await getScanById(scans[2].id)).handoverId, undefined);
+
+  const rescan = await recordScan({ boxId: 'HO-1', userEmail: 'tests', allowDuplicate: true });
+  assert.equal(rescan.success, false);
+  assert.match(rescan.message, /handed over/);
+
+  const deleted = await callController(deleteScan, { params: { scanId: scans[0].id }, body: { reason: 'mistake' } });
+  assert.equal(deleted.statusCode, 409);
+});
+
+test('the receipt is found from the consignment or the scan', async () => {
+  const byConsignment = await callController(getHandoverList, { query: { consignment: 'HO' } });
+  assert.deepEqual(byConsignment.body.handovers.map(item => item.id), [handover.id]);
+  const byScan = await callController(getHandoverList, { query: { scanId: scans[1].id } });
+  assert.deepEqual(byScan.body.handovers.map(item => item.id), [handover.id]);
+  const other = await callController(getHandoverList, { query: { scanId: scans[2].id } });
+  assert.deepEqual(other.body.handovers, []);
+
+  const pdf = await callController(getHandoverReceipt, { params: { handoverId: handover.id }, query: {} });
+  assert.equal(pdf.headers['Content-Type'], 'application/pdf');
+  assert.equal(pdf.body.subarray(0, 5).toString(), '%PDF-');
+
+  const html = await callController(getHandoverReceipt, { params: { handoverId: handover.id }, query: { format: 'html' } });
+  for (const text of ['Dana Driver', 'TR-42', 'HO-1', 'HO-2', 'data:image/png;base64,']) {
+    assert.ok(html.body.includes(text), text);
+  }
+  assert.ok(!html.body.includes('HX-1'));
+});
@@ -0,0 +1,109 @@
+// Shared setup for the server tests (node --test). Import it before any
+// server module: it points storage, uploads and reports at a throwaway
+// directory, which the config modules read when they are first imported.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+export const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-tests-'));
+process.env.DATA_DIR = dataDir;
+process.env.SQLITE_FILE = path.join(dataDir, 'tests.db');
+process.env.UPLOADS_DIR = path.join(dataDir, 'uploads');
+process.env.REPORTS_DIR = path.join(dataDir, 'reports');
+process.env.AUTH_SECRET = process.env.AUTH_SECRET || 'tests';
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// node --test reads the test process's stdout for its own messages, and in
+// Node 20 other output there (the storage banner) can break them
+console.log = console.error;
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const manifestRow = (boxId, consignment, totalBox, destination = 'DEST') =>
+  ({ 'Box ID': boxId, Consignment: consignment, Destination: destination, 'Total Box': totalBox });
+
+// Minimal Express response for calling controllers directly
+export const createResponse = () => ({
+  statusCode: 200,
+  headers: {},
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  setHeader(name, value) {
+    this.headers[name] = value;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+  send(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Run a controller as an admin unless req says otherwise
+export async function callController(controller, req = {}) {
+  const res = createResponse();
+  await controller({
+    params: {},
+    query: {},
+    body: {},
+    user: { id: 'tests', email: 'tests@dock', role: 'admin' },
+    ...req
+  }, res);
+  return res;
+}
+
+// Run a middleware; passed tells whether it called next()
+export async function callMiddleware(middleware, req) {
+  const res = createResponse();
+  let passed = false;
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+}
+
+// User with a password, for tests going through /api/auth/login
+export async function createUser({ email, role, password = 'secret-password' }) {
+  const { addUser } = await import('../models/dataStore.js');
+  const { hashPassword } = await import('../services/auth.js');
+  return await addUser({ email, name: email, role, passwordHash: await hashPassword(password) });
+}
+
+// The given routers mounted the way server.js mounts them, on a free port.
+// mounts: { '/api/scans': scanRoutes, ... }; /api/auth is not behind login.
+export async function startApp(mounts) {
+  const { requireAuth } = await import('../middleware/auth.js');
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  for (const [prefix, router] of Object.entries(mounts)) {
+    if (prefix === '/api/auth') {
+      app.use(prefix, router);
+    } else {
+      app.use(prefix, requireAuth, router);
+    }
+  }
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Log in through /api/auth/login and return the token
+export async function login(app, email, password = 'secret-password') {
+  const response = await fetch(`${app.url}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password })
+  });
+  return (await response.json()).token;
+}
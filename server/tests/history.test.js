@@ -0,0 +1,48 @@
+import { manifestRow, callController, DAY_MS } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { deleteScan, updateDispatchData } from '../models/dataStore.js';
+import { recordScan } from '../services/scanRecorder.js';
+import { formatLocalDate } from '../services/shifts.js';
+import { getFilteredScans } from '../controllers/scanController.js';
+
+const today = formatLocalDate(new Date());
+const page = async (query) => (await callController(getFilteredScans, { query })).body;
+const boxIds = (result) => result.scans.map(scan => scan.boxId);
+
+test('history pages are filtered by date, sorted and sliced', async () => {
+  await updateDispatchData(['HI-1', 'HI-2', 'HI-3', 'HI-4'].map(boxId => manifestRow(boxId, 'HI', 4)));
+  await recordScan({ boxId: 'HI-1', userEmail: 'tests', scannedAt: new Date(Date.now() - 2 * DAY_MS) });
+  await recordScan({ boxId: 'HI-2', userEmail: 'tests', scannedAt: new Date(Date.now() - DAY_MS) });
+  await recordScan({ boxId: 'HI-3', userEmail: 'tests' });
+  await recordScan({ boxId: 'HI-4', userEmail: 'tests' });
+
+  const todays = await page({ startDate: today, endDate: today });
+  assert.equal(todays.total, 2);
+  assert.deepEqual(boxIds(todays), ['HI-4', 'HI-3']);
+
+  const oldestFirst = await page({ sortDir: 'asc', offset: '1', limit: '2' });
+  assert.equal(oldestFirst.total, 4);
+  assert.deepEqual(boxIds(oldestFirst), ['HI-2', 'HI-3']);
+
+  assert.deepEqual(boxIds(await page({ sortBy: 'boxId', sortDir: 'desc' })), ['HI-4', 'HI-3', 'HI-2', 'HI-1']);
+});
+
+test('returned rows carry their duplicate info and the duplicate filter uses it', async () => {
+  await recordScan({ boxId: 'HI-4', userEmail: 'tests', allowDuplicate: true });
+
+  const duplicates = await page({ statusFilter: 'DUPLICATE' });
+  assert.deepEqual(boxIds(duplicates), ['HI-4']);
+
+  const [latest] = (await page({ limit: '1' })).scans;
+  assert.equal(latest.isDuplicate, true);
+  assert.equal(latest.duplicateCount, 2);
+});
+
+test('deleted scans are only listed when asked for', async () => {
+  const [scan] = (await page({ searchTerm: 'HI-2' })).scans;
+  await deleteScan(scan.id, { deletedBy: 'tests', reason: 'mislabelled' });
+
+  assert.equal((await page({})).total, 3);
+  assert.equal((await page({ includeDeleted: 'true' })).total, 4);
+});
@@ -0,0 +1,44 @@
+import { manifestRow } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { getScans, getDispatchVersions } from '../models/dataStore.js';
+import { recordScan } from '../services/scanRecorder.js';
+import { activateManifest, rollbackManifest } from '../services/manifest.js';
+
+const activate = (rows) => activateManifest({ rows, actor: 'tests', fileName: 'manifest.xlsx' });
+const findScan = async (boxId) => (await getScans()).find(scan => scan.boxId === boxId);
+
+test('every upload becomes the next active version', async () => {
+  const first = await activate([manifestRow('MV-1', 'MV', 2), manifestRow('MV-2', 'MV', 2)]);
+  await recordScan({ boxId: 'MV-1', userEmail: 'tests' });
+  await recordScan({ boxId: 'MV-2', userEmail: 'tests' });
+
+  // MV-2 moves to another consignment and MV expects a third box
+  const second = await activate([
+    manifestRow('MV-1', 'MV', 3),
+    manifestRow('MV-3', 'MV', 3),
+    manifestRow('MV-2', 'MV-NEW', 1)
+  ]);
+  assert.equal(second.version, first.version + 1);
+
+  const versions = await getDispatchVersions();
+  assert.deepEqual(versions.filter(version => version.active).map(version => version.version), [second.version]);
+});
+
+test('an upload reconciles scans that were already matched', async () => {
+  const mv1 = await findScan('MV-1');
+  const mv2 = await findScan('MV-2');
+  assert.equal(mv1.totalBox, 3);
+  assert.equal(mv1.finalStatus, 'PENDING (1/3)');
+  assert.equal(mv2.consignment, 'MV-NEW');
+  assert.equal(mv2.finalStatus, 'TRUE');
+});
+
+test('a rollback re-matches open scans against the earlier version', async () => {
+  const result = await rollbackManifest({ version: 1, actor: 'tests' });
+  assert.deepEqual(result.reconciliation.moved, ['MV-2']);
+
+  assert.equal((await findScan('MV-1')).finalStatus, 'TRUE');
+  assert.equal((await findScan('MV-2')).consignment, 'MV');
+  assert.equal(await rollbackManifest({ version: 99, actor: 'tests' }), null);
+});
@@ -0,0 +1,29 @@
+import { manifestRow, DAY_MS } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { getScans, updateDispatchData } from '../models/dataStore.js';
+import { recordScan } from '../services/scanRecorder.js';
+
+test('a queued scan keeps the time it was made', async () => {
+  await updateDispatchData([manifestRow('OF-1', 'OF', 2), manifestRow('OF-2', 'OF', 2)]);
+  const scannedAt = new Date(Date.now() - DAY_MS);
+
+  const result = await recordScan({ boxId: 'OF-1', userEmail: 'tests', clientScanId: 'station-1:1', scannedAt: scannedAt.toISOString() });
+  assert.ok(result.success);
+  assert.equal(new Date(result.row.timestamp).getTime(), scannedAt.getTime());
+  assert.ok(result.row.receivedAt, 'arrival time is kept as well');
+
+  const future = await recordScan({ boxId: 'OF-2', userEmail: 'tests', scannedAt: new Date(Date.now() + DAY_MS) });
+  assert.ok(new Date(future.row.timestamp) <= new Date(), 'a clock ahead of the server is not trusted');
+});
+
+// A sync that lost its response sends the same scans again
+test('replaying a scan with the same clientScanId records it once', async () => {
+  const replay = await recordScan({ boxId: 'OF-1', userEmail: 'tests', clientScanId: 'station-1:1' });
+  assert.ok(replay.success);
+  assert.ok(replay.isReplay);
+
+  const scans = (await getScans()).filter(scan => scan.boxId === 'OF-1');
+  assert.equal(scans.length, 1);
+  assert.deepEqual(scans[0].clientScanIds, ['station-1:1']);
+});
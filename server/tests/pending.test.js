@@ -0,0 +1,78 @@
+import { manifestRow, callController, DAY_MS } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { getPendingScans, getScanById, withScanLock } from '../models/dataStore.js';
+import { recordScan, resolvePendingScans } from '../services/scanRecorder.js';
+import { activateManifest } from '../services/manifest.js';
+import { getExceptions, resolveException } from '../controllers/scanController.js';
+
+const activate = (rows) => activateManifest({ rows, actor: 'tests', fileName: 'manifest.xlsx' });
+
+test('a new manifest resolves the pending scans it lists', async () => {
+  await activate([manifestRow('PE-0', 'PE', 2)]);
+  const early = await recordScan({ boxId: 'PE-1', userEmail: 'tests' });
+  await recordScan({ boxId: 'PE-404', userEmail: 'tests' });
+  assert.ok(early.isPending);
+
+  const { pending } = await activate([manifestRow('PE-0', 'PE', 2), manifestRow('PE-1', 'PE', 2)]);
+  assert.deepEqual(pending.resolved.map(item => item.boxId), ['PE-1']);
+  assert.deepEqual(pending.remaining.map(item => item.boxId), ['PE-404']);
+
+  const scan = await getScanById(early.row.id);
+  assert.equal(scan.consignment, 'PE');
+  assert.equal(scan.finalStatus, 'PENDING (1/2)');
+});
+
+test('the report names consignments a resolved scan overscans', async () => {
+  const known = [manifestRow('PE-0', 'PE', 2), manifestRow('PE-1', 'PE', 2)];
+  await activate([...known, manifestRow('OS-1', 'OS', 1)]);
+  await recordScan({ boxId: 'OS-1', userEmail: 'tests' });
+  await recordScan({ boxId: 'OS-2', userEmail: 'tests' });
+
+  const { pending } = await activate([...known, manifestRow('OS-1', 'OS', 1), manifestRow('OS-2', 'OS', 1)]);
+  assert.deepEqual(pending.overscanned, [{ consignment: 'OS', scanCount: 2, totalBox: 1 }]);
+});
+
+test('stale pending scans are escalated to exceptions', async () => {
+  const later = new Date(Date.now() + 3 * DAY_MS);
+  const report = await withScanLock(() => resolvePendingScans({ actor: 'system', now: later }));
+
+  assert.deepEqual(report.escalated.map(item => item.boxId), ['PE-404']);
+  assert.match(report.escalated[0].reason, /after 72 hours/);
+  assert.deepEqual(await getPendingScans(), []);
+
+  const open = await callController(getExceptions, { query: {} });
+  assert.deepEqual(open.body.exceptions.map(item => item.boxId), ['PE-404']);
+});
+
+test('an exception is matched when its box turns up in a manifest', async () => {
+  await activate([manifestRow('PE-0', 'PE', 2), manifestRow('PE-1', 'PE', 2), manifestRow('PE-404', 'PE-LATE', 1),
+    manifestRow('OS-1', 'OS', 1), manifestRow('OS-2', 'OS', 1)]);
+
+  const resolved = await callController(getExceptions, { query: { status: 'resolved' } });
+  assert.equal(resolved.body.count, 1);
+  assert.equal(resolved.body.exceptions[0].resolution, 'matched');
+
+  const scan = await getScanById(resolved.body.exceptions[0].scanId);
+  assert.equal(scan.consignment, 'PE-LATE');
+  assert.equal(scan.finalStatus, 'TRUE');
+});
+
+test('closing an exception by hand needs a note', async () => {
+  await recordScan({ boxId: 'PE-LOST', userEmail: 'tests' });
+  const later = new Date(Date.now() + 3 * DAY_MS);
+  const [exception] = (await withScanLock(() => resolvePendingScans({ actor: 'system', now: later }))).escalated;
+
+  const withoutNote = await callController(resolveException, { params: { exceptionId: exception.id }, body: {} });
+  assert.equal(withoutNote.statusCode, 400);
+
+  const closed = await callController(resolveException, {
+    params: { exceptionId: exception.id },
+    body: { note: 'Sent back to the supplier' }
+  });
+  assert.equal(closed.body.exception.resolution, 'dismissed');
+  assert.equal(closed.body.exception.resolvedBy, 'tests@dock');
+
+  const again = await callController(resolveException, { params: { exceptionId: exception.id }, body: { note: 'again' } });
+  assert.equal(again.statusCode, 404);
+});
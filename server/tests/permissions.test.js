@@ -0,0 +1,35 @@
+import { createUser, startApp, login } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import authRoutes from '../routes/auth.js';
+import scanRoutes from '../routes/scans.js';
+
+const app = await startApp({ '/api/auth': authRoutes, '/api/scans': scanRoutes });
+test.after(() => app.close());
+
+const tokens = {};
+for (const role of ['scanner', 'supervisor', 'admin']) {
+  await createUser({ email: `${role}@dock`, role });
+  tokens[role] = await login(app, `${role}@dock`);
+}
+
+const statusAs = async (role, method, url) => (await fetch(`${app.url}${url}`, {
+  method,
+  headers: { Authorization: `Bearer ${tokens[role]}`, 'Content-Type': 'application/json' },
+  body: method === 'GET' ? undefined : JSON.stringify({ reason: 'tests' })
+})).status;
+
+test('scanners can scan and read but not delete, process pending or upload', async () => {
+  assert.equal(await statusAs('scanner', 'GET', '/api/scans/history'), 200);
+  assert.equal(await statusAs('scanner', 'DELETE', '/api/scans/missing-scan'), 403);
+  assert.equal(await statusAs('scanner', 'POST', '/api/scans/process-pending'), 403);
+  assert.equal(await statusAs('scanner', 'POST', '/api/scans/upload-dispatch'), 403);
+});
+
+test('supervisors delete scans and process pending; only admins upload', async () => {
+  assert.equal(await statusAs('supervisor', 'DELETE', '/api/scans/missing-scan'), 404);
+  assert.equal(await statusAs('supervisor', 'POST', '/api/scans/process-pending'), 200);
+  assert.equal(await statusAs('supervisor', 'POST', '/api/scans/upload-dispatch'), 403);
+
+  assert.equal(await statusAs('admin', 'POST', '/api/scans/upload-dispatch'), 400, 'allowed, but no file sent');
+});
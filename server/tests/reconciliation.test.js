@@ -0,0 +1,32 @@
+import { manifestRow, DAY_MS } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { getScans, updateDispatchData } from '../models/dataStore.js';
+import { recordScan } from '../services/scanRecorder.js';
+import { buildConsignmentSummaries } from '../services/consignments.js';
+
+const manifest = [manifestRow('RE-1', 'RE', 2), manifestRow('RE-2', 'RE', 2)];
+
+test('scans are matched against the manifest and counted per consignment', async () => {
+  await updateDispatchData(manifest);
+
+  const unknown = await recordScan({ boxId: 'RE-404', userEmail: 'tests' });
+  assert.ok(unknown.isPending);
+
+  const first = await recordScan({ boxId: 'RE-1', userEmail: 'tests', scannedAt: new Date(Date.now() - 2 * DAY_MS) });
+  assert.equal(first.row.consignment, 'RE');
+  assert.equal(first.row.destination, 'DEST');
+  assert.equal(first.consignmentStatus.finalStatus, 'PENDING (1/2)');
+});
+
+// A box scanned again on another day is one box, not two
+test('a consignment completes on distinct boxes', async () => {
+  const rescan = await recordScan({ boxId: 'RE-1', userEmail: 'tests' });
+  assert.equal(rescan.consignmentStatus.finalStatus, 'PENDING (1/2)');
+
+  const [summary] = buildConsignmentSummaries(manifest, await getScans());
+  assert.equal(summary.finalStatus, rescan.consignmentStatus.finalStatus, 'summary and scan rows agree');
+
+  const last = await recordScan({ boxId: 'RE-2', userEmail: 'tests' });
+  assert.equal(last.consignmentStatus.finalStatus, 'OVERSCANNED', 'three scans of a two-box consignment');
+});
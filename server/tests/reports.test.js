@@ -0,0 +1,81 @@
+import './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { addReportSchedule, updateReportSchedule, getReportRuns } from '../models/dataStore.js';
+import { registerTransport } from '../services/reportDelivery.js';
+import { runDueReports, runSchedule, retryRun } from '../services/reportScheduler.js';
+
+test('the scheduler catches up on skipped minutes', async () => {
+  const schedule = await addReportSchedule({
+    name: 'Every five minutes',
+    report: 'exceptions',
+    period: 'today',
+    format: 'json',
+    cron: '*/5 * * * *',
+    enabled: true,
+    delivery: { type: 'directory', folder: '' }
+  });
+
+  const start = new Date();
+  start.setHours(start.getHours() - 1, 3, 10, 0);
+  await runDueReports(start);
+  await runDueReports(new Date(start.getTime() + 12 * 60 * 1000));
+
+  const minutes = (await getReportRuns()).map(run => new Date(run.scheduledFor).getMinutes()).sort((a, b) => a - b);
+  assert.deepEqual(minutes, [5, 10, 15]);
+  await updateReportSchedule(schedule.id, { enabled: false });
+});
+
+// Fails until told otherwise; `gate` holds a delivery mid-flight
+const flaky = { fail: true, calls: 0, gate: null };
+registerTransport('flaky', {
+  deliver: async () => {
+    flaky.calls += 1;
+    await flaky.gate;
+    if (flaky.fail) throw new Error('relay down');
+    return 'flaky';
+  }
+});
+
+const flakySchedule = {
+  id: 'flaky-schedule',
+  name: 'Flaky',
+  report: 'exceptions',
+  period: 'today',
+  format: 'json',
+  delivery: { type: 'flaky' }
+};
+
+test('a run being retried by hand is not delivered by the tick as well', async () => {
+  const run = await runSchedule(flakySchedule);
+  assert.equal(run.status, 'retrying');
+
+  let release;
+  flaky.gate = new Promise(resolve => { release = resolve; });
+  flaky.fail = false;
+  flaky.calls = 0;
+  const manual = retryRun(run);
+
+  await runDueReports(new Date(Date.now() + 24 * 60 * 60 * 1000));
+  assert.equal(await retryRun(run), null, 'a second manual retry is refused');
+  release();
+
+  assert.equal((await manual).status, 'delivered');
+  assert.equal(flaky.calls, 1);
+  flaky.gate = null;
+});
+
+test('retrying a failed run keeps its attempts and gets a fresh set of retries', async () => {
+  flaky.fail = true;
+  let run = await runSchedule(flakySchedule);
+  while (run.status === 'retrying') {
+    run = await retryRun(run);
+  }
+  assert.equal(run.status, 'failed');
+  const failedAttempts = run.attempts.length;
+
+  run = await retryRun(run);
+  assert.equal(run.status, 'retrying');
+  assert.equal(run.attempts.length, failedAttempts + 1);
+  assert.ok(run.attempts.every(attempt => attempt.error === 'relay down'));
+});
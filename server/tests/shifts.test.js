@@ -0,0 +1,43 @@
+import { manifestRow, callController } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { getShiftClosures, updateDispatchData } from '../models/dataStore.js';
+import { recordScan } from '../services/scanRecorder.js';
+import { getLastEndedShift, getShiftEnd, getShiftForDate } from '../services/shifts.js';
+import { closeShift } from '../controllers/shiftController.js';
+
+const lastEnded = getLastEndedShift(new Date());
+const duringLastEnded = new Date(getShiftEnd(lastEnded).getTime() - 60 * 1000);
+
+test('only shifts that have ended can be closed', async () => {
+  const unknown = await callController(closeShift, { body: { shift: 'Lunch', shiftDate: lastEnded.shiftDate } });
+  assert.equal(unknown.statusCode, 400);
+
+  const badDate = await callController(closeShift, { body: { shift: lastEnded.shift, shiftDate: '2026-02-30' } });
+  assert.equal(badDate.statusCode, 400);
+
+  const running = await callController(closeShift, { body: getShiftForDate(new Date()) });
+  assert.equal(running.statusCode, 409);
+  assert.equal((await getShiftClosures()).length, 0);
+});
+
+test('closing defaults to the last shift that ended and freezes its scans', async () => {
+  await updateDispatchData([manifestRow('SH-1', 'SH', 2), manifestRow('SH-2', 'SH', 2)]);
+  const scanned = await recordScan({ boxId: 'SH-1', userEmail: 'tests', scannedAt: duringLastEnded });
+  assert.deepEqual({ shift: scanned.row.shift, shiftDate: scanned.row.shiftDate }, lastEnded);
+
+  const res = await callController(closeShift, {});
+  assert.equal(res.statusCode, 200, res.body?.error);
+  assert.deepEqual({ shift: res.body.closure.shift, shiftDate: res.body.closure.shiftDate }, lastEnded);
+  assert.deepEqual(res.body.closure.scanIds, [scanned.row.id]);
+
+  const again = await callController(closeShift, { body: lastEnded });
+  assert.equal(again.statusCode, 409);
+});
+
+test('offline scans replayed after their shift closed go to the next open shift', async () => {
+  const late = await recordScan({ boxId: 'SH-2', userEmail: 'tests', scannedAt: duringLastEnded });
+  assert.ok(late.success);
+  assert.ok(!late.row.shiftClosureId);
+  assert.notDeepEqual({ shift: late.row.shift, shiftDate: late.row.shiftDate }, lastEnded);
+});
@@ -0,0 +1,44 @@
+import { manifestRow, callController } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { getAuditLog, getScans, updateDispatchData, updateScansByIds } from '../models/dataStore.js';
+import { recordScan } from '../services/scanRecorder.js';
+import { deleteScan, restoreScan } from '../controllers/scanController.js';
+
+const remove = (scanId, reason) => callController(deleteScan, { params: { scanId }, body: { reason } });
+const restore = (scanId) => callController(restoreScan, { params: { scanId } });
+
+test('a scan is only deleted with a reason, and the deletion is audited', async () => {
+  await updateDispatchData([manifestRow('SD-1', 'SD', 2), manifestRow('SD-2', 'SD', 2)]);
+  const { row } = await recordScan({ boxId: 'SD-1', userEmail: 'tests' });
+
+  assert.equal((await remove(row.id, '  ')).statusCode, 400);
+  assert.equal((await remove(row.id, 'wrong box')).statusCode, 200);
+  assert.equal((await remove(row.id, 'again')).statusCode, 404);
+
+  assert.deepEqual((await getScans()).map(scan => scan.id), []);
+  const [deleted] = await getScans({ includeDeleted: true });
+  assert.equal(deleted.deleteReason, 'wrong box');
+  assert.equal(deleted.deletedBy, 'tests@dock');
+
+  const entry = (await getAuditLog()).find(item => item.action === 'scan.delete');
+  assert.deepEqual(entry.details, { reason: 'wrong box' });
+});
+
+test('a deleted scan can be restored unless the box was scanned again that day', async () => {
+  const [deleted] = await getScans({ includeDeleted: true });
+  assert.equal((await restore(deleted.id)).statusCode, 200);
+  assert.equal((await getScans()).length, 1);
+  assert.ok((await getAuditLog()).some(item => item.action === 'scan.restore'));
+
+  await remove(deleted.id, 'wrong box');
+  await recordScan({ boxId: 'SD-1', userEmail: 'tests' });
+  assert.equal((await restore(deleted.id)).statusCode, 409);
+});
+
+test('scans of a closed shift cannot be deleted', async () => {
+  const { row } = await recordScan({ boxId: 'SD-2', userEmail: 'tests' });
+  await updateScansByIds([row.id], { shiftClosureId: 'closure-1' });
+
+  assert.equal((await remove(row.id, 'too late')).statusCode, 409);
+});
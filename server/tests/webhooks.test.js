@@ -0,0 +1,66 @@
+import { manifestRow, callController } from './helpers.js';
+import test from 'node:test';
+import assert from 'assert/strict';
+import { updateDispatchData } from '../models/dataStore.js';
+import { recordScan } from '../services/scanRecorder.js';
+import { activateManifest, rollbackManifest } from '../services/manifest.js';
+import { subscribe } from '../services/events.js';
+import { toWebhookEvents } from '../services/webhooks.js';
+import { deleteScan, restoreScan } from '../controllers/scanController.js';
+
+// Webhook events the bus events published during task() turn into
+const webhookEventsDuring = async (task) => {
+  const events = [];
+  const unsubscribe = subscribe(busEvent => events.push(...toWebhookEvents(busEvent)));
+  try {
+    await task();
+  } finally {
+    unsubscribe();
+  }
+  return events.map(({ event, data }) => [event, data.consignment ?? null, data.destination ?? null]);
+};
+
+test('a scan that completes a consignment sends the scan and the completion', async () => {
+  await updateDispatchData([manifestRow('WH-1', 'WH', 1, 'NORTH'), manifestRow('OV-1', 'OV', 1), manifestRow('OV-2', 'OV', 1)]);
+
+  assert.deepEqual(await webhookEventsDuring(() => recordScan({ boxId: 'WH-1', userEmail: 'tests' })), [
+    ['scan.recorded', null, null],
+    ['consignment.completed', 'WH', 'NORTH']
+  ]);
+});
+
+test('deleting and restoring scans send the status changes they cause', async () => {
+  const scan = await recordScan({ boxId: 'OV-1', userEmail: 'tests' });
+  const extra = await recordScan({ boxId: 'OV-2', userEmail: 'tests' });
+  assert.equal(extra.consignmentStatus.finalStatus, 'OVERSCANNED');
+
+  const deleted = await webhookEventsDuring(() =>
+    callController(deleteScan, { params: { scanId: extra.row.id }, body: { reason: 'wrong pallet' } }));
+  assert.deepEqual(deleted, [['consignment.completed', 'OV', 'DEST']]);
+
+  const restored = await webhookEventsDuring(() =>
+    callController(restoreScan, { params: { scanId: extra.row.id } }));
+  assert.deepEqual(restored, [['consignment.overscanned', 'OV', 'DEST']]);
+
+  const afterDelete = await webhookEventsDuring(() =>
+    callController(deleteScan, { params: { scanId: scan.row.id }, body: { reason: 'scanned twice' } }));
+  assert.deepEqual(afterDelete, [['consignment.completed', 'OV', 'DEST']]);
+});
+
+test('a new manifest or a rollback sends only the statuses it changed', async () => {
+  const v1 = [manifestRow('RB-1', 'RB', 1), manifestRow('ST-1', 'ST', 1, 'NORTH')];
+  const { version } = await activateManifest({ rows: v1, actor: 'tests', fileName: 'v1.xlsx' });
+  await recordScan({ boxId: 'RB-1', userEmail: 'tests' });
+  await recordScan({ boxId: 'ST-1', userEmail: 'tests' });
+
+  // RB needs a second box now; ST is rerouted but stays complete
+  const uploaded = await webhookEventsDuring(() => activateManifest({
+    rows: [manifestRow('RB-1', 'RB', 2), manifestRow('RB-2', 'RB', 2), manifestRow('ST-1', 'ST', 1, 'SOUTH')],
+    actor: 'tests',
+    fileName: 'v2.xlsx'
+  }));
+  assert.deepEqual(uploaded, [['dispatch.uploaded', null, null]]);
+
+  const rolledBack = await webhookEventsDuring(() => rollbackManifest({ version, actor: 'tests' }));
+  assert.deepEqual(rolledBack, [['consignment.completed', 'RB', 'DEST']]);
+});